@@ -1,11 +1,17 @@
 // Импорты всех необходимых классов
 import { DataService } from './core/data-service.js';
+import { SCRIPT_FORMAT_VERSION, ScriptSchema } from './core/script-schema.js';
 import { logger } from './logger.js';
-import { Speaker, SoundEffect} from './models/role.js';
 import { DataManager } from './services/data-manager.js';
+import { ScriptLibrary } from './services/script-library.js';
 import { UIComponents } from './ui/components.js';
+import { ToastComponent } from './ui/toast-component.js';
 import { featherIconsService } from './utils/feather-icons.js';
 
+// Несохраненные изменения, записанные синхронно при закрытии страницы
+// (запись в IndexedDB асинхронная и может не успеть завершиться)
+const PENDING_SAVE_KEY = 'podcastScriptPendingSave';
+
 /**
  * Основная логика приложения
  */
@@ -14,6 +20,13 @@ class PodcastScripterApp {
         this.dataManager = null;
         this.fileHandler = null;
         this.uiComponents = null;
+        this.scriptLibrary = null;
+        this.activeScriptId = null;
+        this.lastSavedSnapshot = null; // Снимок последних сохраненных данных для пропуска пустых автосохранений
+        this.isStorageReady = false; // Хранилище открывается асинхронно
+        this.isLoadingScript = false; // Идет загрузка скрипта из библиотеки
+        this.saveQueue = Promise.resolve(); // Очередь сохранений в хранилище
+        this.saveFailed = false; // Не удалось ли последнее сохранение
         this.featherInitialized = false;
         
         logger.info('Инициализация приложения создания скрипта подкаста');
@@ -23,7 +36,7 @@ class PodcastScripterApp {
     /**
      * Инициализация приложения
      */
-    init() {
+    async init() {
         try {
             // Создание менеджера данных
             this.dataManager = new DataManager();
@@ -33,19 +46,26 @@ class PodcastScripterApp {
             this.dataService = new DataService();
             logger.info('Сервис данных создан');
 
+            // Создание библиотеки скриптов
+            this.scriptLibrary = new ScriptLibrary(this.dataService);
+
             // Инициализация Feather Icons
             this.initFeatherIcons();
 
             // Создание компонентов UI
-            this.uiComponents = new UIComponents(this.dataManager, this.dataService);
+            this.uiComponents = new UIComponents(this.dataManager, this.dataService, this.scriptLibrary);
             logger.info('Компоненты UI созданы');
 
             // Инициализация компонентов
             this.uiComponents.initialize();
             logger.info('Приложение инициализировано успешно');
 
-            // Загрузка сохраненных данных из localStorage (если есть)
-            this.loadSavedData();
+            // Открытие хранилища (IndexedDB, если доступен, иначе localStorage)
+            await this.dataService.initStorage();
+            this.isStorageReady = true;
+
+            // Загрузка сохраненных данных из хранилища (если есть)
+            await this.loadSavedData();
             
         } catch (error) {
             logger.time('app-initialization-error');
@@ -58,95 +78,156 @@ class PodcastScripterApp {
     }
 
     /**
-     * Загрузка сохраненных данных из localStorage
+     * Загрузка сохраненных данных из хранилища
+     * Открывает активный (или последний открытый) скрипт библиотеки
+     * @returns {Promise<void>}
      */
-    loadSavedData() {
+    async loadSavedData() {
+        // Пока скрипт загружается, автосохранение не должно записать в него данные предыдущего скрипта
+        this.isLoadingScript = true;
         try {
-            const savedData = localStorage.getItem('podcastScriptData');
+            // Изменения, не успевшие сохраниться при закрытии страницы
+            await this.recoverPendingSave();
+
+            // Перенос скрипта из старого единственного слота (первый запуск или возврат из режима просмотра)
+            await this.scriptLibrary.migrateLegacyData();
+
+            const scriptId = this.scriptLibrary.getActiveId() || this.scriptLibrary.getRecent(1)[0]?.id;
+            if (!scriptId) {
+                return;
+            }
+
+            this.activeScriptId = scriptId;
+            await this.scriptLibrary.markOpened(scriptId);
+
+            const savedData = this.scriptLibrary.load(scriptId);
             if (savedData) {
-                const data = JSON.parse(savedData);
-                if (this.dataService.validateScriptData(data)) {
-                    // Проверяем размер данных чтобы избежать проблем с производительностью
-                    const roleCount = data.roles?.length || 0;
-                    const replicaCount = data.replicas?.length || 0;
-                    const totalItems = roleCount + replicaCount;
-                    
-                    // Устанавливаем разумный лимит для предотвращения чрезмерной нагрузки
-                    const MAX_ITEMS = 10000; // Максимум 10,000 элементов
+                // Проверяем размер данных чтобы избежать проблем с производительностью
+                const roleCount = savedData.roles?.length || 0;
+                const replicaCount = savedData.replicas?.length || 0;
+                const totalItems = roleCount + replicaCount;
+                
+                // Устанавливаем разумный лимит для предотвращения чрезмерной нагрузки
+                const MAX_ITEMS = 10000; // Максимум 10,000 элементов
+                
+                if (totalItems > MAX_ITEMS) {
+                    logger.warn('Слишком большой объем данных в localStorage, загрузка отменена', {
+                        roleCount: roleCount,
+                        replicaCount: replicaCount,
+                        totalItems: totalItems,
+                        maxItems: MAX_ITEMS
+                    });
                     
-                    if (totalItems > MAX_ITEMS) {
-                        logger.warn('Слишком большой объем данных в localStorage, загрузка отменена', {
-                            roleCount: roleCount,
-                            replicaCount: replicaCount,
-                            totalItems: totalItems,
-                            maxItems: MAX_ITEMS
-                        });
-                        
-                        // Предлагаем пользователю очистить данные
-                        if (confirm(`Обнаружен очень большой объем данных (${totalItems} элементов). Это может вызвать проблемы с производительностью. Очистить localStorage и начать с пустого скрипта?`)) {
-                            localStorage.removeItem('podcastScriptData');
-                            logger.info('localStorage очищен пользователем из-за большого объема данных');
-                        }
-                        return; // Не загружаем данные если их слишком много
-                    }
-                    
-                    if (totalItems > 10) { // Если больше 10 элементов, показываем что грузим
-                        logger.group('Загрузка сохраненных данных');
-                        logger.info('Начало загрузки большого объема данных', {
-                            roleCount: roleCount,
-                            replicaCount: replicaCount
-                        });
+                    // Предлагаем пользователю удалить скрипт
+                    if (confirm(`Обнаружен очень большой объем данных (${totalItems} элементов). Это может вызвать проблемы с производительностью. Удалить этот скрипт из библиотеки и начать с пустого скрипта?`)) {
+                        await this.scriptLibrary.delete(scriptId);
+                        logger.info('Скрипт удален пользователем из-за большого объема данных');
                     }
+                    // Не привязываем редактор к незагруженному скрипту, чтобы автосохранение его не перезаписало
+                    this.activeScriptId = null;
+                    return; // Не загружаем данные если их слишком много
+                }
+                
+                if (totalItems > 10) { // Если больше 10 элементов, показываем что грузим
+                    logger.group('Загрузка сохраненных данных');
+                    logger.info('Начало загрузки большого объема данных', {
+                        roleCount: roleCount,
+                        replicaCount: replicaCount
+                    });
+                }
 
-                    // Convert data if needed and import into DataManager
-                    const importData = this.dataService.convertForDataManagerImport(data);
-                    this.dataManager.importData(importData);
-                    
-                    // Обновляем UI в одном вызове для оптимизации
-                    this.uiComponents.updateAllLists();
-                    
-                    if (totalItems > 10) {
-                        logger.info('Сохраненные данные загружены из localStorage', {
-                            roleCount: roleCount,
-                            replicaCount: replicaCount
-                        });
-                        logger.groupEnd();
-                    } else {
-                        logger.info('Сохраненные данные загружены из localStorage', {
-                            roleCount: roleCount,
-                            replicaCount: replicaCount
-                        });
-                    }
+                // Convert data if needed and import into DataManager
+                const importData = this.dataService.convertForDataManagerImport(savedData);
+                this.dataManager.importData(importData);
+                
+                if (totalItems > 10) {
+                    logger.info('Сохраненные данные загружены из localStorage', {
+                        roleCount: roleCount,
+                        replicaCount: replicaCount
+                    });
+                    logger.groupEnd();
                 } else {
-                    logger.warn('Невалидные данные в localStorage, очистка');
-                    localStorage.removeItem('podcastScriptData');
+                    logger.info('Сохраненные данные загружены из localStorage', {
+                        roleCount: roleCount,
+                        replicaCount: replicaCount
+                    });
                 }
+            } else {
+                this.dataManager.clearAll();
             }
+
+            this.lastSavedSnapshot = this.getDataSnapshot(this.dataManager.exportData());
+
+            // Обновляем UI в одном вызове для оптимизации
+            this.uiComponents.updateAllLists();
+            this.uiComponents.updateScriptLibraryControls();
         } catch (error) {
             logger.error('Ошибка при загрузке сохраненных данных', {
                 error: error.message
             });
+        } finally {
+            this.isLoadingScript = false;
         }
     }
 
     /**
-     * Сохранение данных в localStorage
+     * Сохранение данных в хранилище
+     * Данные записываются в активный скрипт библиотеки. Сохранения выполняются по очереди,
+     * чтобы параллельные вызовы (автосохранение, изменения) не создали несколько записей библиотеки.
+     * @returns {Promise<void>} Завершается после записи в хранилище
      */
     saveDataToStorage() {
+        this.saveQueue = this.saveQueue.then(() => this.persistData());
+        return this.saveQueue;
+    }
+
+    /**
+     * Запись данных редактора в активный скрипт библиотеки
+     * @returns {Promise<void>}
+     */
+    async persistData() {
+        // До открытия хранилища сохранять некуда - иначе можно перезаписать еще не загруженный скрипт
+        if (!this.isStorageReady || this.isLoadingScript) {
+            return;
+        }
+
         try {
             const data = this.dataManager.exportData();
             // Validate the data before saving
-            if (this.dataService.validateScriptData(data)) {
-                const success = this.dataService.saveToStorage(data, 'podcastScriptData');
+            const validation = ScriptSchema.validate(data);
+            if (validation.valid) {
+                const snapshot = this.getDataSnapshot(data);
+                if (snapshot === this.lastSavedSnapshot) {
+                    return; // Ничего не изменилось - дату изменения скрипта не трогаем
+                }
+
+                // Пустой редактор не создает новых записей в библиотеке
+                if (!this.activeScriptId) {
+                    if (this.dataManager.isEmpty()) {
+                        return;
+                    }
+                    const entry = await this.scriptLibrary.create('Без названия');
+                    if (!entry) {
+                        this.reportSaveResult(false);
+                        return;
+                    }
+                    this.activeScriptId = entry.id;
+                    await this.scriptLibrary.markOpened(entry.id);
+                }
+
+                const success = await this.scriptLibrary.save(this.activeScriptId, data);
                 if (success) {
-                    logger.debug('Данные сохранены в localStorage');
+                    this.lastSavedSnapshot = snapshot;
+                    logger.debug('Данные сохранены в localStorage', { scriptId: this.activeScriptId });
                 } else {
                     logger.error('Ошибка при сохранении данных в localStorage');
                 }
+                this.reportSaveResult(success);
             } else {
                 logger.error('Невалидные данные для сохранения в localStorage', {
                     roleCount: data.roles?.length || 0,
-                    replicaCount: data.replicas?.length || 0
+                    replicaCount: data.replicas?.length || 0,
+                    errors: ScriptSchema.formatErrors(validation.errors).slice(0, 5)
                 });
             }
         } catch (error) {
@@ -156,12 +237,165 @@ class PodcastScripterApp {
         }
     }
 
+    /**
+     * Сохранение при закрытии страницы. Обработчик beforeunload не может дождаться записи в IndexedDB,
+     * поэтому несохраненные данные дополнительно синхронно записываются в localStorage
+     * и переносятся в скрипт при следующем запуске.
+     */
+    saveBeforeUnload() {
+        if (!this.isStorageReady || this.isLoadingScript) {
+            return;
+        }
+
+        const data = this.dataManager.exportData();
+        const hasChanges = this.getDataSnapshot(data) !== this.lastSavedSnapshot &&
+            (this.activeScriptId || !this.dataManager.isEmpty());
+        if (hasChanges) {
+            try {
+                localStorage.setItem(PENDING_SAVE_KEY, JSON.stringify({ scriptId: this.activeScriptId, data }));
+            } catch (error) {
+                logger.error('Ошибка при сохранении данных перед закрытием страницы', {
+                    error: error.message
+                });
+            }
+        }
+        this.saveDataToStorage();
+    }
+
+    /**
+     * Перенос в библиотеку изменений, сохраненных при закрытии страницы
+     * @returns {Promise<void>}
+     */
+    async recoverPendingSave() {
+        const stored = this.dataService.readStorageItem(PENDING_SAVE_KEY);
+        if (!stored) {
+            return;
+        }
+
+        let saved = true;
+        try {
+            const { scriptId, data } = JSON.parse(stored);
+            if (scriptId && this.scriptLibrary.get(scriptId)) {
+                saved = await this.scriptLibrary.save(scriptId, data);
+            } else if (!scriptId) {
+                const entry = await this.scriptLibrary.create('Без названия', data);
+                saved = !!entry;
+                if (entry) {
+                    await this.scriptLibrary.setActiveId(entry.id);
+                }
+            }
+            logger.info('Восстановлены изменения, сохраненные при закрытии страницы', { scriptId, saved });
+        } catch (error) {
+            logger.error('Ошибка при восстановлении изменений, сохраненных при закрытии страницы', {
+                error: error.message
+            });
+        }
+
+        // При ошибке записи копия остается до следующей попытки
+        if (saved) {
+            this.dataService.clearStorage(PENDING_SAVE_KEY);
+        }
+    }
+
+    /**
+     * Предупреждение о неудачном сохранении. Показывается один раз, пока сохранения не начнут проходить снова,
+     * чтобы автосохранение не выводило одно и то же сообщение после каждого изменения.
+     * @param {boolean} success - Успешно ли сохранено
+     */
+    reportSaveResult(success) {
+        if (!success && !this.saveFailed) {
+            ToastComponent.error('Не удалось сохранить скрипт в хранилище браузера. Скачайте его в файл, чтобы не потерять изменения.', { duration: 10000 });
+        }
+        this.saveFailed = !success;
+    }
+
+    /**
+     * Получение снимка данных для сравнения (без даты экспорта)
+     * @param {Object} data - Данные из DataManager.exportData()
+     * @returns {string} Снимок данных
+     */
+    getDataSnapshot(data) {
+        return JSON.stringify({ roles: data.roles, replicas: data.replicas, segments: data.segments, metadata: data.metadata });
+    }
+
+    /**
+     * Открытие скрипта из библиотеки
+     * @param {string} scriptId - ID скрипта
+     * @returns {Promise<boolean>} Успешно ли открыто
+     */
+    async openScript(scriptId) {
+        if (!this.scriptLibrary.get(scriptId)) {
+            logger.warn('Скрипт не найден в библиотеке', { scriptId });
+            return false;
+        }
+
+        // Сохраняем текущий скрипт перед переключением
+        await this.saveDataToStorage();
+
+        await this.scriptLibrary.markOpened(scriptId);
+        this.activeScriptId = null; // Не даем loadSavedData сохранить старые данные в новый скрипт
+        await this.loadSavedData();
+
+        logger.logUserAction('открытие скрипта из библиотеки', { scriptId });
+        return this.activeScriptId === scriptId;
+    }
+
+    /**
+     * Создание нового скрипта в библиотеке и переключение на него
+     * @param {string} name - Название скрипта
+     * @param {Object|null} data - Данные для импорта (пустой скрипт, если не указаны)
+     * @returns {Promise<boolean>} Успешно ли создано
+     */
+    async createScript(name, data = null) {
+        // Сохраняем текущий скрипт перед переключением
+        await this.saveDataToStorage();
+
+        const entry = await this.scriptLibrary.create(name, data);
+        if (!entry) {
+            return false;
+        }
+
+        await this.scriptLibrary.markOpened(entry.id);
+        this.activeScriptId = null;
+        await this.loadSavedData();
+        return this.activeScriptId === entry.id;
+    }
+
+    /**
+     * Удаление скрипта из библиотеки
+     * Если удаляется открытый скрипт, открывается последний недавний или пустой редактор
+     * @param {string} scriptId - ID скрипта
+     * @returns {Promise<boolean>} Успешно ли удалено
+     */
+    async deleteScript(scriptId) {
+        const isActive = scriptId === this.activeScriptId;
+        if (!await this.scriptLibrary.delete(scriptId)) {
+            return false;
+        }
+
+        if (isActive) {
+            this.activeScriptId = null;
+            this.lastSavedSnapshot = null;
+            this.dataManager.clearAll();
+            await this.loadSavedData();
+            this.uiComponents.updateAllLists();
+            this.uiComponents.updateScriptLibraryControls();
+        }
+        return true;
+    }
+
     /**
      * Очистка сохраненных данных
+     * Удаляет открытый скрипт из библиотеки
+     * @returns {Promise<void>}
      */
-    clearSavedData() {
+    async clearSavedData() {
         try {
-            localStorage.removeItem('podcastScriptData');
+            if (this.activeScriptId) {
+                await this.scriptLibrary.delete(this.activeScriptId);
+                this.activeScriptId = null;
+                this.lastSavedSnapshot = null;
+            }
             logger.info('Сохраненные данные очищены');
         } catch (error) {
             logger.error('Ошибка при очистке сохраненных данных', {
@@ -177,19 +411,18 @@ class PodcastScripterApp {
     getState() {
         return {
             statistics: this.dataManager.getStatistics(),
-            roles: this.dataManager.roleManager.getAll().map(role => ({
-                id: role.id,
-                name: role.name,
-                type: role.type,
-                ...(role instanceof Speaker && { wordsPerMinute: role.wordsPerMinute }),
-                ...(role instanceof SoundEffect && { duration: role.duration })
-            })),
+            // Полные данные ролей (цвет, группа) в порядке сайдбара - для статистики и фильтра просмотра
+            roles: this.dataManager.roleManager.getOrdered().map(role => role.toJSON()),
             replicas: this.dataManager.replicaManager.getAll().map(replica => ({
                 id: replica.id,
                 text: replica.text,
                 roleId: replica.roleId,
-                wordCount: replica.wordCount
-            }))
+                wordCount: replica.wordCount,
+                pace: replica.pace,
+                segmentId: replica.segmentId
+            })),
+            segments: this.dataManager.segmentManager.toJSON(),
+            metadata: this.dataManager.metadata.toJSON()
         };
     }
 
@@ -213,7 +446,9 @@ class PodcastScripterApp {
             const data = {
                 roles: state.roles || [],
                 replicas: state.replicas || [],
-                version: '1.0'
+                segments: state.segments || [],
+                metadata: state.metadata,
+                version: SCRIPT_FORMAT_VERSION
             };
             
             const success = this.dataManager.importData(data);
@@ -234,16 +469,23 @@ class PodcastScripterApp {
     /**
      * Открытие режима просмотра
      * Сохраняет текущие данные в localStorage и открывает viewer.html в новой вкладке
-     * @returns {boolean} Успешно ли открыто
+     * @returns {Promise<boolean>} Успешно ли открыто
      */
-    openViewerMode() {
+    async openViewerMode() {
         try {
+            // Дожидаемся записи скрипта в библиотеку: после возврата из режима просмотра
+            // его данные сравниваются с сохраненной копией
+            await this.saveDataToStorage();
+            await this.dataService.flushStorage();
+
             // Экспортируем текущее состояние
             const state = this.getState();
             const data = {
                 roles: state.roles || [],
                 replicas: state.replicas || [],
-                version: '1.0',
+                segments: state.segments || [],
+                metadata: state.metadata,
+                version: SCRIPT_FORMAT_VERSION,
                 exportDate: new Date().toISOString()
             };
 
@@ -307,8 +549,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Обработка перед закрытием страницы
 window.addEventListener('beforeunload', () => {
-    if (window.app && window.app.saveDataToStorage) {
-        window.app.saveDataToStorage();
+    if (window.app && window.app.saveBeforeUnload) {
+        window.app.saveBeforeUnload();
         logger.info('Данные сохранены перед закрытием страницы');
     }
 });
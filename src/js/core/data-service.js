@@ -1,31 +1,117 @@
 import { logger } from '../logger.js';
+import { CastPreset } from '../models/cast-preset.js';
 import { ScriptData } from '../models/script-data.js';
 import { ModalComponent } from '../ui/modal-component.js';
 
+import { EXPORT_FORMATS, ScriptExporter } from './script-exporters.js';
+import { ScriptSchema } from './script-schema.js';
+import { createStorageBackend, LocalStorageBackend } from './storage-backends.js';
+
+// Keys that must stay in localStorage: viewer mode relies on storage events for them
+const LOCAL_ONLY_KEYS = ['podcastScriptViewerData'];
+// Prefix of application data keys moved to IndexedDB
+const MIGRATED_KEY_PREFIX = 'podcastScript';
+// Cast presets are stored next to the script data and move to IndexedDB with it
+const CAST_PRESETS_KEY = 'podcastScriptCastPresets';
+// Marker and version of the cast presets export file
+const CAST_PRESETS_FILE_TYPE = 'podcast-cast-presets';
+const CAST_PRESETS_FILE_VERSION = 1;
+
 /**
  * Core data service for unified script loading/saving functionality
  * Used by both main application and viewer mode
  */
 class DataService {
-    constructor() {
+    /**
+     * @param {Object} options - Options
+     * @param {LocalStorageBackend|IndexedDBBackend} options.storageBackend - Storage backend (localStorage by default)
+     */
+    constructor(options = {}) {
         this.logger = logger;
+        this.storage = options.storageBackend || new LocalStorageBackend();
         this.storageListeners = [];
+        // Path-specific errors of the last failed load, shown by the load dialogs
+        this.lastValidationErrors = [];
         this.setupStorageListener();
     }
 
+    /**
+     * Switch to the best available storage backend (IndexedDB with localStorage fallback)
+     * and move existing application data from localStorage into it
+     * @param {Object} options - Options for createStorageBackend
+     * @returns {Promise<string>} Name of the backend in use
+     */
+    async initStorage(options = {}) {
+        this.storage = await createStorageBackend(options);
+        // Writes of other tabs to IndexedDB reach listeners the same way as localStorage "storage" events
+        this.storage.onExternalChange(key => this.notifyStorageListeners({ key }));
+
+        if (this.storage.name !== 'localStorage') {
+            await this.migrateLocalStorageData();
+        }
+
+        this.logger.info('Хранилище данных инициализировано', { backend: this.storage.name });
+        return this.storage.name;
+    }
+
+    /**
+     * Move application data from localStorage to the current backend
+     * @returns {Promise<number>} Number of migrated keys
+     */
+    async migrateLocalStorageData() {
+        let keys;
+        try {
+            keys = Object.keys(localStorage).filter(key =>
+                key.startsWith(MIGRATED_KEY_PREFIX) && !LOCAL_ONLY_KEYS.includes(key)
+            );
+        } catch {
+            return 0;
+        }
+
+        let migratedCount = 0;
+        for (const key of keys) {
+            const value = localStorage.getItem(key);
+            // The backend removes the localStorage copy once the value is persisted
+            if (value !== null && await this.storage.setItem(key, value)) {
+                migratedCount++;
+            }
+        }
+
+        if (migratedCount > 0) {
+            this.logger.info('Данные перенесены из localStorage', {
+                backend: this.storage.name,
+                keyCount: migratedCount
+            });
+        }
+        return migratedCount;
+    }
+
+    /**
+     * Wait until all pending storage writes are persisted
+     * @returns {Promise<boolean>} Were all writes successful
+     */
+    flushStorage() {
+        return this.storage.flush();
+    }
+
     /**
      * Setup storage listener for cross-tab communication
      */
     setupStorageListener() {
-        window.addEventListener('storage', (event) => {
-            // Notify all listeners about storage changes
-            this.storageListeners.forEach(callback => {
-                try {
-                    callback(event);
-                } catch (error) {
-                    this.logger.error('Ошибка в storage listener callback:', { error: error.message });
-                }
-            });
+        window.addEventListener('storage', (event) => this.notifyStorageListeners(event));
+    }
+
+    /**
+     * Notify all listeners about a storage change
+     * @param {StorageEvent|Object} event - Storage event or { key } for changes reported by the backend
+     */
+    notifyStorageListeners(event) {
+        this.storageListeners.forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                this.logger.error('Ошибка в storage listener callback:', { error: error.message });
+            }
         });
     }
 
@@ -51,11 +137,12 @@ class DataService {
      */
     getStorageInfo(key) {
         try {
-            const data = localStorage.getItem(key);
+            const data = this.storage.getItem(key);
             return {
                 hasData: data !== null,
                 size: data ? new Blob([data]).size : 0,
                 isSupported: this.isStorageSupported(),
+                backend: this.storage.name,
                 key: key
             };
         } catch {
@@ -63,11 +150,70 @@ class DataService {
                 hasData: false,
                 size: 0,
                 isSupported: false,
+                backend: this.storage.name,
                 key: key
             };
         }
     }
 
+    /**
+     * Read a raw string value from storage
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value or null
+     */
+    readStorageItem(key) {
+        try {
+            return this.storage.getItem(key);
+        } catch (error) {
+            this.logger.error('Ошибка при чтении из хранилища', {
+                error: error.message,
+                key: key
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Re-read a value that another tab may have changed.
+     * Call before read-modify-write updates of shared values.
+     * @param {string} key - Storage key
+     * @returns {Promise<string|null>} Current value or null
+     */
+    async refreshStorageItem(key) {
+        try {
+            return await this.storage.reload(key);
+        } catch (error) {
+            this.logger.error('Ошибка при обновлении значения из хранилища', {
+                error: error.message,
+                key: key
+            });
+            return this.readStorageItem(key);
+        }
+    }
+
+    /**
+     * Write a raw string value to storage.
+     * Resolves only after the backend has persisted the value, so a failed
+     * IndexedDB write (e.g. quota exceeded) is reported as a failure.
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     * @returns {Promise<boolean>} Success status
+     */
+    async writeStorageItem(key, value) {
+        try {
+            if (!await this.storage.setItem(key, value)) {
+                throw new Error(`Backend "${this.storage.name}" failed to persist the value`);
+            }
+            return true;
+        } catch (error) {
+            this.logger.error('Ошибка при записи в хранилище', {
+                error: error.message,
+                key: key
+            });
+            return false;
+        }
+    }
+
     /**
      * Check if localStorage is supported
      * @returns {boolean} Is localStorage supported
@@ -84,17 +230,17 @@ class DataService {
     }
 
     /**
-     * Clear data from localStorage
+     * Clear data from storage
      * @param {string} key - Storage key
      * @returns {boolean} Success status
      */
     clearStorage(key = 'podcastScriptData') {
         try {
-            localStorage.removeItem(key);
-            this.logger.info('Данные очищены из localStorage', { key: key });
+            this.storage.removeItem(key);
+            this.logger.info('Данные очищены из хранилища', { key: key, backend: this.storage.name });
             return true;
         } catch (error) {
-            this.logger.error('Ошибка при очистке localStorage', {
+            this.logger.error('Ошибка при очистке хранилища', {
                 error: error.message
             });
             return false;
@@ -102,24 +248,24 @@ class DataService {
     }
 
     /**
-     * Save data to localStorage
+     * Save data to storage
      * @param {ScriptData|Object} scriptData - Script data to save (can be ScriptData instance or plain object)
      * @param {string} key - Storage key
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status (resolved after the backend has persisted the data)
      */
-    saveToStorage(scriptData, key = 'podcastScriptData') {
+    async saveToStorage(scriptData, key = 'podcastScriptData') {
         let dataToSave;
         let roleCount, replicaCount;
         
         if (!scriptData) {
-            this.logger.error('Попытка сохранить null/undefined данные в localStorage');
+            this.logger.error('Попытка сохранить null/undefined данные в хранилище');
             return false;
         }
 
         // Check if it's a ScriptData instance or plain object
         if (scriptData instanceof ScriptData) {
             if (!scriptData.validate()) {
-                this.logger.error('Попытка сохранить невалидные данные в localStorage');
+                this.logger.error('Попытка сохранить невалидные данные в хранилище');
                 return false;
             }
             dataToSave = scriptData.toJSON();
@@ -127,8 +273,11 @@ class DataService {
             replicaCount = scriptData.replicas.length;
         } else {
             // It's a plain object from DataManager.exportData()
-            if (!this.validateScriptData(scriptData)) {
-                this.logger.error('Попытка сохранить невалидные данные в localStorage');
+            const validation = ScriptSchema.validate(scriptData);
+            if (!validation.valid) {
+                this.logger.error('Попытка сохранить невалидные данные в хранилище', {
+                    errors: ScriptSchema.formatErrors(validation.errors).slice(0, 5)
+                });
                 return false;
             }
             dataToSave = scriptData;
@@ -137,47 +286,52 @@ class DataService {
         }
 
         try {
-            localStorage.setItem(key, JSON.stringify(dataToSave));
-            this.logger.info('Данные успешно сохранены в localStorage', {
+            if (!await this.storage.setItem(key, JSON.stringify(dataToSave))) {
+                throw new Error(`Backend "${this.storage.name}" failed to persist the data`);
+            }
+            this.logger.info('Данные успешно сохранены в хранилище', {
                 key: key,
+                backend: this.storage.name,
                 roleCount: roleCount,
                 replicaCount: replicaCount
             });
             return true;
         } catch (error) {
-            this.logger.error('Ошибка при сохранении данных в localStorage', {
-                error: error.message
+            this.logger.error('Ошибка при сохранении данных в хранилище', {
+                error: error.message,
+                key: key
             });
             return false;
         }
     }
 
     /**
-     * Load data from localStorage
+     * Load data from storage
      * @param {string} key - Storage key
      * @returns {ScriptData|null} ScriptData object or null if failed
      */
     loadFromStorage(key = 'podcastScriptData') {
         try {
-            const storedData = localStorage.getItem(key);
+            const storedData = this.storage.getItem(key);
             if (storedData) {
                 const data = JSON.parse(storedData);
-                const scriptData = new ScriptData(data);
-                if (scriptData.validate()) {
-                    this.logger.info('Данные загружены из localStorage', {
+                const scriptData = this.createScriptData(data);
+                if (scriptData) {
+                    this.logger.info('Данные загружены из хранилища', {
                         key: key,
+                        backend: this.storage.name,
                         roleCount: scriptData.roles.length,
                         replicaCount: scriptData.replicas.length
                     });
                     return scriptData;
                 } else {
-                    this.logger.error('Невалидные данные в localStorage', { key: key });
+                    this.logger.error('Невалидные данные в хранилище', { key: key });
                     return null;
                 }
             }
             return null;
         } catch (error) {
-            this.logger.error('Ошибка при загрузке данных из localStorage', {
+            this.logger.error('Ошибка при загрузке данных из хранилища', {
                 error: error.message,
                 key: key
             });
@@ -186,44 +340,15 @@ class DataService {
     }
 
     /**
-     * Validate script data
-     * @param {Object} data - Data to validate
-     * @returns {boolean} Validation result
+     * Migrate raw data to the current format version and validate it.
+     * Validation errors of a failed call are kept in lastValidationErrors.
+     * @param {Object} data - Raw script data (parsed JSON)
+     * @returns {ScriptData|null} ScriptData object or null if data is invalid
      */
-    validateScriptData(data) {
-        if (!data || typeof data !== 'object') {
-            return false;
-        }
-
-        if (!data.roles || !Array.isArray(data.roles)) {
-            return false;
-        }
-
-        if (!data.replicas || !Array.isArray(data.replicas)) {
-            return false;
-        }
-
-        // Check role structure
-        for (const role of data.roles) {
-            if (!role.id || !role.name || !role.type) {
-                return false;
-            }
-            if (!['speaker', 'sound'].includes(role.type)) {
-                return false;
-            }
-        }
-
-        // Check replica structure
-        for (const replica of data.replicas) {
-            if (!replica.id || typeof replica.text !== 'string') {
-                return false;
-            }
-            if (replica.roleId !== null && typeof replica.roleId !== 'string') {
-                return false;
-            }
-        }
-
-        return true;
+    createScriptData(data) {
+        const prepared = ScriptSchema.prepare(data);
+        this.lastValidationErrors = prepared.errors;
+        return prepared.valid ? new ScriptData(prepared.data) : null;
     }
 
     /**
@@ -232,6 +357,7 @@ class DataService {
      * @returns {Promise<ScriptData|null>} ScriptData object or null if failed
      */
     async loadFromJSONFile(file) {
+        this.lastValidationErrors = [];
         return new Promise((resolve) => {
             try {
                 const reader = new FileReader();
@@ -267,10 +393,9 @@ class DataService {
                             replicasCount: Array.isArray(data.replicas) ? data.replicas.length : 'not array'
                         });
                         
-                        const scriptData = new ScriptData(data);
-                        this.logger.debug('Создан экземпляр ScriptData', { isValid: scriptData.validate(), roles: scriptData.roles.length, replicas: scriptData.replicas.length });
+                        const scriptData = this.createScriptData(data);
                         
-                        if (scriptData.validate()) {
+                        if (scriptData) {
                             this.logger.info('Данные загружены из JSON файла', {
                                 fileName: file.name,
                                 fileSize: file.size,
@@ -281,12 +406,12 @@ class DataService {
                         } else {
                             this.logger.error('Невалидные данные в JSON файле', {
                                 fileName: file.name,
-                                rolesCount: Array.isArray(data.roles) ? data.roles.length : 'not array',
-                                replicasCount: Array.isArray(data.replicas) ? data.replicas.length : 'not array'
+                                errors: ScriptSchema.formatErrors(this.lastValidationErrors).slice(0, 5)
                             });
                             resolve(null);
                         }
                     } catch (parseError) {
+                        this.lastValidationErrors = [{ path: '$', message: `файл не является корректным JSON (${parseError.message})` }];
                         this.logger.error('Ошибка парсинга JSON файла', {
                             error: parseError.message,
                             fileName: file.name,
@@ -361,6 +486,7 @@ class DataService {
             importData = {
                 roles: data.roles,
                 replicas: data.replicas,
+                metadata: data.metadata.toJSON(),
                 version: data.version,
                 exportDate: data.exportDate
             };
@@ -420,6 +546,62 @@ class DataService {
         }
     }
 
+    /**
+     * Save script data to a file in the chosen format
+     * @param {ScriptData} scriptData - Script data to save
+     * @param {string} filename - Name for the file (without extension)
+     * @param {string} format - Format id from EXPORT_FORMATS (json, markdown, text, fountain or a chapter format)
+     * @param {Object} options - Export options passed to ScriptExporter (e.g. title)
+     * @returns {boolean} Success status
+     */
+    saveToFile(scriptData, filename, format = 'json', options = {}) {
+        if (format === 'json') {
+            return this.saveToJSONFile(scriptData, filename);
+        }
+
+        const formatInfo = EXPORT_FORMATS[format];
+        if (!formatInfo) {
+            this.logger.error('Неизвестный формат экспорта', { format: format });
+            return false;
+        }
+
+        try {
+            if (!scriptData || !scriptData.validate()) {
+                this.logger.error('Попытка сохранить невалидные данные');
+                return false;
+            }
+
+            const content = ScriptExporter.export(scriptData, format, {
+                title: filename,
+                ...options
+            });
+            const blob = new Blob([content], { type: `${formatInfo.mimeType};charset=utf-8` });
+            const url = URL.createObjectURL(blob);
+
+            // Create download link
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${filename}.${formatInfo.extension}`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+
+            this.logger.info('Скрипт экспортирован в файл', {
+                filename: link.download,
+                format: format
+            });
+
+            return true;
+        } catch (error) {
+            this.logger.error('Ошибка при экспорте скрипта в файл', {
+                error: error.message,
+                format: format
+            });
+            return false;
+        }
+    }
+
     /**
      * Save script data to JSON file with modal feedback
      * @param {ScriptData} scriptData - Script data to save
@@ -553,11 +735,7 @@ class DataService {
     importFromJSON(jsonString) {
         try {
             const data = JSON.parse(jsonString);
-            const scriptData = new ScriptData(data);
-            if (scriptData.validate()) {
-                return scriptData;
-            }
-            return null;
+            return this.createScriptData(data);
         } catch (error) {
             this.logger.error('Ошибка при импорте из JSON', {
                 error: error.message
@@ -566,6 +744,114 @@ class DataService {
         }
     }
 
+    /**
+     * Load saved cast presets from storage
+     * @param {string} key - Storage key
+     * @returns {Array<CastPreset>} Saved presets (empty if none or unreadable)
+     */
+    loadCastPresets(key = CAST_PRESETS_KEY) {
+        const stored = this.readStorageItem(key);
+        if (!stored) {
+            return [];
+        }
+
+        try {
+            const data = JSON.parse(stored);
+            return (Array.isArray(data) ? data : [])
+                .map(json => CastPreset.fromJSON(json))
+                .filter(Boolean);
+        } catch (error) {
+            this.logger.error('Ошибка при чтении составов из хранилища', {
+                error: error.message,
+                key: key
+            });
+            return [];
+        }
+    }
+
+    /**
+     * Save cast presets to storage next to the script data
+     * @param {Array<CastPreset>} presets - Presets to save
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveCastPresets(presets, key = CAST_PRESETS_KEY) {
+        const saved = await this.writeStorageItem(key, JSON.stringify(presets.map(preset => preset.toJSON())));
+        if (saved) {
+            this.logger.info('Составы сохранены в хранилище', { count: presets.length });
+        }
+        return saved;
+    }
+
+    /**
+     * Download cast presets as a JSON file
+     * @param {Array<CastPreset>} presets - Presets to export
+     * @param {string} filename - Name for the file (without extension)
+     * @returns {boolean} Success status
+     */
+    exportCastPresets(presets, filename) {
+        try {
+            const data = {
+                type: CAST_PRESETS_FILE_TYPE,
+                version: CAST_PRESETS_FILE_VERSION,
+                presets: presets.map(preset => preset.toJSON())
+            };
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${filename}.json`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+
+            this.logger.info('Составы экспортированы в файл', { filename, count: presets.length });
+            return true;
+        } catch (error) {
+            this.logger.error('Ошибка при экспорте составов', {
+                error: error.message
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Parse cast presets from an exported file.
+     * Accepts the export wrapper, a bare array of presets or a single preset.
+     * @param {string} jsonString - File contents
+     * @returns {Array<CastPreset>} Valid presets from the file
+     * @throws {Error} If the file is not JSON or contains no valid presets
+     */
+    parseCastPresets(jsonString) {
+        let data;
+        try {
+            data = JSON.parse(jsonString);
+        } catch (error) {
+            throw new Error(`Файл не является корректным JSON: ${error.message}`);
+        }
+
+        let items = [data];
+        if (Array.isArray(data)) {
+            items = data;
+        } else if (data && Array.isArray(data.presets)) {
+            items = data.presets;
+        }
+
+        const presets = items.map(json => CastPreset.fromJSON(json)).filter(Boolean);
+        if (presets.length === 0) {
+            throw new Error('В файле нет составов с корректными ролями');
+        }
+        if (presets.length < items.length) {
+            this.logger.warn('Часть составов из файла пропущена', {
+                total: items.length,
+                valid: presets.length
+            });
+        }
+        return presets;
+    }
+
 
     /**
      * Закрытие модального окна загрузки файла по названию файла
@@ -816,489 +1102,6 @@ class DataService {
             return false;
         }
     }
-
-    /**
-     * Load script data from JSON file
-     * @param {File} file - JSON file to load
-     * @returns {Promise<ScriptData|null>} ScriptData object or null if failed
-     */
-    async loadFromJSONFile(file) {
-        return new Promise((resolve) => {
-            try {
-                const reader = new FileReader();
-                let completed = false; // Flag to prevent multiple resolutions
-
-                // Set up timeout to prevent hanging
-                const timeoutId = setTimeout(() => {
-                    if (!completed) {
-                        completed = true;
-                        this.logger.error('Таймаут загрузки файла', {
-                            fileName: file.name,
-                            fileSize: file.size
-                        });
-                        resolve(null);
-                    }
-                }, 30000); // 30 second timeout
-
-                // Store timeout ID in reader for additional safety
-                reader.timeoutId = timeoutId;
-
-                reader.onload = (event) => {
-                    if (completed) return; // Prevent multiple resolutions
-                    completed = true;
-                    clearTimeout(timeoutId);
-
-                    try {
-                        this.logger.info('Начало загрузки JSON файла', { fileName: file.name, fileSize: file.size });
-                        
-                        const data = JSON.parse(event.target.result);
-                        this.logger.debug('JSON успешно распарсен', { 
-                            keys: Object.keys(data), 
-                            rolesCount: Array.isArray(data.roles) ? data.roles.length : 'not array', 
-                            replicasCount: Array.isArray(data.replicas) ? data.replicas.length : 'not array'
-                        });
-                        
-                        const scriptData = new ScriptData(data);
-                        this.logger.debug('Создан экземпляр ScriptData', { isValid: scriptData.validate(), roles: scriptData.roles.length, replicas: scriptData.replicas.length });
-                        
-                        if (scriptData.validate()) {
-                            this.logger.info('Данные загружены из JSON файла', {
-                                fileName: file.name,
-                                fileSize: file.size,
-                                roleCount: scriptData.roles.length,
-                                replicaCount: scriptData.replicas.length
-                            });
-                            resolve(scriptData);
-                        } else {
-                            this.logger.error('Невалидные данные в JSON файле', {
-                                fileName: file.name,
-                                rolesCount: Array.isArray(data.roles) ? data.roles.length : 'not array',
-                                replicasCount: Array.isArray(data.replicas) ? data.replicas.length : 'not array'
-                            });
-                            resolve(null);
-                        }
-                    } catch (parseError) {
-                        this.logger.error('Ошибка парсинга JSON файла', {
-                            error: parseError.message,
-                            fileName: file.name,
-                            stack: parseError.stack
-                        });
-                        resolve(null);
-                    }
-                };
-
-                reader.onerror = () => {
-                    if (completed) return; // Prevent multiple resolutions
-                    completed = true;
-                    clearTimeout(timeoutId);
-
-                    this.logger.error('Ошибка чтения файла', {
-                        fileName: file.name
-                    });
-                    resolve(null);
-                };
-
-                reader.onabort = () => {
-                    if (completed) return; // Prevent multiple resolutions
-                    completed = true;
-                    clearTimeout(timeoutId);
-
-                    this.logger.error('Загрузка файла прервана', {
-                        fileName: file.name
-                    });
-                    resolve(null);
-                };
-
-                reader.readAsText(file);
-
-                // Additional safety: if the reader is in a loading state for too long,
-                // check if it's stuck and resolve the promise
-                setTimeout(() => {
-                    if (!completed && reader.readyState === FileReader.LOADING) {
-                        this.logger.error('FileReader застрял в состоянии LOADING', {
-                            fileName: file.name,
-                            readyState: reader.readyState,
-                            fileSize: file.size
-                        });
-                        if (!completed) {
-                            completed = true;
-                            clearTimeout(timeoutId);
-                            resolve(null);
-                        }
-                    }
-                }, 35000); // Slightly longer than the main timeout
-
-            } catch (error) {
-                this.logger.error('Ошибка при загрузке JSON файла', {
-                    error: error.message,
-                    fileName: file.name,
-                    stack: error.stack
-                });
-                resolve(null);
-            }
-        });
-    }
-
-    /**
-     * Load data for import into DataManager (converts ScriptData to DataManager format if needed)
-     * @param {ScriptData|Object} data - Data to convert for DataManager import
-     * @returns {Object} Data in DataManager import format
-     */
-    convertForDataManagerImport(data) {
-        let importData;
-        if (data instanceof ScriptData) {
-            // Convert ScriptData instance to DataManager import format
-            // DataManager expects roles and replicas arrays directly
-            importData = {
-                roles: data.roles,
-                replicas: data.replicas,
-                version: data.version,
-                exportDate: data.exportDate
-            };
-            this.logger.debug('Конвертация ScriptData для импорта в DataManager', {
-                rolesCount: data.roles.length,
-                replicasCount: data.replicas.length,
-                version: data.version
-            });
-        } else {
-            // Data is already in the expected format
-            importData = data;
-            this.logger.debug('Данные уже в формате для импорта в DataManager', {
-                rolesCount: Array.isArray(data.roles) ? data.roles.length : 0,
-                replicasCount: Array.isArray(data.replicas) ? data.replicas.length : 0
-            });
-        }
-        return importData;
-    }
-
-    /**
-     * Save script data to JSON file
-     * @param {ScriptData} scriptData - Script data to save
-     * @param {string} filename - Name for the file (without extension)
-     * @returns {boolean} Success status
-     */
-    saveToJSONFile(scriptData, filename) {
-        try {
-            if (!scriptData || !scriptData.validate()) {
-                this.logger.error('Попытка сохранить невалидные данные');
-                return false;
-            }
-
-            const data = scriptData.toJSON();
-            const jsonString = JSON.stringify(data, null, 2);
-            const blob = new Blob([jsonString], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-
-            // Create download link
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `${filename}.json`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
-
-            this.logger.info('Данные успешно сохранены в JSON файл', {
-                filename: filename
-            });
-
-            return true;
-        } catch (error) {
-            this.logger.error('Ошибка при сохранении JSON файла', {
-                error: error.message
-            });
-            return false;
-        }
-    }
-
-    /**
-     * Save script data to JSON file with modal feedback
-     * @param {ScriptData} scriptData - Script data to save
-     * @param {string} filename - Name for the file (without extension)
-     * @returns {Promise<boolean>} Success status
-     */
-    async saveToJSONFileWithFeedback(scriptData, filename) {
-        try {
-            if (!scriptData || !scriptData.validate()) {
-                this.logger.error('Попытка сохранить невалидные данные');
-                return false;
-            }
-
-            // Show progress modal
-            const result = await ModalComponent.show({
-                title: 'Сохранение файла',
-                type: 'info',
-                content: `Подготовка файла: ${filename}.json`,
-                buttons: [
-                    {
-                        text: 'Отмена',
-                        icon: 'x-circle',
-                        type: 'secondary',
-                        onClick: () => false,
-                        autoClose: true
-                    }
-                ],
-                closable: false,
-                closeOnEscape: false
-            });
-
-            // If user cancelled, return false
-            if (result === false) {
-                return false;
-            }
-
-            const data = scriptData.toJSON();
-            const jsonString = JSON.stringify(data, null, 2);
-            const blob = new Blob([jsonString], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-
-            // Create download link
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `${filename}.json`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
-
-            this.logger.info('Данные успешно сохранены в JSON файл', {
-                filename: filename
-            });
-
-            // Show success notification
-            await ModalComponent.showInfo('Успех', `Файл ${filename}.json успешно сохранен!`);
-
-            return true;
-        } catch (error) {
-            this.logger.error('Ошибка при сохранении JSON файла', {
-                error: error.message
-            });
-            return false;
-        }
-    }
-
-    /**
-     * Load script data from JSON file with modal feedback
-     * @param {File} file - JSON file to load
-     * @returns {Promise<ScriptData|null>} ScriptData object or null if failed
-     */
-    async loadFromJSONFileWithFeedback(file) {
-        this.logger.debug('Начало загрузки файла с обратной связью', {
-            fileName: file.name,
-            fileSize: file.size
-        });
-
-        try {
-            // Load the file and return the data
-            const scriptData = await this.loadFromJSONFile(file);
-            
-            if (scriptData) {
-                this.logger.info('Данные успешно загружены из JSON файла', {
-                    fileName: file.name,
-                    fileSize: file.size,
-                    roleCount: scriptData.roles.length,
-                    replicaCount: scriptData.replicas.length
-                });
-                return scriptData;
-            } else {
-                this.logger.error('Не удалось загрузить данные из JSON файла', {
-                    fileName: file.name
-                });
-                return null;
-            }
-        } catch (error) {
-            this.logger.error('Ошибка при загрузке JSON файла с обратной связью', {
-                error: error.message,
-                fileName: file.name,
-                stack: error.stack
-            });
-            return null;
-        }
-    }
-
-    /**
-     * Save data to localStorage
-     * @param {ScriptData|Object} scriptData - Script data to save (can be ScriptData instance or plain object)
-     * @param {string} key - Storage key
-     * @returns {boolean} Success status
-     */
-    saveToStorage(scriptData, key = 'podcastScriptData') {
-        let dataToSave;
-        let roleCount, replicaCount;
-        
-        if (!scriptData) {
-            this.logger.error('Попытка сохранить null/undefined данные в localStorage');
-            return false;
-        }
-
-        // Check if it's a ScriptData instance or plain object
-        if (scriptData instanceof ScriptData) {
-            if (!scriptData.validate()) {
-                this.logger.error('Попытка сохранить невалидные данные в localStorage');
-                return false;
-            }
-            dataToSave = scriptData.toJSON();
-            roleCount = scriptData.roles.length;
-            replicaCount = scriptData.replicas.length;
-        } else {
-            // It's a plain object from DataManager.exportData()
-            if (!this.validateScriptData(scriptData)) {
-                this.logger.error('Попытка сохранить невалидные данные в localStorage');
-                return false;
-            }
-            dataToSave = scriptData;
-            roleCount = scriptData.roles?.length || 0;
-            replicaCount = scriptData.replicas?.length || 0;
-        }
-
-        try {
-            localStorage.setItem(key, JSON.stringify(dataToSave));
-            this.logger.info('Данные успешно сохранены в localStorage', {
-                key: key,
-                roleCount: roleCount,
-                replicaCount: replicaCount
-            });
-            return true;
-        } catch (error) {
-            this.logger.error('Ошибка при сохранении данных в localStorage', {
-                error: error.message
-            });
-            return false;
-        }
-    }
-
-    /**
-     * Load data from localStorage
-     * @param {string} key - Storage key
-     * @returns {ScriptData|null} ScriptData object or null if failed
-     */
-    loadFromStorage(key = 'podcastScriptData') {
-        try {
-            const storedData = localStorage.getItem(key);
-            if (storedData) {
-                const data = JSON.parse(storedData);
-                const scriptData = new ScriptData(data);
-                if (scriptData.validate()) {
-                    this.logger.info('Данные загружены из localStorage', {
-                        key: key,
-                        roleCount: scriptData.roles.length,
-                        replicaCount: scriptData.replicas.length
-                    });
-                    return scriptData;
-                } else {
-                    this.logger.error('Невалидные данные в localStorage', { key: key });
-                    return null;
-                }
-            }
-            return null;
-        } catch (error) {
-            this.logger.error('Ошибка при загрузке данных из localStorage', {
-                error: error.message,
-                key: key
-            });
-            return null;
-        }
-    }
-
-    /**
-     * Validate script data
-     * @param {Object} data - Data to validate
-     * @returns {boolean} Validation result
-     */
-    validateScriptData(data) {
-        if (!data || typeof data !== 'object') {
-            return false;
-        }
-
-        if (!data.roles || !Array.isArray(data.roles)) {
-            return false;
-        }
-
-        if (!data.replicas || !Array.isArray(data.replicas)) {
-            return false;
-        }
-
-        // Check role structure
-        for (const role of data.roles) {
-            if (!role.id || !role.name || !role.type) {
-                return false;
-            }
-            if (!['speaker', 'sound'].includes(role.type)) {
-                return false;
-            }
-        }
-
-        // Check replica structure
-        for (const replica of data.replicas) {
-            if (!replica.id || typeof replica.text !== 'string') {
-                return false;
-            }
-            if (replica.roleId !== null && typeof replica.roleId !== 'string') {
-                return false;
-            }
-        }
-
-        return true;
-    }
-
-    /**
-     * Clear data from localStorage
-     * @param {string} key - Storage key
-     * @returns {boolean} Success status
-     */
-    clearStorage(key = 'podcastScriptData') {
-        try {
-            localStorage.removeItem(key);
-            this.logger.info('Данные очищены из localStorage', { key: key });
-            return true;
-        } catch (error) {
-            this.logger.error('Ошибка при очистке localStorage', {
-                error: error.message
-            });
-            return false;
-        }
-    }
-
-    /**
-     * Export script data to JSON string
-     * @param {ScriptData} scriptData - Script data to export
-     * @returns {string|null} JSON string or null if failed
-     */
-    exportToJSON(scriptData) {
-        if (!scriptData || !scriptData.validate()) {
-            return null;
-        }
-
-        try {
-            return JSON.stringify(scriptData.toJSON(), null, 2);
-        } catch (error) {
-            this.logger.error('Ошибка при экспорте в JSON', {
-                error: error.message
-            });
-            return null;
-        }
-    }
-
-    /**
-     * Import script data from JSON string
-     * @param {string} jsonString - JSON string to import
-     * @returns {ScriptData|null} ScriptData object or null if failed
-     */
-    importFromJSON(jsonString) {
-        try {
-            const data = JSON.parse(jsonString);
-            const scriptData = new ScriptData(data);
-            if (scriptData.validate()) {
-                return scriptData;
-            }
-            return null;
-        } catch (error) {
-            this.logger.error('Ошибка при импорте из JSON', {
-                error: error.message
-            });
-            return null;
-        }
-    }
 }
 
 // Export for use in modules
@@ -0,0 +1,371 @@
+import { logger } from '../logger.js';
+
+/**
+ * Supported download formats
+ * key - format id used by the download dialog and DataService.saveToFile
+ */
+const EXPORT_FORMATS = {
+    json: { label: 'JSON (для загрузки обратно в редактор)', extension: 'json', mimeType: 'application/json' },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+    text: { label: 'Текст (ИМЯ: реплика)', extension: 'txt', mimeType: 'text/plain' },
+    fountain: { label: 'Fountain (сценарий)', extension: 'fountain', mimeType: 'text/plain' },
+    chapters: { label: 'Главы: Podcasting 2.0', extension: 'chapters.json', mimeType: 'application/json+chapters' },
+    podlove: { label: 'Главы: Podlove Simple Chapters', extension: 'psc.xml', mimeType: 'application/xml' },
+    youtube: { label: 'Главы: таймкоды для описания YouTube', extension: 'chapters.txt', mimeType: 'text/plain' }
+};
+
+const DEFAULT_TITLE = 'Скрипт подкаста';
+const UNASSIGNED_ROLE_NAME = 'Без роли';
+const FIRST_CHAPTER_TITLE = 'Вступление';
+// Podcasting 2.0 chapters spec: https://github.com/Podcastindex-org/podcast-namespace/blob/main/docs/examples/chapters/jsonChapters.md
+const CHAPTERS_JSON_VERSION = '1.2.0';
+// YouTube shows chapters only if there are at least three of them, each at least 10 seconds long
+const YOUTUBE_MIN_CHAPTERS = 3;
+const YOUTUBE_MIN_CHAPTER_SECONDS = 10;
+
+/**
+ * Exporters of script data into human-readable formats.
+ * All exporters are driven by ScriptData.getReplicasWithRoleInfo().
+ */
+class ScriptExporter {
+    /**
+     * Export script data in the given format
+     * @param {ScriptData} scriptData - Script data to export
+     * @param {string} format - Format id (markdown, text, fountain, chapters, podlove, youtube)
+     * @param {Object} options - Export options
+     * @param {string} options.title - Script title
+     * @returns {string} Exported text
+     */
+    static export(scriptData, format, options = {}) {
+        const exporters = {
+            markdown: ScriptExporter.toMarkdown,
+            text: ScriptExporter.toPlainText,
+            fountain: ScriptExporter.toFountain,
+            chapters: ScriptExporter.toChaptersJSON,
+            podlove: ScriptExporter.toPodloveChapters,
+            youtube: ScriptExporter.toYouTubeChapters
+        };
+
+        const exporter = exporters[format];
+        if (!exporter) {
+            throw new Error(`Неизвестный формат экспорта: ${format}`);
+        }
+
+        const result = exporter(scriptData, options);
+        logger.logCalculation('экспорт скрипта', format, {
+            replicaCount: scriptData.replicas.length,
+            length: result.length
+        });
+        return result;
+    }
+
+    /**
+     * Markdown with a heading for every speaker turn.
+     * Consecutive replicas of the same speaker are kept under one heading.
+     * @param {ScriptData} scriptData - Script data
+     * @param {Object} options - Export options
+     * @returns {string} Markdown text
+     */
+    static toMarkdown(scriptData, options = {}) {
+        const stats = scriptData.statistics;
+        const metadata = scriptData.metadata;
+        const lines = [`# ${ScriptExporter.getTitle(scriptData, options)}`, ''];
+
+        if (metadata.getSubtitle()) {
+            lines.push(`*${metadata.getSubtitle()}*`, '');
+        }
+        if (metadata.authors.length > 0) {
+            lines.push(`- Авторы: ${metadata.authors.join(', ')}`);
+        }
+        lines.push(
+            `- Длительность: ${stats.totalDurationFormatted}`,
+            `- Слов: ${stats.totalWords}`,
+            `- Реплик: ${stats.replicaCount}`,
+            ''
+        );
+        if (metadata.description.trim()) {
+            lines.push(metadata.description.trim(), '');
+        }
+
+        let previousSpeakerId;
+        scriptData.getReplicasWithRoleInfo().forEach(replica => {
+            if (ScriptExporter.isSoundEffect(replica)) {
+                previousSpeakerId = undefined;
+                const text = replica.text.trim() ? ` — ${replica.text.trim()}` : '';
+                // Каждая строка многострочного описания остается внутри цитаты
+                const quote = `🔊 *${ScriptExporter.formatSoundEffect(replica.role)}*${text}`
+                    .split('\n')
+                    .map(line => line.trim() ? `> ${line}` : '>');
+                lines.push(...quote, '');
+                return;
+            }
+
+            if (replica.roleId !== previousSpeakerId) {
+                lines.push(`## ${ScriptExporter.getRoleName(replica)}`, '');
+                previousSpeakerId = replica.roleId;
+            }
+            lines.push(replica.text.trim(), '');
+        });
+
+        return lines.join('\n').trimEnd() + '\n';
+    }
+
+    /**
+     * Plain-text transcript with "NAME: line" rows
+     * @param {ScriptData} scriptData - Script data
+     * @returns {string} Plain text
+     */
+    static toPlainText(scriptData) {
+        const lines = scriptData.getReplicasWithRoleInfo().map(replica => {
+            if (ScriptExporter.isSoundEffect(replica)) {
+                const text = replica.text.trim() ? ` ${replica.text.trim()}` : '';
+                return `[${ScriptExporter.formatSoundEffect(replica.role)}]${text}`;
+            }
+            // Продолжение многострочной реплики выравниваем под текст
+            const name = ScriptExporter.getRoleName(replica);
+            const indent = ' '.repeat(name.length + 2);
+            const text = replica.text.trim().split('\n')
+                .map((line, index) => index === 0 || !line.trim() ? line : indent + line)
+                .join('\n');
+            return `${name}: ${text}`;
+        });
+
+        return lines.join('\n\n') + '\n';
+    }
+
+    /**
+     * Fountain screenplay (https://fountain.io/syntax).
+     * Speakers become characters, sound effects become forced transitions
+     * with their description written as action.
+     * @param {ScriptData} scriptData - Script data
+     * @param {Object} options - Export options
+     * @returns {string} Fountain text
+     */
+    static toFountain(scriptData, options = {}) {
+        const metadata = scriptData.metadata;
+        const lines = [`Title: ${ScriptExporter.getTitle(scriptData, options)}`];
+        if (metadata.getSubtitle()) {
+            lines.push(`Credit: ${metadata.getSubtitle()}`);
+        }
+        if (metadata.authors.length > 0) {
+            lines.push(`Authors: ${metadata.authors.join(', ')}`);
+        }
+        lines.push(`Draft date: ${new Date().toLocaleDateString('ru-RU')}`);
+        if (metadata.description.trim()) {
+            // Многострочные значения титульной страницы пишутся с отступом
+            lines.push('Notes:', ...metadata.description.trim().split('\n').map(line => `    ${line}`));
+        }
+        lines.push('');
+
+        scriptData.getReplicasWithRoleInfo().forEach(replica => {
+            if (ScriptExporter.isSoundEffect(replica)) {
+                lines.push(`> ${ScriptExporter.formatSoundEffect(replica.role).toUpperCase()}`, '');
+                if (replica.text.trim()) {
+                    lines.push(`!${replica.text.trim()}`, '');
+                }
+                return;
+            }
+
+            // "@" принудительно делает строку персонажем (нужно для кириллицы и имен с цифрами)
+            lines.push(`@${ScriptExporter.getRoleName(replica).toUpperCase()}`);
+            // Пустая строка завершает реплику, поэтому пустые строки внутри текста заменяются на два пробела
+            lines.push(...replica.text.trim().split('\n').map(line => line.trim() ? line : '  '), '');
+        });
+
+        return lines.join('\n').trimEnd() + '\n';
+    }
+
+    /**
+     * Chapter markers with estimated start times.
+     * Script segments are used as explicit markers; without segments every run of
+     * sound-effect cues (jingles, transitions) starts a new chapter.
+     * @param {ScriptData} scriptData - Script data
+     * @returns {Array<Object>} Chapters { start, end, title, toc }, times in whole seconds
+     */
+    static getChapters(scriptData) {
+        const toSeconds = minutes => Math.round(minutes * 60);
+        const timeline = scriptData.getTimeline();
+        let chapters;
+
+        if (scriptData.segments.length > 0) {
+            chapters = scriptData.statistics.segments
+                .filter(segment => segment.replicaCount > 0)
+                .map(segment => ({
+                    start: toSeconds(segment.start),
+                    title: segment.title || FIRST_CHAPTER_TITLE,
+                    // Рекламные паузы не показываются в оглавлении плеера
+                    toc: segment.kind !== 'ad'
+                }));
+        } else {
+            chapters = [];
+            let previousIsCue = false;
+            scriptData.getReplicasWithRoleInfo().forEach(replica => {
+                const isCue = ScriptExporter.isSoundEffect(replica);
+                if (isCue && !previousIsCue) {
+                    chapters.push({
+                        start: toSeconds(timeline.get(replica.id).start),
+                        title: replica.text.trim().split('\n')[0] || replica.role.name,
+                        toc: true
+                    });
+                }
+                previousIsCue = isCue;
+            });
+        }
+
+        // Первая глава всегда начинается с нуля
+        if (chapters.length === 0 || chapters[0].start > 0) {
+            chapters.unshift({ start: 0, title: FIRST_CHAPTER_TITLE, toc: true });
+        }
+
+        const totalSeconds = toSeconds(Math.max(0, ...[...timeline.values()].map(timecode => timecode.end)));
+        return chapters
+            // Главы, начавшиеся в одну и ту же секунду, схлопываются в последнюю
+            .filter((chapter, index) => index === chapters.length - 1 || chapters[index + 1].start > chapter.start)
+            .map((chapter, index, list) => ({
+                ...chapter,
+                end: index < list.length - 1 ? list[index + 1].start : totalSeconds
+            }));
+    }
+
+    /**
+     * Podcasting 2.0 chapters file (chapters.json)
+     * @param {ScriptData} scriptData - Script data
+     * @param {Object} options - Export options
+     * @returns {string} JSON text
+     */
+    static toChaptersJSON(scriptData, options = {}) {
+        const metadata = scriptData.metadata;
+        const data = {
+            version: CHAPTERS_JSON_VERSION,
+            title: ScriptExporter.getTitle(scriptData, options)
+        };
+        if (metadata.showName) {
+            data.podcastName = metadata.showName;
+        }
+        if (metadata.authors.length > 0) {
+            data.author = metadata.authors.join(', ');
+        }
+        data.chapters = ScriptExporter.getChapters(scriptData).map(chapter => ({
+            startTime: chapter.start,
+            endTime: chapter.end,
+            title: chapter.title,
+            ...(chapter.toc ? {} : { toc: false })
+        }));
+
+        return JSON.stringify(data, null, 2) + '\n';
+    }
+
+    /**
+     * Podlove Simple Chapters (https://podlove.org/simple-chapters/)
+     * @param {ScriptData} scriptData - Script data
+     * @returns {string} XML text
+     */
+    static toPodloveChapters(scriptData) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<psc:chapters version="1.2" xmlns:psc="http://podlove.org/simple-chapters">'
+        ];
+        ScriptExporter.getChapters(scriptData).forEach(chapter => {
+            lines.push(`    <psc:chapter start="${ScriptExporter.formatNormalPlayTime(chapter.start)}" title="${ScriptExporter.escapeXml(chapter.title)}"/>`);
+        });
+        lines.push('</psc:chapters>');
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Timestamp list for a YouTube video description: "00:00 Вступление"
+     * @param {ScriptData} scriptData - Script data
+     * @returns {string} Plain text
+     */
+    static toYouTubeChapters(scriptData) {
+        const chapters = ScriptExporter.getChapters(scriptData);
+        const shortChapters = chapters.filter(chapter => chapter.end - chapter.start < YOUTUBE_MIN_CHAPTER_SECONDS);
+        if (chapters.length < YOUTUBE_MIN_CHAPTERS || shortChapters.length > 0) {
+            logger.warn('YouTube может не показать главы: нужно не меньше трех глав по 10 секунд', {
+                chapterCount: chapters.length,
+                shortChapterCount: shortChapters.length
+            });
+        }
+
+        const withHours = chapters[chapters.length - 1].start >= 3600;
+        return chapters
+            .map(chapter => `${ScriptExporter.formatYouTubeTimestamp(chapter.start, withHours)} ${chapter.title}`)
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Format seconds as normal play time used by Podlove: "00:01:05.000"
+     * @param {number} seconds - Position in seconds
+     * @returns {string} Normal play time
+     */
+    static formatNormalPlayTime(seconds) {
+        const hours = Math.floor(seconds / 3600).toString().padStart(2, '0');
+        const minutes = Math.floor((seconds % 3600) / 60).toString().padStart(2, '0');
+        const secs = (seconds % 60).toString().padStart(2, '0');
+        return `${hours}:${minutes}:${secs}.000`;
+    }
+
+    /**
+     * Format seconds as a YouTube timestamp: "01:05" or "1:01:05"
+     * @param {number} seconds - Position in seconds
+     * @param {boolean} withHours - Whether the list is longer than an hour
+     * @returns {string} Timestamp
+     */
+    static formatYouTubeTimestamp(seconds, withHours) {
+        const minutes = Math.floor((seconds % 3600) / 60).toString().padStart(2, '0');
+        const secs = (seconds % 60).toString().padStart(2, '0');
+        return withHours ? `${Math.floor(seconds / 3600)}:${minutes}:${secs}` : `${minutes}:${secs}`;
+    }
+
+    /**
+     * Escape a string for use in an XML attribute
+     * @param {string} value - Raw string
+     * @returns {string} Escaped string
+     */
+    static escapeXml(value) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' };
+        return String(value).replace(/[&<>"']/g, char => entities[char]);
+    }
+
+    /**
+     * Get document title: episode title from metadata, then the title option
+     * @param {ScriptData} scriptData - Script data
+     * @param {Object} options - Export options
+     * @returns {string} Title
+     */
+    static getTitle(scriptData, options = {}) {
+        return scriptData.metadata.title || options.title || DEFAULT_TITLE;
+    }
+
+    /**
+     * Check whether a replica belongs to a sound effect
+     * @param {Object} replica - Replica with role info
+     * @returns {boolean} Is sound effect
+     */
+    static isSoundEffect(replica) {
+        return !!replica.role && replica.role.type === 'sound';
+    }
+
+    /**
+     * Get display name of the replica role
+     * @param {Object} replica - Replica with role info
+     * @returns {string} Role name
+     */
+    static getRoleName(replica) {
+        return replica.role ? replica.role.name : UNASSIGNED_ROLE_NAME;
+    }
+
+    /**
+     * Format sound effect label with its duration
+     * @param {Object} role - Sound effect role
+     * @returns {string} Label, e.g. "Звук: Джингл (5 сек)"
+     */
+    static formatSoundEffect(role) {
+        const duration = Number(role.duration) > 0 ? ` (${role.duration} сек)` : '';
+        return `Звук: ${role.name}${duration}`;
+    }
+}
+
+// Export for use in modules
+export { ScriptExporter, EXPORT_FORMATS };
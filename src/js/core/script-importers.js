@@ -0,0 +1,280 @@
+import { logger } from '../logger.js';
+import { Replica } from '../models/replica.js';
+import { SoundEffect, Speaker } from '../models/role.js';
+
+import { SCRIPT_FORMAT_VERSION } from './script-schema.js';
+
+// Mapping targets besides existing role ids
+const MAPPING_NEW_ROLE = '__new__';
+const MAPPING_SKIP = '__skip__';
+
+// File extensions handled by the transcript importer
+const TRANSCRIPT_EXTENSIONS = ['txt', 'md', 'markdown'];
+
+// Longest text accepted as a speaker name in "Name: text" lines
+const MAX_NAME_LENGTH = 40;
+const MAX_NAME_WORDS = 4;
+
+// [SFX: name], [Звук: name (5 сек)] - optionally followed by a description
+const SOUND_LINE_PATTERN = /^\[\s*(?:sfx|fx|sound|звук)\s*:\s*([^\]]+)\]\s*(.*)$/iu;
+// Sound effect as written by the Markdown exporter: > 🔊 *Звук: name (5 сек)* — description
+const MARKDOWN_SOUND_LINE_PATTERN = /^>\s*(?:🔊\s*)?\*(?:sfx|fx|sound|звук)\s*:\s*([^*]+)\*\s*(?:[—-]\s*(.*))?$/iu;
+// Duration suffix of a sound effect name: (5 сек), (5s), (2.5 sec)
+const SOUND_DURATION_PATTERN = /\s*\((\d+(?:[.,]\d+)?)\s*(?:с|сек|секунд[аы]?|s|sec|seconds?)?\.?\)\s*$/iu;
+// Name: text, **Name:** text, __Name__: text
+const SPEAKER_LINE_PATTERN = /^(?:\*\*|__)?(\p{L}[^:*_]*?)(?:\*\*|__)?\s*:(?:\*\*|__)?(?:\s+(.*))?$/u;
+// Leading timecodes of exported transcripts: [00:01:23] or 00:01
+const TIMECODE_PATTERN = /^\[?\d{1,2}:\d{2}(?::\d{2})?\]?\s+/;
+
+/**
+ * Importer of plain text and Markdown transcripts.
+ * Parsing only detects speaker and sound effect names; the detected names are
+ * then mapped to existing roles (or new ones) when building import data.
+ */
+class ScriptImporter {
+    /**
+     * Check whether a file looks like a text transcript
+     * @param {File|string} file - File or file name
+     * @returns {boolean} Is transcript file
+     */
+    static isTranscriptFile(file) {
+        const name = typeof file === 'string' ? file : file?.name || '';
+        const extension = name.split('.').pop().toLowerCase();
+        return name.includes('.') && TRANSCRIPT_EXTENSIONS.includes(extension);
+    }
+
+    /**
+     * Get the key of a detected name (type and case-insensitive name)
+     * @param {string} type - Role type (speaker or sound)
+     * @param {string|null} name - Detected name (null for text without a speaker)
+     * @returns {string} Name key
+     */
+    static getNameKey(type, name) {
+        return `${type}:${(name || '').toLowerCase()}`;
+    }
+
+    /**
+     * Parse a transcript
+     * @param {string} text - Transcript text
+     * @returns {Object} Parse result: title, entries and detected names
+     */
+    static parse(text) {
+        const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+        const entries = [];
+        let title = null;
+        let current = null;
+        let speakerName = null;
+
+        const startEntry = (entry) => {
+            current = entry;
+            entries.push(entry);
+        };
+
+        lines.forEach(rawLine => {
+            const line = rawLine.trim().replace(TIMECODE_PATTERN, '');
+
+            // Пустая строка завершает реплику, следующий абзац станет новой репликой того же спикера
+            if (!line) {
+                current = null;
+                return;
+            }
+
+            const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+            if (heading) {
+                current = null;
+                if (heading[1].length === 1 && title === null && entries.length === 0) {
+                    title = heading[2];
+                } else {
+                    speakerName = ScriptImporter.normalizeName(heading[2]);
+                }
+                return;
+            }
+
+            const sound = line.match(SOUND_LINE_PATTERN) || line.match(MARKDOWN_SOUND_LINE_PATTERN);
+            if (sound) {
+                const { name, duration } = ScriptImporter.parseSoundName(sound[1]);
+                entries.push({ type: 'sound', name, duration, text: (sound[2] || '').trim() });
+                current = null;
+                return;
+            }
+
+            const speaker = line.match(SPEAKER_LINE_PATTERN);
+            if (speaker && ScriptImporter.isSpeakerName(speaker[1])) {
+                speakerName = ScriptImporter.normalizeName(speaker[1]);
+                startEntry({ type: 'speaker', name: speakerName, text: (speaker[2] || '').trim() });
+                return;
+            }
+
+            if (current) {
+                current.text = current.text ? `${current.text}\n${line}` : line;
+            } else {
+                startEntry({ type: 'speaker', name: speakerName, text: line });
+            }
+        });
+
+        // Реплики без текста (например, "Имя:" в конце файла) не импортируются
+        const result = {
+            title,
+            entries: entries.filter(entry => entry.type === 'sound' || entry.text),
+            names: []
+        };
+        result.names = ScriptImporter.collectNames(result.entries);
+
+        logger.logCalculation('разбор текстового скрипта', result.entries.length, {
+            lineCount: lines.length,
+            nameCount: result.names.length
+        });
+        return result;
+    }
+
+    /**
+     * Collect detected names with their replica counts
+     * @param {Array} entries - Parsed entries
+     * @returns {Array} Detected names in order of appearance
+     */
+    static collectNames(entries) {
+        const names = new Map();
+        entries.forEach(entry => {
+            const key = ScriptImporter.getNameKey(entry.type, entry.name);
+            if (!names.has(key)) {
+                names.set(key, {
+                    key,
+                    type: entry.type,
+                    name: entry.name,
+                    duration: entry.duration || 0,
+                    count: 0
+                });
+            }
+            const detected = names.get(key);
+            detected.count++;
+            detected.duration = Math.max(detected.duration, entry.duration || 0);
+        });
+        return [...names.values()];
+    }
+
+    /**
+     * Suggest a mapping of detected names to existing roles (same type, case-insensitive name)
+     * @param {Object} parsed - Parse result
+     * @param {Array} roles - Existing roles
+     * @returns {Object} Mapping: name key -> role id, MAPPING_NEW_ROLE or MAPPING_SKIP
+     */
+    static suggestMapping(parsed, roles) {
+        const mapping = {};
+        parsed.names.forEach(detected => {
+            if (detected.name === null) {
+                mapping[detected.key] = MAPPING_SKIP;
+                return;
+            }
+            const role = roles.find(item => item.type === detected.type &&
+                ScriptImporter.getNameKey(item.type, item.name) === detected.key);
+            mapping[detected.key] = role ? role.id : MAPPING_NEW_ROLE;
+        });
+        return mapping;
+    }
+
+    /**
+     * Build DataManager import data from parsed entries
+     * @param {Object} parsed - Parse result
+     * @param {Object} mapping - Mapping: name key -> role id, MAPPING_NEW_ROLE or MAPPING_SKIP
+     * @param {Object} base - Data the imported replicas are appended to
+     * @param {Array} base.roles - Roles in JSON format
+     * @param {Array} base.replicas - Replicas in JSON format
+     * @param {Object} base.metadata - Episode metadata (by default the title found in the transcript)
+     * @param {Array} base.segments - Segments in JSON format (imported replicas go to the last one)
+     * @returns {Object} Import data with roles, replicas and created role count
+     */
+    static buildImportData(parsed, mapping, base = {}) {
+        const roles = [...(base.roles || [])];
+        const replicas = [...(base.replicas || [])];
+        const segments = [...(base.segments || [])];
+        const segmentId = segments.length > 0 ? segments[segments.length - 1].id : null;
+        const createdRoles = new Map();
+
+        const resolveRoleId = (detected) => {
+            const target = mapping[detected.key];
+            if (target === MAPPING_SKIP) {
+                return undefined;
+            }
+            if (target && target !== MAPPING_NEW_ROLE) {
+                return target;
+            }
+            if (detected.name === null) {
+                return null;
+            }
+            if (!createdRoles.has(detected.key)) {
+                const role = detected.type === 'sound'
+                    ? new SoundEffect(detected.name, detected.duration)
+                    : new Speaker(detected.name);
+                createdRoles.set(detected.key, role.id);
+                roles.push(role.toJSON());
+            }
+            return createdRoles.get(detected.key);
+        };
+
+        const namesByKey = new Map(parsed.names.map(detected => [detected.key, detected]));
+        let importedCount = 0;
+        parsed.entries.forEach(entry => {
+            const roleId = resolveRoleId(namesByKey.get(ScriptImporter.getNameKey(entry.type, entry.name)));
+            if (roleId === undefined) {
+                return;
+            }
+            const replica = new Replica(entry.text, roleId);
+            replica.segmentId = segmentId;
+            replicas.push(replica.toJSON());
+            importedCount++;
+        });
+
+        logger.info('Данные текстового скрипта подготовлены к импорту', {
+            replicaCount: importedCount,
+            createdRoleCount: createdRoles.size
+        });
+
+        return {
+            roles,
+            replicas,
+            segments,
+            metadata: base.metadata || (parsed.title ? { title: parsed.title } : {}),
+            exportDate: new Date().toISOString(),
+            version: SCRIPT_FORMAT_VERSION,
+            importedReplicaCount: importedCount,
+            createdRoleCount: createdRoles.size
+        };
+    }
+
+    /**
+     * Check whether the text before a colon looks like a speaker name
+     * @param {string} name - Candidate name
+     * @returns {boolean} Is speaker name
+     */
+    static isSpeakerName(name) {
+        const trimmed = name.trim();
+        return trimmed.length > 0 &&
+            trimmed.length <= MAX_NAME_LENGTH &&
+            trimmed.split(/\s+/).length <= MAX_NAME_WORDS &&
+            !/https?|www\./i.test(trimmed);
+    }
+
+    /**
+     * Split sound effect name and duration
+     * @param {string} value - Text inside the sound effect marker
+     * @returns {Object} Name and duration in seconds
+     */
+    static parseSoundName(value) {
+        const match = value.match(SOUND_DURATION_PATTERN);
+        const duration = match ? parseFloat(match[1].replace(',', '.')) : 0;
+        const name = ScriptImporter.normalizeName(match ? value.slice(0, match.index) : value);
+        return { name, duration };
+    }
+
+    /**
+     * Remove Markdown emphasis and extra whitespace from a name
+     * @param {string} name - Detected name
+     * @returns {string} Normalized name
+     */
+    static normalizeName(name) {
+        return name.replace(/[*_`]/g, '').replace(/\s+/g, ' ').trim();
+    }
+}
+
+// Export for use in modules
+export { ScriptImporter, MAPPING_NEW_ROLE, MAPPING_SKIP };
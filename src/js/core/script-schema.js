@@ -0,0 +1,387 @@
+import { logger } from '../logger.js';
+
+// Current version of the script JSON format
+const SCRIPT_FORMAT_VERSION = '1.4';
+// Version assumed for files written before the version field existed
+const DEFAULT_FORMAT_VERSION = '1.0';
+// Validation stops after this many errors so broken files do not flood the dialogs
+const MAX_VALIDATION_ERRORS = 50;
+
+const ROLE_TYPES = ['speaker', 'sound'];
+const ROLE_GROUPS = ['hosts', 'guests', 'music', 'sfx'];
+const SEGMENT_KINDS = ['intro', 'interview', 'ad', 'outro', 'custom'];
+const DEFAULT_WORDS_PER_MINUTE = 120;
+
+/**
+ * Ordered migrations between format versions.
+ * Each migration receives a deep copy of the data and returns the migrated data.
+ */
+const MIGRATIONS = [
+    {
+        from: '1.0',
+        to: '1.1',
+        description: 'Нормализация ссылок на роли и числовых параметров ролей',
+        migrate(data) {
+            data.roles.forEach(role => {
+                if (!role || typeof role !== 'object') return;
+                if (role.type === 'speaker') {
+                    const wordsPerMinute = Number(role.wordsPerMinute);
+                    role.wordsPerMinute = wordsPerMinute > 0 ? wordsPerMinute : DEFAULT_WORDS_PER_MINUTE;
+                } else if (role.type === 'sound') {
+                    const duration = Number(role.duration);
+                    role.duration = duration >= 0 ? duration : 0;
+                }
+            });
+            // В 1.0 реплика без роли могла храниться с пустым или отсутствующим roleId
+            data.replicas.forEach(replica => {
+                if (replica && typeof replica === 'object' && (replica.roleId === undefined || replica.roleId === '')) {
+                    replica.roleId = null;
+                }
+            });
+            return data;
+        }
+    },
+    {
+        from: '1.1',
+        to: '1.2',
+        description: 'Добавление метаданных выпуска',
+        migrate(data) {
+            if (!data.metadata || typeof data.metadata !== 'object' || Array.isArray(data.metadata)) {
+                data.metadata = {};
+            }
+            return data;
+        }
+    },
+    {
+        from: '1.2',
+        to: '1.3',
+        description: 'Добавление разделов скрипта',
+        migrate(data) {
+            if (!Array.isArray(data.segments)) {
+                data.segments = [];
+            }
+            return data;
+        }
+    },
+    {
+        from: '1.3',
+        to: '1.4',
+        description: 'Добавление групп ролей',
+        migrate(data) {
+            data.roles.forEach(role => {
+                if (role && typeof role === 'object' && role.group === undefined) {
+                    role.group = null;
+                }
+            });
+            return data;
+        }
+    }
+];
+
+/**
+ * Single source of truth for the script JSON format:
+ * declares the format version, migrates older data and validates it
+ * with path-specific errors ("replicas[12].roleId ...").
+ */
+class ScriptSchema {
+    /**
+     * Get format version of the data
+     * @param {Object} data - Script data
+     * @returns {string} Format version
+     */
+    static getVersion(data) {
+        return data && typeof data.version === 'string' && data.version ? data.version : DEFAULT_FORMAT_VERSION;
+    }
+
+    /**
+     * Compare two versions ("1.0" < "1.1" < "1.10")
+     * @param {string} first - First version
+     * @param {string} second - Second version
+     * @returns {number} Negative, zero or positive number
+     */
+    static compareVersions(first, second) {
+        const firstParts = String(first).split('.').map(Number);
+        const secondParts = String(second).split('.').map(Number);
+        const length = Math.max(firstParts.length, secondParts.length);
+        for (let i = 0; i < length; i++) {
+            const difference = (firstParts[i] || 0) - (secondParts[i] || 0);
+            if (difference !== 0) {
+                return difference;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Migrate data to the current format version
+     * @param {Object} data - Script data (not modified)
+     * @returns {Object} Result { data, fromVersion, applied, errors }
+     */
+    static migrate(data) {
+        const fromVersion = ScriptSchema.getVersion(data);
+        const result = { data, fromVersion, applied: [], errors: [] };
+
+        if (!/^\d+(\.\d+)*$/.test(fromVersion)) {
+            result.errors.push({ path: 'version', message: `некорректная версия формата "${fromVersion}"` });
+            return result;
+        }
+        if (ScriptSchema.compareVersions(fromVersion, SCRIPT_FORMAT_VERSION) > 0) {
+            result.errors.push({
+                path: 'version',
+                message: `файл создан в более новой версии формата (${fromVersion}), поддерживается до ${SCRIPT_FORMAT_VERSION}`
+            });
+            return result;
+        }
+        // Мигрировать можно только данные с массивами ролей и реплик
+        if (!data || !Array.isArray(data.roles) || !Array.isArray(data.replicas)) {
+            return result;
+        }
+
+        let migrated = null;
+        let version = fromVersion;
+        MIGRATIONS.forEach(migration => {
+            if (ScriptSchema.compareVersions(version, migration.from) > 0) return;
+            migrated = migration.migrate(migrated || ScriptSchema.clone(data));
+            migrated.version = migration.to;
+            version = migration.to;
+            result.applied.push(`${migration.from} → ${migration.to}`);
+        });
+
+        if (migrated) {
+            result.data = migrated;
+            logger.info('Данные скрипта обновлены до текущей версии формата', {
+                fromVersion,
+                toVersion: version,
+                migrations: result.applied
+            });
+        } else if (fromVersion !== SCRIPT_FORMAT_VERSION) {
+            result.data = { ...data, version: SCRIPT_FORMAT_VERSION };
+        }
+        return result;
+    }
+
+    /**
+     * Validate script data
+     * @param {Object} data - Script data
+     * @returns {Object} Result { valid, errors: [{ path, message }] }
+     */
+    static validate(data) {
+        const errors = [];
+        const addError = (path, message) => {
+            if (errors.length < MAX_VALIDATION_ERRORS) {
+                errors.push({ path, message });
+            }
+        };
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            addError('$', 'данные скрипта должны быть объектом');
+            return { valid: false, errors };
+        }
+        if (!Array.isArray(data.roles)) {
+            addError('roles', 'должен быть массивом');
+        }
+        if (!Array.isArray(data.replicas)) {
+            addError('replicas', 'должен быть массивом');
+        }
+        if (errors.length > 0) {
+            return { valid: false, errors };
+        }
+
+        const roleIndexes = new Map();
+        data.roles.forEach((role, index) => {
+            const path = `roles[${index}]`;
+            if (!role || typeof role !== 'object') {
+                addError(path, 'роль должна быть объектом');
+                return;
+            }
+            if (typeof role.id !== 'string' || !role.id) {
+                addError(`${path}.id`, 'отсутствует ID роли');
+            } else if (roleIndexes.has(role.id)) {
+                addError(`${path}.id`, `ID "${role.id}" повторяет roles[${roleIndexes.get(role.id)}].id`);
+            } else {
+                roleIndexes.set(role.id, index);
+            }
+            if (typeof role.name !== 'string' || !role.name.trim()) {
+                addError(`${path}.name`, 'отсутствует имя роли');
+            }
+            if (!ROLE_TYPES.includes(role.type)) {
+                addError(`${path}.type`, `недопустимый тип "${role.type}", ожидается ${ROLE_TYPES.join(' или ')}`);
+            }
+            if (role.group !== undefined && role.group !== null && !ROLE_GROUPS.includes(role.group)) {
+                addError(`${path}.group`, `недопустимая группа "${role.group}", ожидается ${ROLE_GROUPS.join(', ')} или null`);
+            }
+            if (role.type === 'speaker' && role.wordsPerMinute !== undefined &&
+                !(typeof role.wordsPerMinute === 'number' && role.wordsPerMinute > 0)) {
+                addError(`${path}.wordsPerMinute`, 'скорость речи должна быть положительным числом');
+            }
+            if (role.type === 'sound' && role.duration !== undefined &&
+                !(typeof role.duration === 'number' && role.duration >= 0)) {
+                addError(`${path}.duration`, 'длительность должна быть неотрицательным числом');
+            }
+        });
+
+        if (data.metadata !== undefined) {
+            ScriptSchema.validateMetadata(data.metadata, addError);
+        }
+
+        const segmentIndexes = new Map();
+        if (data.segments !== undefined && !Array.isArray(data.segments)) {
+            addError('segments', 'должен быть массивом');
+        } else if (data.segments !== undefined) {
+            data.segments.forEach((segment, index) => {
+                const path = `segments[${index}]`;
+                if (!segment || typeof segment !== 'object') {
+                    addError(path, 'раздел должен быть объектом');
+                    return;
+                }
+                if (typeof segment.id !== 'string' || !segment.id) {
+                    addError(`${path}.id`, 'отсутствует ID раздела');
+                } else if (segmentIndexes.has(segment.id)) {
+                    addError(`${path}.id`, `ID "${segment.id}" повторяет segments[${segmentIndexes.get(segment.id)}].id`);
+                } else {
+                    segmentIndexes.set(segment.id, index);
+                }
+                if (segment.title !== undefined && typeof segment.title !== 'string') {
+                    addError(`${path}.title`, 'должен быть строкой');
+                }
+                if (segment.kind !== undefined && !SEGMENT_KINDS.includes(segment.kind)) {
+                    addError(`${path}.kind`, `недопустимый вид "${segment.kind}", ожидается ${SEGMENT_KINDS.join(', ')}`);
+                }
+                const target = segment.targetDuration;
+                if (target !== undefined && target !== null && !(typeof target === 'number' && target > 0)) {
+                    addError(`${path}.targetDuration`, 'должна быть положительным числом минут или null');
+                }
+            });
+        }
+
+        const replicaIndexes = new Map();
+        data.replicas.forEach((replica, index) => {
+            const path = `replicas[${index}]`;
+            if (!replica || typeof replica !== 'object') {
+                addError(path, 'реплика должна быть объектом');
+                return;
+            }
+            if (typeof replica.id !== 'string' || !replica.id) {
+                addError(`${path}.id`, 'отсутствует ID реплики');
+            } else if (replicaIndexes.has(replica.id)) {
+                addError(`${path}.id`, `ID "${replica.id}" повторяет replicas[${replicaIndexes.get(replica.id)}].id`);
+            } else {
+                replicaIndexes.set(replica.id, index);
+            }
+            if (typeof replica.text !== 'string') {
+                addError(`${path}.text`, 'текст реплики должен быть строкой');
+            }
+            if (replica.roleId !== null && typeof replica.roleId !== 'string') {
+                addError(`${path}.roleId`, 'должен быть строкой или null');
+            } else if (typeof replica.roleId === 'string' && !roleIndexes.has(replica.roleId)) {
+                addError(`${path}.roleId`, `ссылается на несуществующую роль "${replica.roleId}"`);
+            }
+            if (replica.segmentId !== undefined && replica.segmentId !== null) {
+                if (typeof replica.segmentId !== 'string') {
+                    addError(`${path}.segmentId`, 'должен быть строкой или null');
+                } else if (!segmentIndexes.has(replica.segmentId)) {
+                    addError(`${path}.segmentId`, `ссылается на несуществующий раздел "${replica.segmentId}"`);
+                }
+            }
+            if (replica.pace !== undefined && !(typeof replica.pace === 'number' && replica.pace > 0)) {
+                addError(`${path}.pace`, 'темп должен быть положительным числом');
+            }
+        });
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Validate episode metadata (all fields are optional)
+     * @param {Object} metadata - Episode metadata
+     * @param {Function} addError - Callback (path, message)
+     */
+    static validateMetadata(metadata, addError) {
+        if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+            addError('metadata', 'должен быть объектом');
+            return;
+        }
+
+        ['title', 'showName', 'description'].forEach(field => {
+            if (metadata[field] !== undefined && typeof metadata[field] !== 'string') {
+                addError(`metadata.${field}`, 'должен быть строкой');
+            }
+        });
+        ['season', 'episode'].forEach(field => {
+            const value = metadata[field];
+            if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+                addError(`metadata.${field}`, 'должен быть положительным целым числом или null');
+            }
+        });
+        ['targetDuration', 'durationTolerance'].forEach(field => {
+            const value = metadata[field];
+            if (value !== undefined && value !== null && !(typeof value === 'number' && value > 0)) {
+                addError(`metadata.${field}`, 'должна быть положительным числом минут или null');
+            }
+        });
+        if (metadata.airDate !== undefined && metadata.airDate !== '' &&
+            !(typeof metadata.airDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(metadata.airDate))) {
+            addError('metadata.airDate', 'дата должна быть в формате ГГГГ-ММ-ДД');
+        }
+        if (metadata.authors !== undefined) {
+            if (!Array.isArray(metadata.authors)) {
+                addError('metadata.authors', 'должен быть массивом');
+            } else {
+                metadata.authors.forEach((author, index) => {
+                    if (typeof author !== 'string') {
+                        addError(`metadata.authors[${index}]`, 'должен быть строкой');
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Migrate and validate data in one step (used by every loader)
+     * @param {Object} data - Raw script data
+     * @returns {Object} Result { valid, data, errors, fromVersion, applied }
+     */
+    static prepare(data) {
+        const migration = ScriptSchema.migrate(data);
+        const validation = migration.errors.length > 0
+            ? { valid: false, errors: migration.errors }
+            : ScriptSchema.validate(migration.data);
+
+        if (!validation.valid) {
+            logger.warn('Данные скрипта не прошли проверку схемы', {
+                version: migration.fromVersion,
+                errorCount: validation.errors.length,
+                errors: validation.errors.slice(0, 5)
+            });
+        }
+
+        return {
+            valid: validation.valid,
+            data: migration.data,
+            errors: validation.errors,
+            fromVersion: migration.fromVersion,
+            applied: migration.applied
+        };
+    }
+
+    /**
+     * Format validation errors for dialogs and logs
+     * @param {Array} errors - Validation errors
+     * @returns {Array<string>} Lines "path: message"
+     */
+    static formatErrors(errors) {
+        return (errors || []).map(error => `${error.path}: ${error.message}`);
+    }
+
+    /**
+     * Deep copy of plain JSON data
+     * @param {Object} data - Data to copy
+     * @returns {Object} Copy
+     */
+    static clone(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+}
+
+// Export for use in modules
+export { ScriptSchema, SCRIPT_FORMAT_VERSION };
@@ -0,0 +1,423 @@
+import { logger } from '../logger.js';
+
+const DB_NAME = 'podcastScripter';
+const DB_VERSION = 1;
+const STORE_NAME = 'storage';
+// Tabs using IndexedDB announce persisted writes here, so other tabs refresh their in-memory copy
+const CHANGE_CHANNEL_NAME = 'podcastScripterStorage';
+
+/**
+ * Storage backend on top of window.localStorage.
+ * All storage backends share the same interface: reads are synchronous,
+ * writes update the value immediately and return a promise that resolves
+ * once the value is persisted.
+ */
+class LocalStorageBackend {
+    constructor() {
+        this.name = 'localStorage';
+    }
+
+    /**
+     * Check if localStorage is available
+     * @returns {boolean} Is localStorage available
+     */
+    static isAvailable() {
+        try {
+            const test = '__storage_test__';
+            localStorage.setItem(test, test);
+            localStorage.removeItem(test);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Prepare backend for use
+     * @returns {Promise<boolean>} Is backend ready
+     */
+    async init() {
+        return true;
+    }
+
+    /**
+     * Get stored value
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value or null
+     */
+    getItem(key) {
+        return localStorage.getItem(key);
+    }
+
+    /**
+     * Store value (throws when quota is exceeded, like localStorage itself)
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     * @returns {Promise<boolean>} Resolves when value is persisted
+     */
+    setItem(key, value) {
+        localStorage.setItem(key, value);
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Remove stored value
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} Resolves when value is removed
+     */
+    removeItem(key) {
+        localStorage.removeItem(key);
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Get all stored keys
+     * @returns {Array<string>} Storage keys
+     */
+    keys() {
+        return Object.keys(localStorage);
+    }
+
+    /**
+     * Re-read a value written by another tab (localStorage is always current)
+     * @param {string} key - Storage key
+     * @returns {Promise<string|null>} Current value
+     */
+    reload(key) {
+        return Promise.resolve(this.getItem(key));
+    }
+
+    /**
+     * Subscribe to values changed by other tabs.
+     * Nothing to do here: the browser reports localStorage changes with the "storage" event.
+     */
+    onExternalChange() {
+    }
+
+    /**
+     * Wait for pending writes
+     * @returns {Promise<boolean>} Were all writes successful
+     */
+    flush() {
+        return Promise.resolve(true);
+    }
+}
+
+/**
+ * Storage backend on top of IndexedDB.
+ * Values are loaded into memory on init, so reads stay synchronous;
+ * writes update the cache immediately and are persisted in the background.
+ * Keys missing in the database are read through from localStorage, so data
+ * written there by older versions (or by viewer mode) is still visible.
+ */
+class IndexedDBBackend {
+    constructor() {
+        this.name = 'indexedDB';
+        this.db = null;
+        this.cache = new Map();
+        this.pendingWrites = new Set();
+        this.channel = null;
+        this.changeCallbacks = [];
+    }
+
+    /**
+     * Check if IndexedDB is available
+     * @returns {boolean} Is IndexedDB available
+     */
+    static isAvailable() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Open database and load all values into memory
+     * @returns {Promise<boolean>} Is backend ready
+     */
+    async init() {
+        this.db = await this.openDatabase();
+        await this.loadCache();
+        this.setupChangeChannel();
+        logger.info('Хранилище IndexedDB открыто', { itemCount: this.cache.size });
+        return true;
+    }
+
+    /**
+     * Listen for writes made by other tabs and refresh the cached values
+     */
+    setupChangeChannel() {
+        if (typeof BroadcastChannel === 'undefined') {
+            return;
+        }
+        this.channel = new BroadcastChannel(CHANGE_CHANNEL_NAME);
+        this.channel.onmessage = async (event) => {
+            const key = event.data && event.data.key;
+            if (typeof key !== 'string') {
+                return;
+            }
+            await this.reload(key);
+            this.changeCallbacks.forEach(callback => callback(key));
+        };
+    }
+
+    /**
+     * Tell other tabs that a value was persisted or removed
+     * @param {string} key - Storage key
+     */
+    announceChange(key) {
+        if (this.channel) {
+            this.channel.postMessage({ key });
+        }
+    }
+
+    /**
+     * Subscribe to values changed by other tabs
+     * @param {Function} callback - Called with the changed key after the cache is refreshed
+     */
+    onExternalChange(callback) {
+        this.changeCallbacks.push(callback);
+    }
+
+    /**
+     * Re-read a value from the database, replacing the cached copy.
+     * Used before read-modify-write updates, since another tab may have changed the value.
+     * @param {string} key - Storage key
+     * @returns {Promise<string|null>} Current value
+     */
+    reload(key) {
+        return new Promise((resolve) => {
+            try {
+                const request = this.db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(key);
+                request.onsuccess = () => {
+                    if (request.result === undefined) {
+                        this.cache.delete(key);
+                    } else {
+                        this.cache.set(key, request.result);
+                    }
+                    resolve(this.getItem(key));
+                };
+                request.onerror = () => {
+                    logger.error('Ошибка чтения из IndexedDB', { key: key, error: request.error?.message });
+                    resolve(this.getItem(key));
+                };
+            } catch (error) {
+                logger.error('Ошибка при создании транзакции IndexedDB', { key: key, error: error.message });
+                resolve(this.getItem(key));
+            }
+        });
+    }
+
+    /**
+     * Open (and create if needed) the database
+     * @returns {Promise<IDBDatabase>} Database connection
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+                    request.result.createObjectStore(STORE_NAME);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error || new Error('Не удалось открыть IndexedDB'));
+            request.onblocked = () => reject(new Error('Открытие IndexedDB заблокировано другой вкладкой'));
+        });
+    }
+
+    /**
+     * Load all stored values into the in-memory cache
+     * @returns {Promise<void>}
+     */
+    loadCache() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(STORE_NAME, 'readonly');
+            const request = transaction.objectStore(STORE_NAME).openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    this.cache.set(cursor.key, cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve();
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get stored value
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value or null
+     */
+    getItem(key) {
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+        return this.getLocalStorageItem(key);
+    }
+
+    /**
+     * Store value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     * @returns {Promise<boolean>} Resolves when value is persisted
+     */
+    setItem(key, value) {
+        const stringValue = String(value);
+        this.cache.set(key, stringValue);
+
+        return this.persist(store => store.put(stringValue, key), key).then(success => {
+            // The database copy is now authoritative
+            if (success) {
+                this.removeLocalStorageItem(key);
+                this.announceChange(key);
+            }
+            return success;
+        });
+    }
+
+    /**
+     * Remove stored value
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} Resolves when value is removed
+     */
+    removeItem(key) {
+        this.cache.delete(key);
+        this.removeLocalStorageItem(key);
+        return this.persist(store => store.delete(key), key).then(success => {
+            if (success) {
+                this.announceChange(key);
+            }
+            return success;
+        });
+    }
+
+    /**
+     * Get all stored keys
+     * @returns {Array<string>} Storage keys
+     */
+    keys() {
+        // getItem falls back to localStorage, so leftover keys there are part of the storage too
+        return [...new Set([...this.cache.keys(), ...this.getLocalStorageKeys()])];
+    }
+
+    /**
+     * Wait for pending writes
+     * @returns {Promise<boolean>} Were all writes successful
+     */
+    async flush() {
+        const results = await Promise.all([...this.pendingWrites]);
+        return results.every(Boolean);
+    }
+
+    /**
+     * Run a write operation in its own transaction
+     * @param {Function} operation - Callback receiving the object store
+     * @param {string} key - Storage key (for logging)
+     * @returns {Promise<boolean>} Was the write successful
+     */
+    persist(operation, key) {
+        const write = new Promise((resolve) => {
+            try {
+                const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+                operation(transaction.objectStore(STORE_NAME));
+                transaction.oncomplete = () => resolve(true);
+                transaction.onerror = () => {
+                    logger.error('Ошибка записи в IndexedDB', {
+                        key: key,
+                        error: transaction.error?.message
+                    });
+                    resolve(false);
+                };
+                transaction.onabort = () => {
+                    logger.error('Запись в IndexedDB прервана', {
+                        key: key,
+                        error: transaction.error?.message
+                    });
+                    resolve(false);
+                };
+            } catch (error) {
+                logger.error('Ошибка при создании транзакции IndexedDB', {
+                    key: key,
+                    error: error.message
+                });
+                resolve(false);
+            }
+        });
+
+        this.pendingWrites.add(write);
+        write.finally(() => this.pendingWrites.delete(write));
+        return write;
+    }
+
+    /**
+     * Read a value left in localStorage
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value or null
+     */
+    getLocalStorageItem(key) {
+        try {
+            return localStorage.getItem(key);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Get keys left in localStorage
+     * @returns {Array<string>} Storage keys
+     */
+    getLocalStorageKeys() {
+        try {
+            return Object.keys(localStorage);
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Remove a value left in localStorage
+     * @param {string} key - Storage key
+     */
+    removeLocalStorageItem(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch {
+            // localStorage is unavailable - nothing to clean up
+        }
+    }
+}
+
+/**
+ * Create the best available storage backend.
+ * Uses IndexedDB when possible and falls back to localStorage.
+ * @param {Object} options - Options
+ * @param {boolean} options.preferIndexedDB - Try IndexedDB first (default true)
+ * @returns {Promise<LocalStorageBackend|IndexedDBBackend>} Initialized backend
+ */
+async function createStorageBackend({ preferIndexedDB = true } = {}) {
+    if (preferIndexedDB && IndexedDBBackend.isAvailable()) {
+        const backend = new IndexedDBBackend();
+        try {
+            await backend.init();
+            return backend;
+        } catch (error) {
+            logger.warn('IndexedDB недоступен, используется localStorage', {
+                error: error.message
+            });
+        }
+    }
+
+    const backend = new LocalStorageBackend();
+    await backend.init();
+    return backend;
+}
+
+// Export for use in modules
+export { LocalStorageBackend, IndexedDBBackend, createStorageBackend };
@@ -86,6 +86,32 @@ class Collection {
         this.updateTimestamp();
     }
 
+    /**
+     * Вставка элемента в коллекцию на указанную позицию
+     * @param {BaseModel} item - Элемент для вставки
+     * @param {number} index - Позиция вставки (ограничивается размером коллекции)
+     */
+    insert(item, index) {
+        const targetIndex = Math.max(0, Math.min(index, this.items.length));
+        logger.debug('Вставка элемента в коллекцию', {
+            itemId: item.id,
+            itemType: item.constructor.name,
+            index: targetIndex
+        });
+
+        this.items.splice(targetIndex, 0, item);
+        this.updateTimestamp();
+    }
+
+    /**
+     * Получение индекса элемента по ID
+     * @param {string} id - ID элемента
+     * @returns {number} Индекс или -1
+     */
+    indexOf(id) {
+        return this.items.findIndex(item => item.id === id);
+    }
+
     /**
      * Удаление элемента из коллекции
      * @param {string} id - ID элемента для удаления
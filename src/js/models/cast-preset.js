@@ -0,0 +1,117 @@
+import { logger } from '../logger.js';
+
+import { BaseModel } from './base.js';
+import { Role, Speaker, SoundEffect } from './role.js';
+
+/**
+ * Состав: именованный набор ролей (ведущие, джинглы), который повторяется из выпуска в выпуск
+ * и применяется к новому скрипту. Роли хранятся без ID - при применении создаются новые роли.
+ */
+class CastPreset extends BaseModel {
+    /**
+     * @param {string} name - Название состава
+     * @param {Array<Object>} roles - Роли в формате JSON (см. Role.toJSON)
+     */
+    constructor(name = '', roles = []) {
+        super();
+        this.name = String(name).trim() || 'Состав';
+        this.roles = roles.map(role => CastPreset.normalizeRole(role)).filter(Boolean);
+        logger.debug('Создание состава', { presetId: this.id, name: this.name, roleCount: this.roles.length });
+    }
+
+    /**
+     * Приведение роли к формату состава: имя, тип, группа и параметры типа
+     * @param {Object} role - Роль в формате JSON
+     * @returns {Object|null} Роль состава или null, если роль некорректна
+     */
+    static normalizeRole(role) {
+        if (!role || typeof role !== 'object' || typeof role.name !== 'string' || !role.name.trim()) {
+            return null;
+        }
+        const base = { name: role.name.trim(), type: role.type, group: Role.normalizeGroup(role.group) };
+        if (role.type === 'speaker') {
+            const wordsPerMinute = Number(role.wordsPerMinute);
+            return {
+                ...base,
+                wordsPerMinute: wordsPerMinute > 0 ? wordsPerMinute : 120,
+                color: typeof role.color === 'string' ? role.color : null
+            };
+        }
+        if (role.type === 'sound') {
+            const duration = Number(role.duration);
+            return { ...base, duration: duration >= 0 ? duration : 0 };
+        }
+        return null;
+    }
+
+    /**
+     * Создание состава из ролей скрипта
+     * @param {string} name - Название состава
+     * @param {Array<Role>} roles - Роли в порядке вывода
+     * @returns {CastPreset} Новый состав
+     */
+    static fromRoles(name, roles) {
+        return new CastPreset(name, roles.map(role => role.toJSON()));
+    }
+
+    /**
+     * Создание ролей для скрипта по составу
+     * @returns {Array<Speaker|SoundEffect>} Новые роли (с новыми ID)
+     */
+    createRoles() {
+        return this.roles.map(data => {
+            const role = data.type === 'speaker'
+                ? new Speaker(data.name, data.wordsPerMinute)
+                : new SoundEffect(data.name, data.duration);
+            if (data.type === 'speaker' && data.color) {
+                role.color = data.color;
+            }
+            role.group = data.group;
+            return role;
+        });
+    }
+
+    /**
+     * Преобразование состава в JSON
+     * @returns {Object} JSON представление состава
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            name: this.name,
+            roles: this.roles.map(role => ({ ...role }))
+        };
+    }
+
+    /**
+     * Создание состава из JSON
+     * @param {Object} json - JSON данные
+     * @returns {CastPreset|null} Состав или null, если в нем нет ни одной корректной роли
+     */
+    static fromJSON(json) {
+        if (!json || typeof json !== 'object' || !Array.isArray(json.roles)) {
+            return null;
+        }
+        const preset = new CastPreset(json.name, json.roles);
+        if (preset.roles.length === 0) {
+            return null;
+        }
+        if (typeof json.id === 'string' && json.id) {
+            preset.id = json.id;
+        }
+
+        // Проверка и обработка валидности дат
+        const parseDate = (dateString) => {
+            if (!dateString) return new Date();
+            const date = new Date(dateString);
+            return isNaN(date.getTime()) ? new Date() : date;
+        };
+
+        preset.createdAt = parseDate(json.createdAt);
+        preset.updatedAt = parseDate(json.updatedAt);
+        return preset;
+    }
+}
+
+// Экспорт для использования в модулях
+export { CastPreset };
@@ -0,0 +1,41 @@
+/**
+ * Сравнение расчетной длительности с целевой с учетом допустимого отклонения.
+ * Используется для всего выпуска и для отдельных частей скрипта.
+ */
+class DurationTarget {
+    /**
+     * Оценка длительности относительно цели
+     * @param {number} actual - Расчетная длительность в минутах
+     * @param {number|null} target - Целевая длительность в минутах
+     * @param {number|null} tolerance - Допустимое отклонение в минутах
+     * @returns {Object|null} Результат или null, если цель не задана
+     */
+    static evaluate(actual, target, tolerance = null) {
+        if (!(target > 0)) {
+            return null;
+        }
+
+        const allowance = tolerance > 0 ? tolerance : 0;
+        const difference = actual - target;
+        let status = 'on-target';
+        if (difference > allowance) {
+            status = 'over';
+        } else if (difference < -allowance) {
+            status = 'under';
+        }
+
+        return {
+            actual,
+            target,
+            tolerance: allowance,
+            difference,
+            remaining: Math.max(0, -difference),
+            overrun: Math.max(0, difference),
+            progress: actual / target,
+            status
+        };
+    }
+}
+
+// Экспорт для использования в модулях
+export { DurationTarget };
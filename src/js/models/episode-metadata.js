@@ -0,0 +1,152 @@
+import { logger } from '../logger.js';
+
+/**
+ * Метаданные выпуска: название, шоу, номер, дата выхода, авторы, описание и целевая длительность
+ */
+class EpisodeMetadata {
+    constructor(data = {}) {
+        this.title = typeof data.title === 'string' ? data.title : '';
+        this.showName = typeof data.showName === 'string' ? data.showName : '';
+        this.season = EpisodeMetadata.parseNumber(data.season);
+        this.episode = EpisodeMetadata.parseNumber(data.episode);
+        this.airDate = typeof data.airDate === 'string' ? data.airDate : '';
+        this.authors = Array.isArray(data.authors)
+            ? data.authors.filter(author => typeof author === 'string' && author.trim()).map(author => author.trim())
+            : [];
+        this.description = typeof data.description === 'string' ? data.description : '';
+        // Целевая длительность и допустимое отклонение в минутах
+        this.targetDuration = EpisodeMetadata.parseDuration(data.targetDuration);
+        this.durationTolerance = EpisodeMetadata.parseDuration(data.durationTolerance);
+    }
+
+    /**
+     * Приведение значения к положительному числу
+     * @param {*} value - Исходное значение
+     * @param {boolean} integer - Округлять ли до целого
+     * @returns {number|null} Число или null
+     */
+    static parseNumber(value, integer = true) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+        const number = integer ? parseInt(value, 10) : parseFloat(value);
+        return Number.isFinite(number) && number > 0 ? number : null;
+    }
+
+    /**
+     * Разбор длительности: число минут или строка "25", "25:00", "1:05:00"
+     * @param {*} value - Исходное значение
+     * @returns {number|null} Длительность в минутах или null
+     */
+    static parseDuration(value) {
+        if (typeof value !== 'string' || !value.includes(':')) {
+            return EpisodeMetadata.parseNumber(typeof value === 'string' ? value.replace(',', '.') : value, false);
+        }
+
+        const parts = value.trim().split(':');
+        if (parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) {
+            return null;
+        }
+        const [seconds, minutes = 0, hours = 0] = parts.reverse().map(Number);
+        const total = hours * 60 + minutes + seconds / 60;
+        return total > 0 ? total : null;
+    }
+
+    /**
+     * Форматирование длительности для полей ввода (MM:SS)
+     * @param {number|null} minutes - Длительность в минутах
+     * @returns {string} Строка или пустая строка
+     */
+    static formatDuration(minutes) {
+        if (minutes === null) {
+            return '';
+        }
+        const totalSeconds = Math.round(minutes * 60);
+        return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Обновление полей метаданных
+     * @param {Object} changes - Изменяемые поля
+     */
+    update(changes) {
+        const updated = new EpisodeMetadata({ ...this.toJSON(), ...changes });
+        Object.assign(this, updated);
+        logger.logUserAction('изменение метаданных выпуска', { fields: Object.keys(changes) });
+    }
+
+    /**
+     * Проверка, заполнены ли метаданные
+     * @returns {boolean} Пусты ли метаданные
+     */
+    isEmpty() {
+        return !this.title && !this.showName && this.season === null && this.episode === null &&
+            !this.airDate && this.authors.length === 0 && !this.description &&
+            this.targetDuration === null && this.durationTolerance === null;
+    }
+
+    /**
+     * Номер выпуска в виде "Сезон 2, выпуск 5"
+     * @returns {string} Номер выпуска или пустая строка
+     */
+    getEpisodeLabel() {
+        const parts = [];
+        if (this.season !== null) parts.push(`Сезон ${this.season}`);
+        if (this.episode !== null) parts.push(parts.length ? `выпуск ${this.episode}` : `Выпуск ${this.episode}`);
+        return parts.join(', ');
+    }
+
+    /**
+     * Дата выхода в локальном формате
+     * @returns {string} Дата или пустая строка
+     */
+    getFormattedAirDate() {
+        if (!this.airDate) {
+            return '';
+        }
+        const date = new Date(`${this.airDate}T00:00:00`);
+        return isNaN(date.getTime())
+            ? this.airDate
+            : date.toLocaleDateString('ru-RU', { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    /**
+     * Подзаголовок: шоу, номер выпуска и дата выхода
+     * @returns {string} Подзаголовок или пустая строка
+     */
+    getSubtitle() {
+        return [this.showName, this.getEpisodeLabel(), this.getFormattedAirDate()]
+            .filter(Boolean)
+            .join(' · ');
+    }
+
+    /**
+     * Преобразование метаданных в JSON
+     * @returns {Object} JSON представление метаданных
+     */
+    toJSON() {
+        return {
+            title: this.title,
+            showName: this.showName,
+            season: this.season,
+            episode: this.episode,
+            airDate: this.airDate,
+            authors: [...this.authors],
+            description: this.description,
+            targetDuration: this.targetDuration,
+            durationTolerance: this.durationTolerance
+        };
+    }
+
+    /**
+     * Создание метаданных из JSON
+     * @param {Object} json - JSON данные (могут отсутствовать в старых файлах)
+     * @returns {EpisodeMetadata} Новый экземпляр метаданных
+     */
+    static fromJSON(json) {
+        return new EpisodeMetadata(json && typeof json === 'object' ? json : {});
+    }
+}
+
+// Экспорт для использования в модулях
+export { EpisodeMetadata };
@@ -1,16 +1,27 @@
 import { logger } from '../logger.js';
+import { textMetrics } from '../utils/text-metrics.js';
 
 import { BaseModel, Collection } from './base.js';
+import { DurationTarget } from './duration-target.js';
 import { Speaker, SoundEffect } from './role.js';
 
+// Множитель темпа: 1 - обычная скорость спикера, меньше - медленнее, больше - быстрее
+const DEFAULT_PACE = 1;
+const MIN_PACE = 0.5;
+const MAX_PACE = 2;
+// Допустимое отклонение от цели раздела - доля его целевой длительности
+const SEGMENT_TARGET_TOLERANCE = 0.1;
+
 /**
  * Класс для реплики
  */
 class Replica extends BaseModel {
-    constructor(text = '', roleId = null) {
+    constructor(text = '', roleId = null, pace = DEFAULT_PACE) {
         super();
         this.text = text;
         this.roleId = roleId;
+        this.pace = Replica.normalizePace(pace);
+        this.segmentId = null; // Раздел скрипта (см. Segment), null - вне разделов
         this.updateWordCount();
         logger.logReplicaAction('создание', this.id, { 
             textLength: text.length,
@@ -19,24 +30,66 @@ class Replica extends BaseModel {
     }
 
     /**
-     * Обновление количества слов
+     * Обновление количества произносимых слов и длительности пауз (см. TextMetrics.analyze)
      * @param {boolean} suppressLog - Подавлять ли логирование (для массовой обработки)
      */
     updateWordCount(suppressLog = false) {
-        if (this.text.trim()) {
-            this.wordCount = this.text.trim().split(/\s+/).length;
-        } else {
-            this.wordCount = 0;
-        }
+        const { wordCount, pauseDuration } = textMetrics.analyze(this.text);
+        this.wordCount = wordCount;
+        this.pauseDuration = pauseDuration;
         this.updateTimestamp();
         if (!suppressLog) {
             logger.logCalculation('обновление количества слов реплики', this.wordCount, {
                 replicaId: this.id,
-                textLength: this.text.length
+                textLength: this.text.length,
+                pauseDuration
             });
         }
     }
 
+    /**
+     * Установка множителя темпа реплики
+     * @param {number} pace - Множитель темпа (1 - обычная скорость спикера)
+     */
+    setPace(pace) {
+        const oldPace = this.pace;
+        this.pace = Replica.normalizePace(pace);
+        this.updateTimestamp();
+        logger.logReplicaAction('изменение темпа', this.id, {
+            oldPace,
+            newPace: this.pace
+        });
+    }
+
+    /**
+     * Перенос реплики в раздел
+     * @param {string|null} segmentId - ID раздела или null
+     */
+    setSegment(segmentId) {
+        const oldSegmentId = this.segmentId;
+        this.segmentId = segmentId || null;
+        this.updateTimestamp();
+        logger.logReplicaAction('перенос в раздел', this.id, {
+            oldSegmentId,
+            newSegmentId: this.segmentId
+        });
+    }
+
+    /**
+     * Расчет длительности реплики с учетом темпа и пауз
+     * @param {Role|null} role - Роль реплики
+     * @returns {number} Длительность в минутах
+     */
+    calculateDuration(role) {
+        if (role instanceof Speaker) {
+            return role.calculateTime(this.wordCount, true) / this.pace + this.pauseDuration / 60;
+        }
+        if (role instanceof SoundEffect) {
+            return role.duration / 60;
+        }
+        return 0;
+    }
+
     /**
      * Установка текста реплики
      * @param {string} text - Текст реплики
@@ -79,7 +132,10 @@ class Replica extends BaseModel {
             ...super.toJSON(),
             text: this.text,
             roleId: this.roleId,
-            wordCount: this.wordCount
+            wordCount: this.wordCount,
+            pace: this.pace,
+            pauseDuration: this.pauseDuration,
+            segmentId: this.segmentId
         };
     }
 
@@ -89,8 +145,9 @@ class Replica extends BaseModel {
      * @returns {Replica} Новый экземпляр реплики
      */
     static fromJSON(json, suppressLog = false) {
-        const replica = new Replica(json.text, json.roleId);
+        const replica = new Replica(json.text, json.roleId, json.pace);
         replica.id = json.id;
+        replica.segmentId = json.segmentId || null;
         
         // Проверка и обработка валидности дат
         const parseDate = (dateString) => {
@@ -108,6 +165,19 @@ class Replica extends BaseModel {
         }
         return replica;
     }
+
+    /**
+     * Приведение множителя темпа к допустимому диапазону
+     * @param {number} pace - Множитель темпа
+     * @returns {number} Множитель от MIN_PACE до MAX_PACE (по умолчанию 1)
+     */
+    static normalizePace(pace) {
+        const value = Number(pace);
+        if (!Number.isFinite(value) || value <= 0) {
+            return DEFAULT_PACE;
+        }
+        return Math.max(MIN_PACE, Math.min(MAX_PACE, value));
+    }
 }
 
 /**
@@ -185,6 +255,18 @@ class ReplicaManager extends Collection {
         return this.items.filter(replica => replica.roleId === roleId);
     }
 
+    /**
+     * Передача всех реплик одной роли другой роли
+     * @param {string} fromRoleId - ID прежней роли
+     * @param {string|null} toRoleId - ID новой роли
+     * @returns {Array<Replica>} Реплики, у которых изменилась роль
+     */
+    reassignRole(fromRoleId, toRoleId) {
+        const replicas = this.getByRole(fromRoleId);
+        replicas.forEach(replica => replica.setRole(toRoleId));
+        return replicas;
+    }
+
     /**
      * Получение реплик спикеров (учитываются в подсчете слов)
      * @param {RoleManager} roleManager - Менеджер ролей
@@ -230,11 +312,8 @@ class ReplicaManager extends Collection {
             });
             
             speakerReplicas.forEach(replica => {
-                const role = roleManager.findById(replica.roleId);
-                if (role instanceof Speaker) {
-                    const duration = role.calculateTime(replica.wordCount, true); // Подавляем индивидуальные логи
-                    totalDuration += duration;
-                }
+                // Учитываются темп реплики и маркеры пауз
+                totalDuration += replica.calculateDuration(roleManager.findById(replica.roleId));
             });
             
             logger.debug('Завершение расчета длительности для реплик спикеров', {
@@ -256,11 +335,7 @@ class ReplicaManager extends Collection {
             });
             
             soundReplicas.forEach(replica => {
-                const role = roleManager.findById(replica.roleId);
-                if (role instanceof SoundEffect) {
-                    const durationInMinutes = role.duration / 60;
-                    totalDuration += durationInMinutes;
-                }
+                totalDuration += replica.calculateDuration(roleManager.findById(replica.roleId));
             });
             
             logger.debug('Завершение расчета длительности для звуковых эффектов', {
@@ -277,6 +352,175 @@ class ReplicaManager extends Collection {
         return totalDuration;
     }
 
+    /**
+     * Расчет таймкодов реплик: начало и конец каждой реплики от начала записи
+     * @param {RoleManager} roleManager - Менеджер ролей
+     * @returns {Map<string, Object>} ID реплики -> { start, end } в минутах
+     */
+    getTimeline(roleManager) {
+        const timeline = new Map();
+        let position = 0;
+        this.items.forEach(replica => {
+            const role = roleManager.findById(replica.roleId);
+            const start = position;
+            position += replica.calculateDuration(role);
+            timeline.set(replica.id, { start, end: position });
+        });
+        return timeline;
+    }
+
+    /**
+     * Статистика по ролям: слова, время, число реплик, доля эфира и самый длинный монолог спикеров,
+     * количество и длительность звуковых эффектов
+     * @param {RoleManager} roleManager - Менеджер ролей
+     * @returns {Object} Статистика { speakers, soundEffects, speechDuration, soundDuration }
+     */
+    getRoleBreakdown(roleManager) {
+        // Порядок и группы ролей задаются в сайдбаре (см. RoleManager.getOrdered)
+        const roles = roleManager.getOrdered();
+        const speakers = new Map(roles.filter(role => role instanceof Speaker).map(speaker => [speaker.id, {
+            roleId: speaker.id,
+            name: speaker.name,
+            color: speaker.color,
+            group: speaker.group,
+            words: 0,
+            duration: 0, // В минутах
+            replicaCount: 0,
+            share: 0, // Процент от времени речи всех спикеров
+            longestMonologue: { words: 0, duration: 0, replicaCount: 0, replicaId: null }
+        }]));
+        const soundEffects = new Map(roles.filter(role => role instanceof SoundEffect).map(sound => [sound.id, {
+            roleId: sound.id,
+            name: sound.name,
+            group: sound.group,
+            count: 0,
+            duration: 0 // В секундах
+        }]));
+
+        // Монолог - подряд идущие реплики одного спикера, прерываются любой другой репликой
+        let monologue = null;
+        this.items.forEach(replica => {
+            const role = roleManager.findById(replica.roleId);
+            if (!(role instanceof Speaker)) {
+                monologue = null;
+                if (role instanceof SoundEffect) {
+                    const sound = soundEffects.get(role.id);
+                    sound.count++;
+                    sound.duration += role.duration;
+                }
+                return;
+            }
+
+            const stats = speakers.get(role.id);
+            const duration = replica.calculateDuration(role);
+            stats.words += replica.wordCount;
+            stats.duration += duration;
+            stats.replicaCount++;
+
+            if (!monologue || monologue.roleId !== role.id) {
+                monologue = { roleId: role.id, words: 0, duration: 0, replicaCount: 0, replicaId: replica.id };
+            }
+            monologue.words += replica.wordCount;
+            monologue.duration += duration;
+            monologue.replicaCount++;
+            if (monologue.duration > stats.longestMonologue.duration) {
+                const { words, replicaCount, replicaId } = monologue;
+                stats.longestMonologue = { words, duration: monologue.duration, replicaCount, replicaId };
+            }
+        });
+
+        const speechDuration = [...speakers.values()].reduce((sum, stats) => sum + stats.duration, 0);
+        speakers.forEach(stats => {
+            stats.share = speechDuration > 0 ? stats.duration / speechDuration * 100 : 0;
+        });
+        const soundDuration = [...soundEffects.values()].reduce((sum, sound) => sum + sound.duration, 0);
+
+        logger.logCalculation('статистика по ролям', speechDuration, {
+            speakerCount: speakers.size,
+            soundEffectCount: soundEffects.size,
+            soundDuration
+        });
+
+        return {
+            speakers: [...speakers.values()],
+            soundEffects: [...soundEffects.values()],
+            speechDuration,
+            soundDuration
+        };
+    }
+
+    /**
+     * Группировка реплик по разделам в порядке разделов.
+     * Реплики вне разделов (или ссылающиеся на удаленный раздел) образуют первую группу с segment = null,
+     * она возвращается только если в ней есть реплики.
+     * @param {SegmentManager} segmentManager - Менеджер разделов
+     * @returns {Array<Object>} Группы { segment, replicas }
+     */
+    getSegmentGroups(segmentManager) {
+        const groups = new Map(segmentManager.getAll().map(segment => [segment.id, { segment, replicas: [] }]));
+        const unsegmented = { segment: null, replicas: [] };
+        this.items.forEach(replica => {
+            (groups.get(replica.segmentId) || unsegmented).replicas.push(replica);
+        });
+        return unsegmented.replicas.length > 0 ? [unsegmented, ...groups.values()] : [...groups.values()];
+    }
+
+    /**
+     * Упорядочивание реплик по разделам: реплики каждого раздела идут подряд,
+     * порядок внутри раздела сохраняется
+     * @param {SegmentManager} segmentManager - Менеджер разделов
+     */
+    sortBySegments(segmentManager) {
+        this.items = this.getSegmentGroups(segmentManager).flatMap(group => group.replicas);
+        this.updateTimestamp();
+    }
+
+    /**
+     * Восстановление порядка реплик по списку ID (реплики не из списка остаются в конце)
+     * @param {Array<string>} ids - ID реплик в нужном порядке
+     */
+    reorder(ids) {
+        const positions = new Map(ids.map((id, index) => [id, index]));
+        this.items = [...this.items].sort((first, second) =>
+            (positions.get(first.id) ?? ids.length) - (positions.get(second.id) ?? ids.length));
+        this.updateTimestamp();
+    }
+
+    /**
+     * Промежуточные итоги по разделам: начало, длительность и число слов
+     * @param {RoleManager} roleManager - Менеджер ролей
+     * @param {SegmentManager} segmentManager - Менеджер разделов
+     * @returns {Array<Object>} Итоги { segmentId, title, kind, targetDuration, replicaCount, words, start, duration, target },
+     *   где target - оценка DurationTarget или null, если цель раздела не задана
+     */
+    getSegmentBreakdown(roleManager, segmentManager) {
+        const timeline = this.getTimeline(roleManager);
+        let position = 0;
+        return this.getSegmentGroups(segmentManager).map(({ segment, replicas }) => {
+            const start = replicas.length > 0 ? timeline.get(replicas[0].id).start : position;
+            const duration = replicas.reduce((sum, replica) => {
+                const timecode = timeline.get(replica.id);
+                return sum + timecode.end - timecode.start;
+            }, 0);
+            const words = replicas.reduce((sum, replica) =>
+                roleManager.findById(replica.roleId) instanceof Speaker ? sum + replica.wordCount : sum, 0);
+            position = start + duration;
+            return {
+                segmentId: segment ? segment.id : null,
+                title: segment ? segment.title : null,
+                kind: segment ? segment.kind : null,
+                targetDuration: segment ? segment.targetDuration : null,
+                replicaCount: replicas.length,
+                words,
+                start,
+                duration,
+                target: segment
+                    ? DurationTarget.evaluate(duration, segment.targetDuration, segment.targetDuration * SEGMENT_TARGET_TOLERANCE)
+                    : null
+            };
+        });
+    }
+
     /**
      * Создание менеджера реплик из JSON
      * @param {Array} json - JSON массив данных
@@ -2,6 +2,16 @@ import { logger } from '../logger.js';
 
 import { BaseModel, Collection } from './base.js';
 
+/**
+ * Группы ролей в порядке вывода в сайдбаре, списке ролей и статистике
+ */
+const ROLE_GROUPS = {
+    hosts: 'Ведущие',
+    guests: 'Гости',
+    music: 'Музыка',
+    sfx: 'Звуковые эффекты'
+};
+
 /**
  * Базовый класс для роли
  */
@@ -10,9 +20,51 @@ class Role extends BaseModel {
         super();
         this.name = name;
         this.type = type; // 'speaker' или 'sound'
+        this.group = null; // Ключ ROLE_GROUPS, null - без группы
         logger.logRoleAction('создание', name, { roleId: this.id, type });
     }
 
+    /**
+     * Переименование роли
+     * @param {string} name - Новое имя
+     */
+    setName(name) {
+        const oldName = this.name;
+        this.name = String(name).trim();
+        this.updateTimestamp();
+        logger.logRoleAction('переименование', this.name, { roleId: this.id, oldName });
+    }
+
+    /**
+     * Перенос роли в группу
+     * @param {string|null} group - Ключ ROLE_GROUPS или null
+     */
+    setGroup(group) {
+        this.group = Role.normalizeGroup(group);
+        this.updateTimestamp();
+        logger.logRoleAction('смена группы', this.name, { roleId: this.id, group: this.group });
+    }
+
+    /**
+     * Создание роли другого типа (спикер <-> звуковой эффект) с теми же ID, именем, датой создания,
+     * группой и цветом, чтобы реплики продолжали ссылаться на нее
+     * @param {Object} options - { wordsPerMinute } для нового спикера или { duration } для звукового эффекта
+     * @returns {Speaker|SoundEffect} Новая роль
+     */
+    convert(options = {}) {
+        const role = this.type === 'speaker'
+            ? new SoundEffect(this.name, options.duration)
+            : new Speaker(this.name, options.wordsPerMinute);
+        role.id = this.id;
+        role.createdAt = this.createdAt;
+        role.group = this.group;
+        if (this.color) {
+            role.color = this.color;
+        }
+        logger.logRoleAction('смена типа', this.name, { roleId: this.id, oldType: this.type, newType: role.type });
+        return role;
+    }
+
     /**
      * Преобразование роли в JSON
      * @returns {Object} JSON представление роли
@@ -21,7 +73,8 @@ class Role extends BaseModel {
         return {
             ...super.toJSON(),
             name: this.name,
-            type: this.type
+            type: this.type,
+            group: this.group
         };
     }
 
@@ -43,8 +96,18 @@ class Role extends BaseModel {
         
         role.createdAt = parseDate(json.createdAt);
         role.updatedAt = parseDate(json.updatedAt);
+        role.group = Role.normalizeGroup(json.group);
         return role;
     }
+
+    /**
+     * Проверка ключа группы
+     * @param {string|null} group - Ключ группы
+     * @returns {string|null} Ключ ROLE_GROUPS или null для неизвестной группы
+     */
+    static normalizeGroup(group) {
+        return group && Object.hasOwn(ROLE_GROUPS, group) ? group : null;
+    }
 }
 
 /**
@@ -127,6 +190,7 @@ class Speaker extends Role {
         speaker.createdAt = parseDate(json.createdAt);
         speaker.updatedAt = parseDate(json.updatedAt);
         speaker.color = json.color; // Восстанавливаем цвет спикера
+        speaker.group = Role.normalizeGroup(json.group);
         return speaker;
     }
 }
@@ -190,6 +254,7 @@ class SoundEffect extends Role {
         
         soundEffect.createdAt = parseDate(json.createdAt);
         soundEffect.updatedAt = parseDate(json.updatedAt);
+        soundEffect.group = Role.normalizeGroup(json.group);
         return soundEffect;
     }
 }
@@ -251,6 +316,37 @@ class RoleManager extends Collection {
         return this.items.filter(role => role instanceof SoundEffect);
     }
 
+    /**
+     * Используются ли группы хотя бы у одной роли
+     * @returns {boolean} Есть ли роли в группах
+     */
+    hasGroups() {
+        return this.items.some(role => role.group !== null);
+    }
+
+    /**
+     * Роли по группам в порядке ROLE_GROUPS, роли без группы - в конце.
+     * Внутри группы сохраняется порядок ролей в коллекции.
+     * @param {boolean} includeEmpty - Включать ли группы без ролей
+     * @returns {Array<Object>} Группы { group, title, roles } (для ролей без группы group = null)
+     */
+    getGroups(includeEmpty = false) {
+        const groups = [...Object.keys(ROLE_GROUPS), null].map(group => ({
+            group,
+            title: group ? ROLE_GROUPS[group] : 'Без группы',
+            roles: this.items.filter(role => role.group === group)
+        }));
+        return includeEmpty ? groups : groups.filter(item => item.roles.length > 0);
+    }
+
+    /**
+     * Все роли в порядке вывода: по группам, затем по порядку в коллекции
+     * @returns {Array<Role>} Роли
+     */
+    getOrdered() {
+        return this.getGroups().flatMap(item => item.roles);
+    }
+
     /**
      * Создание менеджера ролей из JSON
      * @param {Array} json - JSON массив данных
@@ -296,4 +392,4 @@ class RoleManager extends Collection {
 
 
 // Экспорт для использования в модулях
-export { Role, Speaker, SoundEffect, RoleManager };
+export { Role, Speaker, SoundEffect, RoleManager, ROLE_GROUPS };
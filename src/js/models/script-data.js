@@ -1,6 +1,11 @@
+import { ScriptSchema } from '../core/script-schema.js';
 import { logger } from '../logger.js';
 
 import { BaseModel } from './base.js';
+import { EpisodeMetadata } from './episode-metadata.js';
+import { ReplicaManager } from './replica.js';
+import { RoleManager } from './role.js';
+import { SegmentManager } from './segment.js';
 
 /**
  * Модель данных скрипта для режима просмотра
@@ -10,64 +15,25 @@ class ScriptData extends BaseModel {
         super();
         this.roles = data.roles || [];
         this.replicas = data.replicas || [];
+        this.segments = data.segments || [];
+        this.metadata = EpisodeMetadata.fromJSON(data.metadata);
         this.version = data.version || '1.0';
         this.exportDate = data.exportDate || new Date().toISOString();
         this.statistics = this.calculateStatistics();
     }
 
     /**
-     * Валидация данных скрипта
+     * Валидация данных скрипта (по схеме формата, см. ScriptSchema)
      * @returns {boolean} Валидны ли данные
      */
     validate() {
-        if (!this.roles || !Array.isArray(this.roles)) {
-            logger.error('Данные ролей не являются массивом', { roles: this.roles, rolesType: typeof this.roles });
-            return false;
+        const { valid, errors } = ScriptSchema.validate(this);
+        if (!valid) {
+            logger.error('Данные скрипта не прошли проверку', {
+                errors: ScriptSchema.formatErrors(errors).slice(0, 10)
+            });
         }
-        if (!this.replicas || !Array.isArray(this.replicas)) {
-            logger.error('Данные реплик не являются массивом', { replicas: this.replicas, replicasType: typeof this.replicas });
-            return false;
-        }
-        
-        // Проверка структуры ролей
-        for (let i = 0; i < this.roles.length; i++) {
-            const role = this.roles[i];
-            if (!role.id) {
-                logger.error('Роль не имеет ID', { roleIndex: i, role: role });
-                return false;
-            }
-            if (!role.name) {
-                logger.error('Роль не имеет имени', { roleIndex: i, role: role });
-                return false;
-            }
-            if (!role.type) {
-                logger.error('Роль не имеет типа', { roleIndex: i, role: role });
-                return false;
-            }
-            if (!['speaker', 'sound'].includes(role.type)) {
-                logger.error('Роль имеет недопустимый тип', { roleIndex: i, role: role, type: role.type });
-                return false;
-            }
-        }
-
-        // Проверка структуры реплик
-        for (let i = 0; i < this.replicas.length; i++) {
-            const replica = this.replicas[i];
-            if (!replica.id) {
-                logger.error('Реплика не имеет ID', { replicaIndex: i, replica: replica });
-                return false;
-            }
-            if (typeof replica.text !== 'string') {
-                logger.error('Реплика имеет недопустимый тип текста', { replicaIndex: i, replica: replica, textType: typeof replica.text });
-                return false;
-            }
-            if (replica.roleId !== null && typeof replica.roleId !== 'string') {
-                logger.error('Реплика имеет недопустимый тип roleId', { replicaIndex: i, replica: replica, roleId: replica.roleId, roleIdType: typeof replica.roleId });
-                return false;
-            }
-        }
-
-        return true;
+        return valid;
     }
 
     /**
@@ -75,32 +41,13 @@ class ScriptData extends BaseModel {
      * @returns {Object} Объект статистики
      */
     calculateStatistics() {
-        let totalWords = 0;
-        let totalDuration = 0;
         const roleCount = this.roles.length;
         const replicaCount = this.replicas.length;
 
-        // Подсчет слов для спикеров
-        const speakerReplicas = this.replicas.filter(replica => {
-            const role = this.roles.find(r => r.id === replica.roleId);
-            return role && role.type === 'speaker';
-        });
-
-        totalWords = speakerReplicas.reduce((sum, replica) => sum + (replica.wordCount || 0), 0);
-
-        // Расчет длительности
-        this.replicas.forEach(replica => {
-            const role = this.roles.find(r => r.id === replica.roleId);
-            if (role) {
-                if (role.type === 'speaker' && role.wordsPerMinute) {
-                    const duration = (replica.wordCount || 0) / role.wordsPerMinute;
-                    totalDuration += duration;
-                } else if (role.type === 'sound' && role.duration) {
-                    const durationInMinutes = role.duration / 60;
-                    totalDuration += durationInMinutes;
-                }
-            }
-        });
+        // Слова и длительность считаются так же, как в редакторе: с учетом темпа реплик и маркеров пауз
+        const { roleManager, replicaManager } = this.createManagers();
+        const totalWords = replicaManager.getTotalWordCount(roleManager);
+        const totalDuration = replicaManager.calculateTotalDuration(roleManager);
 
         const totalDurationFormatted = this.formatDuration(totalDuration);
 
@@ -108,7 +55,50 @@ class ScriptData extends BaseModel {
             totalWords,
             totalDurationFormatted,
             roleCount,
-            replicaCount
+            replicaCount,
+            roleBreakdown: replicaManager.getRoleBreakdown(roleManager),
+            segments: replicaManager.getSegmentBreakdown(roleManager, this.createSegmentManager())
+        };
+    }
+
+    /**
+     * Расчет таймкодов реплик (см. ReplicaManager.getTimeline)
+     * @returns {Map<string, Object>} ID реплики -> { start, end } в минутах
+     */
+    getTimeline() {
+        const { roleManager, replicaManager } = this.createManagers();
+        return replicaManager.getTimeline(roleManager);
+    }
+
+    /**
+     * Группы реплик с информацией о роли по разделам (см. ReplicaManager.getSegmentGroups)
+     * @returns {Array<Object>} Группы { segment, replicas }, segment - JSON раздела или null
+     */
+    getSegmentGroups() {
+        const replicas = new Map(this.getReplicasWithRoleInfo().map(replica => [replica.id, replica]));
+        const { replicaManager } = this.createManagers();
+        return replicaManager.getSegmentGroups(this.createSegmentManager()).map(group => ({
+            segment: group.segment ? group.segment.toJSON() : null,
+            replicas: group.replicas.map(replica => replicas.get(replica.id))
+        }));
+    }
+
+    /**
+     * Создание менеджера разделов
+     * @returns {SegmentManager} Менеджер разделов
+     */
+    createSegmentManager() {
+        return SegmentManager.fromJSON(this.segments);
+    }
+
+    /**
+     * Создание менеджеров ролей и реплик для расчетов, общих с редактором
+     * @returns {Object} { roleManager, replicaManager }
+     */
+    createManagers() {
+        return {
+            roleManager: RoleManager.fromJSON(this.roles),
+            replicaManager: ReplicaManager.fromJSON(this.replicas)
         };
     }
 
@@ -142,6 +132,8 @@ class ScriptData extends BaseModel {
             ...super.toJSON(),
             roles: this.roles,
             replicas: this.replicas,
+            segments: this.segments,
+            metadata: this.metadata.toJSON(),
             version: this.version,
             exportDate: this.exportDate,
             statistics: this.statistics
@@ -0,0 +1,98 @@
+import { logger } from '../logger.js';
+
+import { BaseModel, Collection } from './base.js';
+
+/**
+ * Виды разделов и их названия по умолчанию
+ */
+const SEGMENT_KINDS = {
+    intro: 'Вступление',
+    interview: 'Интервью',
+    ad: 'Рекламная пауза',
+    outro: 'Завершение',
+    custom: 'Раздел'
+};
+
+/**
+ * Класс для раздела (главы) скрипта: группа подряд идущих реплик
+ */
+class Segment extends BaseModel {
+    constructor(title = '', kind = 'custom', targetDuration = null) {
+        super();
+        this.kind = Object.hasOwn(SEGMENT_KINDS, kind) ? kind : 'custom';
+        this.title = String(title).trim() || SEGMENT_KINDS[this.kind];
+        this.targetDuration = targetDuration > 0 ? targetDuration : null; // В минутах
+        logger.debug('Создание раздела', { segmentId: this.id, title: this.title, kind: this.kind });
+    }
+
+    /**
+     * Обновление параметров раздела
+     * @param {Object} changes - Изменяемые поля { title, kind, targetDuration }
+     */
+    update(changes) {
+        if (changes.kind !== undefined && Object.hasOwn(SEGMENT_KINDS, changes.kind)) {
+            this.kind = changes.kind;
+        }
+        if (changes.title !== undefined) {
+            this.title = String(changes.title).trim() || SEGMENT_KINDS[this.kind];
+        }
+        if (changes.targetDuration !== undefined) {
+            this.targetDuration = changes.targetDuration > 0 ? changes.targetDuration : null;
+        }
+        this.updateTimestamp();
+        logger.debug('Изменение раздела', { segmentId: this.id, ...changes });
+    }
+
+    /**
+     * Преобразование раздела в JSON
+     * @returns {Object} JSON представление раздела
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            title: this.title,
+            kind: this.kind,
+            targetDuration: this.targetDuration
+        };
+    }
+
+    /**
+     * Создание раздела из JSON
+     * @param {Object} json - JSON данные
+     * @returns {Segment} Новый экземпляр раздела
+     */
+    static fromJSON(json) {
+        const segment = new Segment(json.title || '', json.kind, json.targetDuration);
+        segment.id = json.id;
+
+        // Проверка и обработка валидности дат
+        const parseDate = (dateString) => {
+            if (!dateString) return new Date();
+            const date = new Date(dateString);
+            return isNaN(date.getTime()) ? new Date() : date;
+        };
+
+        segment.createdAt = parseDate(json.createdAt);
+        segment.updatedAt = parseDate(json.updatedAt);
+        return segment;
+    }
+}
+
+/**
+ * Менеджер разделов
+ */
+class SegmentManager extends Collection {
+    /**
+     * Создание менеджера разделов из JSON
+     * @param {Array} json - JSON массив данных
+     * @returns {SegmentManager} Новый экземпляр менеджера разделов
+     */
+    static fromJSON(json = []) {
+        const manager = new SegmentManager();
+        json.forEach(segmentData => manager.add(Segment.fromJSON(segmentData)));
+        return manager;
+    }
+}
+
+// Экспорт для использования в модулях
+export { Segment, SegmentManager, SEGMENT_KINDS };
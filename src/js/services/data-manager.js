@@ -1,8 +1,12 @@
+import { SCRIPT_FORMAT_VERSION } from '../core/script-schema.js';
 import { logger } from '../logger.js';
+import { DurationTarget } from '../models/duration-target.js';
+import { EpisodeMetadata } from '../models/episode-metadata.js';
 import { ReplicaManager, Replica  } from '../models/replica.js';
 import { RoleManager, Speaker, SoundEffect, Role  } from '../models/role.js';
+import { SegmentManager, Segment } from '../models/segment.js';
 
-
+import { HistoryManager } from './history-manager.js';
 
 /**
  * Менеджер данных приложения
@@ -11,6 +15,9 @@ class DataManager {
     constructor() {
         this.roleManager = new RoleManager();
         this.replicaManager = new ReplicaManager();
+        this.segmentManager = new SegmentManager();
+        this.metadata = new EpisodeMetadata();
+        this.history = new HistoryManager();
         this.updateCallbacks = [];
         
         logger.info('Менеджер данных инициализирован');
@@ -44,7 +51,11 @@ class DataManager {
      * @param {Role} role - Роль для добавления
      */
     addRole(role) {
-        this.roleManager.add(role);
+        this.history.execute({
+            label: `Добавление роли "${role.name}"`,
+            execute: () => this.roleManager.add(role),
+            undo: () => this.roleManager.remove(role.id)
+        });
         this.updateStatistics();
         logger.logRoleAction('добавление через менеджер данных', role.name, {
             roleId: role.id,
@@ -53,43 +64,333 @@ class DataManager {
     }
 
     /**
-     * Удаление роли
+     * Применение состава: роли состава добавляются одним действием. Роли, которые уже есть
+     * в скрипте (то же имя без учета регистра и тот же тип), пропускаются.
+     * @param {CastPreset} preset - Состав
+     * @returns {Array<Role>} Добавленные роли
+     */
+    applyCastPreset(preset) {
+        const normalizeName = (name) => name.trim().toLowerCase();
+        const existing = this.roleManager.getAll();
+        const roles = preset.createRoles().filter(role => !existing.some(item =>
+            item.type === role.type && normalizeName(item.name) === normalizeName(role.name)));
+        if (roles.length === 0) {
+            return roles;
+        }
+
+        this.history.execute({
+            label: `Применение состава "${preset.name}"`,
+            execute: () => roles.forEach(role => this.roleManager.add(role)),
+            undo: () => roles.forEach(role => this.roleManager.remove(role.id))
+        });
+        this.updateStatistics();
+        logger.logUserAction('применение состава', {
+            presetId: preset.id,
+            presetName: preset.name,
+            addedCount: roles.length,
+            skippedCount: preset.roles.length - roles.length
+        });
+        return roles;
+    }
+
+    /**
+     * Удаление роли. Реплики роли удаляются вместе с ней, передаются другой роли
+     * или остаются без роли - в зависимости от options.replicas.
      * @param {string} roleId - ID роли для удаления
+     * @param {Object} options - Что делать с репликами роли
+     * @param {string} options.replicas - 'delete' (по умолчанию), 'reassign' или 'unassign'
+     * @param {string} options.targetRoleId - Роль, которой передаются реплики при 'reassign'
      * @returns {boolean} Успешно ли удалено
      */
-    removeRole(roleId) {
+    removeRole(roleId, options = {}) {
         const role = this.roleManager.findById(roleId);
-        if (role) {
-            // Удаление всех реплик, связанных с этой ролью
-            const replicasToDelete = this.replicaManager.getAll()
-                .filter(replica => replica.roleId === roleId);
-            
-            replicasToDelete.forEach(replica => {
-                this.replicaManager.remove(replica.id);
-                logger.logReplicaAction('авто-удаление при удалении роли', replica.id, {
-                    roleId: roleId,
-                    roleName: role.name
-                });
-            });
+        const mode = options.replicas || 'delete';
+        if (!role || !['delete', 'reassign', 'unassign'].includes(mode)) {
+            return false;
+        }
+        const targetRoleId = mode === 'reassign' ? options.targetRoleId : null;
+        if (mode === 'reassign' && (targetRoleId === roleId || !this.roleManager.findById(targetRoleId))) {
+            logger.warn('Роль для передачи реплик не найдена', { roleId, targetRoleId });
+            return false;
+        }
 
-            const result = this.roleManager.remove(roleId);
-            if (result) {
-                this.updateStatistics();
-                logger.logRoleAction('удаление через менеджер данных', role.name, {
-                    roleId: roleId
+        // Запоминаем позиции роли и связанных реплик для восстановления
+        const roleIndex = this.roleManager.indexOf(roleId);
+        const relatedReplicas = this.replicaManager.getAll()
+            .map((replica, index) => ({ replica, index }))
+            .filter(entry => entry.replica.roleId === roleId);
+
+        this.history.execute({
+            label: `Удаление роли "${role.name}"`,
+            execute: () => {
+                relatedReplicas.forEach(({ replica }) => {
+                    if (mode === 'delete') {
+                        this.replicaManager.remove(replica.id);
+                    } else {
+                        replica.setRole(targetRoleId);
+                    }
                 });
+                this.roleManager.remove(roleId);
+            },
+            undo: () => {
+                this.roleManager.insert(role, roleIndex);
+                // Вставка по возрастанию индексов восстанавливает исходный порядок
+                relatedReplicas.forEach(({ replica, index }) => {
+                    if (mode === 'delete') {
+                        this.replicaManager.insert(replica, index);
+                    } else {
+                        replica.setRole(roleId);
+                    }
+                });
+            }
+        });
+
+        this.updateStatistics();
+        logger.logRoleAction('удаление через менеджер данных', role.name, {
+            roleId: roleId,
+            replicaCount: relatedReplicas.length,
+            replicas: mode,
+            targetRoleId
+        });
+        return true;
+    }
+
+    /**
+     * Количество реплик без роли (например, оставшихся после удаления роли)
+     * @returns {number} Количество реплик
+     */
+    getUnassignedReplicaCount() {
+        return this.replicaManager.getAll().filter(replica => !this.roleManager.findById(replica.roleId)).length;
+    }
+
+    /**
+     * Перемещение роли
+     * @param {string} roleId - ID роли
+     * @param {number} newIndex - Новый индекс
+     * @param {string|null} group - Новая группа роли (по умолчанию группа не меняется)
+     * @returns {boolean} Успешно ли перемещено
+     */
+    moveRole(roleId, newIndex, group = undefined) {
+        const role = this.roleManager.findById(roleId);
+        const oldIndex = this.roleManager.indexOf(roleId);
+        if (!role || newIndex < 0 || newIndex >= this.roleManager.size()) {
+            return false;
+        }
+        const oldGroup = role.group;
+        const newGroup = group === undefined ? oldGroup : Role.normalizeGroup(group);
+        if (oldIndex === newIndex && oldGroup === newGroup) {
+            return false;
+        }
+
+        this.history.execute({
+            label: `Перемещение роли "${role.name}"`,
+            execute: () => {
+                this.roleManager.move(roleId, newIndex);
+                if (newGroup !== oldGroup) {
+                    role.setGroup(newGroup);
+                }
+            },
+            undo: () => {
+                if (newGroup !== oldGroup) {
+                    role.setGroup(oldGroup);
+                }
+                this.roleManager.move(roleId, oldIndex);
+            }
+        });
+        this.updateStatistics();
+        return true;
+    }
+
+    /**
+     * Перенос роли в группу (в конец группы в порядке вывода)
+     * @param {string} roleId - ID роли
+     * @param {string|null} group - Ключ ROLE_GROUPS или null
+     * @returns {boolean} Успешно ли изменено
+     */
+    setRoleGroup(roleId, group) {
+        const role = this.roleManager.findById(roleId);
+        if (!role || role.group === Role.normalizeGroup(group)) {
+            return false;
+        }
+        return this.moveRole(roleId, this.roleManager.size() - 1, group);
+    }
+
+    /**
+     * Переименование роли. Имя должно быть непустым и не совпадать с именем другой роли (без учета регистра).
+     * @param {string} roleId - ID роли
+     * @param {string} name - Новое имя
+     * @returns {boolean} Успешно ли переименовано
+     */
+    renameRole(roleId, name) {
+        const role = this.roleManager.findById(roleId);
+        const newName = String(name).trim();
+        if (!role || !newName || newName === role.name) {
+            return false;
+        }
+        const duplicate = this.roleManager.getAll()
+            .some(item => item.id !== roleId && item.name.toLowerCase() === newName.toLowerCase());
+        if (duplicate) {
+            logger.warn('Роль с таким именем уже существует', { roleId, name: newName });
+            return false;
+        }
+
+        const oldName = role.name;
+        this.history.execute({
+            label: `Переименование роли "${oldName}"`,
+            execute: () => role.setName(newName),
+            undo: () => role.setName(oldName)
+        });
+        this.updateStatistics();
+        return true;
+    }
+
+    /**
+     * Смена типа роли: спикер становится звуковым эффектом и наоборот. Реплики сохраняют роль.
+     * @param {string} roleId - ID роли
+     * @param {Object} options - { wordsPerMinute } для нового спикера или { duration } для звукового эффекта
+     * @returns {Role|null} Роль нового типа или null, если роль не найдена
+     */
+    convertRole(roleId, options = {}) {
+        const role = this.roleManager.findById(roleId);
+        if (!role) {
+            return null;
+        }
+
+        const converted = role.convert(options);
+        this.history.execute({
+            label: `Смена типа роли "${role.name}"`,
+            execute: () => this.roleManager.update(roleId, converted),
+            undo: () => this.roleManager.update(roleId, role)
+        });
+        this.updateStatistics();
+        return converted;
+    }
+
+    /**
+     * Объединение двух спикеров: реплики первого переходят ко второму, первый удаляется
+     * @param {string} sourceRoleId - ID спикера, который исчезает
+     * @param {string} targetRoleId - ID спикера, который остается
+     * @returns {number} Количество переданных реплик или -1, если объединить нельзя
+     */
+    mergeRoles(sourceRoleId, targetRoleId) {
+        const source = this.roleManager.findById(sourceRoleId);
+        const target = this.roleManager.findById(targetRoleId);
+        if (!(source instanceof Speaker) || !(target instanceof Speaker) || source === target) {
+            return -1;
+        }
+
+        const sourceIndex = this.roleManager.indexOf(sourceRoleId);
+        let replicas = [];
+        this.history.execute({
+            label: `Объединение "${source.name}" с "${target.name}"`,
+            execute: () => {
+                replicas = this.replicaManager.reassignRole(sourceRoleId, targetRoleId);
+                this.roleManager.remove(sourceRoleId);
+            },
+            undo: () => {
+                this.roleManager.insert(source, sourceIndex);
+                replicas.forEach(replica => replica.setRole(sourceRoleId));
             }
-            return result;
+        });
+        this.updateStatistics();
+        logger.logRoleAction('объединение', target.name, {
+            sourceRoleId,
+            targetRoleId,
+            replicaCount: replicas.length
+        });
+        return replicas.length;
+    }
+
+    /**
+     * Изменение скорости речи спикера
+     * @param {string} roleId - ID спикера
+     * @param {number} wordsPerMinute - Новая скорость (слов в минуту)
+     * @returns {boolean} Успешно ли изменено
+     */
+    setSpeakerSpeed(roleId, wordsPerMinute) {
+        const role = this.roleManager.findById(roleId);
+        if (!(role instanceof Speaker)) {
+            return false;
+        }
+
+        const oldWpm = role.wordsPerMinute;
+        this.history.execute({
+            label: `Изменение скорости "${role.name}"`,
+            execute: () => role.setWordsPerMinute(wordsPerMinute),
+            undo: () => role.setWordsPerMinute(oldWpm)
+        });
+        this.updateStatistics();
+        return true;
+    }
+
+    /**
+     * Изменение длительности звукового эффекта
+     * @param {string} roleId - ID звукового эффекта
+     * @param {number} duration - Новая длительность в секундах
+     * @returns {boolean} Успешно ли изменено
+     */
+    setSoundDuration(roleId, duration) {
+        const role = this.roleManager.findById(roleId);
+        if (!(role instanceof SoundEffect)) {
+            return false;
+        }
+
+        const oldDuration = role.duration;
+        this.history.execute({
+            label: `Изменение длительности "${role.name}"`,
+            execute: () => role.setDuration(duration),
+            undo: () => role.setDuration(oldDuration)
+        });
+        this.updateStatistics();
+        return true;
+    }
+
+    /**
+     * Изменение цвета роли
+     * @param {string} roleId - ID роли
+     * @param {string} color - Новый цвет в формате CSS
+     * @returns {boolean} Успешно ли изменено
+     */
+    setRoleColor(roleId, color) {
+        const role = this.roleManager.findById(roleId);
+        if (!role || role.color === color) {
+            return false;
         }
-        return false;
+
+        const oldColor = role.color;
+        const applyColor = (value) => {
+            role.color = value;
+            role.updateTimestamp();
+        };
+        this.history.execute({
+            label: `Изменение цвета "${role.name}"`,
+            execute: () => applyColor(color),
+            undo: () => applyColor(oldColor)
+        });
+        this.updateStatistics();
+        logger.logRoleAction('изменение цвета', role.name, {
+            roleId: roleId,
+            oldColor,
+            newColor: color
+        });
+        return true;
     }
 
     /**
-     * Добавление реплики
+     * Добавление реплики в конец ее раздела (без раздела - в последний раздел)
      * @param {Replica} replica - Реплика для добавления
      */
     addReplica(replica) {
-        this.replicaManager.add(replica);
+        const segments = this.segmentManager.getAll();
+        if (segments.length > 0 && !this.segmentManager.findById(replica.segmentId)) {
+            replica.segmentId = segments[segments.length - 1].id;
+        }
+        const index = this.getSegmentEndIndex(replica.segmentId);
+        this.history.execute({
+            label: 'Добавление реплики',
+            execute: () => this.replicaManager.insert(replica, index),
+            undo: () => this.replicaManager.remove(replica.id)
+        });
         this.updateStatistics();
         logger.logReplicaAction('добавление через менеджер данных', replica.id, {
             textLength: replica.text.length,
@@ -104,37 +405,556 @@ class DataManager {
      */
     removeReplica(replicaId) {
         const replica = this.replicaManager.findById(replicaId);
-        if (replica) {
-            const result = this.replicaManager.remove(replicaId);
-            if (result) {
-                this.updateStatistics();
-                logger.logReplicaAction('удаление через менеджер данных', replicaId, {
-                    textLength: replica.text.length,
-                    roleId: replica.roleId
-                });
+        if (!replica) {
+            return false;
+        }
+
+        const index = this.replicaManager.indexOf(replicaId);
+        this.history.execute({
+            label: 'Удаление реплики',
+            execute: () => this.replicaManager.remove(replicaId),
+            undo: () => this.replicaManager.insert(replica, index)
+        });
+        this.updateStatistics();
+        logger.logReplicaAction('удаление через менеджер данных', replicaId, {
+            textLength: replica.text.length,
+            roleId: replica.roleId
+        });
+        return true;
+    }
+
+    /**
+     * Изменение текста реплики
+     * @param {string} replicaId - ID реплики
+     * @param {string} text - Новый текст
+     * @param {string|null} mergeKey - Ключ для объединения правок одного сеанса ввода в один шаг отмены
+     * @returns {boolean} Успешно ли изменено
+     */
+    updateReplicaText(replicaId, text, mergeKey = null) {
+        const replica = this.replicaManager.findById(replicaId);
+        if (!replica || replica.text === text) {
+            return false;
+        }
+
+        const oldText = replica.text;
+        this.history.execute({
+            label: 'Редактирование реплики',
+            execute: () => replica.setText(text),
+            undo: () => replica.setText(oldText),
+            mergeKey
+        });
+        this.updateStatistics();
+        return true;
+    }
+
+    /**
+     * Изменение роли реплики
+     * @param {string} replicaId - ID реплики
+     * @param {string} roleId - ID новой роли
+     * @returns {boolean} Успешно ли изменено
+     */
+    setReplicaRole(replicaId, roleId) {
+        const replica = this.replicaManager.findById(replicaId);
+        if (!replica || !this.roleManager.findById(roleId) || replica.roleId === roleId) {
+            return false;
+        }
+
+        const oldRoleId = replica.roleId;
+        this.history.execute({
+            label: 'Смена роли реплики',
+            execute: () => replica.setRole(roleId),
+            undo: () => replica.setRole(oldRoleId)
+        });
+        this.updateStatistics();
+        return true;
+    }
+
+    /**
+     * Разделение реплики на две в позиции курсора
+     * @param {string} replicaId - ID реплики
+     * @param {number} position - Позиция в тексте, с которой начинается новая реплика
+     * @returns {Replica|null} Новая реплика или null, если одна из частей пустая
+     */
+    splitReplica(replicaId, position) {
+        const replica = this.replicaManager.findById(replicaId);
+        if (!replica) {
+            return null;
+        }
+        const before = replica.text.slice(0, position).trim();
+        const after = replica.text.slice(position).trim();
+        if (!before || !after) {
+            return null;
+        }
+
+        const oldText = replica.text;
+        const index = this.replicaManager.indexOf(replicaId);
+        const newReplica = new Replica(after, replica.roleId, replica.pace);
+        newReplica.segmentId = replica.segmentId;
+        this.history.execute({
+            label: 'Разделение реплики',
+            execute: () => {
+                replica.setText(before);
+                this.replicaManager.insert(newReplica, index + 1);
+            },
+            undo: () => {
+                this.replicaManager.remove(newReplica.id);
+                replica.setText(oldText);
             }
-            return result;
+        });
+        this.updateStatistics();
+        logger.logReplicaAction('разделение', replicaId, { newReplicaId: newReplica.id, position });
+        return newReplica;
+    }
+
+    /**
+     * Объединение реплики со следующей. Объединяются только реплики одной роли.
+     * @param {string} replicaId - ID реплики
+     * @returns {boolean} Успешно ли объединено
+     */
+    mergeReplicaWithNext(replicaId) {
+        const index = this.replicaManager.indexOf(replicaId);
+        const replica = this.replicaManager.findById(replicaId);
+        const next = index === -1 ? null : this.replicaManager.getAll()[index + 1];
+        if (!replica || !next || next.roleId !== replica.roleId) {
+            return false;
         }
-        return false;
+
+        const oldText = replica.text;
+        const mergedText = [oldText.trim(), next.text.trim()].filter(Boolean).join(' ');
+        this.history.execute({
+            label: 'Объединение реплик',
+            execute: () => {
+                replica.setText(mergedText);
+                this.replicaManager.remove(next.id);
+            },
+            undo: () => {
+                this.replicaManager.insert(next, index + 1);
+                replica.setText(oldText);
+            }
+        });
+        this.updateStatistics();
+        logger.logReplicaAction('объединение со следующей', replicaId, { mergedReplicaId: next.id });
+        return true;
+    }
+
+    /**
+     * Изменение текста нескольких реплик одним действием (например, "Заменить все")
+     * @param {Map<string, string>} texts - ID реплики -> новый текст
+     * @param {string} label - Название действия в истории
+     * @returns {number} Количество измененных реплик
+     */
+    updateReplicaTexts(texts, label = 'Замена текста') {
+        const changes = [...texts]
+            .map(([replicaId, text]) => ({ replica: this.replicaManager.findById(replicaId), text }))
+            .filter(change => change.replica && change.replica.text !== change.text)
+            .map(change => ({ ...change, oldText: change.replica.text }));
+        if (changes.length === 0) {
+            return 0;
+        }
+
+        this.history.execute({
+            label: `${label} (${changes.length} репл.)`,
+            execute: () => changes.forEach(change => change.replica.setText(change.text)),
+            undo: () => changes.forEach(change => change.replica.setText(change.oldText))
+        });
+        this.updateStatistics();
+        logger.info('Текст реплик изменен', { replicaCount: changes.length });
+        return changes.length;
+    }
+
+    /**
+     * Удаление нескольких реплик одним действием
+     * @param {Array<string>} replicaIds - ID реплик
+     * @returns {number} Количество удаленных реплик
+     */
+    removeReplicas(replicaIds) {
+        const ids = new Set(replicaIds);
+        // Позиции запоминаются по возрастанию, чтобы при отмене вставлять реплики на прежние места
+        const removed = this.replicaManager.getAll()
+            .map((replica, index) => ({ replica, index }))
+            .filter(item => ids.has(item.replica.id));
+        if (removed.length === 0) {
+            return 0;
+        }
+
+        this.history.execute({
+            label: `Удаление реплик (${removed.length} репл.)`,
+            execute: () => removed.forEach(item => this.replicaManager.remove(item.replica.id)),
+            undo: () => removed.forEach(item => this.replicaManager.insert(item.replica, item.index))
+        });
+        this.updateStatistics();
+        logger.info('Реплики удалены', { replicaCount: removed.length });
+        return removed.length;
+    }
+
+    /**
+     * Назначение роли нескольким репликам одним действием
+     * @param {Array<string>} replicaIds - ID реплик
+     * @param {string} roleId - ID новой роли
+     * @returns {number} Количество измененных реплик
+     */
+    setReplicasRole(replicaIds, roleId) {
+        if (!this.roleManager.findById(roleId)) {
+            return 0;
+        }
+        const changes = replicaIds
+            .map(id => this.replicaManager.findById(id))
+            .filter(replica => replica && replica.roleId !== roleId)
+            .map(replica => ({ replica, oldRoleId: replica.roleId }));
+        if (changes.length === 0) {
+            return 0;
+        }
+
+        this.history.execute({
+            label: `Смена роли реплик (${changes.length} репл.)`,
+            execute: () => changes.forEach(change => change.replica.setRole(roleId)),
+            undo: () => changes.forEach(change => change.replica.setRole(change.oldRoleId))
+        });
+        this.updateStatistics();
+        logger.info('Роль реплик изменена', { replicaCount: changes.length, roleId });
+        return changes.length;
+    }
+
+    /**
+     * Перемещение нескольких реплик одним блоком: реплики идут подряд в прежнем порядке
+     * @param {Array<string>} replicaIds - ID реплик
+     * @param {number} index - Позиция блока в списке без перемещаемых реплик
+     * @param {string|null} segmentId - Раздел, в который переходит блок.
+     *   Вызывающий код отвечает за то, чтобы позиция была внутри этого раздела.
+     * @returns {boolean} Успешно ли перемещено
+     */
+    moveReplicas(replicaIds, index, segmentId) {
+        const ids = new Set(replicaIds);
+        const all = this.replicaManager.getAll();
+        const block = all.filter(replica => ids.has(replica.id));
+        const rest = all.filter(replica => !ids.has(replica.id));
+        if (block.length === 0 || index < 0 || index > rest.length) {
+            return false;
+        }
+
+        const oldOrder = all.map(replica => replica.id);
+        const newOrder = [...rest.slice(0, index), ...block, ...rest.slice(index)].map(replica => replica.id);
+        const oldSegmentIds = block.map(replica => replica.segmentId);
+        if (newOrder.every((id, position) => id === oldOrder[position]) &&
+            oldSegmentIds.every(id => id === segmentId)) {
+            return false;
+        }
+
+        this.history.execute({
+            label: `Перемещение реплик (${block.length} репл.)`,
+            execute: () => {
+                this.replicaManager.reorder(newOrder);
+                block.forEach(replica => replica.setSegment(segmentId));
+            },
+            undo: () => {
+                block.forEach((replica, position) => replica.setSegment(oldSegmentIds[position]));
+                this.replicaManager.reorder(oldOrder);
+            }
+        });
+        this.updateStatistics();
+        logger.info('Реплики перемещены', { replicaCount: block.length, index, segmentId });
+        return true;
+    }
+
+    /**
+     * Дублирование реплик: копии вставляются блоком после последней из них, в ее раздел
+     * @param {Array<string>} replicaIds - ID реплик
+     * @returns {Array<Replica>} Созданные копии
+     */
+    duplicateReplicas(replicaIds) {
+        const ids = new Set(replicaIds);
+        const originals = this.replicaManager.getAll().filter(replica => ids.has(replica.id));
+        if (originals.length === 0) {
+            return [];
+        }
+
+        const last = originals[originals.length - 1];
+        const index = this.replicaManager.indexOf(last.id) + 1;
+        const copies = originals.map(replica => {
+            const copy = new Replica(replica.text, replica.roleId, replica.pace);
+            copy.segmentId = last.segmentId;
+            return copy;
+        });
+
+        this.history.execute({
+            label: `Дублирование реплик (${copies.length} репл.)`,
+            execute: () => copies.forEach((copy, offset) => this.replicaManager.insert(copy, index + offset)),
+            undo: () => copies.forEach(copy => this.replicaManager.remove(copy.id))
+        });
+        this.updateStatistics();
+        logger.info('Реплики продублированы', { replicaCount: copies.length });
+        return copies;
+    }
+
+    /**
+     * Изменение темпа реплики
+     * @param {string} replicaId - ID реплики
+     * @param {number} pace - Множитель темпа (1 - обычная скорость спикера)
+     * @returns {boolean} Успешно ли изменено
+     */
+    setReplicaPace(replicaId, pace) {
+        const replica = this.replicaManager.findById(replicaId);
+        if (!replica || replica.pace === Replica.normalizePace(pace)) {
+            return false;
+        }
+
+        const oldPace = replica.pace;
+        this.history.execute({
+            label: 'Изменение темпа реплики',
+            execute: () => replica.setPace(pace),
+            undo: () => replica.setPace(oldPace)
+        });
+        this.updateStatistics();
+        return true;
     }
 
     /**
      * Перемещение реплики
      * @param {string} replicaId - ID реплики
      * @param {number} newIndex - Новый индекс
+     * @param {string|null} segmentId - Новый раздел реплики (по умолчанию раздел не меняется).
+     *   Вызывающий код отвечает за то, чтобы новый индекс был внутри этого раздела.
      * @returns {boolean} Успешно ли перемещено
      */
-    moveReplica(replicaId, newIndex) {
-        const result = this.replicaManager.move(replicaId, newIndex);
-        if (result) {
+    moveReplica(replicaId, newIndex, segmentId = undefined) {
+        const replica = this.replicaManager.findById(replicaId);
+        const oldIndex = this.replicaManager.indexOf(replicaId);
+        if (!replica || newIndex < 0 || newIndex >= this.replicaManager.size()) {
+            return false;
+        }
+        const oldSegmentId = replica.segmentId;
+        const newSegmentId = segmentId === undefined ? oldSegmentId : segmentId;
+        if (oldIndex === newIndex && oldSegmentId === newSegmentId) {
+            return false;
+        }
+
+        this.history.execute({
+            label: 'Перемещение реплики',
+            execute: () => {
+                this.replicaManager.move(replicaId, newIndex);
+                replica.setSegment(newSegmentId);
+            },
+            undo: () => {
+                replica.setSegment(oldSegmentId);
+                this.replicaManager.move(replicaId, oldIndex);
+            }
+        });
+        this.updateStatistics();
+        logger.logReplicaAction('перемещение через менеджер данных', replicaId, {
+            oldIndex: oldIndex,
+            newIndex: newIndex
+        });
+        return true;
+    }
+
+    /**
+     * Группы реплик по разделам (см. ReplicaManager.getSegmentGroups)
+     * @returns {Array<Object>} Группы { segment, replicas }
+     */
+    getSegmentGroups() {
+        return this.replicaManager.getSegmentGroups(this.segmentManager);
+    }
+
+    /**
+     * Индекс, с которого начинается раздел в общем списке реплик
+     * @param {string|null} segmentId - ID раздела (null - реплики вне разделов)
+     * @returns {number} Индекс первой реплики раздела (для пустого раздела - место, где она появится)
+     */
+    getSegmentStartIndex(segmentId) {
+        let index = 0;
+        for (const group of this.getSegmentGroups()) {
+            if ((group.segment ? group.segment.id : null) === segmentId) {
+                return index;
+            }
+            index += group.replicas.length;
+        }
+        return index;
+    }
+
+    /**
+     * Индекс сразу после последней реплики раздела
+     * @param {string|null} segmentId - ID раздела (null - реплики вне разделов)
+     * @returns {number} Индекс вставки в конец раздела
+     */
+    getSegmentEndIndex(segmentId) {
+        const group = this.getSegmentGroups().find(item => (item.segment ? item.segment.id : null) === segmentId);
+        return this.getSegmentStartIndex(segmentId) + (group ? group.replicas.length : 0);
+    }
+
+    /**
+     * Добавление раздела в конец скрипта
+     * @param {Segment} segment - Раздел для добавления
+     * @param {Array<string>} replicaIds - ID реплик, которые переходят в новый раздел
+     */
+    addSegment(segment, replicaIds = []) {
+        const replicas = replicaIds.map(id => this.replicaManager.findById(id)).filter(Boolean);
+        const oldSegmentIds = replicas.map(replica => replica.segmentId);
+        const replicaOrder = this.replicaManager.getAll().map(replica => replica.id);
+        this.history.execute({
+            label: `Добавление раздела "${segment.title}"`,
+            execute: () => {
+                this.segmentManager.add(segment);
+                if (replicas.length > 0) {
+                    replicas.forEach(replica => replica.setSegment(segment.id));
+                    this.replicaManager.sortBySegments(this.segmentManager);
+                }
+            },
+            undo: () => {
+                if (replicas.length > 0) {
+                    replicas.forEach((replica, index) => replica.setSegment(oldSegmentIds[index]));
+                    this.replicaManager.reorder(replicaOrder);
+                }
+                this.segmentManager.remove(segment.id);
+            }
+        });
+        this.updateStatistics();
+        logger.info('Раздел добавлен', { segmentId: segment.id, title: segment.title, replicaCount: replicas.length });
+    }
+
+    /**
+     * Изменение раздела
+     * @param {string} segmentId - ID раздела
+     * @param {Object} changes - Изменяемые поля { title, kind, targetDuration }
+     * @returns {boolean} Были ли изменения
+     */
+    updateSegment(segmentId, changes) {
+        const segment = this.segmentManager.findById(segmentId);
+        if (!segment) {
+            return false;
+        }
+        const oldData = segment.toJSON();
+        const newData = Segment.fromJSON({ ...oldData, ...changes }).toJSON();
+        const fields = ['title', 'kind', 'targetDuration'];
+        if (fields.every(field => oldData[field] === newData[field])) {
+            return false;
+        }
+
+        const pick = (data) => Object.fromEntries(fields.map(field => [field, data[field]]));
+        this.history.execute({
+            label: `Изменение раздела "${segment.title}"`,
+            execute: () => segment.update(pick(newData)),
+            undo: () => segment.update(pick(oldData))
+        });
+        this.updateStatistics();
+        return true;
+    }
+
+    /**
+     * Удаление раздела. Реплики раздела остаются на месте и переходят в предыдущий раздел
+     * (у первого раздела - в группу реплик вне разделов).
+     * @param {string} segmentId - ID раздела
+     * @returns {boolean} Успешно ли удалено
+     */
+    removeSegment(segmentId) {
+        const segment = this.segmentManager.findById(segmentId);
+        if (!segment) {
+            return false;
+        }
+
+        const index = this.segmentManager.indexOf(segmentId);
+        const previous = index > 0 ? this.segmentManager.getAll()[index - 1] : null;
+        const replicas = this.replicaManager.getAll().filter(replica => replica.segmentId === segmentId);
+        this.history.execute({
+            label: `Удаление раздела "${segment.title}"`,
+            execute: () => {
+                replicas.forEach(replica => replica.setSegment(previous ? previous.id : null));
+                this.segmentManager.remove(segmentId);
+            },
+            undo: () => {
+                this.segmentManager.insert(segment, index);
+                replicas.forEach(replica => replica.setSegment(segmentId));
+            }
+        });
+        this.updateStatistics();
+        logger.info('Раздел удален', { segmentId, replicaCount: replicas.length });
+        return true;
+    }
+
+    /**
+     * Перемещение раздела вместе с его репликами
+     * @param {string} segmentId - ID раздела
+     * @param {number} newIndex - Новый индекс среди разделов
+     * @returns {boolean} Успешно ли перемещено
+     */
+    moveSegment(segmentId, newIndex) {
+        const oldIndex = this.segmentManager.indexOf(segmentId);
+        if (oldIndex === -1 || oldIndex === newIndex || newIndex < 0 || newIndex >= this.segmentManager.size()) {
+            return false;
+        }
+
+        const replicaOrder = this.replicaManager.getAll().map(replica => replica.id);
+        this.history.execute({
+            label: 'Перемещение раздела',
+            execute: () => {
+                this.segmentManager.move(segmentId, newIndex);
+                this.replicaManager.sortBySegments(this.segmentManager);
+            },
+            undo: () => {
+                this.segmentManager.move(segmentId, oldIndex);
+                this.replicaManager.reorder(replicaOrder);
+            }
+        });
+        this.updateStatistics();
+        logger.info('Раздел перемещен', { segmentId, oldIndex, newIndex });
+        return true;
+    }
+
+    /**
+     * Изменение метаданных выпуска
+     * @param {Object} changes - Изменяемые поля метаданных
+     * @returns {boolean} Были ли изменения
+     */
+    updateMetadata(changes) {
+        const oldData = this.metadata.toJSON();
+        const newData = new EpisodeMetadata({ ...oldData, ...changes }).toJSON();
+        if (JSON.stringify(oldData) === JSON.stringify(newData)) {
+            return false;
+        }
+
+        this.history.execute({
+            label: 'Изменение данных выпуска',
+            execute: () => this.metadata.update(newData),
+            undo: () => this.metadata.update(oldData)
+        });
+        this.updateStatistics();
+        return true;
+    }
+
+    /**
+     * Отмена последнего действия
+     * @returns {boolean} Было ли что-то отменено
+     */
+    undo() {
+        const command = this.history.undo();
+        if (command) {
             this.updateStatistics();
-            logger.time('update-statistics');
-            logger.logReplicaAction('перемещение через менеджер данных', replicaId, {
-                newIndex: newIndex
-            });
-            logger.timeEnd('update-statistics');
         }
-        return result;
+        return !!command;
+    }
+
+    /**
+     * Повтор последнего отмененного действия
+     * @returns {boolean} Было ли что-то повторено
+     */
+    redo() {
+        const command = this.history.redo();
+        if (command) {
+            this.updateStatistics();
+        }
+        return !!command;
+    }
+
+    /**
+     * Отмена конкретной команды, только если она последняя в истории
+     * (используется кнопкой "Отменить" в уведомлениях)
+     * @param {Object} command - Команда из истории
+     * @returns {boolean} Было ли действие отменено
+     */
+    undoCommand(command) {
+        if (!command || this.history.peekUndo() !== command) {
+            return false;
+        }
+        return this.undo();
     }
 
     /**
@@ -167,10 +987,22 @@ class DataManager {
             totalDuration,
             totalDurationFormatted: this.formatDuration(totalDuration),
             roleCount: this.roleManager.size(),
-            replicaCount: this.replicaManager.size()
+            replicaCount: this.replicaManager.size(),
+            target: this.getDurationTarget(totalDuration),
+            roleBreakdown: this.replicaManager.getRoleBreakdown(this.roleManager),
+            segments: this.replicaManager.getSegmentBreakdown(this.roleManager, this.segmentManager)
         };
     }
 
+    /**
+     * Сравнение расчетной длительности с целевой длительностью выпуска
+     * @param {number} totalDuration - Расчетная длительность в минутах
+     * @returns {Object|null} Оценка DurationTarget или null, если цель не задана
+     */
+    getDurationTarget(totalDuration = this.replicaManager.calculateTotalDuration(this.roleManager)) {
+        return DurationTarget.evaluate(totalDuration, this.metadata.targetDuration, this.metadata.durationTolerance);
+    }
+
     /**
      * Форматирование длительности в строку (MM:SS)
      * @param {number} minutes - Длительность в минутах
@@ -191,8 +1023,10 @@ class DataManager {
         const data = {
             roles: this.roleManager.toJSON(),
             replicas: this.replicaManager.toJSON(),
+            segments: this.segmentManager.toJSON(),
+            metadata: this.metadata.toJSON(),
             exportDate: new Date().toISOString(),
-            version: '1.0'
+            version: SCRIPT_FORMAT_VERSION
         };
         
         logger.logFileOperation('экспорт данных', 'script.json', {
@@ -241,6 +1075,9 @@ class DataManager {
                 logger.debug('Очистка текущих данных перед импортом');
                 this.roleManager.clear();
                 this.replicaManager.clear();
+                this.segmentManager = SegmentManager.fromJSON(Array.isArray(data.segments) ? data.segments : []);
+                this.metadata = EpisodeMetadata.fromJSON(data.metadata);
+                this.history.clear(); // Историю загруженного ранее скрипта отменять нельзя
                 
                 // Временно отключаем обновления для больших наборов данных
                 const originalCallbacks = [...this.updateCallbacks];
@@ -255,15 +1092,7 @@ class DataManager {
                         const roleData = data.roles[i];
                         // logger.debug('Обработка роли', { index: i, roleId: roleData.id, roleName: roleData.name, type: roleData.type });
                         
-                        let role;
-                        if (roleData.type === 'speaker') {
-                            role = Speaker.fromJSON(roleData, true); // Подавляем логи при массовой загрузке
-                        } else if (roleData.type === 'sound') {
-                            role = SoundEffect.fromJSON(roleData, true); // Подавляем логи при массовой загрузке
-                        } else {
-                            role = Role.fromJSON(roleData, true); // Подавляем логи при массовой загрузке
-                        }
-                        this.roleManager.add(role);
+                        this.roleManager.add(this.createRoleFromJSON(roleData));
                         
                         // Периодически проверяем время для очень больших наборов
                         if (i > 0 && i % 1000 === 0) {
@@ -308,6 +1137,9 @@ class DataManager {
                     logger.groupEnd();
                 }
 
+                // Реплики одного раздела должны идти подряд
+                this.replicaManager.sortBySegments(this.segmentManager);
+
                 // Восстанавливаем коллбэки и обновляем статистику один раз
                 logger.debug('Восстановление коллбэков и обновление статистики');
                 this.updateCallbacks = originalCallbacks;
@@ -343,12 +1175,174 @@ class DataManager {
         }
     }
 
+    /**
+     * Создание роли нужного класса из JSON
+     * @param {Object} roleData - JSON данные роли
+     * @returns {Role} Экземпляр роли
+     */
+    createRoleFromJSON(roleData) {
+        if (roleData.type === 'speaker') {
+            return Speaker.fromJSON(roleData, true); // Подавляем логи при массовой загрузке
+        } else if (roleData.type === 'sound') {
+            return SoundEffect.fromJSON(roleData, true); // Подавляем логи при массовой загрузке
+        }
+        return Role.fromJSON(roleData, true); // Подавляем логи при массовой загрузке
+    }
+
+    /**
+     * Поиск совпадений импортируемых ролей с ролями текущего скрипта.
+     * Роли сопоставляются по ID, затем по имени (без учета регистра) среди ролей того же типа.
+     * @param {Array} roles - Импортируемые роли в формате JSON
+     * @returns {Array} Совпадения { imported, existing, matchedBy, conflict }
+     */
+    findRoleMatches(roles) {
+        const normalizeName = (name) => String(name || '').trim().toLowerCase();
+        const comparedFields = ['name', 'type', 'wordsPerMinute', 'duration', 'color'];
+
+        return roles.map(imported => {
+            let existing = this.roleManager.findById(imported.id);
+            let matchedBy = existing ? 'id' : null;
+            if (!existing) {
+                existing = this.roleManager.getAll().find(role =>
+                    role.type === imported.type && normalizeName(role.name) === normalizeName(imported.name)) || null;
+                matchedBy = existing ? 'name' : null;
+            }
+
+            // Конфликт - роль найдена, но ее параметры отличаются от импортируемых
+            const existingData = existing ? existing.toJSON() : null;
+            const conflict = !!existingData && comparedFields.some(field => existingData[field] !== imported[field]);
+            return { imported, existing, matchedBy, conflict };
+        });
+    }
+
+    /**
+     * Получение имени роли, не совпадающего с существующими ("Имя (2)", "Имя (3)", ...)
+     * @param {string} name - Исходное имя
+     * @param {Array<string>} reservedNames - Имена, уже занятые в рамках текущей операции
+     * @returns {string} Уникальное имя
+     */
+    getUniqueRoleName(name, reservedNames = []) {
+        const taken = new Set([
+            ...this.roleManager.getAll().map(role => role.name.toLowerCase()),
+            ...reservedNames.map(item => item.toLowerCase())
+        ]);
+        if (!taken.has(name.toLowerCase())) {
+            return name;
+        }
+
+        let counter = 2;
+        while (taken.has(`${name} (${counter})`.toLowerCase())) {
+            counter++;
+        }
+        return `${name} (${counter})`;
+    }
+
+    /**
+     * Слияние импортируемого скрипта с текущим (в отличие от importData, текущие данные сохраняются).
+     * Слияние выполняется одним действием истории и отменяется целиком.
+     * @param {Object} data - Импортируемые данные { roles, replicas }
+     * @param {Object} options - Параметры слияния
+     * @param {Object} options.resolutions - Разрешение конфликтов по ID импортируемой роли:
+     *   'mine' - оставить свою роль, 'theirs' - взять параметры импортируемой, 'both' - добавить обе
+     * @param {number|null} options.position - Позиция вставки реплик (null - в конец)
+     * @param {Object} options.forcedResolutions - Разрешения по ID импортируемой роли, которые применяются
+     *   и к совпадениям без конфликта (например, роль, которую пользователь явно выбрал создать)
+     * @param {string} options.label - Название действия в истории (по умолчанию "Слияние скрипта")
+     * @returns {Object|null} Итог слияния { addedRoleCount, updatedRoleCount, addedReplicaCount } или null
+     */
+    mergeData(data, options = {}) {
+        if (!data || !Array.isArray(data.roles) || !Array.isArray(data.replicas)) {
+            logger.error('Невалидные данные для слияния', { dataStructure: data ? Object.keys(data) : 'undefined' });
+            return null;
+        }
+
+        const resolutions = options.resolutions || {};
+        const forcedResolutions = options.forcedResolutions || {};
+        const position = Number.isInteger(options.position) ? options.position : this.replicaManager.size();
+        const roleIdMap = new Map();
+        const addedRoles = [];
+        const replacedRoles = [];
+        const reservedNames = [];
+
+        this.findRoleMatches(data.roles).forEach(({ imported, existing, conflict }) => {
+            const resolution = forcedResolutions[imported.id] ||
+                (conflict ? resolutions[imported.id] || 'mine' : 'mine');
+
+            if (existing && resolution === 'mine') {
+                roleIdMap.set(imported.id, existing.id);
+            } else if (existing && resolution === 'theirs') {
+                const replacement = this.createRoleFromJSON({
+                    ...imported,
+                    id: existing.id,
+                    createdAt: existing.createdAt
+                });
+                replacedRoles.push({ previous: existing, replacement });
+                roleIdMap.set(imported.id, existing.id);
+            } else {
+                // Новая роль или "оставить обе": при совпадении ID или имени роль получает новый ID и имя
+                const role = this.createRoleFromJSON(imported);
+                if (existing) {
+                    role.id = role.generateId();
+                    role.name = this.getUniqueRoleName(imported.name, reservedNames);
+                }
+                reservedNames.push(role.name);
+                addedRoles.push(role);
+                roleIdMap.set(imported.id, role.id);
+            }
+        });
+
+        // Разделы импортируемого скрипта не переносятся: реплики попадают в раздел, куда вставляются
+        const allReplicas = this.replicaManager.getAll();
+        const neighbour = allReplicas[position - 1] || allReplicas[position];
+        const segments = this.segmentManager.getAll();
+        const targetSegmentId = neighbour ? neighbour.segmentId : (segments.length > 0 ? segments[0].id : null);
+        const usedReplicaIds = new Set(allReplicas.map(replica => replica.id));
+        const addedReplicas = data.replicas.map(replicaData => {
+            const replica = Replica.fromJSON(replicaData, true);
+            replica.segmentId = targetSegmentId;
+            if (roleIdMap.has(replica.roleId)) {
+                replica.roleId = roleIdMap.get(replica.roleId);
+            } else if (!this.roleManager.findById(replica.roleId)) {
+                replica.roleId = null;
+            }
+            if (!replica.id || usedReplicaIds.has(replica.id)) {
+                replica.id = replica.generateId();
+            }
+            usedReplicaIds.add(replica.id);
+            return replica;
+        });
+
+        this.history.execute({
+            label: `${options.label || 'Слияние скрипта'} (${addedReplicas.length} реплик)`,
+            execute: () => {
+                addedRoles.forEach(role => this.roleManager.add(role));
+                replacedRoles.forEach(({ replacement }) => this.roleManager.update(replacement.id, replacement));
+                addedReplicas.forEach((replica, index) => this.replicaManager.insert(replica, position + index));
+            },
+            undo: () => {
+                addedReplicas.forEach(replica => this.replicaManager.remove(replica.id));
+                replacedRoles.forEach(({ previous }) => this.roleManager.update(previous.id, previous));
+                addedRoles.forEach(role => this.roleManager.remove(role.id));
+            }
+        });
+        this.updateStatistics();
+
+        const result = {
+            addedRoleCount: addedRoles.length,
+            updatedRoleCount: replacedRoles.length,
+            addedReplicaCount: addedReplicas.length
+        };
+        logger.logFileOperation('слияние данных', 'script.json', { ...result, position });
+        return result;
+    }
+
     /**
      * Проверка, пустой ли скрипт
      * @returns {boolean} Пустой ли скрипт
      */
     isEmpty() {
-        return this.roleManager.isEmpty() && this.replicaManager.isEmpty();
+        return this.roleManager.isEmpty() && this.replicaManager.isEmpty() && this.segmentManager.isEmpty() &&
+            this.metadata.isEmpty();
     }
 
     /**
@@ -357,6 +1351,9 @@ class DataManager {
     clearAll() {
         this.roleManager.clear();
         this.replicaManager.clear();
+        this.segmentManager.clear();
+        this.metadata = new EpisodeMetadata();
+        this.history.clear();
         this.updateStatistics();
         logger.info('Все данные очищены');
     }
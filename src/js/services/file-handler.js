@@ -1,3 +1,4 @@
+import { ScriptSchema } from '../core/script-schema.js';
 import { logger } from '../logger.js';
 
 /**
@@ -70,9 +71,10 @@ class FileHandler {
                 reader.onload = (event) => {
                     try {
                         logger.time('parse-and-validate');
-                        const data = JSON.parse(event.target.result);
+                        const prepared = ScriptSchema.prepare(JSON.parse(event.target.result));
+                        const data = prepared.data;
                         
-                        if (this.validateScriptData(data)) {
+                        if (prepared.valid) {
                             logger.time('import-data');
                             const success = this.dataManager.importData(data);
                             logger.timeEnd('import-data');
@@ -93,7 +95,8 @@ class FileHandler {
                         } else {
                             logger.timeEnd('load-script-total');
                             logger.error('Невалидные данные скрипта', {
-                                fileName: file.name
+                                fileName: file.name,
+                                errors: ScriptSchema.formatErrors(prepared.errors).slice(0, 5)
                             });
                             resolve(false);
                         }
@@ -129,48 +132,25 @@ class FileHandler {
     }
 
     /**
-     * Валидация данных скрипта
-     * @param {Object} data - Данные для валидации
-     * @returns {boolean} Валидны ли данные
+     * Слияние скрипта из файла с текущим (текущие данные сохраняются)
+     * @param {File} file - Файл для загрузки
+     * @param {Object} options - Параметры слияния (см. DataManager.mergeData)
+     * @returns {Promise<Object|null>} Итог слияния или null
      */
-    validateScriptData(data) {
-        if (!data || typeof data !== 'object') {
-            return false;
-        }
-
-        // Проверка обязательных полей
-        if (!data.roles || !Array.isArray(data.roles)) {
-            return false;
-        }
-
-        if (!data.replicas || !Array.isArray(data.replicas)) {
-            return false;
-        }
-
-        // Проверка структуры ролей
-        for (const role of data.roles) {
-            if (!role.id || !role.name || !role.type) {
-                return false;
-            }
-            
-            if (!['speaker', 'sound'].includes(role.type)) {
-                return false;
-            }
+    async mergeScript(file, options = {}) {
+        const data = await this.importFromFile(file);
+        if (!data) {
+            return null;
         }
 
-        // Проверка структуры реплик
-        for (const replica of data.replicas) {
-            if (!replica.id || typeof replica.text !== 'string') {
-                return false;
-            }
-            
-            // roleId может быть null для реплик без роли
-            if (replica.roleId !== null && typeof replica.roleId !== 'string') {
-                return false;
-            }
+        const result = this.dataManager.mergeData(data, options);
+        if (result) {
+            logger.logFileOperation('слияние скрипта', file.name, {
+                fileSize: file.size,
+                ...result
+            });
         }
-
-        return true;
+        return result;
     }
 
     /**
@@ -219,8 +199,9 @@ class FileHandler {
                 reader.onload = (event) => {
                     try {
                         logger.time('parse-and-validate-import');
-                        const data = JSON.parse(event.target.result);
-                        if (this.validateScriptData(data)) {
+                        const prepared = ScriptSchema.prepare(JSON.parse(event.target.result));
+                        const data = prepared.data;
+                        if (prepared.valid) {
                             logger.logFileOperation('импорт из файла', file.name, {
                                 fileSize: file.size
                             });
@@ -231,7 +212,8 @@ class FileHandler {
                             logger.timeEnd('parse-and-validate-import');
                             logger.timeEnd('import-from-file-total');
                             logger.error('Невалидные данные при импорте', {
-                                fileName: file.name
+                                fileName: file.name,
+                                errors: ScriptSchema.formatErrors(prepared.errors).slice(0, 5)
                             });
                             resolve(null);
                         }
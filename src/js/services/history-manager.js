@@ -0,0 +1,161 @@
+import { logger } from '../logger.js';
+
+/**
+ * Менеджер истории изменений (undo/redo) на основе команд.
+ * Команда - объект вида { label, execute(), undo() }, где execute и undo
+ * работают напрямую с коллекциями и не записывают новую историю.
+ * Необязательный mergeKey объединяет идущие подряд команды с одинаковым ключом
+ * (например, набор текста реплики) в один шаг отмены.
+ */
+class HistoryManager {
+    constructor(maxSize = 100) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxSize = maxSize; // Максимальное количество шагов отмены
+        this.isApplying = false; // Флаг выполнения undo/redo
+        logger.info('Менеджер истории инициализирован', { maxSize });
+    }
+
+    /**
+     * Выполнение команды с записью в историю
+     * @param {Object} command - Команда { label, execute, undo, mergeKey }
+     * @returns {*} Результат выполнения команды
+     */
+    execute(command) {
+        const result = command.execute();
+        this.push(command);
+        return result;
+    }
+
+    /**
+     * Запись уже выполненной команды в историю
+     * @param {Object} command - Команда { label, execute, undo, mergeKey }
+     */
+    push(command) {
+        if (this.isApplying) {
+            return;
+        }
+
+        const last = this.peekUndo();
+        if (command.mergeKey && last && last.mergeKey === command.mergeKey && this.redoStack.length === 0) {
+            // Отмена объединенной команды возвращает состояние до первой из них
+            this.undoStack[this.undoStack.length - 1] = { ...command, undo: last.undo };
+            logger.debug('Команда объединена с предыдущей', { label: command.label });
+            return;
+        }
+
+        this.undoStack.push(command);
+        this.redoStack = [];
+
+        // Ограничиваем размер истории
+        if (this.undoStack.length > this.maxSize) {
+            this.undoStack = this.undoStack.slice(-this.maxSize);
+        }
+
+        logger.debug('Команда записана в историю', {
+            label: command.label,
+            undoSize: this.undoStack.length
+        });
+    }
+
+    /**
+     * Отмена последней команды
+     * @returns {Object|null} Отмененная команда или null
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            return null;
+        }
+
+        this.isApplying = true;
+        try {
+            command.undo();
+        } finally {
+            this.isApplying = false;
+        }
+        this.redoStack.push(command);
+
+        logger.logUserAction('отмена действия', { label: command.label });
+        return command;
+    }
+
+    /**
+     * Повтор последней отмененной команды
+     * @returns {Object|null} Повторенная команда или null
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            return null;
+        }
+
+        this.isApplying = true;
+        try {
+            command.execute();
+        } finally {
+            this.isApplying = false;
+        }
+        this.undoStack.push(command);
+
+        logger.logUserAction('повтор действия', { label: command.label });
+        return command;
+    }
+
+    /**
+     * Получение последней команды без отмены
+     * @returns {Object|null} Команда или null
+     */
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    /**
+     * Получение последней отмененной команды без повтора
+     * @returns {Object|null} Команда или null
+     */
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    /**
+     * Можно ли отменить действие
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Можно ли повторить действие
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Очистка истории
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        logger.debug('История изменений очищена');
+    }
+
+    /**
+     * Получение состояния истории
+     * @returns {Object} Состояние истории
+     */
+    getState() {
+        return {
+            undoSize: this.undoStack.length,
+            redoSize: this.redoStack.length,
+            nextUndo: this.peekUndo()?.label || null,
+            nextRedo: this.peekRedo()?.label || null
+        };
+    }
+}
+
+// Экспорт для использования в модулях
+export { HistoryManager };
@@ -0,0 +1,406 @@
+import { logger } from '../logger.js';
+
+// Ключи хранилища библиотеки скриптов
+const LIBRARY_INDEX_KEY = 'podcastScriptLibrary';
+const ACTIVE_SCRIPT_KEY = 'podcastScriptActiveId';
+const SCRIPT_KEY_PREFIX = 'podcastScript_';
+// Единственный слот, в котором скрипт хранился до появления библиотеки
+// (режим просмотра по-прежнему возвращает в него данные при переходе в редактор)
+const LEGACY_STORAGE_KEY = 'podcastScriptData';
+
+/**
+ * Библиотека скриптов: несколько именованных скриптов в хранилище браузера.
+ * Содержимое каждого скрипта сохраняется через DataService под собственным ключом,
+ * а список скриптов (имя и даты) хранится отдельным индексом.
+ */
+class ScriptLibrary {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.changeCallbacks = [];
+        // Скрипт создан, переименован или удален в другой вкладке
+        this.dataService.subscribeToStorageChanges((event) => {
+            if (event.key === LIBRARY_INDEX_KEY) {
+                this.notifyChange();
+            }
+        });
+        logger.info('Библиотека скриптов инициализирована');
+    }
+
+    /**
+     * Регистрация колбэка для изменений библиотеки
+     * @param {Function} callback - Функция колбэка
+     */
+    addChangeCallback(callback) {
+        this.changeCallbacks.push(callback);
+    }
+
+    /**
+     * Уведомление об изменении библиотеки
+     */
+    notifyChange() {
+        this.changeCallbacks.forEach(callback => {
+            try {
+                callback();
+            } catch (error) {
+                logger.error('Ошибка в колбэке библиотеки скриптов', {
+                    error: error.message
+                });
+            }
+        });
+    }
+
+    /**
+     * Генерация уникального ID скрипта
+     * @returns {string} Уникальный ID
+     */
+    generateId() {
+        return 'script_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Получение ключа хранилища для скрипта
+     * @param {string} id - ID скрипта
+     * @returns {string} Ключ хранилища
+     */
+    getScriptKey(id) {
+        return SCRIPT_KEY_PREFIX + id;
+    }
+
+    /**
+     * Чтение индекса библиотеки
+     * @returns {Array} Записи библиотеки
+     */
+    readIndex() {
+        try {
+            const stored = this.dataService.readStorageItem(LIBRARY_INDEX_KEY);
+            const entries = stored ? JSON.parse(stored) : [];
+            return Array.isArray(entries) ? entries.filter(entry => entry && entry.id) : [];
+        } catch (error) {
+            logger.error('Ошибка при чтении индекса библиотеки скриптов', {
+                error: error.message
+            });
+            return [];
+        }
+    }
+
+    /**
+     * Чтение индекса библиотеки перед его изменением. Индекс перечитывается из хранилища,
+     * чтобы не затереть записи, добавленные или измененные в другой вкладке.
+     * @returns {Promise<Array>} Записи библиотеки
+     */
+    async readIndexForUpdate() {
+        await this.dataService.refreshStorageItem(LIBRARY_INDEX_KEY);
+        return this.readIndex();
+    }
+
+    /**
+     * Запись индекса библиотеки
+     * @param {Array} entries - Записи библиотеки
+     * @returns {Promise<boolean>} Успешно ли записано
+     */
+    async writeIndex(entries) {
+        if (!await this.dataService.writeStorageItem(LIBRARY_INDEX_KEY, JSON.stringify(entries))) {
+            logger.error('Ошибка при записи индекса библиотеки скриптов');
+            return false;
+        }
+        this.notifyChange();
+        return true;
+    }
+
+    /**
+     * Обновление полей записи библиотеки
+     * @param {string} id - ID скрипта
+     * @param {Object} changes - Изменяемые поля
+     * @returns {Promise<Object|null>} Обновленная запись или null
+     */
+    async updateEntry(id, changes) {
+        const entries = await this.readIndexForUpdate();
+        const entry = entries.find(item => item.id === id);
+        if (!entry) {
+            return null;
+        }
+
+        Object.assign(entry, changes);
+        return await this.writeIndex(entries) ? entry : null;
+    }
+
+    /**
+     * Получение всех скриптов (последние измененные первыми)
+     * @returns {Array} Записи библиотеки с размером данных
+     */
+    getAll() {
+        return this.readIndex()
+            .map(entry => ({
+                ...entry,
+                size: this.dataService.getStorageInfo(this.getScriptKey(entry.id)).size
+            }))
+            .sort((a, b) => new Date(b.modifiedAt) - new Date(a.modifiedAt));
+    }
+
+    /**
+     * Получение недавно открытых скриптов
+     * @param {number} limit - Максимальное количество
+     * @returns {Array} Записи библиотеки
+     */
+    getRecent(limit = 5) {
+        return this.readIndex()
+            .sort((a, b) => new Date(b.openedAt || b.modifiedAt) - new Date(a.openedAt || a.modifiedAt))
+            .slice(0, limit);
+    }
+
+    /**
+     * Получение записи скрипта по ID
+     * @param {string} id - ID скрипта
+     * @returns {Object|null} Запись или null
+     */
+    get(id) {
+        return this.readIndex().find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Проверка, пуста ли библиотека
+     * @returns {boolean} Пуста ли библиотека
+     */
+    isEmpty() {
+        return this.readIndex().length === 0;
+    }
+
+    /**
+     * Создание нового скрипта
+     * @param {string} name - Название скрипта
+     * @param {ScriptData|Object|null} data - Начальные данные скрипта
+     * @returns {Promise<Object|null>} Созданная запись или null
+     */
+    async create(name, data = null) {
+        const now = new Date().toISOString();
+        const entry = {
+            id: this.generateId(),
+            name: this.normalizeName(name),
+            createdAt: now,
+            modifiedAt: now,
+            openedAt: now
+        };
+
+        if (data && !await this.dataService.saveToStorage(data, this.getScriptKey(entry.id))) {
+            logger.error('Не удалось сохранить данные нового скрипта', { name: entry.name });
+            return null;
+        }
+
+        const entries = await this.readIndexForUpdate();
+        entries.push(entry);
+        if (!await this.writeIndex(entries)) {
+            this.dataService.clearStorage(this.getScriptKey(entry.id));
+            return null;
+        }
+
+        logger.logUserAction('создание скрипта в библиотеке', {
+            scriptId: entry.id,
+            name: entry.name
+        });
+        return entry;
+    }
+
+    /**
+     * Сохранение данных скрипта
+     * @param {string} id - ID скрипта
+     * @param {ScriptData|Object} data - Данные скрипта
+     * @returns {Promise<boolean>} Успешно ли сохранено (после записи в хранилище)
+     */
+    async save(id, data) {
+        if (!this.get(id)) {
+            logger.warn('Попытка сохранить скрипт, отсутствующий в библиотеке', { scriptId: id });
+            return false;
+        }
+
+        if (!await this.dataService.saveToStorage(data, this.getScriptKey(id))) {
+            return false;
+        }
+
+        return !!await this.updateEntry(id, { modifiedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Загрузка данных скрипта
+     * @param {string} id - ID скрипта
+     * @returns {ScriptData|null} Данные скрипта или null
+     */
+    load(id) {
+        if (!this.get(id)) {
+            return null;
+        }
+
+        const key = this.getScriptKey(id);
+        // Новый скрипт, который еще ни разу не сохранялся, считается пустым
+        if (!this.dataService.getStorageInfo(key).hasData) {
+            return null;
+        }
+        return this.dataService.loadFromStorage(key);
+    }
+
+    /**
+     * Отметка скрипта как открытого (для списка недавних)
+     * @param {string} id - ID скрипта
+     * @returns {Promise<void>}
+     */
+    async markOpened(id) {
+        await this.setActiveId(id);
+        await this.updateEntry(id, { openedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Переименование скрипта
+     * @param {string} id - ID скрипта
+     * @param {string} name - Новое название
+     * @returns {Promise<boolean>} Успешно ли переименовано
+     */
+    async rename(id, name) {
+        const entry = await this.updateEntry(id, {
+            name: this.normalizeName(name),
+            modifiedAt: new Date().toISOString()
+        });
+        if (entry) {
+            logger.logUserAction('переименование скрипта', { scriptId: id, name: entry.name });
+        }
+        return !!entry;
+    }
+
+    /**
+     * Создание копии скрипта
+     * @param {string} id - ID исходного скрипта
+     * @param {string} name - Название копии (по умолчанию "<название> (копия)")
+     * @returns {Promise<Object|null>} Запись копии или null
+     */
+    async duplicate(id, name = null) {
+        const source = this.get(id);
+        if (!source) {
+            return null;
+        }
+
+        const copy = await this.create(name || `${source.name} (копия)`, this.load(id));
+        if (copy) {
+            logger.logUserAction('дублирование скрипта', { sourceId: id, scriptId: copy.id });
+        }
+        return copy;
+    }
+
+    /**
+     * Удаление скрипта из библиотеки
+     * @param {string} id - ID скрипта
+     * @returns {Promise<boolean>} Успешно ли удалено
+     */
+    async delete(id) {
+        const entries = await this.readIndexForUpdate();
+        const remaining = entries.filter(entry => entry.id !== id);
+        if (remaining.length === entries.length) {
+            return false;
+        }
+
+        this.dataService.clearStorage(this.getScriptKey(id));
+        if (this.getActiveId() === id) {
+            await this.setActiveId(null);
+        }
+
+        logger.logUserAction('удаление скрипта из библиотеки', { scriptId: id });
+        return this.writeIndex(remaining);
+    }
+
+    /**
+     * Получение ID активного скрипта
+     * @returns {string|null} ID активного скрипта
+     */
+    getActiveId() {
+        const id = this.dataService.readStorageItem(ACTIVE_SCRIPT_KEY);
+        return id && this.get(id) ? id : null;
+    }
+
+    /**
+     * Установка активного скрипта
+     * @param {string|null} id - ID скрипта или null
+     * @returns {Promise<void>}
+     */
+    async setActiveId(id) {
+        if (id) {
+            await this.dataService.writeStorageItem(ACTIVE_SCRIPT_KEY, id);
+        } else {
+            this.dataService.clearStorage(ACTIVE_SCRIPT_KEY);
+        }
+    }
+
+    /**
+     * Перенос скрипта из старого единственного слота в библиотеку.
+     * Если в слоте лежит открытый скрипт (возврат из режима просмотра), новая запись не создается:
+     * изменения ролей из режима просмотра (например, скорость речи по репетиции) сохраняются в открытый скрипт.
+     * @returns {Promise<Object|null>} Созданная запись или null, если переносить нечего
+     */
+    async migrateLegacyData() {
+        if (!this.dataService.getStorageInfo(LEGACY_STORAGE_KEY).hasData) {
+            return null;
+        }
+
+        const legacyData = this.dataService.loadFromStorage(LEGACY_STORAGE_KEY);
+        const activeId = this.getActiveId();
+        const activeData = activeId ? this.load(activeId) : null;
+        let entry = null;
+
+        if (legacyData && activeData && this.isSameScript(activeData, legacyData)) {
+            if (!this.isSameContent(activeData, legacyData)) {
+                // Слот не очищаем при ошибке, чтобы изменения не потерялись
+                if (!await this.save(activeId, legacyData)) {
+                    return null;
+                }
+                logger.info('Изменения из режима просмотра сохранены в открытый скрипт', { scriptId: activeId });
+            }
+        } else if (legacyData) {
+            entry = await this.create(this.isEmpty() ? 'Мой скрипт' : 'Скрипт из режима просмотра', legacyData);
+            if (entry) {
+                await this.setActiveId(entry.id);
+                logger.info('Скрипт из старого хранилища перенесен в библиотеку', { scriptId: entry.id });
+            }
+        }
+
+        // Невалидные или уже перенесенные данные больше не нужны
+        if (!legacyData || entry || activeData) {
+            this.dataService.clearStorage(LEGACY_STORAGE_KEY);
+        }
+        return entry;
+    }
+
+    /**
+     * Проверка, что данные относятся к одному скрипту: те же роли, реплики и их текст
+     * @param {Object} first - Данные первого скрипта
+     * @param {Object} second - Данные второго скрипта
+     * @returns {boolean} Один ли это скрипт
+     */
+    isSameScript(first, second) {
+        const snapshot = (data) => JSON.stringify({
+            roles: (data.roles || []).map(role => [role.id, role.name, role.type]),
+            replicas: (data.replicas || []).map(replica => [replica.id, replica.text, replica.roleId])
+        });
+        return snapshot(first) === snapshot(second);
+    }
+
+    /**
+     * Сравнение содержимого двух скриптов, включая параметры ролей (без служебных полей)
+     * @param {Object} first - Данные первого скрипта
+     * @param {Object} second - Данные второго скрипта
+     * @returns {boolean} Совпадает ли содержимое
+     */
+    isSameContent(first, second) {
+        const snapshot = (data) => JSON.stringify((data.roles || []).map(role =>
+            [role.wordsPerMinute, role.duration, role.group ?? null, role.color ?? null]));
+        return this.isSameScript(first, second) && snapshot(first) === snapshot(second);
+    }
+
+    /**
+     * Нормализация названия скрипта
+     * @param {string} name - Введенное название
+     * @returns {string} Название без лишних пробелов или название по умолчанию
+     */
+    normalizeName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        return trimmed || 'Без названия';
+    }
+}
+
+// Экспорт для использования в модулях
+export { ScriptLibrary };
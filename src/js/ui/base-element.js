@@ -1,13 +1,74 @@
+import { formatTimecode, formatTimecodeRange } from '../utils/time-format.js';
+
 /**
  * Абстрактный базовый класс для элементов реплик
  * Определяет общую структуру и функциональность для всех типов элементов реплик
  */
 class BaseReplicaElement {
-    constructor(replica, role, index) {
+    constructor(replica, role, index, timecode = null) {
         this.replica = replica;
         this.role = role;
         this.index = index;
+        this.timecode = timecode; // Начало и конец реплики в минутах { start, end }
         this.element = null;
+        this.selection = null;
+    }
+
+    /**
+     * Включение выбора элемента для групповых действий (вызывается до build)
+     * @param {boolean} selected - Выбран ли элемент
+     * @param {boolean} showCheckbox - Показывать ли флажок выбора
+     * @param {Function} onSelect - Обработчик выбора: (event) => void. Вызывается по флажку
+     *   или по щелчку с Ctrl/Shift
+     */
+    setSelection(selected, showCheckbox, onSelect) {
+        this.selection = { selected, showCheckbox, onSelect };
+    }
+
+    /**
+     * Подключение выбора к собранному элементу
+     * @param {HTMLElement} element - Элемент реплики
+     * @param {HTMLElement} controlsContainer - Контейнер управления, куда добавляется флажок
+     */
+    applySelection(element, controlsContainer) {
+        const { selected, showCheckbox, onSelect } = this.selection;
+        element.classList.toggle('replica-selected', selected);
+
+        if (showCheckbox) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'replica-select-checkbox';
+            checkbox.checked = selected;
+            checkbox.title = 'Выбрать реплику (Shift - диапазон)';
+            checkbox.addEventListener('click', (e) => {
+                e.stopPropagation();
+                onSelect(e);
+            });
+            controlsContainer.prepend(checkbox);
+        }
+
+        element.addEventListener('click', (e) => {
+            if (!(e.ctrlKey || e.metaKey || e.shiftKey) || e.target.closest('button, select, textarea, input')) {
+                return;
+            }
+            e.preventDefault();
+            onSelect(e);
+        });
+    }
+
+    /**
+     * Создание элемента таймкода реплики
+     * @returns {HTMLElement|null} Таймкод или null, если он не рассчитан
+     */
+    createTimecodeElement() {
+        if (!this.timecode) {
+            return null;
+        }
+        const timecode = document.createElement('span');
+        timecode.className = 'replica-timecode';
+        timecode.textContent = formatTimecode(this.timecode.start);
+        timecode.title = `${formatTimecodeRange(this.timecode)} от начала записи`;
+        return timecode;
     }
 
     /**
@@ -190,6 +251,10 @@ class BaseReplicaElement {
         element.appendChild(contentContainer);
         element.appendChild(actionsContainer);
 
+        if (this.selection) {
+            this.applySelection(element, controlsContainer);
+        }
+
         return element;
     }
 
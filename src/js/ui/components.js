@@ -1,27 +1,63 @@
 
 import { BaseUIComponent } from '../common/base-ui-component.js';
 import { themeManager } from '../common/theme-manager.js';
+import { EXPORT_FORMATS, ScriptExporter } from '../core/script-exporters.js';
+import { MAPPING_NEW_ROLE, MAPPING_SKIP, ScriptImporter } from '../core/script-importers.js';
+import { ScriptSchema } from '../core/script-schema.js';
 import { logger } from '../logger.js';
+import { CastPreset } from '../models/cast-preset.js';
+import { EpisodeMetadata } from '../models/episode-metadata.js';
 import { Replica } from '../models/replica.js';
-import { Speaker, SoundEffect } from '../models/role.js';
+import { Speaker, SoundEffect, ROLE_GROUPS } from '../models/role.js';
 import { ScriptData } from '../models/script-data.js';
+import { Segment, SEGMENT_KINDS } from '../models/segment.js';
+import { eventService } from '../utils/event-service.js';
+import { TextSearch } from '../utils/text-search.js';
+import { formatTimecode } from '../utils/time-format.js';
 
 import { ModalComponent } from './modal-component.js';
+import { RoleStatsPanel } from './role-stats-panel.js';
 import { SoundEffectElement } from './sound-effect-element.js';
 import { SpeakerReplicaElement } from './speaker-replica-element.js';
 import { ToastComponent } from './toast-component.js';
 
+// Варианты темпа реплики в диалоге редактирования
+const PACE_OPTIONS = [
+    { value: 0.75, label: 'Медленно (×0.75)' },
+    { value: 0.9, label: 'Спокойно (×0.9)' },
+    { value: 1, label: 'Обычно (×1)' },
+    { value: 1.1, label: 'Бодро (×1.1)' },
+    { value: 1.25, label: 'Быстро (×1.25)' },
+    { value: 1.5, label: 'Очень быстро (×1.5)' }
+];
+
 /**
  * Компоненты пользовательского интерфейса
  */
 class UIComponents extends BaseUIComponent {
-    constructor(dataManager, dataService) {
+    constructor(dataManager, dataService, scriptLibrary = null) {
         super();
         this.dataManager = dataManager;
         this.dataService = dataService;
+        this.scriptLibrary = scriptLibrary;
         this.draggedElement = null;
         this.draggedReplicaId = null;
+        this.draggedSegmentId = null;
+        this.draggedRoleId = null;
+        this.collapsedSegments = new Set(); // ID свернутых разделов (null - реплики вне разделов)
+        this.inlineEditors = new Map(); // Элементы реплик с редактированием на месте по ID реплики
+        // Выбор реплик для групповых действий
+        this.selectedReplicaIds = new Set();
+        this.selectionAnchorId = null; // Реплика, от которой выбирается диапазон с Shift
+        this.selectionMode = false; // Показаны ли флажки выбора
+        this.draggedReplicaIds = null; // Перетаскиваемый блок выбранных реплик
+        // Поиск по репликам: запрос, опции и фильтр по роли
+        this.searchState = { query: '', caseSensitive: false, wholeWord: false, regex: false, roleId: '' };
+        this.searchHits = []; // Найденные совпадения { replicaId, match } в порядке реплик
+        this.activeSearchHit = 0;
+        this.searchInputTimeout = null;
         this.currentSpeakerColor = '#007bff'; // Начальный цвет по умолчанию
+        this.roleStatsPanel = null;
         
         logger.info('Компоненты UI инициализированы');
     }
@@ -33,6 +69,7 @@ class UIComponents extends BaseUIComponent {
         super.initialize(); // Вызываем базовую инициализацию
         this.setupEventListeners();
         this.loadThemePreference(); // Загружаем сохраненную тему при инициализации
+        this.roleStatsPanel = new RoleStatsPanel(document.getElementById('roleStatsPanel'));
         this.updateRolesList();
         this.updateReplicasList();
         this.updateStatistics();
@@ -135,6 +172,34 @@ class UIComponents extends BaseUIComponent {
             logger.error('Элемент loadScriptInput не найден в DOM');
         }
 
+        // Импорт скрипта из вставленного текста
+        const importTextBtn = document.getElementById('importTextBtn');
+        if (importTextBtn) {
+            importTextBtn.addEventListener('click', () => this.handlePasteTranscript());
+        }
+
+        // Разделы скрипта
+        const addSegmentBtn = document.getElementById('addSegmentBtn');
+        if (addSegmentBtn) {
+            addSegmentBtn.addEventListener('click', () => this.handleAddSegment());
+        }
+
+        // Библиотека скриптов
+        this.setupScriptLibraryControls();
+
+        // Составы ролей
+        this.setupCastPresetControls();
+
+        // Данные выпуска
+        const episodeMetaBtn = document.getElementById('episodeMetaBtn');
+        if (episodeMetaBtn) {
+            episodeMetaBtn.addEventListener('click', () => this.handleEditEpisodeMetadata());
+        }
+        const durationTargetItem = document.getElementById('durationTargetItem');
+        if (durationTargetItem) {
+            durationTargetItem.addEventListener('click', () => this.handleEditEpisodeMetadata());
+        }
+
         // Обновление при изменении роли в селекте реплик
         document.getElementById('replicaRole').addEventListener('change', () => {
             this.updateReplicaControls();
@@ -152,8 +217,17 @@ class UIComponents extends BaseUIComponent {
         this.dataManager.addUpdateCallback(() => {
             this.updateStatistics();
             this.updateReplicaControls();
+            this.updateHistoryControls();
+            this.updateEpisodeMetadataDisplay();
         });
 
+        // Отмена и повтор действий
+        this.setupHistoryControls();
+
+        // Поиск и замена в репликах
+        this.setupSearchControls();
+        this.setupSelectionControls();
+
         // Обработчики для элементов управления цветом спикера
         this.setupColorControls();
 
@@ -163,6 +237,206 @@ class UIComponents extends BaseUIComponent {
         logger.info('Слушатели событий настроены');
     }
 
+    /**
+     * Обновление названия и подзаголовка выпуска в шапке редактора
+     */
+    updateEpisodeMetadataDisplay() {
+        const titleElement = document.getElementById('episodeTitleDisplay');
+        const subtitleElement = document.getElementById('episodeSubtitleDisplay');
+        if (!titleElement || !subtitleElement) {
+            return;
+        }
+
+        const metadata = this.dataManager.metadata;
+        titleElement.textContent = metadata.title || 'Выпуск без названия';
+        subtitleElement.textContent = metadata.getSubtitle() || 'Добавить данные выпуска';
+    }
+
+    /**
+     * Редактирование метаданных выпуска
+     */
+    async handleEditEpisodeMetadata() {
+        const changes = await this.showEpisodeMetadataDialog(this.dataManager.metadata);
+        if (!changes) {
+            return;
+        }
+
+        if (this.dataManager.updateMetadata(changes)) {
+            ToastComponent.success('Данные выпуска сохранены');
+        }
+    }
+
+    /**
+     * Показ окна редактирования метаданных выпуска
+     * @param {EpisodeMetadata} metadata - Текущие метаданные
+     * @returns {Promise<Object|null>} Новые значения полей или null при отмене
+     */
+    async showEpisodeMetadataDialog(metadata) {
+        const inputs = {};
+        const fields = [
+            { key: 'title', label: 'Название выпуска', type: 'text', value: metadata.title, wide: true },
+            { key: 'showName', label: 'Шоу', type: 'text', value: metadata.showName, wide: true },
+            { key: 'season', label: 'Сезон', type: 'number', value: metadata.season ?? '', min: 1, step: 1 },
+            { key: 'episode', label: 'Выпуск', type: 'number', value: metadata.episode ?? '', min: 1, step: 1 },
+            { key: 'airDate', label: 'Дата выхода', type: 'date', value: metadata.airDate },
+            { key: 'targetDuration', label: 'Целевая длительность (мм:сс)', type: 'text', value: EpisodeMetadata.formatDuration(metadata.targetDuration), placeholder: '25:00' },
+            { key: 'durationTolerance', label: 'Допустимое отклонение (мм:сс)', type: 'text', value: EpisodeMetadata.formatDuration(metadata.durationTolerance), placeholder: '1:00' },
+            { key: 'authors', label: 'Авторы (через запятую)', type: 'text', value: metadata.authors.join(', '), wide: true },
+            { key: 'description', label: 'Описание', type: 'textarea', value: metadata.description, wide: true }
+        ];
+
+        try {
+            return await ModalComponent.show({
+                title: 'Данные выпуска',
+                type: 'custom',
+                size: 'md',
+                content: (container) => {
+                    const form = document.createElement('div');
+                    form.className = 'episode-metadata-form';
+
+                    fields.forEach(field => {
+                        const label = document.createElement('label');
+                        label.className = field.wide ? 'download-format-label episode-metadata-wide' : 'download-format-label';
+                        label.textContent = field.label;
+
+                        const input = document.createElement(field.type === 'textarea' ? 'textarea' : 'input');
+                        if (field.type === 'textarea') {
+                            input.rows = 4;
+                        } else {
+                            input.type = field.type;
+                        }
+                        if (field.min !== undefined) input.min = field.min;
+                        if (field.step !== undefined) input.step = field.step;
+                        if (field.placeholder) input.placeholder = field.placeholder;
+                        input.className = 'form-control';
+                        input.value = field.value;
+
+                        inputs[field.key] = input;
+                        label.appendChild(input);
+                        form.appendChild(label);
+                    });
+
+                    container.appendChild(form);
+                    return form;
+                },
+                buttons: [
+                    {
+                        text: 'Отмена',
+                        icon: 'x-circle',
+                        type: 'secondary',
+                        onClick: () => null,
+                        autoClose: true
+                    },
+                    {
+                        text: 'Сохранить',
+                        icon: 'check',
+                        type: 'primary',
+                        onClick: () => ({
+                            title: inputs.title.value.trim(),
+                            showName: inputs.showName.value.trim(),
+                            season: inputs.season.value,
+                            episode: inputs.episode.value,
+                            airDate: inputs.airDate.value,
+                            targetDuration: inputs.targetDuration.value,
+                            durationTolerance: inputs.durationTolerance.value,
+                            authors: inputs.authors.value.split(','),
+                            description: inputs.description.value.trim()
+                        }),
+                        autoClose: true
+                    }
+                ]
+            }) || null;
+        } catch (error) {
+            logger.error('Ошибка при показе окна данных выпуска:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Настройка кнопок и горячих клавиш отмены/повтора
+     */
+    setupHistoryControls() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.handleUndo());
+        }
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.handleRedo());
+        }
+
+        // В полях ввода оставляем нативную отмену редактирования текста
+        const unsubscribes = eventService.subscribeToKeyboardShortcuts({
+            'ctrl+z': () => this.handleUndo(),
+            'ctrl+shift+z': () => this.handleRedo()
+        }, { ignoreEditable: true });
+        unsubscribes.forEach(unsubscribe => this.eventListeners.add(unsubscribe));
+
+        this.updateHistoryControls();
+    }
+
+    /**
+     * Обновление состояния кнопок отмены/повтора
+     */
+    updateHistoryControls() {
+        const history = this.dataManager.history;
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+
+        if (undoBtn) {
+            const nextUndo = history.peekUndo();
+            undoBtn.disabled = !nextUndo;
+            undoBtn.title = nextUndo ? `Отменить: ${nextUndo.label} (Ctrl+Z)` : 'Нечего отменять';
+        }
+        if (redoBtn) {
+            const nextRedo = history.peekRedo();
+            redoBtn.disabled = !nextRedo;
+            redoBtn.title = nextRedo ? `Повторить: ${nextRedo.label} (Ctrl+Shift+Z)` : 'Нечего повторять';
+        }
+    }
+
+    /**
+     * Обработка отмены последнего действия
+     */
+    handleUndo() {
+        // Не меняем данные под открытым модальным окном
+        if (ModalComponent.hasActiveModal()) return;
+
+        const command = this.dataManager.history.peekUndo();
+        if (this.dataManager.undo()) {
+            this.refreshAfterHistoryChange();
+            ToastComponent.info(`Отменено: ${command.label}`, { duration: 2000 });
+        }
+    }
+
+    /**
+     * Обработка повтора отмененного действия
+     */
+    handleRedo() {
+        if (ModalComponent.hasActiveModal()) return;
+
+        const command = this.dataManager.history.peekRedo();
+        if (this.dataManager.redo()) {
+            this.refreshAfterHistoryChange();
+            ToastComponent.info(`Повторено: ${command.label}`, { duration: 2000 });
+        }
+    }
+
+    /**
+     * Обновление интерфейса и сохранение после отмены/повтора
+     */
+    refreshAfterHistoryChange() {
+        this.updateAllLists();
+        this.updateReplicaControls();
+        this.updateHistoryControls();
+
+        // Сохраняем данные в localStorage для персистентности
+        if (window.app && typeof window.app.saveDataToStorage === 'function') {
+            window.app.saveDataToStorage();
+        }
+    }
+
     /**
      * Настройка кнопки открытия режима просмотра
      */
@@ -204,11 +478,11 @@ class UIComponents extends BaseUIComponent {
     /**
      * Обработка открытия режима просмотра
      */
-    handleOpenViewerMode() {
+    async handleOpenViewerMode() {
         try {
             // Проверяем, есть ли у нас доступ к основному приложению
             if (window.app && typeof window.app.openViewerMode === 'function') {
-                const success = window.app.openViewerMode();
+                const success = await window.app.openViewerMode();
                 if (success) {
                     logger.logUserAction('открытие режима просмотра', {
                         success: true
@@ -415,6 +689,292 @@ class UIComponents extends BaseUIComponent {
         });
     }
 
+    /**
+     * Настройка кнопки составов (повторяющихся наборов ролей)
+     */
+    setupCastPresetControls() {
+        const castPresetsBtn = document.getElementById('castPresetsBtn');
+        if (castPresetsBtn) {
+            castPresetsBtn.addEventListener('click', () => this.showCastPresetsDialog());
+        }
+    }
+
+    /**
+     * Показ окна составов: сохранение текущих ролей, применение, экспорт и импорт
+     * @returns {Promise} Promise, завершающийся при закрытии окна
+     */
+    showCastPresetsDialog() {
+        return new Promise((resolve) => {
+            let listContainer = null;
+            const modal = new ModalComponent({
+                title: 'Составы',
+                type: 'custom',
+                size: 'lg',
+                content: (container) => {
+                    const form = document.createElement('div');
+                    form.className = 'cast-preset-dialog';
+
+                    const hint = document.createElement('p');
+                    hint.className = 'cast-preset-hint';
+                    hint.textContent = 'Состав - набор ролей со скоростью речи, цветами, длительностями и группами. '
+                        + 'При применении добавляются роли, которых еще нет в скрипте.';
+                    form.appendChild(hint);
+
+                    const saveRow = document.createElement('div');
+                    saveRow.className = 'cast-preset-save';
+                    const nameInput = document.createElement('input');
+                    nameInput.type = 'text';
+                    nameInput.className = 'form-control';
+                    nameInput.placeholder = 'Название состава';
+                    nameInput.maxLength = 120;
+                    const saveBtn = document.createElement('button');
+                    saveBtn.type = 'button';
+                    saveBtn.className = 'btn btn-primary btn-sm';
+                    saveBtn.innerHTML = '<i data-feather="save"></i> Сохранить текущие роли';
+                    saveBtn.addEventListener('click', async () => {
+                        if (await this.handleSaveCastPreset(nameInput.value)) {
+                            nameInput.value = '';
+                            this.renderCastPresetList(listContainer, modal);
+                        }
+                    });
+                    nameInput.addEventListener('keydown', (e) => {
+                        if (e.key === 'Enter') {
+                            e.preventDefault();
+                            saveBtn.click();
+                        }
+                    });
+                    saveRow.appendChild(nameInput);
+                    saveRow.appendChild(saveBtn);
+                    form.appendChild(saveRow);
+
+                    listContainer = document.createElement('div');
+                    listContainer.className = 'script-library-list';
+                    this.renderCastPresetList(listContainer, modal);
+                    form.appendChild(listContainer);
+
+                    const fileRow = document.createElement('div');
+                    fileRow.className = 'cast-preset-file';
+                    const importInput = document.createElement('input');
+                    importInput.type = 'file';
+                    importInput.accept = '.json,application/json';
+                    importInput.hidden = true;
+                    importInput.addEventListener('change', async (e) => {
+                        const file = e.target.files[0];
+                        if (file) {
+                            await this.handleImportCastPresets(file);
+                            e.target.value = '';
+                            this.renderCastPresetList(listContainer, modal);
+                        }
+                    });
+                    const importBtn = document.createElement('button');
+                    importBtn.type = 'button';
+                    importBtn.className = 'btn btn-secondary btn-sm';
+                    importBtn.innerHTML = '<i data-feather="upload"></i> Импорт из файла';
+                    importBtn.addEventListener('click', () => importInput.click());
+                    const exportBtn = document.createElement('button');
+                    exportBtn.type = 'button';
+                    exportBtn.className = 'btn btn-secondary btn-sm';
+                    exportBtn.innerHTML = '<i data-feather="download"></i> Экспорт всех';
+                    exportBtn.addEventListener('click', () => this.handleExportCastPresets(this.dataService.loadCastPresets(), 'cast-presets'));
+                    fileRow.appendChild(importInput);
+                    fileRow.appendChild(importBtn);
+                    fileRow.appendChild(exportBtn);
+                    form.appendChild(fileRow);
+
+                    setTimeout(() => nameInput.focus(), 150);
+                    container.appendChild(form);
+                    return form;
+                },
+                buttons: [
+                    {
+                        text: 'Закрыть',
+                        icon: 'x-circle',
+                        type: 'secondary',
+                        onClick: () => null,
+                        autoClose: true
+                    }
+                ],
+                onClose: resolve
+            });
+
+            modal.initialize().catch(error => {
+                logger.error('Ошибка при показе окна составов:', error);
+                resolve(null);
+            });
+        });
+    }
+
+    /**
+     * Отрисовка списка сохраненных составов
+     * @param {HTMLElement} listContainer - Контейнер списка
+     * @param {ModalComponent} modal - Модальное окно составов
+     */
+    renderCastPresetList(listContainer, modal) {
+        listContainer.innerHTML = '';
+        const presets = this.dataService.loadCastPresets();
+
+        if (presets.length === 0) {
+            const emptyMessage = document.createElement('p');
+            emptyMessage.className = 'script-library-empty';
+            emptyMessage.textContent = 'Сохраненных составов пока нет. Сохраните роли текущего скрипта или импортируйте файл.';
+            listContainer.appendChild(emptyMessage);
+        }
+
+        const rerender = () => this.renderCastPresetList(listContainer, modal);
+
+        presets.forEach(preset => {
+            const item = document.createElement('div');
+            item.className = 'script-library-item';
+            item.dataset.presetId = preset.id;
+
+            const info = document.createElement('div');
+            info.className = 'script-library-info';
+
+            const name = document.createElement('div');
+            name.className = 'script-library-name';
+            name.textContent = preset.name;
+
+            const meta = document.createElement('div');
+            meta.className = 'script-library-meta';
+            meta.textContent = preset.roles.map(role => role.name).join(', ');
+            meta.title = meta.textContent;
+
+            info.appendChild(name);
+            info.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'script-library-actions';
+
+            const createAction = (icon, title, onClick, className = 'btn-secondary') => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `btn btn-sm ${className} script-library-btn`;
+                button.innerHTML = `<i data-feather="${icon}"></i>`;
+                button.title = title;
+                button.setAttribute('aria-label', title);
+                button.addEventListener('click', onClick);
+                actions.appendChild(button);
+            };
+
+            createAction('user-plus', 'Применить к скрипту', () => {
+                modal.closeModal(null);
+                this.handleApplyCastPreset(preset);
+            }, 'btn-primary');
+            createAction('download', 'Экспорт в файл', () => {
+                this.handleExportCastPresets([preset], `cast-${preset.name}`);
+            });
+            createAction('trash-2', 'Удалить', async () => {
+                const confirmed = await ModalComponent.showConfirmation(
+                    'Удаление состава',
+                    `Удалить состав "${preset.name}"? Роли в скриптах не изменятся.`,
+                    'Удалить'
+                );
+                if (confirmed) {
+                    await this.dataService.saveCastPresets(this.dataService.loadCastPresets().filter(item => item.id !== preset.id));
+                    ToastComponent.warning(`Состав "${preset.name}" удален`, { duration: 3000 });
+                }
+                rerender();
+            }, 'btn-danger');
+
+            item.appendChild(info);
+            item.appendChild(actions);
+            listContainer.appendChild(item);
+        });
+
+        if (window.app && typeof window.app.updateFeatherIcons === 'function') {
+            window.app.updateFeatherIcons();
+        }
+    }
+
+    /**
+     * Сохранение ролей текущего скрипта как состава
+     * @param {string} name - Название состава
+     * @returns {Promise<boolean>} Сохранен ли состав
+     */
+    async handleSaveCastPreset(name) {
+        const roles = this.dataManager.roleManager.getOrdered();
+        if (roles.length === 0) {
+            ToastComponent.warning('В скрипте нет ролей для сохранения');
+            return false;
+        }
+
+        const preset = CastPreset.fromRoles(name, roles);
+        if (!await this.dataService.saveCastPresets([...this.dataService.loadCastPresets(), preset])) {
+            ToastComponent.error('Не удалось сохранить состав');
+            return false;
+        }
+
+        ToastComponent.success(`Состав "${preset.name}" сохранен: ролей ${preset.roles.length}`, { duration: 2000 });
+        logger.logUserAction('сохранение состава', { presetId: preset.id, roleCount: preset.roles.length });
+        return true;
+    }
+
+    /**
+     * Применение состава к текущему скрипту с возможностью отмены
+     * @param {CastPreset} preset - Состав
+     */
+    handleApplyCastPreset(preset) {
+        const roles = this.dataManager.applyCastPreset(preset);
+        if (roles.length === 0) {
+            ToastComponent.warning(`Все роли состава "${preset.name}" уже есть в скрипте`);
+            return;
+        }
+
+        this.refreshAfterHistoryChange();
+        const command = this.dataManager.history.peekUndo();
+        this.showToast(`Состав "${preset.name}": добавлено ролей ${roles.length}`, () => {
+            if (!this.dataManager.undoCommand(command)) {
+                ToastComponent.warning('Применение состава уже нельзя отменить: после него были другие изменения');
+                return;
+            }
+            this.refreshAfterHistoryChange();
+        }, 'success');
+    }
+
+    /**
+     * Экспорт составов в JSON-файл
+     * @param {Array<CastPreset>} presets - Составы
+     * @param {string} filename - Имя файла без расширения
+     */
+    handleExportCastPresets(presets, filename) {
+        if (presets.length === 0) {
+            ToastComponent.warning('Нет составов для экспорта');
+            return;
+        }
+        if (!this.dataService.exportCastPresets(presets, filename.replace(/[\\/:*?"<>|]+/g, '_'))) {
+            ToastComponent.error('Не удалось экспортировать составы');
+        }
+    }
+
+    /**
+     * Импорт составов из JSON-файла. Составы с тем же ID заменяются, остальные добавляются.
+     * @param {File} file - Файл составов
+     */
+    async handleImportCastPresets(file) {
+        try {
+            const imported = this.dataService.parseCastPresets(await file.text());
+            const presets = this.dataService.loadCastPresets();
+            imported.forEach(preset => {
+                const index = presets.findIndex(item => item.id === preset.id);
+                if (index === -1) {
+                    presets.push(preset);
+                } else {
+                    presets[index] = preset;
+                }
+            });
+
+            if (!await this.dataService.saveCastPresets(presets)) {
+                ToastComponent.error('Не удалось сохранить импортированные составы');
+                return;
+            }
+            ToastComponent.success(`Импортировано составов: ${imported.length}`, { duration: 2000 });
+            logger.logUserAction('импорт составов', { fileName: file.name, count: imported.length });
+        } catch (error) {
+            logger.error('Ошибка при импорте составов', { fileName: file.name, error: error.message });
+            ToastComponent.error(`Не удалось импортировать "${file.name}": ${error.message}`, { duration: 7000 });
+        }
+    }
+
     /**
      * Обработка добавления реплики
      */
@@ -424,6 +984,8 @@ class UIComponents extends BaseUIComponent {
         
         const roleId = roleSelect.value;
         const text = textArea.value.trim();
+        const segmentSelect = document.getElementById('replicaSegment');
+        const segmentId = segmentSelect && segmentSelect.value ? segmentSelect.value : null;
 
         if (!roleId) {
             alert('Пожалуйста, выберите роль');
@@ -437,10 +999,12 @@ class UIComponents extends BaseUIComponent {
             if (!text) {
                 // Create a replica with empty text for sound effects
                 const replica = new Replica('', roleId);
+                replica.segmentId = segmentId;
                 this.dataManager.addReplica(replica);
             } else {
                 // If there is text, allow adding it (for cases where user might want to add descriptive text)
                 const replica = new Replica(text, roleId);
+                replica.segmentId = segmentId;
                 this.dataManager.addReplica(replica);
             }
         } else {
@@ -450,6 +1014,7 @@ class UIComponents extends BaseUIComponent {
                 return;
             }
             const replica = new Replica(text, roleId);
+            replica.segmentId = segmentId;
             this.dataManager.addReplica(replica);
         }
         
@@ -478,38 +1043,52 @@ class UIComponents extends BaseUIComponent {
      * Обработка скачивания скрипта
      */
     handleDownloadScript() {
-        // Создаем модальное окно для ввода имени файла
-        this.showFilenameDialog((filename) => {
+        // Создаем модальное окно для ввода имени файла и выбора формата
+        this.showFilenameDialog((filename, format) => {
             if (filename !== null) {
                 // Get the current script data from dataManager
                 const data = this.dataManager.exportData();
                 // Create a ScriptData instance from the exported data
                 const scriptData = new ScriptData(data);
 
-                const success = this.dataService.saveToJSONFile(scriptData, filename);
+                const activeScript = this.getActiveScriptEntry();
+                const success = this.dataService.saveToFile(scriptData, filename, format, {
+                    title: activeScript ? activeScript.name : filename
+                });
                 if (success) {
                     logger.logUserAction('скачивание скрипта', {
                         success: true,
-                        filename: filename
+                        filename: filename,
+                        format: format
                     });
                 } else {
                     logger.logUserAction('ошибка скачивания скрипта', {
                         success: false,
-                        filename: filename
+                        filename: filename,
+                        format: format
                     });
+                    ToastComponent.error('Не удалось скачать файл');
                 }
             }
         });
     }
 
     /**
-     * Показ модального окна для ввода имени файла
-     * @param {Function} onConfirm - Функция для выполнения при подтверждении
+     * Показ модального окна для ввода имени файла и выбора формата
+     * @param {Function} onConfirm - Функция (filename, format), вызывается с filename = null при отмене
      */
     async showFilenameDialog(onConfirm) {
         try {
-            // Устанавливаем предустановленное имя файла
-            const defaultName = `podcast-script-${new Date().toISOString().slice(0, 10)}`;
+            // Устанавливаем предустановленное имя файла (по названию открытого скрипта, если есть)
+            const activeScript = this.getActiveScriptEntry();
+            const defaultName = activeScript
+                ? activeScript.name
+                : `podcast-script-${new Date().toISOString().slice(0, 10)}`;
+            
+            // Последний выбранный формат
+            const savedFormat = localStorage.getItem('downloadFormatPreference');
+            const defaultFormat = EXPORT_FORMATS[savedFormat] ? savedFormat : 'json';
+            let formatSelect = null;
             
             const result = await ModalComponent.show({
                 title: 'Скачать файл',
@@ -518,7 +1097,7 @@ class UIComponents extends BaseUIComponent {
                     const input = document.createElement('input');
                     input.type = 'text';
                     input.className = 'form-control';
-                    input.placeholder = 'Введите имя файла для скачивания (без расширения .json)';
+                    input.placeholder = 'Введите имя файла для скачивания (без расширения)';
                     input.value = defaultName;
                     input.focus();
                     input.select();
@@ -531,6 +1110,24 @@ class UIComponents extends BaseUIComponent {
                     });
                     
                     container.appendChild(input);
+
+                    // Выбор формата файла
+                    const formatLabel = document.createElement('label');
+                    formatLabel.className = 'download-format-label';
+                    formatLabel.textContent = 'Формат';
+
+                    formatSelect = document.createElement('select');
+                    formatSelect.className = 'form-control download-format-select';
+                    Object.entries(EXPORT_FORMATS).forEach(([format, info]) => {
+                        const option = document.createElement('option');
+                        option.value = format;
+                        option.textContent = `${info.label} (.${info.extension})`;
+                        formatSelect.appendChild(option);
+                    });
+                    formatSelect.value = defaultFormat;
+
+                    formatLabel.appendChild(formatSelect);
+                    container.appendChild(formatLabel);
                     return input;
                 },
                 buttons: [
@@ -547,14 +1144,20 @@ class UIComponents extends BaseUIComponent {
                         type: 'primary',
                         onClick: () => {
                             const input = document.querySelector('.modal-body input');
-                            return input.value.trim() || null;
+                            const filename = input.value.trim();
+                            return filename ? { filename, format: formatSelect.value } : null;
                         },
                         autoClose: true
                     }
                 ]
             });
 
-            onConfirm(result);
+            if (result) {
+                localStorage.setItem('downloadFormatPreference', result.format);
+                onConfirm(result.filename, result.format);
+            } else {
+                onConfirm(null);
+            }
         } catch (error) {
             logger.error('Ошибка при показе модального окна ввода имени файла:', error);
             onConfirm(null);
@@ -567,6 +1170,12 @@ class UIComponents extends BaseUIComponent {
      */
     async handleLoadScript(file) {
         logger.debug('Начало обработки загрузки скрипта', { fileName: file.name, fileSize: file.size });
+
+        // Текстовые расшифровки (.txt, .md) импортируются через окно сопоставления ролей
+        if (ScriptImporter.isTranscriptFile(file)) {
+            await this.handleImportTranscriptFile(file);
+            return;
+        }
         
         try {
             // Load the file data directly without modal
@@ -577,8 +1186,23 @@ class UIComponents extends BaseUIComponent {
                 // Convert ScriptData to DataManager import format and import the data
                 logger.debug('Конвертация данных для импорта в DataManager', { rolesCount: scriptData.roles.length, replicasCount: scriptData.replicas.length });
                 const importData = this.dataService.convertForDataManagerImport(scriptData);
+
+                // В непустой скрипт файл можно влить, не заменяя текущие данные
+                if (!this.dataManager.isEmpty()) {
+                    const mode = await this.showLoadModeDialog(file.name);
+                    if (mode === null) return;
+                    if (mode === 'merge') {
+                        await this.handleMergeScript(importData, file.name);
+                        return;
+                    }
+                }
+
                 logger.debug('Начало импорта данных в DataManager', { rolesCount: importData.roles?.length, replicasCount: importData.replicas?.length });
-                const success = this.dataManager.importData(importData);
+                // Файл открывается как новый скрипт библиотеки, открытый скрипт не перезаписывается
+                const scriptName = file.name.replace(/\.json$/i, '');
+                const success = window.app && typeof window.app.createScript === 'function'
+                    ? await window.app.createScript(scriptName, importData)
+                    : this.dataManager.importData(importData);
                 logger.debug('Результат импорта в DataManager', { success: success });
                 
                 if (success) {
@@ -625,6 +1249,13 @@ class UIComponents extends BaseUIComponent {
                     success: false
                 });
                 
+                // Ошибки схемы показываем списком с путями к проблемным полям
+                const errors = ScriptSchema.formatErrors(this.dataService.lastValidationErrors);
+                if (errors.length > 0) {
+                    ModalComponent.showErrorList('Файл не загружен', `Файл "${file.name}" не соответствует формату скрипта:`, errors);
+                    return;
+                }
+
                 // Show error toast notification
                 try {
                     ToastComponent.error('Ошибка при загрузке скрипта - не удалось загрузить данные из JSON файла', { duration: 7000 });
@@ -649,38 +1280,980 @@ class UIComponents extends BaseUIComponent {
     }
 
     /**
-     * Обновление списка ролей
+     * Выбор способа загрузки файла в непустой редактор
+     * @param {string} fileName - Имя файла
+     * @returns {Promise<string|null>} 'new', 'merge' или null при отмене
      */
-    updateRolesList() {
-        const rolesList = document.getElementById('rolesList');
-        rolesList.innerHTML = '';
+    async showLoadModeDialog(fileName) {
+        try {
+            const mode = await ModalComponent.show({
+                title: 'Открытие файла',
+                type: 'confirmation',
+                content: `Открыть "${fileName}" как отдельный скрипт или добавить его роли и реплики в текущий?`,
+                buttons: [
+                    {
+                        text: 'Отмена',
+                        icon: 'x-circle',
+                        type: 'secondary',
+                        onClick: () => null,
+                        autoClose: true
+                    },
+                    {
+                        text: 'Добавить в текущий',
+                        icon: 'git-merge',
+                        type: 'secondary',
+                        onClick: () => 'merge',
+                        autoClose: true
+                    },
+                    {
+                        text: 'Открыть отдельно',
+                        icon: 'folder',
+                        type: 'primary',
+                        onClick: () => 'new',
+                        autoClose: true
+                    }
+                ]
+            });
+            return mode || null;
+        } catch (error) {
+            logger.error('Ошибка при показе окна выбора способа загрузки:', error);
+            return null;
+        }
+    }
 
-        const roles = this.dataManager.roleManager.getAll();
-        
-        roles.forEach(role => {
-            const roleElement = this.createRoleElement(role);
-            rolesList.appendChild(roleElement);
-        });
+    /**
+     * Слияние загруженного скрипта с текущим
+     * @param {Object} importData - Данные загруженного скрипта { roles, replicas }
+     * @param {string} fileName - Имя файла
+     */
+    async handleMergeScript(importData, fileName) {
+        const options = await this.showMergeDialog(importData);
+        if (!options) return;
 
-        this.updateRoleSelect();
-        
-        // Инициализация Feather Icons для новых элементов
-        if (window.app && typeof window.app.updateFeatherIcons === 'function') {
-            window.app.updateFeatherIcons();
+        const result = this.dataManager.mergeData(importData, options);
+        logger.logUserAction('слияние скрипта', { fileName, success: !!result, ...result });
+
+        if (result) {
+            this.updateAllLists();
+            ToastComponent.success(
+                `Из "${fileName}" добавлено реплик: ${result.addedReplicaCount}, новых ролей: ${result.addedRoleCount}, обновлено ролей: ${result.updatedRoleCount}`,
+                { duration: 5000 }
+            );
+        } else {
+            ToastComponent.error('Не удалось объединить скрипты', { duration: 7000 });
         }
-        
-        logger.debug('Список ролей обновлен', { roleCount: roles.length });
     }
 
     /**
-     * Создание элемента роли
-     * @param {Role} role - Роль для создания элемента
-     * @returns {HTMLElement} Элемент роли
+     * Показ окна слияния: разрешение конфликтов ролей и выбор позиции вставки реплик
+     * @param {Object} importData - Данные загруженного скрипта { roles, replicas }
+     * @returns {Promise<Object|null>} Параметры для DataManager.mergeData или null при отмене
      */
-    createRoleElement(role) {
-        const roleElement = document.createElement('div');
-        roleElement.className = `role-item ${role.type}`;
+    async showMergeDialog(importData) {
+        const matches = this.dataManager.findRoleMatches(importData.roles);
+        const conflicts = matches.filter(match => match.conflict);
+        const resolutions = {};
+        let positionSelect = null;
+
+        const describeRole = (role) => {
+            if (role.type === 'sound') {
+                return `${role.name}, звук ${role.duration || 0} сек`;
+            }
+            return `${role.name}, ${role.wordsPerMinute || 120} сл/мин`;
+        };
+
+        try {
+            return await ModalComponent.show({
+                title: 'Добавление в текущий скрипт',
+                type: 'custom',
+                size: 'lg',
+                content: (container) => {
+                    const wrapper = document.createElement('div');
+                    wrapper.className = 'script-merge';
+
+                    const newRoleCount = matches.filter(match => !match.existing).length;
+                    const summary = document.createElement('p');
+                    summary.className = 'transcript-import-hint';
+                    summary.textContent = `Реплик: ${importData.replicas.length}. Ролей: ${importData.roles.length}, из них новых: ${newRoleCount}, совпадающих: ${matches.length - newRoleCount}.`;
+                    wrapper.appendChild(summary);
+
+                    if (conflicts.length > 0) {
+                        const conflictsHint = document.createElement('p');
+                        conflictsHint.className = 'transcript-import-hint';
+                        conflictsHint.textContent = 'Эти роли уже есть в скрипте, но отличаются параметрами:';
+                        wrapper.appendChild(conflictsHint);
+
+                        const conflictList = document.createElement('div');
+                        conflictList.className = 'transcript-import-mapping';
+                        conflicts.forEach(({ imported, existing }) => {
+                            resolutions[imported.id] = 'mine';
+
+                            const row = document.createElement('div');
+                            row.className = 'transcript-import-row';
+
+                            const name = document.createElement('span');
+                            name.className = 'transcript-import-name';
+                            name.textContent = `${describeRole(existing)} ↔ ${describeRole(imported)}`;
+                            name.title = name.textContent;
+
+                            const select = document.createElement('select');
+                            select.className = 'form-control transcript-import-select';
+                            select.innerHTML = '<option value="mine">Оставить мою</option><option value="theirs">Взять из файла</option><option value="both">Оставить обе</option>';
+                            select.addEventListener('change', () => {
+                                resolutions[imported.id] = select.value;
+                            });
+
+                            row.appendChild(name);
+                            row.appendChild(select);
+                            conflictList.appendChild(row);
+                        });
+                        wrapper.appendChild(conflictList);
+                    }
+
+                    // Позиция вставки реплик
+                    const positionLabel = document.createElement('label');
+                    positionLabel.className = 'download-format-label';
+                    positionLabel.textContent = 'Куда вставить реплики';
+                    positionSelect = document.createElement('select');
+                    positionSelect.className = 'form-control';
+
+                    const addOption = (value, text) => {
+                        const option = document.createElement('option');
+                        option.value = value;
+                        option.textContent = text;
+                        positionSelect.appendChild(option);
+                    };
+                    const replicas = this.dataManager.replicaManager.getAll();
+                    addOption(String(replicas.length), 'В конец скрипта');
+                    addOption('0', 'В начало скрипта');
+                    replicas.forEach((replica, index) => {
+                        const role = this.dataManager.roleManager.findById(replica.roleId);
+                        const text = replica.text.length > 40 ? replica.text.slice(0, 40) + '…' : replica.text;
+                        addOption(String(index + 1), `После #${index + 1} ${role ? role.name : 'Без роли'}: ${text}`);
+                    });
+
+                    positionLabel.appendChild(positionSelect);
+                    wrapper.appendChild(positionLabel);
+                    container.appendChild(wrapper);
+                    return wrapper;
+                },
+                buttons: [
+                    {
+                        text: 'Отмена',
+                        icon: 'x-circle',
+                        type: 'secondary',
+                        onClick: () => null,
+                        autoClose: true
+                    },
+                    {
+                        text: 'Добавить',
+                        icon: 'git-merge',
+                        type: 'primary',
+                        onClick: () => ({
+                            resolutions: { ...resolutions },
+                            position: parseInt(positionSelect.value, 10)
+                        }),
+                        autoClose: true
+                    }
+                ]
+            }) || null;
+        } catch (error) {
+            logger.error('Ошибка при показе окна слияния скриптов:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Импорт скрипта из текстового файла (.txt, .md)
+     * @param {File} file - Файл расшифровки
+     */
+    async handleImportTranscriptFile(file) {
+        try {
+            const text = await file.text();
+            await this.handleImportTranscript(text, file.name.replace(/\.[^.]+$/, ''));
+        } catch (error) {
+            logger.error('Ошибка при чтении текстового файла', { fileName: file.name, error: error.message });
+            ToastComponent.error(`Не удалось прочитать файл "${file.name}"`, { duration: 7000 });
+        }
+    }
+
+    /**
+     * Импорт скрипта из текста, вставленного в окно
+     */
+    async handlePasteTranscript() {
+        let textArea = null;
+        const text = await ModalComponent.show({
+            title: 'Импорт из текста',
+            type: 'input',
+            size: 'lg',
+            content: (container) => {
+                const hint = document.createElement('p');
+                hint.className = 'transcript-import-hint';
+                hint.textContent = 'Вставьте текст в формате "Имя: реплика". Звуки отмечаются строками вида [SFX: Название (5 сек)].';
+
+                textArea = document.createElement('textarea');
+                textArea.className = 'form-control transcript-import-textarea';
+                textArea.rows = 14;
+                textArea.placeholder = 'Ведущий: Добро пожаловать в подкаст!\n[SFX: Джингл (5 сек)]\nГость: Спасибо за приглашение.';
+                setTimeout(() => textArea.focus(), 150);
+
+                container.appendChild(hint);
+                container.appendChild(textArea);
+                return textArea;
+            },
+            buttons: [
+                {
+                    text: 'Отмена',
+                    icon: 'x-circle',
+                    type: 'secondary',
+                    onClick: () => null,
+                    autoClose: true
+                },
+                {
+                    text: 'Далее',
+                    icon: 'arrow-right',
+                    type: 'primary',
+                    onClick: () => textArea.value.trim() || null,
+                    autoClose: true
+                }
+            ]
+        });
+
+        if (text) {
+            await this.handleImportTranscript(text, 'Импортированный скрипт');
+        }
+    }
+
+    /**
+     * Разбор текстового скрипта, сопоставление ролей и импорт
+     * @param {string} text - Текст расшифровки
+     * @param {string} defaultName - Название нового скрипта по умолчанию
+     */
+    async handleImportTranscript(text, defaultName) {
+        const parsed = ScriptImporter.parse(text);
+        if (parsed.entries.length === 0) {
+            ToastComponent.warning('В тексте не найдено ни одной реплики', { duration: 5000 });
+            return;
+        }
+
+        const options = await this.showTranscriptImportDialog(parsed, parsed.title || defaultName);
+        if (!options) return;
+
+        const appendToCurrent = options.target === 'append';
+        const roles = this.dataManager.roleManager.toJSON();
+        const usedRoleIds = new Set(Object.values(options.mapping));
+        const importData = ScriptImporter.buildImportData(parsed, options.mapping, appendToCurrent
+            ? { roles, segments: this.dataManager.segmentManager.toJSON() }
+            // В новый скрипт переносятся только роли, выбранные при сопоставлении
+            : { roles: roles.filter(role => usedRoleIds.has(role.id)), replicas: [] });
+
+        if (importData.importedReplicaCount === 0) {
+            ToastComponent.warning('Все реплики пропущены - импортировать нечего', { duration: 5000 });
+            return;
+        }
+
+        let success;
+        if (appendToCurrent) {
+            // Добавление в конец одним действием истории: Ctrl+Z убирает и реплики, и новые роли
+            const createdRoles = importData.roles.slice(roles.length);
+            success = !!this.dataManager.mergeData({ roles: createdRoles, replicas: importData.replicas }, {
+                // Роли, которые пользователь выбрал создать, добавляются даже при совпадении имени
+                forcedResolutions: Object.fromEntries(createdRoles.map(role => [role.id, 'both'])),
+                label: 'Импорт текстового скрипта'
+            });
+        } else {
+            success = !!window.app && typeof window.app.createScript === 'function' &&
+                await window.app.createScript(options.name, importData);
+        }
+
+        logger.logUserAction('импорт текстового скрипта', {
+            success,
+            target: options.target,
+            replicaCount: importData.importedReplicaCount,
+            createdRoleCount: importData.createdRoleCount
+        });
+
+        if (success) {
+            this.updateAllLists();
+            ToastComponent.success(`Импортировано реплик: ${importData.importedReplicaCount}, новых ролей: ${importData.createdRoleCount}`, { duration: 5000 });
+        } else {
+            ToastComponent.error('Не удалось импортировать текстовый скрипт', { duration: 7000 });
+        }
+    }
+
+    /**
+     * Показ окна предпросмотра импорта с сопоставлением найденных имен и ролей
+     * @param {Object} parsed - Результат ScriptImporter.parse
+     * @param {string} defaultName - Название нового скрипта по умолчанию
+     * @returns {Promise<Object|null>} Параметры импорта { mapping, target, name } или null при отмене
+     */
+    async showTranscriptImportDialog(parsed, defaultName) {
+        const roles = this.dataManager.roleManager.getAll();
+        const mapping = ScriptImporter.suggestMapping(parsed, roles);
+        let targetSelect = null;
+        let nameInput = null;
+
+        try {
+            return await ModalComponent.show({
+                title: 'Импорт текстового скрипта',
+                type: 'custom',
+                size: 'lg',
+                content: (container) => {
+                    const wrapper = document.createElement('div');
+                    wrapper.className = 'transcript-import';
+
+                    const soundCount = parsed.entries.filter(entry => entry.type === 'sound').length;
+                    const summary = document.createElement('p');
+                    summary.className = 'transcript-import-hint';
+                    summary.textContent = `Найдено реплик: ${parsed.entries.length - soundCount}, звуков: ${soundCount}. Выберите, к каким ролям отнести найденные имена.`;
+                    wrapper.appendChild(summary);
+
+                    const mappingList = document.createElement('div');
+                    mappingList.className = 'transcript-import-mapping';
+                    parsed.names.forEach(detected => {
+                        mappingList.appendChild(this.createTranscriptMappingRow(detected, roles, mapping));
+                    });
+                    wrapper.appendChild(mappingList);
+
+                    // Куда импортировать
+                    const targetLabel = document.createElement('label');
+                    targetLabel.className = 'download-format-label';
+                    targetLabel.textContent = 'Куда импортировать';
+                    targetSelect = document.createElement('select');
+                    targetSelect.className = 'form-control';
+                    targetSelect.innerHTML = '<option value="new">В новый скрипт</option><option value="append">В конец текущего скрипта</option>';
+                    targetSelect.value = this.dataManager.isEmpty() ? 'append' : 'new';
+                    targetLabel.appendChild(targetSelect);
+                    wrapper.appendChild(targetLabel);
+
+                    const nameLabel = document.createElement('label');
+                    nameLabel.className = 'download-format-label';
+                    nameLabel.textContent = 'Название нового скрипта';
+                    nameInput = document.createElement('input');
+                    nameInput.type = 'text';
+                    nameInput.className = 'form-control';
+                    nameInput.maxLength = 120;
+                    nameInput.value = defaultName;
+                    nameLabel.appendChild(nameInput);
+                    wrapper.appendChild(nameLabel);
+
+                    const updateNameVisibility = () => {
+                        nameLabel.style.display = targetSelect.value === 'new' ? '' : 'none';
+                    };
+                    targetSelect.addEventListener('change', updateNameVisibility);
+                    updateNameVisibility();
+
+                    wrapper.appendChild(this.createTranscriptPreview(parsed));
+                    container.appendChild(wrapper);
+                    return wrapper;
+                },
+                buttons: [
+                    {
+                        text: 'Отмена',
+                        icon: 'x-circle',
+                        type: 'secondary',
+                        onClick: () => null,
+                        autoClose: true
+                    },
+                    {
+                        text: 'Импортировать',
+                        icon: 'check',
+                        type: 'primary',
+                        onClick: () => ({
+                            mapping: { ...mapping },
+                            target: targetSelect.value,
+                            name: nameInput.value.trim() || defaultName
+                        }),
+                        autoClose: true
+                    }
+                ]
+            }) || null;
+        } catch (error) {
+            logger.error('Ошибка при показе окна импорта текстового скрипта:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Создание строки сопоставления найденного имени с ролью
+     * @param {Object} detected - Найденное имя (ключ, тип, имя, количество)
+     * @param {Array} roles - Роли открытого скрипта
+     * @param {Object} mapping - Сопоставление, изменяемое при выборе
+     * @returns {HTMLElement} Строка сопоставления
+     */
+    createTranscriptMappingRow(detected, roles, mapping) {
+        const row = document.createElement('div');
+        row.className = `transcript-import-row ${detected.type}`;
+
+        const name = document.createElement('span');
+        name.className = 'transcript-import-name';
+        const label = detected.name === null
+            ? 'Текст без имени'
+            : detected.type === 'sound' ? `🔊 ${detected.name}` : detected.name;
+        name.textContent = `${label} (${detected.count})`;
+
+        const select = document.createElement('select');
+        select.className = 'form-control transcript-import-select';
+        const addOption = (value, text) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        };
+
+        if (detected.name !== null) {
+            addOption(MAPPING_NEW_ROLE, detected.type === 'sound' ? 'Создать новый звук' : 'Создать нового спикера');
+        } else {
+            addOption(MAPPING_NEW_ROLE, 'Импортировать без роли');
+        }
+        roles.filter(role => role.type === detected.type || detected.name === null).forEach(role => {
+            addOption(role.id, `Роль: ${role.name}`);
+        });
+        addOption(MAPPING_SKIP, 'Пропустить');
+
+        select.value = mapping[detected.key];
+        select.addEventListener('change', () => {
+            mapping[detected.key] = select.value;
+        });
+
+        row.appendChild(name);
+        row.appendChild(select);
+        return row;
+    }
+
+    /**
+     * Создание предпросмотра первых реплик импортируемого текста
+     * @param {Object} parsed - Результат ScriptImporter.parse
+     * @returns {HTMLElement} Блок предпросмотра
+     */
+    createTranscriptPreview(parsed) {
+        const previewLimit = 8;
+        const preview = document.createElement('div');
+        preview.className = 'transcript-import-preview';
+
+        parsed.entries.slice(0, previewLimit).forEach(entry => {
+            const line = document.createElement('div');
+            line.className = 'transcript-import-preview-line';
+
+            const name = document.createElement('strong');
+            name.textContent = entry.type === 'sound'
+                ? `🔊 ${entry.name}${entry.duration ? ` (${entry.duration} сек)` : ''}`
+                : `${entry.name || 'Без имени'}:`;
+            line.appendChild(name);
+            line.appendChild(document.createTextNode(` ${entry.text.length > 120 ? entry.text.slice(0, 120) + '…' : entry.text}`));
+            preview.appendChild(line);
+        });
+
+        if (parsed.entries.length > previewLimit) {
+            const more = document.createElement('div');
+            more.className = 'transcript-import-preview-more';
+            more.textContent = `… и еще ${parsed.entries.length - previewLimit}`;
+            preview.appendChild(more);
+        }
+        return preview;
+    }
+
+    /**
+     * Настройка выбора недавних скриптов и кнопки библиотеки
+     */
+    setupScriptLibraryControls() {
+        if (!this.scriptLibrary) return;
+
+        const recentSelect = document.getElementById('recentScriptsSelect');
+        if (recentSelect) {
+            recentSelect.addEventListener('change', (e) => {
+                this.handleRecentScriptChange(e.target.value);
+            });
+        }
+
+        const libraryBtn = document.getElementById('scriptLibraryBtn');
+        if (libraryBtn) {
+            libraryBtn.addEventListener('click', () => this.showScriptLibraryDialog());
+        }
+
+        this.scriptLibrary.addChangeCallback(() => this.updateScriptLibraryControls());
+        this.updateScriptLibraryControls();
+    }
+
+    /**
+     * Получение записи открытого скрипта библиотеки
+     * @returns {Object|null} Запись скрипта или null
+     */
+    getActiveScriptEntry() {
+        if (!this.scriptLibrary || !window.app || !window.app.activeScriptId) {
+            return null;
+        }
+        return this.scriptLibrary.get(window.app.activeScriptId);
+    }
+
+    /**
+     * Обновление выбора недавних скриптов
+     */
+    updateScriptLibraryControls() {
+        const recentSelect = document.getElementById('recentScriptsSelect');
+        if (!recentSelect || !this.scriptLibrary) return;
+
+        const activeScript = this.getActiveScriptEntry();
+        recentSelect.innerHTML = '';
+
+        const currentOption = document.createElement('option');
+        currentOption.value = '';
+        currentOption.textContent = activeScript ? activeScript.name : 'Несохраненный скрипт';
+        currentOption.selected = true;
+        recentSelect.appendChild(currentOption);
+
+        const recentScripts = this.scriptLibrary.getRecent(6)
+            .filter(entry => !activeScript || entry.id !== activeScript.id);
+        if (recentScripts.length > 0) {
+            const recentGroup = document.createElement('optgroup');
+            recentGroup.label = 'Недавние скрипты';
+            recentScripts.forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.id;
+                option.textContent = entry.name;
+                recentGroup.appendChild(option);
+            });
+            recentSelect.appendChild(recentGroup);
+        }
+
+        const actionsGroup = document.createElement('optgroup');
+        actionsGroup.label = 'Действия';
+        [
+            { value: '__new__', text: '+ Новый скрипт' },
+            { value: '__library__', text: 'Все скрипты…' }
+        ].forEach(action => {
+            const option = document.createElement('option');
+            option.value = action.value;
+            option.textContent = action.text;
+            actionsGroup.appendChild(option);
+        });
+        recentSelect.appendChild(actionsGroup);
+
+        recentSelect.title = activeScript
+            ? `Открыт скрипт "${activeScript.name}"`
+            : 'Недавние скрипты';
+    }
+
+    /**
+     * Обработка выбора в списке недавних скриптов
+     * @param {string} value - Выбранное значение
+     */
+    async handleRecentScriptChange(value) {
+        // Возвращаем выбор на текущий скрипт - список отражает открытый скрипт
+        this.updateScriptLibraryControls();
+
+        if (!value) return;
+
+        if (value === '__new__') {
+            await this.handleNewScript();
+        } else if (value === '__library__') {
+            await this.showScriptLibraryDialog();
+        } else {
+            await this.handleOpenScript(value);
+        }
+    }
+
+    /**
+     * Открытие скрипта из библиотеки
+     * @param {string} scriptId - ID скрипта
+     */
+    async handleOpenScript(scriptId) {
+        if (!window.app || typeof window.app.openScript !== 'function') return;
+
+        const entry = this.scriptLibrary.get(scriptId);
+        if (await window.app.openScript(scriptId)) {
+            ToastComponent.info(`Открыт скрипт "${entry.name}"`, { duration: 2000 });
+        } else {
+            ToastComponent.error('Не удалось открыть скрипт');
+        }
+    }
+
+    /**
+     * Создание нового пустого скрипта
+     */
+    async handleNewScript() {
+        if (!window.app || typeof window.app.createScript !== 'function') return;
+
+        const name = await this.showScriptNameDialog('Новый скрипт', 'Без названия', 'Создать');
+        if (name === null) return;
+
+        if (await window.app.createScript(name)) {
+            ToastComponent.success(`Создан скрипт "${name}"`, { duration: 2000 });
+            logger.logUserAction('создание нового скрипта', { name });
+        } else {
+            ToastComponent.error('Не удалось создать скрипт');
+        }
+    }
+
+    /**
+     * Показ модального окна ввода названия скрипта
+     * @param {string} title - Заголовок окна
+     * @param {string} defaultValue - Название по умолчанию
+     * @param {string} confirmText - Текст кнопки подтверждения
+     * @returns {Promise<string|null>} Введенное название или null при отмене
+     */
+    async showScriptNameDialog(title, defaultValue, confirmText = 'Сохранить') {
+        let nameInput = null;
+        try {
+            const result = await ModalComponent.show({
+                title: title,
+                type: 'input',
+                content: (container) => {
+                    nameInput = document.createElement('input');
+                    nameInput.type = 'text';
+                    nameInput.className = 'form-control';
+                    nameInput.placeholder = 'Название скрипта';
+                    nameInput.maxLength = 120;
+                    nameInput.value = defaultValue;
+                    setTimeout(() => nameInput.select(), 150);
+
+                    container.appendChild(nameInput);
+                    return nameInput;
+                },
+                buttons: [
+                    {
+                        text: 'Отмена',
+                        icon: 'x-circle',
+                        type: 'secondary',
+                        onClick: () => null,
+                        autoClose: true
+                    },
+                    {
+                        text: confirmText,
+                        icon: 'check',
+                        type: 'primary',
+                        onClick: () => nameInput.value.trim() || null,
+                        autoClose: true
+                    }
+                ]
+            });
+            return result || null;
+        } catch (error) {
+            logger.error('Ошибка при показе модального окна названия скрипта:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Показ модального окна библиотеки скриптов
+     * @returns {Promise} Promise, завершающийся при закрытии окна
+     */
+    showScriptLibraryDialog() {
+        if (!this.scriptLibrary) return Promise.resolve(null);
+
+        return new Promise((resolve) => {
+            let listContainer = null;
+            const modal = new ModalComponent({
+                title: 'Библиотека скриптов',
+                type: 'custom',
+                size: 'lg',
+                content: (container) => {
+                    listContainer = document.createElement('div');
+                    listContainer.className = 'script-library-list';
+                    this.renderScriptLibraryList(listContainer, modal);
+                    container.appendChild(listContainer);
+                    return listContainer;
+                },
+                buttons: [
+                    {
+                        text: 'Закрыть',
+                        icon: 'x-circle',
+                        type: 'secondary',
+                        onClick: () => null,
+                        autoClose: true
+                    },
+                    {
+                        text: 'Новый скрипт',
+                        icon: 'plus',
+                        type: 'primary',
+                        onClick: () => {
+                            // Создаем после закрытия окна, чтобы диалоги не накладывались
+                            setTimeout(() => this.handleNewScript(), 250);
+                            return null;
+                        },
+                        autoClose: true
+                    }
+                ],
+                onClose: resolve
+            });
+
+            modal.initialize().catch(error => {
+                logger.error('Ошибка при показе библиотеки скриптов:', error);
+                resolve(null);
+            });
+        });
+    }
+
+    /**
+     * Отрисовка списка скриптов библиотеки
+     * @param {HTMLElement} listContainer - Контейнер списка
+     * @param {ModalComponent} modal - Модальное окно библиотеки
+     */
+    renderScriptLibraryList(listContainer, modal) {
+        listContainer.innerHTML = '';
+        const scripts = this.scriptLibrary.getAll();
+        const activeScript = this.getActiveScriptEntry();
+
+        if (scripts.length === 0) {
+            const emptyMessage = document.createElement('p');
+            emptyMessage.className = 'script-library-empty';
+            emptyMessage.textContent = 'В библиотеке пока нет скриптов. Текущий скрипт будет сохранен автоматически после первых изменений.';
+            listContainer.appendChild(emptyMessage);
+            return;
+        }
+
+        const rerender = () => {
+            this.renderScriptLibraryList(listContainer, modal);
+            if (window.app && typeof window.app.updateFeatherIcons === 'function') {
+                window.app.updateFeatherIcons();
+            }
+        };
+
+        scripts.forEach(entry => {
+            const isActive = activeScript && activeScript.id === entry.id;
+            const item = document.createElement('div');
+            item.className = 'script-library-item' + (isActive ? ' active' : '');
+            item.dataset.scriptId = entry.id;
+
+            const info = document.createElement('div');
+            info.className = 'script-library-info';
+
+            const name = document.createElement('div');
+            name.className = 'script-library-name';
+            name.textContent = entry.name + (isActive ? ' (открыт)' : '');
+
+            const meta = document.createElement('div');
+            meta.className = 'script-library-meta';
+            meta.textContent = `Создан: ${this.formatLibraryDate(entry.createdAt)} · Изменен: ${this.formatLibraryDate(entry.modifiedAt)} · ${Math.ceil(entry.size / 1024)} КБ`;
+
+            info.appendChild(name);
+            info.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'script-library-actions';
+
+            const createAction = (icon, title, onClick, className = 'btn-secondary') => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `btn btn-sm ${className} script-library-btn`;
+                button.innerHTML = `<i data-feather="${icon}"></i>`;
+                button.title = title;
+                button.setAttribute('aria-label', title);
+                button.addEventListener('click', onClick);
+                actions.appendChild(button);
+            };
+
+            if (!isActive) {
+                createAction('folder', 'Открыть', () => {
+                    modal.closeModal(null);
+                    this.handleOpenScript(entry.id);
+                }, 'btn-primary');
+            }
+            createAction('copy', 'Дублировать', async () => {
+                // Несохраненные изменения открытого скрипта тоже попадают в копию
+                if (isActive && window.app) {
+                    await window.app.saveDataToStorage();
+                }
+                const copy = await this.scriptLibrary.duplicate(entry.id);
+                if (copy) {
+                    ToastComponent.success(`Создана копия "${copy.name}"`, { duration: 2000 });
+                }
+                rerender();
+            });
+            createAction('edit-2', 'Переименовать', async () => {
+                const newName = await this.showScriptNameDialog('Переименование скрипта', entry.name);
+                if (newName !== null && newName !== entry.name) {
+                    await this.scriptLibrary.rename(entry.id, newName);
+                }
+                rerender();
+            });
+            createAction('trash-2', 'Удалить', async () => {
+                const confirmed = await ModalComponent.showConfirmation(
+                    'Удаление скрипта',
+                    `Удалить скрипт "${entry.name}" из библиотеки? Это действие нельзя отменить.`,
+                    'Удалить'
+                );
+                if (confirmed && window.app && typeof window.app.deleteScript === 'function') {
+                    await window.app.deleteScript(entry.id);
+                    ToastComponent.warning(`Скрипт "${entry.name}" удален`, { duration: 3000 });
+                }
+                rerender();
+            }, 'btn-danger');
+
+            item.appendChild(info);
+            item.appendChild(actions);
+            listContainer.appendChild(item);
+        });
+    }
+
+    /**
+     * Форматирование даты для списка библиотеки
+     * @param {string} isoDate - Дата в формате ISO
+     * @returns {string} Отформатированная дата
+     */
+    formatLibraryDate(isoDate) {
+        const date = new Date(isoDate);
+        if (isNaN(date.getTime())) return '—';
+        return date.toLocaleString('ru-RU', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Обновление списка ролей
+     */
+    updateRolesList() {
+        const rolesList = document.getElementById('rolesList');
+        rolesList.innerHTML = '';
+
+        const roleManager = this.dataManager.roleManager;
+        const roles = roleManager.getAll();
+        // С группами показываются и пустые группы, чтобы в них можно было перетащить роль
+        const grouped = roleManager.hasGroups();
+        roleManager.getGroups(grouped).forEach(({ group, title, roles: groupRoles }) => {
+            if (grouped) {
+                rolesList.appendChild(this.createRoleGroupHeader(group, title, groupRoles.length));
+            }
+            groupRoles.forEach(role => rolesList.appendChild(this.createRoleElement(role)));
+        });
+
+        this.setupRoleDragAndDrop();
+        this.updateRoleSelect();
+        
+        // Инициализация Feather Icons для новых элементов
+        if (window.app && typeof window.app.updateFeatherIcons === 'function') {
+            window.app.updateFeatherIcons();
+        }
+        
+        logger.debug('Список ролей обновлен', { roleCount: roles.length });
+    }
+
+    /**
+     * Создание заголовка группы ролей
+     * @param {string|null} group - Ключ группы (null - роли без группы)
+     * @param {string} title - Название группы
+     * @param {number} roleCount - Количество ролей в группе
+     * @returns {HTMLElement} Заголовок группы
+     */
+    createRoleGroupHeader(group, title, roleCount) {
+        const header = document.createElement('div');
+        header.className = 'role-group-header';
+        header.dataset.roleGroup = group || '';
+        header.textContent = title;
+        if (roleCount === 0) {
+            header.classList.add('role-group-empty');
+            header.title = 'Перетащите сюда роль';
+        }
+        return header;
+    }
+
+    /**
+     * Настройка перетаскивания ролей: порядок в группе и перенос между группами
+     */
+    setupRoleDragAndDrop() {
+        document.querySelectorAll('#rolesList .role-item').forEach(item => {
+            item.addEventListener('dragstart', (e) => {
+                // Перетаскивание начинается не из полей ввода (например, выбора цвета)
+                if (e.target.closest('input, button')) {
+                    e.preventDefault();
+                    return;
+                }
+                this.draggedRoleId = item.dataset.roleId;
+                item.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', this.draggedRoleId);
+            });
+            item.addEventListener('dragend', () => {
+                item.classList.remove('dragging');
+                this.draggedRoleId = null;
+            });
+        });
+
+        const rolesList = document.getElementById('rolesList');
+        // Обработчики списка переживают перерисовку, поэтому подключаются один раз
+        if (!rolesList || this.rolesListDropBound) {
+            return;
+        }
+        this.rolesListDropBound = true;
+
+        rolesList.addEventListener('dragover', (e) => {
+            if (this.draggedRoleId) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+            }
+        });
+        rolesList.addEventListener('drop', (e) => {
+            if (!this.draggedRoleId) {
+                return;
+            }
+            e.preventDefault();
+            this.handleRoleDrop(e);
+        });
+    }
+
+    /**
+     * Перемещение роли на место, куда ее бросили: рядом с другой ролью (и в ее группу)
+     * или в конец группы по заголовку
+     * @param {DragEvent} e - Событие drop
+     */
+    handleRoleDrop(e) {
+        const roleId = this.draggedRoleId;
+        const roleManager = this.dataManager.roleManager;
+        const header = e.target.closest('.role-group-header');
+        const target = e.target.closest('.role-item');
+
+        let success = false;
+        if (header) {
+            success = this.dataManager.setRoleGroup(roleId, header.dataset.roleGroup || null);
+        } else if (target && target.dataset.roleId !== roleId) {
+            const targetRole = roleManager.findById(target.dataset.roleId);
+            const draggedIndex = roleManager.indexOf(roleId);
+            const rect = target.getBoundingClientRect();
+            let newIndex = roleManager.indexOf(targetRole.id) + (e.clientY - rect.top > rect.height / 2 ? 1 : 0);
+            // Индекс считается в списке без перетаскиваемой роли
+            if (draggedIndex < newIndex) {
+                newIndex--;
+            }
+            success = this.dataManager.moveRole(roleId, newIndex, targetRole.group);
+        }
+
+        if (success) {
+            this.updateRolesList();
+            this.updateReplicasList();
+            logger.logUserAction('перемещение роли', { roleId });
+        }
+    }
+
+    /**
+     * Группы ролей для выпадающих списков: по группам ролей, если они заданы, иначе по типу
+     * @returns {Array<Object>} Группы { label, roles }
+     */
+    getRoleOptionGroups() {
+        const roleManager = this.dataManager.roleManager;
+        if (roleManager.hasGroups()) {
+            return roleManager.getGroups().map(({ title, roles }) => ({ label: title, roles }));
+        }
+        return [
+            { label: 'Спикеры', roles: roleManager.getSpeakers() },
+            { label: 'Звуковые эффекты', roles: roleManager.getSoundEffects() }
+        ].filter(group => group.roles.length > 0);
+    }
+
+    /**
+     * Создание элемента роли
+     * @param {Role} role - Роль для создания элемента
+     * @returns {HTMLElement} Элемент роли
+     */
+    createRoleElement(role) {
+        const roleElement = document.createElement('div');
+        roleElement.className = `role-item ${role.type}`;
         roleElement.dataset.roleId = role.id;
+        roleElement.draggable = true;
+        roleElement.title = 'Перетащите, чтобы изменить порядок или группу';
         // Устанавливаем цвет для спикеров
         if (role.type === 'speaker') {
             // Используем сохраненный цвет спикера, если он есть, иначе генерируем цвет на основе ID
@@ -705,6 +2278,17 @@ class UIComponents extends BaseUIComponent {
         roleActions.className = 'role-actions';
 
         if (role instanceof Speaker) {
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.className = 'role-color-input';
+            colorInput.value = this.hslToHex(role.color || this.getSpeakerColor(role.id));
+            colorInput.title = 'Изменить цвет спикера';
+            colorInput.setAttribute('aria-label', `Цвет спикера ${role.name}`);
+            colorInput.addEventListener('change', (e) => {
+                this.handleEditRoleColor(role.id, e.target.value);
+            });
+            roleActions.appendChild(colorInput);
+
             const speedBtn = document.createElement('button');
             speedBtn.className = 'speed-btn';
             speedBtn.textContent = `${role.wordsPerMinute} слов/мин`;
@@ -719,239 +2303,768 @@ class UIComponents extends BaseUIComponent {
             durationBtn.addEventListener('click', () => {
                 this.handleEditSoundEffectDuration(role.id);
             });
-            roleActions.appendChild(durationBtn);
+            roleActions.appendChild(durationBtn);
+        }
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-secondary btn-sm';
+        editBtn.innerHTML = '<i data-feather="edit-2"></i>';
+        editBtn.title = 'Переименовать, сменить тип или объединить';
+        editBtn.addEventListener('click', () => {
+            this.handleEditRole(role.id);
+        });
+        roleActions.appendChild(editBtn);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger btn-sm';
+        deleteBtn.innerHTML = '<i data-feather="trash-2"></i>';
+        deleteBtn.addEventListener('click', () => {
+            this.handleDeleteRole(role.id);
+        });
+        roleActions.appendChild(deleteBtn);
+
+        roleElement.appendChild(roleInfo);
+        roleElement.appendChild(roleActions);
+
+        return roleElement;
+    }
+
+    /**
+     * Изменение роли: имя, тип, группа или объединение с другим спикером
+     * @param {string} roleId - ID роли
+     */
+    async handleEditRole(roleId) {
+        const role = this.dataManager.roleManager.findById(roleId);
+        if (!role) return;
+
+        const changes = await this.showEditRoleDialog(role);
+        if (!changes) {
+            return;
+        }
+
+        if (changes.mergeIntoId) {
+            const target = this.dataManager.roleManager.findById(changes.mergeIntoId);
+            const replicaCount = this.dataManager.mergeRoles(roleId, changes.mergeIntoId);
+            if (replicaCount < 0) {
+                ToastComponent.error('Объединять можно только двух спикеров');
+                return;
+            }
+            this.updateRolesList();
+            this.updateReplicasList();
+            const command = this.dataManager.history.peekUndo();
+            this.showToast(
+                `"${role.name}" объединен с "${target.name}", реплик передано: ${replicaCount}`,
+                () => {
+                    if (!this.dataManager.undoCommand(command)) {
+                        ToastComponent.warning('Объединение уже нельзя отменить из уведомления: после него были другие изменения. Используйте Ctrl+Z.');
+                        return;
+                    }
+                    this.refreshAfterHistoryChange();
+                },
+                'success'
+            );
+            logger.logUserAction('объединение ролей', { roleId, targetRoleId: changes.mergeIntoId, replicaCount });
+            return;
+        }
+
+        if (changes.name !== role.name && !this.dataManager.renameRole(roleId, changes.name)) {
+            ToastComponent.error(changes.name
+                ? `Роль с именем "${changes.name}" уже существует`
+                : 'Имя роли не может быть пустым');
+            return;
+        }
+        if (changes.type !== role.type) {
+            this.dataManager.convertRole(roleId, changes.typeOptions);
+        }
+        if (changes.group !== role.group) {
+            this.dataManager.setRoleGroup(roleId, changes.group);
+        }
+
+        this.updateRolesList();
+        this.updateReplicasList();
+        logger.logUserAction('изменение роли', { roleId, name: changes.name, type: changes.type });
+    }
+
+    /**
+     * Окно изменения роли
+     * @param {Role} role - Роль
+     * @returns {Promise<Object|null>} { name, type, typeOptions, group, mergeIntoId } или null при отмене
+     */
+    async showEditRoleDialog(role) {
+        const mergeTargets = role instanceof Speaker
+            ? this.dataManager.roleManager.getSpeakers().filter(speaker => speaker.id !== role.id)
+            : [];
+        const replicaCount = this.dataManager.replicaManager.getByRole(role.id).length;
+        const inputs = {};
+        try {
+            return await ModalComponent.show({
+                title: `Роль "${role.name}"`,
+                type: 'custom',
+                size: 'md',
+                content: (container) => {
+                    const form = document.createElement('div');
+                    form.className = 'episode-metadata-form';
+
+                    const createField = (labelText, input, wide = false) => {
+                        const label = document.createElement('label');
+                        label.className = wide ? 'download-format-label episode-metadata-wide' : 'download-format-label';
+                        label.textContent = labelText;
+                        input.className = 'form-control';
+                        label.appendChild(input);
+                        form.appendChild(label);
+                        return label;
+                    };
+
+                    inputs.name = document.createElement('input');
+                    inputs.name.type = 'text';
+                    inputs.name.maxLength = 50;
+                    inputs.name.value = role.name;
+                    createField('Имя', inputs.name, true);
+
+                    inputs.type = document.createElement('select');
+                    inputs.type.add(new Option('Спикер', 'speaker', false, role.type === 'speaker'));
+                    inputs.type.add(new Option('Звуковой эффект', 'sound', false, role.type === 'sound'));
+                    createField('Тип', inputs.type);
+
+                    // Параметр нового типа: скорость для спикера или длительность для звука
+                    inputs.typeOption = document.createElement('input');
+                    inputs.typeOption.type = 'number';
+                    inputs.typeOption.min = 0;
+                    const typeOptionLabel = createField(' ', inputs.typeOption);
+                    const updateTypeOption = () => {
+                        typeOptionLabel.hidden = inputs.type.value === role.type;
+                        typeOptionLabel.firstChild.textContent = inputs.type.value === 'speaker'
+                            ? 'Скорость (слов/мин)'
+                            : 'Длительность (сек)';
+                        inputs.typeOption.value = inputs.type.value === 'speaker' ? 120 : 5;
+                    };
+                    inputs.type.addEventListener('change', updateTypeOption);
+                    updateTypeOption();
+
+                    inputs.group = document.createElement('select');
+                    inputs.group.add(new Option('Без группы', '', false, !role.group));
+                    Object.entries(ROLE_GROUPS).forEach(([group, title]) => {
+                        inputs.group.add(new Option(title, group, false, group === role.group));
+                    });
+                    createField('Группа', inputs.group);
+
+                    if (replicaCount > 0) {
+                        const hint = document.createElement('p');
+                        hint.className = 'episode-metadata-wide';
+                        hint.textContent = `Реплики роли (${replicaCount}) сохранятся при смене имени и типа.`;
+                        form.appendChild(hint);
+                    }
+
+                    if (mergeTargets.length > 0) {
+                        inputs.mergeInto = document.createElement('select');
+                        inputs.mergeInto.add(new Option('Не объединять', ''));
+                        mergeTargets.forEach(speaker => inputs.mergeInto.add(new Option(speaker.name, speaker.id)));
+                        createField(`Объединить с другим спикером (реплики "${role.name}" перейдут к нему, роль будет удалена)`, inputs.mergeInto, true);
+                    }
+
+                    container.appendChild(form);
+                    return form;
+                },
+                buttons: [
+                    {
+                        text: 'Отмена',
+                        icon: 'x-circle',
+                        type: 'secondary',
+                        onClick: () => null,
+                        autoClose: true
+                    },
+                    {
+                        text: 'Сохранить',
+                        icon: 'check',
+                        type: 'primary',
+                        onClick: () => {
+                            const value = Number(inputs.typeOption.value) || 0;
+                            return {
+                                name: inputs.name.value.trim(),
+                                type: inputs.type.value,
+                                typeOptions: inputs.type.value === 'speaker'
+                                    ? { wordsPerMinute: Math.max(50, Math.min(500, value)) }
+                                    : { duration: value },
+                                group: inputs.group.value || null,
+                                mergeIntoId: inputs.mergeInto ? inputs.mergeInto.value : ''
+                            };
+                        },
+                        autoClose: true
+                    }
+                ]
+            }) || null;
+        } catch (error) {
+            logger.error('Ошибка при показе окна изменения роли:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Обработка изменения скорости спикера
+     * @param {string} roleId - ID спикера
+     */
+    handleEditSpeakerSpeed(roleId) {
+        const role = this.dataManager.roleManager.findById(roleId);
+        if (role instanceof Speaker) {
+            const newSpeed = prompt('Введите новую скорость речи (слова в минуту):', role.wordsPerMinute);
+            if (newSpeed !== null) {
+                const speed = parseInt(newSpeed);
+                if (!isNaN(speed) && speed >= 50 && speed <= 500) {
+                    // Изменение через DataManager записывается в историю и уведомляет подписчиков
+                    this.dataManager.setSpeakerSpeed(roleId, speed);
+                    this.updateRolesList();
+                    this.updateReplicasList(); // Скорость сдвигает таймкоды реплик
+                    this.updateRoleSelect(); // Обновляем селект ролей также
+                    logger.logUserAction('изменение скорости спикера', {
+                        roleId: roleId,
+                        newSpeed: speed
+                    });
+                } else {
+                    alert('Скорость должна быть от 50 до 500 слов в минуту');
+                }
+            }
+        }
+    }
+
+    /**
+     * Обработка изменения длительности звукового эффекта
+     * @param {string} roleId - ID звукового эффекта
+     */
+    handleEditSoundEffectDuration(roleId) {
+        const role = this.dataManager.roleManager.findById(roleId);
+        if (role instanceof SoundEffect) {
+            const newDuration = prompt('Введите новую длительность звукового эффекта (секунды):', role.duration);
+            if (newDuration !== null) {
+                const duration = parseInt(newDuration);
+                if (!isNaN(duration) && duration >= 0) {
+                    // Изменение через DataManager записывается в историю и уведомляет подписчиков
+                    this.dataManager.setSoundDuration(roleId, duration);
+                    this.updateRolesList();
+                    this.updateReplicasList();
+                    logger.logUserAction('изменение длительности звукового эффекта', {
+                        roleId: roleId,
+                        newDuration: duration
+                    });
+                } else {
+                    alert('Длительность должна быть неотрицательным числом');
+                }
+            }
+        }
+    }
+
+    /**
+     * Обработка изменения цвета спикера
+     * @param {string} roleId - ID спикера
+     * @param {string} color - Новый цвет
+     */
+    handleEditRoleColor(roleId, color) {
+        if (this.dataManager.setRoleColor(roleId, color)) {
+            this.updateRolesList();
+            this.updateReplicasList();
+            logger.logUserAction('изменение цвета спикера', {
+                roleId: roleId,
+                newColor: color
+            });
+        }
+    }
+
+    /**
+     * Обработка удаления роли
+     * @param {string} roleId - ID роли для удаления
+     */
+    async handleDeleteRole(roleId) {
+        const role = this.dataManager.roleManager.findById(roleId);
+        if (!role) return;
+
+        // Подсчет связанных реплик
+        const replicaCount = this.dataManager.replicaManager.getByRole(roleId).length;
+
+        if (replicaCount === 0) {
+            this.showDeleteConfirmationModal(
+                `Удаление роли "${role.name}"`,
+                `Вы уверены, что хотите удалить роль "${role.name}"?`,
+                () => this.deleteRole(role, { replicas: 'delete' }, replicaCount)
+            );
+            return;
+        }
+
+        const options = await this.showDeleteRoleDialog(role, replicaCount);
+        if (options) {
+            this.deleteRole(role, options, replicaCount);
+        }
+    }
+
+    /**
+     * Удаление роли с уведомлением и возможностью отмены
+     * @param {Role} role - Удаляемая роль
+     * @param {Object} options - Что делать с репликами (см. DataManager.removeRole)
+     * @param {number} replicaCount - Количество реплик роли
+     */
+    deleteRole(role, options, replicaCount) {
+        const roleId = role.id;
+        const success = this.dataManager.removeRole(roleId, options);
+        if (!success) {
+            ToastComponent.error(`Не удалось удалить роль "${role.name}"`);
+            return;
+        }
+
+        // Анимация удаления элемента
+        const roleElement = document.querySelector(`.role-item[data-role-id="${roleId}"]`);
+        if (roleElement) {
+            this.animateElementRemoval(roleElement);
+        }
+
+        this.updateRolesList();
+        this.updateReplicasList();
+
+        // Удаление записано в историю - отменяем именно эту команду
+        const command = this.dataManager.history.peekUndo();
+        const targetRole = this.dataManager.roleManager.findById(options.targetRoleId);
+        const messages = {
+            delete: replicaCount > 0 ? `Роль "${role.name}" и ${replicaCount} реплик удалены` : `Роль "${role.name}" удалена`,
+            reassign: `Роль "${role.name}" удалена, реплики (${replicaCount}) переданы роли "${targetRole?.name}"`,
+            unassign: `Роль "${role.name}" удалена, реплики (${replicaCount}) остались без роли`
+        };
+
+        // Показываем уведомление с возможностью отмены
+        this.showToast(
+            messages[options.replicas],
+            () => {
+                if (!this.dataManager.undoCommand(command)) {
+                    ToastComponent.warning('Удаление уже нельзя отменить из уведомления: после него были другие изменения. Используйте Ctrl+Z.');
+                    return;
+                }
+                this.refreshAfterHistoryChange();
+
+                logger.logUserAction('отмена удаления роли', { 
+                    roleId: roleId,
+                    replicaCount: replicaCount,
+                    roleName: role.name
+                });
+            },
+            'warning'
+        );
+
+        logger.logUserAction('удаление роли', { 
+            roleId: roleId,
+            replicaCount: replicaCount,
+            roleName: role.name,
+            replicas: options.replicas
+        });
+    }
+
+    /**
+     * Окно удаления роли, у которой есть реплики: передать их другой роли, оставить без роли или удалить
+     * @param {Role} role - Удаляемая роль
+     * @param {number} replicaCount - Количество реплик роли
+     * @returns {Promise<Object|null>} Параметры для DataManager.removeRole или null при отмене
+     */
+    async showDeleteRoleDialog(role, replicaCount) {
+        const otherRoles = this.dataManager.roleManager.getAll().filter(item => item.id !== role.id);
+        const inputs = {};
+        try {
+            return await ModalComponent.show({
+                title: `Удаление роли "${role.name}"`,
+                type: 'custom',
+                size: 'md',
+                content: (container) => {
+                    const form = document.createElement('div');
+                    form.className = 'delete-role-form';
+
+                    const message = document.createElement('p');
+                    message.textContent = `У роли ${replicaCount} реплик. Что с ними сделать? Удаление можно будет отменить.`;
+                    form.appendChild(message);
+
+                    const createChoice = (value, text, checked, disabled = false) => {
+                        const label = document.createElement('label');
+                        label.className = 'delete-role-choice';
+                        const radio = document.createElement('input');
+                        radio.type = 'radio';
+                        radio.name = 'deleteRoleReplicas';
+                        radio.value = value;
+                        radio.checked = checked;
+                        radio.disabled = disabled;
+                        label.appendChild(radio);
+                        label.append(` ${text}`);
+                        form.appendChild(label);
+                        return label;
+                    };
+
+                    const reassignLabel = createChoice('reassign', 'Передать реплики роли', otherRoles.length > 0, otherRoles.length === 0);
+                    inputs.targetRole = document.createElement('select');
+                    inputs.targetRole.className = 'form-control';
+                    inputs.targetRole.disabled = otherRoles.length === 0;
+                    otherRoles.forEach(item => inputs.targetRole.add(new Option(item.name, item.id)));
+                    // Выбор роли в списке сразу выбирает и этот вариант
+                    inputs.targetRole.addEventListener('change', () => {
+                        reassignLabel.querySelector('input').checked = true;
+                    });
+                    reassignLabel.appendChild(inputs.targetRole);
+
+                    createChoice('unassign', 'Оставить реплики без роли (они будут выделены в списке)', otherRoles.length === 0);
+                    createChoice('delete', 'Удалить реплики вместе с ролью', false);
+
+                    inputs.form = form;
+                    container.appendChild(form);
+                    return form;
+                },
+                buttons: [
+                    {
+                        text: 'Отмена',
+                        icon: 'x-circle',
+                        type: 'secondary',
+                        onClick: () => null,
+                        autoClose: true
+                    },
+                    {
+                        text: 'Удалить роль',
+                        icon: 'trash-2',
+                        type: 'danger',
+                        onClick: () => {
+                            const replicas = inputs.form.querySelector('input[name="deleteRoleReplicas"]:checked').value;
+                            return replicas === 'reassign'
+                                ? { replicas, targetRoleId: inputs.targetRole.value }
+                                : { replicas };
+                        },
+                        autoClose: true
+                    }
+                ]
+            }) || null;
+        } catch (error) {
+            logger.error('Ошибка при показе окна удаления роли:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Обновление селекта ролей
+     */
+    updateRoleSelect() {
+        const roleSelect = document.getElementById('replicaRole');
+        const currentSelection = roleSelect.value;
+        
+        roleSelect.innerHTML = '<option value="">Выберите роль</option>';
+        
+        this.getRoleOptionGroups().forEach(({ label, roles }) => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            roles.forEach(role => {
+                const option = document.createElement('option');
+                option.value = role.id;
+                option.textContent = role.name;
+                if (role.id === currentSelection) option.selected = true;
+                optgroup.appendChild(option);
+            });
+            roleSelect.appendChild(optgroup);
+        });
+
+        // Включить селект, если есть доступные роли
+        roleSelect.disabled = (roleSelect.children.length <= 1); // <= 1 означает только опция по умолчанию
+        
+        this.updateSearchRoleSelect();
+        this.updateBulkRoleSelect();
+        this.updateReplicaControls();
+    }
+
+    /**
+     * Настройка панели поиска и замены
+     */
+    setupSearchControls() {
+        const searchInput = document.getElementById('replicaSearchInput');
+        if (!searchInput) {
+            return;
+        }
+        const replaceInput = document.getElementById('replicaReplaceInput');
+
+        searchInput.addEventListener('input', () => {
+            // Список перерисовывается после паузы в наборе, а не на каждую букву
+            clearTimeout(this.searchInputTimeout);
+            this.searchInputTimeout = setTimeout(() => {
+                this.searchState.query = searchInput.value;
+                this.activeSearchHit = 0;
+                this.updateReplicasList();
+            }, 150);
+        });
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.navigateSearch(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                this.clearSearch();
+            }
+        });
+
+        [
+            ['searchCaseBtn', 'caseSensitive'],
+            ['searchWordBtn', 'wholeWord'],
+            ['searchRegexBtn', 'regex']
+        ].forEach(([buttonId, option]) => {
+            const button = document.getElementById(buttonId);
+            if (!button) return;
+            button.addEventListener('click', () => {
+                this.searchState[option] = !this.searchState[option];
+                button.classList.toggle('active', this.searchState[option]);
+                button.setAttribute('aria-pressed', String(this.searchState[option]));
+                this.activeSearchHit = 0;
+                this.updateReplicasList();
+            });
+        });
+
+        const roleSelect = document.getElementById('replicaSearchRole');
+        if (roleSelect) {
+            roleSelect.addEventListener('change', () => {
+                this.searchState.roleId = roleSelect.value;
+                this.activeSearchHit = 0;
+                this.updateReplicasList();
+            });
         }
 
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'btn btn-danger btn-sm';
-        deleteBtn.innerHTML = '<i data-feather="trash-2"></i>';
-        deleteBtn.addEventListener('click', () => {
-            this.handleDeleteRole(role.id);
+        document.getElementById('searchPrevBtn')?.addEventListener('click', () => this.navigateSearch(-1));
+        document.getElementById('searchNextBtn')?.addEventListener('click', () => this.navigateSearch(1));
+        document.getElementById('searchReplaceToggleBtn')?.addEventListener('click', () => {
+            const replaceRow = document.getElementById('replicaReplaceRow');
+            replaceRow.hidden = !replaceRow.hidden;
+            if (!replaceRow.hidden) {
+                replaceInput.focus();
+            }
+        });
+        document.getElementById('replaceOneBtn')?.addEventListener('click', () => this.handleReplaceOne());
+        document.getElementById('replaceAllBtn')?.addEventListener('click', () => this.handleReplaceAll());
+        replaceInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.handleReplaceOne();
+            }
         });
-        roleActions.appendChild(deleteBtn);
 
-        roleElement.appendChild(roleInfo);
-        roleElement.appendChild(roleActions);
+        const unsubscribes = eventService.subscribeToKeyboardShortcuts({
+            'ctrl+f': () => {
+                searchInput.focus();
+                searchInput.select();
+            },
+            'f3': () => this.navigateSearch(1),
+            'shift+f3': () => this.navigateSearch(-1)
+        });
+        unsubscribes.forEach(unsubscribe => this.eventListeners.add(unsubscribe));
 
-        return roleElement;
+        this.updateSearchStatus();
     }
 
     /**
-     * Обработка изменения скорости спикера
-     * @param {string} roleId - ID спикера
+     * Поиск по текущему запросу
+     * @returns {TextSearch} Поиск с опциями из панели
      */
-    handleEditSpeakerSpeed(roleId) {
-        const role = this.dataManager.roleManager.findById(roleId);
-        if (role instanceof Speaker) {
-            const newSpeed = prompt('Введите новую скорость речи (слова в минуту):', role.wordsPerMinute);
-            if (newSpeed !== null) {
-                const speed = parseInt(newSpeed);
-                if (!isNaN(speed) && speed >= 50 && speed <= 500) {
-                    role.setWordsPerMinute(speed);
-                    // Сохраняем цвет при обновлении спикера
-                    const updatedRole = new Speaker(role.name);
-                    updatedRole.id = role.id;
-                    updatedRole.setWordsPerMinute(speed);
-                    updatedRole.color = role.color; // Сохраняем цвет
-                    
-                    // Заменяем роль в DataManager
-                    this.dataManager.roleManager.update(roleId, updatedRole);
-                    
-                    // Обновляем статистику через DataManager, чтобы уведомить все подписчики
-                    this.dataManager.updateStatistics();
-                    this.updateRolesList();
-                    this.updateRoleSelect(); // Обновляем селект ролей также
-                    logger.logUserAction('изменение скорости спикера', {
-                        roleId: roleId,
-                        newSpeed: speed
-                    });
-                } else {
-                    alert('Скорость должна быть от 50 до 500 слов в минуту');
-                }
-            }
-        }
+    createTextSearch() {
+        return new TextSearch(this.searchState.query, this.searchState);
     }
 
     /**
-     * Обработка изменения длительности звукового эффекта
-     * @param {string} roleId - ID звукового эффекта
+     * Включен ли поиск или фильтр по роли
+     * @returns {boolean} Фильтруется ли список реплик
      */
-    handleEditSoundEffectDuration(roleId) {
-        const role = this.dataManager.roleManager.findById(roleId);
-        if (role instanceof SoundEffect) {
-            const newDuration = prompt('Введите новую длительность звукового эффекта (секунды):', role.duration);
-            if (newDuration !== null) {
-                const duration = parseInt(newDuration);
-                if (!isNaN(duration) && duration >= 0) {
-                    role.setDuration(duration);
-                    // Обновляем статистику через DataManager, чтобы уведомить все подписчики
-                    this.dataManager.updateStatistics();
-                    this.updateRolesList();
-                    logger.logUserAction('изменение длительности звукового эффекта', {
-                        roleId: roleId,
-                        newDuration: duration
-                    });
-                } else {
-                    alert('Длительность должна быть неотрицательным числом');
-                }
-            }
-        }
+    isSearchFiltering() {
+        return this.searchState.query !== '' || this.searchState.roleId !== '';
     }
 
     /**
-     * Обработка удаления роли
-     * @param {string} roleId - ID роли для удаления
+     * Сброс поиска и фильтра по роли
      */
-    handleDeleteRole(roleId) {
-        const role = this.dataManager.roleManager.findById(roleId);
-        if (!role) return;
+    clearSearch() {
+        const searchInput = document.getElementById('replicaSearchInput');
+        const roleSelect = document.getElementById('replicaSearchRole');
+        clearTimeout(this.searchInputTimeout);
+        if (searchInput) searchInput.value = '';
+        if (roleSelect) roleSelect.value = '';
+        this.searchState.query = '';
+        this.searchState.roleId = '';
+        this.updateReplicasList();
+    }
 
-        // Находим оригинальный индекс роли перед удалением
-        const allRoles = this.dataManager.roleManager.getAll();
-        const originalRoleIndex = allRoles.findIndex(r => r.id === role.id);
-        
-        // Подсчет связанных реплик
-        const relatedReplicas = this.dataManager.replicaManager.getByRole(roleId);
-        const replicaCount = relatedReplicas.length;
+    /**
+     * Обновление списка ролей в фильтре поиска
+     */
+    updateSearchRoleSelect() {
+        const roleSelect = document.getElementById('replicaSearchRole');
+        if (!roleSelect) {
+            return;
+        }
 
-        // Находим оригинальные индексы всех связанных реплик перед удалением
-        const allReplicas = this.dataManager.replicaManager.getAll();
-        const relatedReplicaData = relatedReplicas.map(replica => {
-            const originalIndex = allReplicas.findIndex(r => r.id === replica.id);
-            const replicaData = replica.toJSON();
-            replicaData.originalIndex = originalIndex;
-            return replicaData;
+        const roles = this.dataManager.roleManager.getOrdered();
+        roleSelect.innerHTML = '';
+        roleSelect.add(new Option('Все роли', ''));
+        roles.forEach(role => roleSelect.add(new Option(role.name, role.id)));
+
+        // Удаленная роль больше не фильтрует список
+        if (!roles.some(role => role.id === this.searchState.roleId)) {
+            this.searchState.roleId = '';
+        }
+        roleSelect.value = this.searchState.roleId;
+    }
+
+    /**
+     * Вывод реплик, подходящих под поиск и фильтр по роли, с подсветкой совпадений
+     * @param {HTMLElement} replicasList - Контейнер списка
+     * @param {Array<Replica>} replicas - Все реплики
+     * @param {Map<string, Object>} timeline - Таймкоды реплик
+     */
+    renderSearchResults(replicasList, replicas, timeline) {
+        const search = this.createTextSearch();
+        const hits = [];
+
+        replicas.forEach((replica, index) => {
+            if (this.searchState.roleId && replica.roleId !== this.searchState.roleId) {
+                return;
+            }
+            const element = this.createReplicaElement(replica, index, timeline.get(replica.id));
+            const replicaText = element.querySelector('.replica-text');
+            if (search.isActive()) {
+                // Ищем только в тексте, который виден в списке (у звуковых эффектов его нет)
+                const matches = replicaText ? search.findMatches(replica.text) : [];
+                if (matches.length === 0) {
+                    return;
+                }
+                this.highlightSearchMatches(replicaText, replica.text, matches, hits.length);
+                matches.forEach(match => hits.push({ replicaId: replica.id, match }));
+            }
+            replicasList.appendChild(element);
         });
 
-        // Сохраняем данные для отмены
-        const roleData = role.toJSON();
-        // Добавляем оригинальный индекс роли в данные для восстановления
-        roleData.originalIndex = originalRoleIndex;
+        if (!replicasList.hasChildNodes()) {
+            const empty = document.createElement('div');
+            empty.className = 'replica-search-empty';
+            empty.textContent = 'Ничего не найдено';
+            replicasList.appendChild(empty);
+        }
 
-        // Показываем кастомное модальное окно
-        this.showDeleteConfirmationModal(
-            `Удаление роли "${role.name}"`,
-            replicaCount > 0 
-                ? `Вы уверены, что хотите удалить роль "${role.name}" и все ${replicaCount} связанных реплик?` + (replicaCount > 0 ? ' Это действие можно отменить.' : '')
-                : `Вы уверены, что хотите удалить роль "${role.name}"?`,
-            () => {
-                const success = this.dataManager.removeRole(roleId);
-                if (success) {
-                    // Анимация удаления элемента
-                    const roleElement = document.querySelector(`.role-item[data-role-id="${roleId}"]`);
-                    if (roleElement) {
-                        this.animateElementRemoval(roleElement);
-                    }
+        this.searchHits = hits;
+        this.activeSearchHit = Math.min(this.activeSearchHit, Math.max(0, hits.length - 1));
+        this.markActiveSearchHit(false);
+    }
 
-                    this.updateRolesList();
-                    this.updateReplicasList();
+    /**
+     * Подсветка совпадений в тексте реплики
+     * @param {HTMLElement} container - Элемент текста реплики
+     * @param {string} text - Текст реплики
+     * @param {Array<Object>} matches - Совпадения из TextSearch.findMatches
+     * @param {number} firstHitIndex - Сквозной номер первого совпадения
+     */
+    highlightSearchMatches(container, text, matches, firstHitIndex) {
+        container.textContent = '';
+        let position = 0;
+        matches.forEach((match, index) => {
+            container.append(text.slice(position, match.start));
+            const mark = document.createElement('mark');
+            mark.className = 'search-hit';
+            mark.dataset.hitIndex = String(firstHitIndex + index);
+            mark.textContent = text.slice(match.start, match.end);
+            container.appendChild(mark);
+            position = match.end;
+        });
+        container.append(text.slice(position));
+    }
 
-                    // Показываем уведомление с возможностью отмены
-                    this.showToast(
-                        `Роль "${role.name}" ${replicaCount > 0 ? `и ${replicaCount} реплик` : ''} удалены`,
-                        () => {
-                            // Функция отмены
-            const restoredRole = role.constructor.fromJSON(roleData);
-            // Удаляем originalIndex из данных роли, чтобы не сохранялось в JSON
-            delete restoredRole.originalIndex;
-            // Восстанавливаем цвет, если он был сохранен
-            if (role.color) {
-                restoredRole.color = role.color;
+    /**
+     * Переход к соседнему совпадению
+     * @param {number} step - 1 - следующее, -1 - предыдущее
+     */
+    navigateSearch(step) {
+        const count = this.searchHits.length;
+        if (count === 0) {
+            return;
+        }
+        this.activeSearchHit = (this.activeSearchHit + step + count) % count;
+        this.markActiveSearchHit(true);
+    }
+
+    /**
+     * Выделение текущего совпадения
+     * @param {boolean} scroll - Прокрутить ли список к совпадению
+     */
+    markActiveSearchHit(scroll) {
+        document.querySelectorAll('.search-hit.active').forEach(mark => mark.classList.remove('active'));
+        const mark = document.querySelector(`.search-hit[data-hit-index="${this.activeSearchHit}"]`);
+        if (mark) {
+            mark.classList.add('active');
+            if (scroll) {
+                mark.scrollIntoView({ block: 'center', behavior: 'smooth' });
             }
-            this.dataManager.addRole(restoredRole);
-                            
-                            // Перемещаем роль на оригинальную позицию
-                            if (roleData.originalIndex >= 0) {
-                                this.dataManager.roleManager.move(roleId, roleData.originalIndex);
-                            }
-                            
-                            // Восстанавливаем связанные реплики
-                            relatedReplicaData.forEach(replicaData => {
-                                const restoredReplica = Replica.fromJSON(replicaData);
-                                // Удаляем originalIndex из данных реплики, чтобы не сохранялось в JSON
-                                delete restoredReplica.originalIndex;
-                                restoredReplica.setRole(roleId);
-                                this.dataManager.addReplica(restoredReplica);
-                                
-                                // Перемещаем реплику на оригинальную позицию
-                                if (replicaData.originalIndex >= 0) {
-                                    this.dataManager.replicaManager.move(restoredReplica.id, replicaData.originalIndex);
-                                }
-                            });
+        }
+        this.updateSearchStatus();
+    }
 
-                            this.updateRolesList();
-                            this.updateReplicasList();
-                            this.updateStatistics();
-                            this.updateReplicaControls();
-                            
-                            // Сохраняем данные в localStorage для персистентности
-                            if (window.app && typeof window.app.saveDataToStorage === 'function') {
-                                window.app.saveDataToStorage();
-                            }
-                            
-                            logger.logUserAction('отмена удаления роли', { 
-                                roleId: roleId,
-                                replicaCount: replicaCount,
-                                roleName: role.name,
-                                originalIndex: roleData.originalIndex
-                            });
-                        },
-                        'warning'
-                    );
+    /**
+     * Обновление счетчика совпадений и доступности кнопок поиска
+     */
+    updateSearchStatus() {
+        const searchInput = document.getElementById('replicaSearchInput');
+        const counter = document.getElementById('replicaSearchCount');
+        if (!searchInput || !counter) {
+            return;
+        }
 
-                    logger.logUserAction('удаление роли', { 
-                        roleId: roleId,
-                        replicaCount: replicaCount,
-                        roleName: role.name,
-                        originalIndex: originalRoleIndex
-                    });
-                }
-            }
-        );
+        const search = this.createTextSearch();
+        const count = this.searchHits.length;
+        searchInput.classList.toggle('invalid', !!search.error);
+        searchInput.title = search.error ? `Ошибка в выражении: ${search.error}` : '';
+        if (search.error) {
+            counter.textContent = 'Ошибка в выражении';
+        } else if (!search.isActive()) {
+            counter.textContent = '';
+        } else {
+            counter.textContent = count > 0 ? `${this.activeSearchHit + 1} из ${count}` : 'Нет совпадений';
+        }
+
+        ['searchPrevBtn', 'searchNextBtn', 'replaceOneBtn', 'replaceAllBtn'].forEach(buttonId => {
+            const button = document.getElementById(buttonId);
+            if (button) button.disabled = count === 0;
+        });
     }
 
     /**
-     * Обновление селекта ролей
+     * Замена текущего совпадения
      */
-    updateRoleSelect() {
-        const roleSelect = document.getElementById('replicaRole');
-        const currentSelection = roleSelect.value;
-        
-        roleSelect.innerHTML = '<option value="">Выберите роль</option>';
-        
-        const speakers = this.dataManager.roleManager.getSpeakers();
-        const soundEffects = this.dataManager.roleManager.getSoundEffects();
-        
-        if (speakers.length > 0) {
-            const speakerGroup = document.createElement('optgroup');
-            speakerGroup.label = 'Спикеры';
-            speakers.forEach(speaker => {
-                const option = document.createElement('option');
-                option.value = speaker.id;
-                option.textContent = speaker.name;
-                if (speaker.id === currentSelection) option.selected = true;
-                speakerGroup.appendChild(option);
-            });
-            roleSelect.appendChild(speakerGroup);
+    handleReplaceOne() {
+        const hit = this.searchHits[this.activeSearchHit];
+        const replica = hit && this.dataManager.replicaManager.findById(hit.replicaId);
+        if (!replica) {
+            return;
         }
-        
-        if (soundEffects.length > 0) {
-            const soundGroup = document.createElement('optgroup');
-            soundGroup.label = 'Звуковые эффекты';
-            soundEffects.forEach(sound => {
-                const option = document.createElement('option');
-                option.value = sound.id;
-                option.textContent = sound.name;
-                if (sound.id === currentSelection) option.selected = true;
-                soundGroup.appendChild(option);
-            });
-            roleSelect.appendChild(soundGroup);
+
+        const replacement = document.getElementById('replicaReplaceInput').value;
+        const text = this.createTextSearch().replaceMatch(replica.text, hit.match, replacement);
+        // Следующее совпадение занимает номер замененного, поэтому activeSearchHit не меняется
+        if (this.dataManager.updateReplicaText(replica.id, text)) {
+            this.updateReplicasList();
+            this.markActiveSearchHit(true);
+            logger.logUserAction('замена текста в реплике', { replicaId: replica.id });
         }
+    }
 
-        // Включить селект, если есть доступные роли
-        roleSelect.disabled = (roleSelect.children.length <= 1); // <= 1 означает только опция по умолчанию
-        
-        this.updateReplicaControls();
+    /**
+     * Замена всех найденных совпадений одним действием
+     */
+    handleReplaceAll() {
+        if (this.searchHits.length === 0) {
+            return;
+        }
+
+        const search = this.createTextSearch();
+        const replacement = document.getElementById('replicaReplaceInput').value;
+        const texts = new Map();
+        this.searchHits.forEach(({ replicaId }) => {
+            const replica = this.dataManager.replicaManager.findById(replicaId);
+            if (replica && !texts.has(replicaId)) {
+                texts.set(replicaId, search.replaceAll(replica.text, replacement));
+            }
+        });
+
+        const hitCount = this.searchHits.length;
+        const replicaCount = this.dataManager.updateReplicaTexts(texts, `Замена "${this.searchState.query}"`);
+        if (replicaCount > 0) {
+            this.updateReplicasList();
+            ToastComponent.success(`Заменено совпадений: ${hitCount} в ${replicaCount} репл.`);
+            logger.logUserAction('замена всех совпадений', { hitCount, replicaCount });
+        }
     }
 
     /**
@@ -962,37 +3075,315 @@ class UIComponents extends BaseUIComponent {
         replicasList.innerHTML = '';
 
         const replicas = this.dataManager.replicaManager.getAll();
+        const timeline = this.dataManager.replicaManager.getTimeline(this.dataManager.roleManager);
         
-        replicas.forEach((replica, index) => {
-            const replicaElement = this.createReplicaElement(replica, index);
-            replicasList.appendChild(replicaElement);
-        });
+        this.searchHits = [];
+        this.inlineEditors = new Map();
+        // Удаленные реплики (в том числе после отмены) выпадают из выбора
+        this.selectedReplicaIds = new Set(replicas.map(replica => replica.id).filter(id => this.selectedReplicaIds.has(id)));
+        if (this.isSearchFiltering()) {
+            // При поиске разделы не показываются: найденные реплики идут одним списком
+            this.renderSearchResults(replicasList, replicas, timeline);
+        } else if (this.dataManager.segmentManager.isEmpty()) {
+            replicas.forEach((replica, index) => {
+                const replicaElement = this.createReplicaElement(replica, index, timeline.get(replica.id));
+                replicasList.appendChild(replicaElement);
+            });
+        } else {
+            // Реплики выводятся по разделам, у каждого раздела - заголовок с промежуточным итогом
+            const totals = new Map(this.dataManager.getStatistics().segments.map(item => [item.segmentId, item]));
+            let index = 0;
+            this.dataManager.getSegmentGroups().forEach(({ segment, replicas: segmentReplicas }) => {
+                const segmentId = segment ? segment.id : null;
+                const collapsed = this.collapsedSegments.has(segmentId);
+                replicasList.appendChild(this.createSegmentHeader(segment, totals.get(segmentId), collapsed));
+                segmentReplicas.forEach(replica => {
+                    if (!collapsed) {
+                        replicasList.appendChild(this.createReplicaElement(replica, index, timeline.get(replica.id)));
+                    }
+                    index++;
+                });
+            });
+        }
 
+        this.updateSegmentSelect();
+        this.updateSearchStatus();
+        this.updateSelectionDisplay();
+        this.updateUnassignedNotice();
         this.setupDragAndDrop();
         
         // Инициализация Feather Icons для новых элементов
         if (typeof feather !== 'undefined') {
             feather.replace();
         }
-        
-        logger.debug('Список реплик обновлен', { replicaCount: replicas.length });
+        
+        logger.debug('Список реплик обновлен', { replicaCount: replicas.length });
+    }
+
+    /**
+     * Создание заголовка раздела в списке реплик
+     * @param {Segment|null} segment - Раздел (null - реплики вне разделов)
+     * @param {Object} totals - Промежуточный итог раздела (см. ReplicaManager.getSegmentBreakdown)
+     * @param {boolean} collapsed - Свернут ли раздел
+     * @returns {HTMLElement} Заголовок раздела
+     */
+    createSegmentHeader(segment, totals, collapsed) {
+        const segmentId = segment ? segment.id : null;
+        const header = document.createElement('div');
+        header.className = collapsed ? 'segment-header collapsed' : 'segment-header';
+        header.dataset.segmentId = segmentId || '';
+
+        const toggleBtn = document.createElement('button');
+        toggleBtn.className = 'segment-toggle-btn';
+        toggleBtn.title = collapsed ? 'Развернуть раздел' : 'Свернуть раздел';
+        toggleBtn.innerHTML = `<i data-feather="${collapsed ? 'chevron-right' : 'chevron-down'}"></i>`;
+        toggleBtn.addEventListener('click', () => this.toggleSegment(segmentId));
+
+        const title = document.createElement('span');
+        title.className = 'segment-title';
+        title.textContent = segment ? segment.title : 'Без раздела';
+        title.addEventListener('click', () => this.toggleSegment(segmentId));
+
+        const info = document.createElement('span');
+        info.className = 'segment-totals';
+        if (totals) {
+            const duration = formatTimecode(totals.duration);
+            info.textContent = `${totals.replicaCount} репл. · ${totals.target ? `${duration} из ${formatTimecode(totals.target.target)}` : duration}`;
+            info.title = `Начало раздела: ${formatTimecode(totals.start)}`;
+            if (totals.target) {
+                info.classList.add(`segment-target-${totals.target.status}`);
+            }
+        }
+
+        header.appendChild(toggleBtn);
+        header.appendChild(title);
+        header.appendChild(info);
+
+        if (segment) {
+            // Раздел перетаскивается за заголовок вместе со всеми репликами
+            header.draggable = true;
+
+            const actions = document.createElement('div');
+            actions.className = 'segment-actions';
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'segment-edit-btn';
+            editBtn.title = 'Изменить раздел';
+            editBtn.innerHTML = '<i data-feather="edit-2"></i>';
+            editBtn.addEventListener('click', () => this.handleEditSegment(segment.id));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'segment-delete-btn';
+            deleteBtn.title = 'Удалить раздел (реплики останутся)';
+            deleteBtn.innerHTML = '<i data-feather="trash-2"></i>';
+            deleteBtn.addEventListener('click', () => this.handleDeleteSegment(segment.id));
+
+            actions.appendChild(editBtn);
+            actions.appendChild(deleteBtn);
+            header.appendChild(actions);
+        }
+
+        return header;
+    }
+
+    /**
+     * Сворачивание и разворачивание раздела
+     * @param {string|null} segmentId - ID раздела (null - реплики вне разделов)
+     */
+    toggleSegment(segmentId) {
+        if (this.collapsedSegments.has(segmentId)) {
+            this.collapsedSegments.delete(segmentId);
+        } else {
+            this.collapsedSegments.add(segmentId);
+        }
+        this.updateReplicasList();
+    }
+
+    /**
+     * Обновление селекта раздела для новой реплики (скрыт, пока разделов нет)
+     */
+    updateSegmentSelect() {
+        const segmentSelect = document.getElementById('replicaSegment');
+        if (!segmentSelect) {
+            return;
+        }
+
+        const segments = this.dataManager.segmentManager.getAll();
+        const currentSelection = segmentSelect.value;
+        segmentSelect.innerHTML = '';
+        segments.forEach(segment => {
+            segmentSelect.add(new Option(segment.title, segment.id, false, segment.id === currentSelection));
+        });
+        // По умолчанию новые реплики добавляются в последний раздел
+        if (segments.length > 0 && !segments.some(segment => segment.id === currentSelection)) {
+            segmentSelect.value = segments[segments.length - 1].id;
+        }
+        segmentSelect.hidden = segments.length === 0;
+    }
+
+    /**
+     * Добавление раздела
+     */
+    async handleAddSegment() {
+        const unsegmented = this.dataManager.getSegmentGroups().find(group => group.segment === null);
+        const values = await this.showSegmentDialog(null, unsegmented ? unsegmented.replicas.length : 0);
+        if (!values) {
+            return;
+        }
+
+        const segment = new Segment(values.title, values.kind, values.targetDuration);
+        const replicaIds = values.includeUnsegmented && unsegmented ? unsegmented.replicas.map(replica => replica.id) : [];
+        this.dataManager.addSegment(segment, replicaIds);
+        this.updateReplicasList();
+        logger.logUserAction('добавление раздела', {
+            segmentId: segment.id,
+            kind: segment.kind,
+            replicaCount: replicaIds.length
+        });
+    }
+
+    /**
+     * Редактирование раздела
+     * @param {string} segmentId - ID раздела
+     */
+    async handleEditSegment(segmentId) {
+        const segment = this.dataManager.segmentManager.findById(segmentId);
+        if (!segment) return;
+
+        const values = await this.showSegmentDialog(segment);
+        if (values && this.dataManager.updateSegment(segmentId, values)) {
+            this.updateReplicasList();
+        }
+    }
+
+    /**
+     * Удаление раздела (реплики остаются и переходят в предыдущий раздел)
+     * @param {string} segmentId - ID раздела
+     */
+    handleDeleteSegment(segmentId) {
+        const segment = this.dataManager.segmentManager.findById(segmentId);
+        if (!segment) return;
+
+        const replicaCount = this.dataManager.replicaManager.getAll().filter(replica => replica.segmentId === segmentId).length;
+        this.showDeleteConfirmationModal(
+            'Удаление раздела',
+            `Удалить раздел "${segment.title}"? Его реплики (${replicaCount}) не удаляются и переходят в предыдущий раздел. Это действие можно отменить.`,
+            () => {
+                if (this.dataManager.removeSegment(segmentId)) {
+                    this.collapsedSegments.delete(segmentId);
+                    this.updateReplicasList();
+                    logger.logUserAction('удаление раздела', { segmentId, replicaCount });
+                }
+            }
+        );
+    }
+
+    /**
+     * Показ окна создания или изменения раздела
+     * @param {Segment|null} segment - Изменяемый раздел или null для нового
+     * @param {number} unsegmentedCount - Количество реплик вне разделов (для нового раздела)
+     * @returns {Promise<Object|null>} { title, kind, targetDuration, includeUnsegmented } или null при отмене
+     */
+    async showSegmentDialog(segment = null, unsegmentedCount = 0) {
+        const inputs = {};
+        try {
+            return await ModalComponent.show({
+                title: segment ? 'Изменение раздела' : 'Новый раздел',
+                type: 'custom',
+                size: 'md',
+                content: (container) => {
+                    const form = document.createElement('div');
+                    form.className = 'episode-metadata-form';
+
+                    const createField = (labelText, input, wide = false) => {
+                        const label = document.createElement('label');
+                        label.className = wide ? 'download-format-label episode-metadata-wide' : 'download-format-label';
+                        label.textContent = labelText;
+                        input.className = 'form-control';
+                        label.appendChild(input);
+                        form.appendChild(label);
+                    };
+
+                    inputs.kind = document.createElement('select');
+                    Object.entries(SEGMENT_KINDS).forEach(([kind, label]) => {
+                        inputs.kind.add(new Option(label, kind, false, kind === (segment ? segment.kind : 'custom')));
+                    });
+                    createField('Вид', inputs.kind);
+
+                    inputs.targetDuration = document.createElement('input');
+                    inputs.targetDuration.type = 'text';
+                    inputs.targetDuration.placeholder = '5:00';
+                    inputs.targetDuration.value = segment ? EpisodeMetadata.formatDuration(segment.targetDuration) : '';
+                    createField('Целевая длительность (мм:сс)', inputs.targetDuration);
+
+                    inputs.title = document.createElement('input');
+                    inputs.title.type = 'text';
+                    inputs.title.value = segment ? segment.title : '';
+                    inputs.title.placeholder = SEGMENT_KINDS[inputs.kind.value];
+                    inputs.kind.addEventListener('change', () => {
+                        inputs.title.placeholder = SEGMENT_KINDS[inputs.kind.value];
+                    });
+                    createField('Название', inputs.title, true);
+
+                    if (!segment && unsegmentedCount > 0) {
+                        const label = document.createElement('label');
+                        label.className = 'episode-metadata-wide';
+                        inputs.includeUnsegmented = document.createElement('input');
+                        inputs.includeUnsegmented.type = 'checkbox';
+                        // Первый раздел по умолчанию забирает весь уже написанный скрипт
+                        inputs.includeUnsegmented.checked = this.dataManager.segmentManager.isEmpty();
+                        label.appendChild(inputs.includeUnsegmented);
+                        label.append(` Перенести в раздел реплики без раздела (${unsegmentedCount})`);
+                        form.appendChild(label);
+                    }
+
+                    container.appendChild(form);
+                    return form;
+                },
+                buttons: [
+                    {
+                        text: 'Отмена',
+                        icon: 'x-circle',
+                        type: 'secondary',
+                        onClick: () => null,
+                        autoClose: true
+                    },
+                    {
+                        text: segment ? 'Сохранить' : 'Добавить',
+                        icon: 'check',
+                        type: 'primary',
+                        onClick: () => ({
+                            title: inputs.title.value.trim(),
+                            kind: inputs.kind.value,
+                            targetDuration: EpisodeMetadata.parseDuration(inputs.targetDuration.value),
+                            includeUnsegmented: !!inputs.includeUnsegmented?.checked
+                        }),
+                        autoClose: true
+                    }
+                ]
+            }) || null;
+        } catch (error) {
+            logger.error('Ошибка при показе окна раздела:', error);
+            return null;
+        }
     }
 
     /**
      * Создание элемента реплики
      * @param {Replica} replica - Реплика для создания элемента
      * @param {number} index - Индекс реплики
+     * @param {Object} timecode - Начало и конец реплики в минутах
      * @returns {HTMLElement} Элемент реплики
      */
-    createReplicaElement(replica, index) {
+    createReplicaElement(replica, index, timecode = null) {
         const role = this.dataManager.roleManager.findById(replica.roleId);
         
         if (role && role.type === 'sound') {
-            return this.createSoundEffectElement(replica, role, index);
+            return this.createSoundEffectElement(replica, role, index, timecode);
         } else {
             // Если роль не найдена или это не звуковой эффект, создаем элемент спикера
             // В случае отсутствия роли, передаем null и позволяем элементу обработать эту ситуацию
-            return this.createSpeakerReplicaElement(replica, role, index);
+            return this.createSpeakerReplicaElement(replica, role, index, timecode);
         }
     }
 
@@ -1001,10 +3392,22 @@ class UIComponents extends BaseUIComponent {
      * @param {Replica} replica - Реплика для создания элемента
      * @param {Role} role - Роль реплики
      * @param {number} index - Индекс реплики
+     * @param {Object} timecode - Начало и конец реплики в минутах
      * @returns {HTMLElement} Элемент реплики спикера
      */
-    createSpeakerReplicaElement(replica, role, index) {
-        const speakerElement = new SpeakerReplicaElement(replica, role, index);
+    createSpeakerReplicaElement(replica, role, index, timecode = null) {
+        const speakerElement = new SpeakerReplicaElement(replica, role, index, timecode);
+        speakerElement.setInlineEditing({
+            roleGroups: this.getRoleOptionGroups(),
+            onTextChange: (text, sessionKey) => this.dataManager.updateReplicaText(replica.id, text, sessionKey),
+            onRoleChange: (roleId) => this.handleInlineRoleChange(replica.id, roleId),
+            onSplit: (position) => this.handleSplitReplica(replica.id, position),
+            onMerge: () => this.handleMergeReplica(replica.id),
+            onEditEnd: (relatedTarget) => this.handleInlineEditEnd(relatedTarget)
+        });
+        this.inlineEditors.set(replica.id, speakerElement);
+        speakerElement.setSelection(this.selectedReplicaIds.has(replica.id), this.selectionMode,
+            (e) => this.handleReplicaSelect(replica.id, e));
         const element = speakerElement.build(
             () => this.handleMoveReplica(replica.id, 'up'),
             () => this.handleMoveReplica(replica.id, 'down'),
@@ -1019,20 +3422,84 @@ class UIComponents extends BaseUIComponent {
             speakerElement.setSpeakerColor(color);
             element.style.setProperty('--speaker-text-color', color);
             element.classList.add('speaker-colored');
+        } else if (!role) {
+            element.classList.add('replica-unassigned');
+            element.title = 'У реплики нет роли - выберите ее в списке';
         }
 
         return element;
     }
 
+    /**
+     * Смена роли реплики из выпадающего списка в элементе
+     * @param {string} replicaId - ID реплики
+     * @param {string} roleId - ID новой роли
+     */
+    handleInlineRoleChange(replicaId, roleId) {
+        try {
+            this.dataManager.setReplicaRole(replicaId, roleId);
+            this.updateReplicasList();
+        } catch (error) {
+            logger.error('Ошибка при смене роли реплики:', error);
+            ToastComponent.error('Не удалось изменить роль реплики');
+        }
+    }
+
+    /**
+     * Разделение реплики в позиции курсора; редактирование продолжается во второй части
+     * @param {string} replicaId - ID реплики
+     * @param {number} position - Позиция курсора в тексте
+     */
+    handleSplitReplica(replicaId, position) {
+        const newReplica = this.dataManager.splitReplica(replicaId, position);
+        if (!newReplica) {
+            ToastComponent.warning('Поставьте курсор внутрь текста, чтобы разделить реплику');
+            return;
+        }
+        this.updateReplicasList();
+        this.inlineEditors.get(newReplica.id)?.startInlineEdit(0);
+    }
+
+    /**
+     * Объединение реплики со следующей; курсор остается на месте стыка
+     * @param {string} replicaId - ID реплики
+     */
+    handleMergeReplica(replicaId) {
+        const replica = this.dataManager.replicaManager.findById(replicaId);
+        const joinPosition = replica ? replica.text.length : 0;
+        if (!this.dataManager.mergeReplicaWithNext(replicaId)) {
+            ToastComponent.warning('Объединить можно только со следующей репликой той же роли');
+            return;
+        }
+        this.updateReplicasList();
+        this.inlineEditors.get(replicaId)?.startInlineEdit(joinPosition);
+    }
+
+    /**
+     * Завершение редактирования на месте: список перерисовывается, чтобы обновить
+     * таймкоды и итоги разделов, если фокус не ушел на другой элемент списка
+     * @param {Element|null} relatedTarget - Элемент, получающий фокус
+     */
+    handleInlineEditEnd(relatedTarget) {
+        const replicasList = document.getElementById('replicasList');
+        if (relatedTarget && replicasList && replicasList.contains(relatedTarget)) {
+            return;
+        }
+        this.updateReplicasList();
+    }
+
     /**
      * Создание элемента звукового эффекта
      * @param {Replica} replica - Реплика для создания элемента
      * @param {SoundEffect} role - Звуковой эффект
      * @param {number} index - Индекс реплики
+     * @param {Object} timecode - Начало и конец реплики в минутах
      * @returns {HTMLElement} Элемент звукового эффекта
      */
-    createSoundEffectElement(replica, role, index) {
-        const soundElement = new SoundEffectElement(replica, role, index);
+    createSoundEffectElement(replica, role, index, timecode = null) {
+        const soundElement = new SoundEffectElement(replica, role, index, timecode);
+        soundElement.setSelection(this.selectedReplicaIds.has(replica.id), this.selectionMode,
+            (e) => this.handleReplicaSelect(replica.id, e));
         const element = soundElement.build(
             () => this.handleMoveReplica(replica.id, 'up'),
             () => this.handleMoveReplica(replica.id, 'down'),
@@ -1054,17 +3521,34 @@ class UIComponents extends BaseUIComponent {
         
         if (currentIndex === -1) return;
 
-        let newIndex;
-        if (direction === 'up') {
-            newIndex = Math.max(0, currentIndex - 1);
-        } else if (direction === 'down') {
-            newIndex = Math.min(allReplicas.length - 1, currentIndex + 1);
-        } else {
+        if (direction !== 'up' && direction !== 'down') {
             return;
         }
 
+        // На границе раздела реплика не меняет место, а переходит в соседний раздел
+        const groups = this.dataManager.getSegmentGroups();
+        const groupIndex = groups.findIndex(group => group.replicas.some(r => r.id === replicaId));
+        const group = groups[groupIndex];
+        if (group && !this.dataManager.segmentManager.isEmpty()) {
+            const positionInGroup = group.replicas.findIndex(r => r.id === replicaId);
+            const isEdge = direction === 'up' ? positionInGroup === 0 : positionInGroup === group.replicas.length - 1;
+            const neighbour = groups[direction === 'up' ? groupIndex - 1 : groupIndex + 1];
+            if (isEdge && neighbour) {
+                const segmentId = neighbour.segment ? neighbour.segment.id : null;
+                if (this.dataManager.moveReplica(replicaId, currentIndex, segmentId)) {
+                    this.updateReplicasList();
+                    logger.logUserAction('перемещение реплики в соседний раздел', { replicaId, segmentId });
+                }
+                return;
+            }
+        }
+
+        const newIndex = direction === 'up'
+            ? Math.max(0, currentIndex - 1)
+            : Math.min(allReplicas.length - 1, currentIndex + 1);
+
         if (newIndex !== currentIndex) {
-            const success = this.dataManager.replicaManager.move(replicaId, newIndex);
+            const success = this.dataManager.moveReplica(replicaId, newIndex);
             if (success) {
                 this.updateReplicasList();
                 logger.logUserAction('перемещение реплики', {
@@ -1126,6 +3610,27 @@ class UIComponents extends BaseUIComponent {
                     roleInfo.textContent = `Роль: ${roleName}`;
                     container.appendChild(roleInfo);
 
+                    // Темп реплики относительно скорости спикера
+                    const paceRow = document.createElement('div');
+                    paceRow.className = 'replica-pace-row';
+                    const paceLabel = document.createElement('label');
+                    paceLabel.textContent = 'Темп:';
+                    const paceSelect = document.createElement('select');
+                    paceSelect.className = 'form-control replica-pace-select';
+                    const paceOptions = PACE_OPTIONS.some(option => option.value === replica.pace)
+                        ? PACE_OPTIONS
+                        : [...PACE_OPTIONS, { value: replica.pace, label: `Свой (×${replica.pace})` }];
+                    paceOptions.forEach(option => {
+                        paceSelect.add(new Option(option.label, String(option.value), false, option.value === replica.pace));
+                    });
+                    paceLabel.appendChild(paceSelect);
+                    const paceHint = document.createElement('span');
+                    paceHint.className = 'replica-pace-hint';
+                    paceHint.textContent = 'Паузы в тексте: [pause 2s] или [пауза 500мс]';
+                    paceRow.appendChild(paceLabel);
+                    paceRow.appendChild(paceHint);
+                    container.appendChild(paceRow);
+
                     // Текстовое поле
                     const textArea = document.createElement('textarea');
                     textArea.value = replica.text;
@@ -1164,9 +3669,11 @@ class UIComponents extends BaseUIComponent {
                         type: 'primary',
                         onClick: () => {
                             const textArea = document.querySelector('.modal-body textarea');
+                            const paceSelect = document.querySelector('.modal-body .replica-pace-select');
                             const newText = textArea.value.trim();
                             if (newText) {
-                                replica.setText(newText);
+                                this.dataManager.updateReplicaText(replica.id, newText);
+                                this.dataManager.setReplicaPace(replica.id, Number(paceSelect.value));
                                 onSave();
                                 return true;
                             } else {
@@ -1196,15 +3703,6 @@ class UIComponents extends BaseUIComponent {
         const replica = this.dataManager.replicaManager.findById(replicaId);
         if (!replica) return;
 
-        // Находим оригинальный индекс реплики перед удалением
-        const allReplicas = this.dataManager.replicaManager.getAll();
-        const originalIndex = allReplicas.findIndex(r => r.id === replicaId);
-        
-        // Сохраняем данные для отмены
-        const replicaData = replica.toJSON();
-        // Добавляем оригинальный индекс в данные для восстановления
-        replicaData.originalIndex = originalIndex;
-
         // Показываем кастомное модальное окно
         this.showDeleteConfirmationModal(
             'Удаление реплики',
@@ -1220,50 +3718,23 @@ class UIComponents extends BaseUIComponent {
 
                     this.updateReplicasList();
 
+                    // Удаление записано в историю - отменяем именно эту команду
+                    const command = this.dataManager.history.peekUndo();
+
                     // Показываем уведомление с возможностью отмены
                     this.showToast(
                         `Реплика с ID "${replicaId}" удалена`,
                         () => {
-                            // Функция отмены
-                            // Проверяем, существует ли роль, к которой привязана реплика
-                            const roleExists = this.dataManager.roleManager.findById(replicaData.roleId);
-                            if (!roleExists) {
-                                logger.warn('Роль для восстанавливаемой реплики не существует', { 
-                                    replicaId: replicaData.id, 
-                                    roleId: replicaData.roleId 
-                                });
-                                // Показываем предупреждение пользователю
-                                ToastComponent.warning('Роль для этой реплики была удалена. Реплика не может быть восстановлена.', { duration: 500 });
+                            if (!this.dataManager.undoCommand(command)) {
+                                ToastComponent.warning('Удаление уже нельзя отменить из уведомления: после него были другие изменения. Используйте Ctrl+Z.');
                                 return;
                             }
-                            
-                            const restoredReplica = Replica.fromJSON(replicaData);
-                            // Удаляем originalIndex из данных реплики, чтобы не сохранялось в JSON
-                            delete restoredReplica.originalIndex;
-                            
-                            // Добавляем реплику через DataManager
-                            this.dataManager.addReplica(restoredReplica);
-                            
-                            // Перемещаем реплику на оригинальную позицию
-                            if (replicaData.originalIndex >= 0) {
-                                this.dataManager.replicaManager.move(replicaId, replicaData.originalIndex);
-                            }
-                            
-                            // Обновляем список реплик и статистику после восстановления
-                            this.updateReplicasList();
-                            this.updateStatistics();
-                            this.updateReplicaControls();
-                            
-                            // Сохраняем данные в localStorage для персистентности
-                            if (window.app && typeof window.app.saveDataToStorage === 'function') {
-                                window.app.saveDataToStorage();
-                            }
-                            
+                            this.refreshAfterHistoryChange();
+
                             logger.logUserAction('отмена удаления реплики', { 
                                 replicaId: replicaId,
                                 textLength: replica.text.length,
-                                roleId: replica.roleId,
-                                originalIndex: replicaData.originalIndex
+                                roleId: replica.roleId
                             });
                         },
                         'warning'
@@ -1272,14 +3743,323 @@ class UIComponents extends BaseUIComponent {
                     logger.logUserAction('удаление реплики', { 
                         replicaId: replicaId,
                         textLength: replica.text.length,
-                        roleId: replica.roleId,
-                        originalIndex: originalIndex
+                        roleId: replica.roleId
                     });
                 }
             }
         );
     }
 
+    /**
+     * Настройка выбора реплик и панели групповых действий
+     */
+    setupSelectionControls() {
+        const selectModeBtn = document.getElementById('selectModeBtn');
+        const bulkRoleSelect = document.getElementById('bulkRoleSelect');
+        const buttons = {
+            bulkMoveUpBtn: () => this.handleBulkMove('up'),
+            bulkMoveDownBtn: () => this.handleBulkMove('down'),
+            bulkDuplicateBtn: () => this.handleBulkDuplicate(),
+            bulkCopyBtn: () => this.handleBulkCopy(),
+            bulkDeleteBtn: () => this.handleBulkDelete(),
+            bulkClearBtn: () => this.clearSelection()
+        };
+
+        if (selectModeBtn) {
+            selectModeBtn.addEventListener('click', () => this.toggleSelectionMode());
+        }
+        const selectUnassignedBtn = document.getElementById('selectUnassignedBtn');
+        if (selectUnassignedBtn) {
+            selectUnassignedBtn.addEventListener('click', () => this.selectUnassignedReplicas());
+        }
+        if (bulkRoleSelect) {
+            bulkRoleSelect.addEventListener('change', () => {
+                const roleId = bulkRoleSelect.value;
+                bulkRoleSelect.value = '';
+                if (roleId) {
+                    this.handleBulkRoleChange(roleId);
+                }
+            });
+        }
+        Object.entries(buttons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        const unsubscribes = eventService.subscribeToKeyboardShortcuts({
+            'delete': () => {
+                // Клавиша Delete в открытом диалоге не должна удалять выбранные реплики
+                if (this.selectedReplicaIds.size > 0 && !document.querySelector('.modal-overlay')) {
+                    this.handleBulkDelete();
+                }
+            }
+        }, { ignoreEditable: true });
+        unsubscribes.forEach(unsubscribe => this.eventListeners.add(unsubscribe));
+    }
+
+    /**
+     * Включение и выключение флажков выбора у реплик
+     */
+    toggleSelectionMode() {
+        this.selectionMode = !this.selectionMode;
+        if (!this.selectionMode) {
+            this.selectedReplicaIds.clear();
+            this.selectionAnchorId = null;
+        }
+        const selectModeBtn = document.getElementById('selectModeBtn');
+        if (selectModeBtn) {
+            selectModeBtn.setAttribute('aria-pressed', String(this.selectionMode));
+            selectModeBtn.classList.toggle('active', this.selectionMode);
+        }
+        this.updateReplicasList();
+    }
+
+    /**
+     * ID выбранных реплик в порядке скрипта
+     * @returns {Array<string>} ID реплик
+     */
+    getSelectedReplicaIds() {
+        return this.dataManager.replicaManager.getAll()
+            .filter(replica => this.selectedReplicaIds.has(replica.id))
+            .map(replica => replica.id);
+    }
+
+    /**
+     * Выбор реплики: Ctrl или флажок переключают одну реплику, Shift выбирает диапазон
+     * от предыдущей выбранной среди показанных в списке
+     * @param {string} replicaId - ID реплики
+     * @param {MouseEvent} event - Событие щелчка
+     */
+    handleReplicaSelect(replicaId, event) {
+        const visibleIds = [...document.querySelectorAll('#replicasList [data-replica-id]')]
+            .map(item => item.dataset.replicaId);
+        const anchorIndex = visibleIds.indexOf(this.selectionAnchorId);
+        const targetIndex = visibleIds.indexOf(replicaId);
+
+        if (event.shiftKey && anchorIndex !== -1 && targetIndex !== -1) {
+            if (!(event.ctrlKey || event.metaKey)) {
+                this.selectedReplicaIds.clear();
+            }
+            visibleIds.slice(Math.min(anchorIndex, targetIndex), Math.max(anchorIndex, targetIndex) + 1)
+                .forEach(id => this.selectedReplicaIds.add(id));
+        } else {
+            if (this.selectedReplicaIds.has(replicaId)) {
+                this.selectedReplicaIds.delete(replicaId);
+            } else {
+                this.selectedReplicaIds.add(replicaId);
+            }
+            this.selectionAnchorId = replicaId;
+        }
+        this.updateSelectionDisplay();
+    }
+
+    /**
+     * Снятие выбора со всех реплик
+     */
+    clearSelection() {
+        this.selectedReplicaIds.clear();
+        this.selectionAnchorId = null;
+        this.updateSelectionDisplay();
+    }
+
+    /**
+     * Отметка выбранных реплик в списке и обновление панели групповых действий (без перерисовки списка)
+     */
+    updateSelectionDisplay() {
+        document.querySelectorAll('#replicasList [data-replica-id]').forEach(item => {
+            const selected = this.selectedReplicaIds.has(item.dataset.replicaId);
+            item.classList.toggle('replica-selected', selected);
+            const checkbox = item.querySelector('.replica-select-checkbox');
+            if (checkbox) {
+                checkbox.checked = selected;
+            }
+        });
+
+        const bulkBar = document.getElementById('replicaBulkBar');
+        const bulkCount = document.getElementById('replicaBulkCount');
+        if (bulkBar) {
+            bulkBar.hidden = this.selectedReplicaIds.size === 0;
+        }
+        if (bulkCount) {
+            bulkCount.textContent = `Выбрано: ${this.selectedReplicaIds.size}`;
+        }
+    }
+
+    /**
+     * Предупреждение о репликах без роли над списком
+     */
+    updateUnassignedNotice() {
+        const notice = document.getElementById('replicaUnassignedNotice');
+        if (!notice) {
+            return;
+        }
+        const count = this.dataManager.getUnassignedReplicaCount();
+        notice.hidden = count === 0;
+        const text = notice.querySelector('.replica-unassigned-text');
+        if (text) {
+            text.textContent = `Реплик без роли: ${count}`;
+        }
+    }
+
+    /**
+     * Выбор всех реплик без роли, чтобы назначить им роль через панель групповых действий
+     */
+    selectUnassignedReplicas() {
+        this.selectedReplicaIds = new Set(this.dataManager.replicaManager.getAll()
+            .filter(replica => !this.dataManager.roleManager.findById(replica.roleId))
+            .map(replica => replica.id));
+        this.updateSelectionDisplay();
+    }
+
+    /**
+     * Обновление списка ролей для группового назначения
+     */
+    updateBulkRoleSelect() {
+        const roleSelect = document.getElementById('bulkRoleSelect');
+        if (!roleSelect) {
+            return;
+        }
+        roleSelect.innerHTML = '';
+        roleSelect.add(new Option('Назначить роль…', ''));
+        this.dataManager.roleManager.getOrdered().forEach(role => roleSelect.add(new Option(role.name, role.id)));
+    }
+
+    /**
+     * Удаление выбранных реплик с подтверждением и возможностью отмены
+     */
+    handleBulkDelete() {
+        const replicaIds = this.getSelectedReplicaIds();
+        if (replicaIds.length === 0) {
+            return;
+        }
+
+        this.showDeleteConfirmationModal(
+            'Удаление реплик',
+            `Удалить выбранные реплики (${replicaIds.length})? Это действие можно отменить.`,
+            () => {
+                const count = this.dataManager.removeReplicas(replicaIds);
+                if (count === 0) {
+                    return;
+                }
+                this.clearSelection();
+                this.updateReplicasList();
+
+                const command = this.dataManager.history.peekUndo();
+                this.showToast(
+                    `Удалено реплик: ${count}`,
+                    () => {
+                        if (!this.dataManager.undoCommand(command)) {
+                            ToastComponent.warning('Удаление уже нельзя отменить из уведомления: после него были другие изменения. Используйте Ctrl+Z.');
+                            return;
+                        }
+                        this.refreshAfterHistoryChange();
+                        logger.logUserAction('отмена удаления реплик', { replicaCount: count });
+                    },
+                    'warning'
+                );
+                logger.logUserAction('удаление реплик', { replicaCount: count });
+            }
+        );
+    }
+
+    /**
+     * Назначение роли выбранным репликам
+     * @param {string} roleId - ID роли
+     */
+    handleBulkRoleChange(roleId) {
+        const count = this.dataManager.setReplicasRole(this.getSelectedReplicaIds(), roleId);
+        if (count > 0) {
+            this.updateReplicasList();
+            ToastComponent.success(`Роль изменена у реплик: ${count}`);
+            logger.logUserAction('смена роли реплик', { replicaCount: count, roleId });
+        }
+    }
+
+    /**
+     * Перемещение выбранных реплик блоком на одну позицию. Разрозненные реплики собираются в блок.
+     * Как и одиночная реплика, блок на границе раздела сначала переходит в соседний раздел.
+     * @param {string} direction - Направление ('up' или 'down')
+     */
+    handleBulkMove(direction) {
+        const replicaIds = this.getSelectedReplicaIds();
+        if (replicaIds.length === 0) {
+            return;
+        }
+        if (replicaIds.length === 1) {
+            this.handleMoveReplica(replicaIds[0], direction);
+            return;
+        }
+
+        const all = this.dataManager.replicaManager.getAll();
+        const rest = all.filter(replica => !this.selectedReplicaIds.has(replica.id));
+        let edge;
+        let neighbourIndex;
+        if (direction === 'up') {
+            edge = all.findIndex(replica => this.selectedReplicaIds.has(replica.id));
+            neighbourIndex = edge - 1; // Перед первой выбранной стоят только невыбранные реплики
+        } else {
+            edge = all.findLastIndex(replica => this.selectedReplicaIds.has(replica.id));
+            neighbourIndex = edge - (replicaIds.length - 1);
+        }
+        const neighbour = rest[neighbourIndex];
+        if (!neighbour) {
+            return;
+        }
+
+        const sameSegment = neighbour.segmentId === all[edge].segmentId;
+        let index = neighbourIndex;
+        if (direction === 'up' && !sameSegment) {
+            index = neighbourIndex + 1;
+        } else if (direction === 'down' && sameSegment) {
+            index = neighbourIndex + 1;
+        }
+
+        if (this.dataManager.moveReplicas(replicaIds, index, neighbour.segmentId)) {
+            this.updateReplicasList();
+            logger.logUserAction('перемещение реплик', { replicaCount: replicaIds.length, direction });
+        }
+    }
+
+    /**
+     * Дублирование выбранных реплик; выбор переходит на копии
+     */
+    handleBulkDuplicate() {
+        const copies = this.dataManager.duplicateReplicas(this.getSelectedReplicaIds());
+        if (copies.length === 0) {
+            return;
+        }
+        this.selectedReplicaIds = new Set(copies.map(copy => copy.id));
+        this.selectionAnchorId = copies[0].id;
+        this.updateReplicasList();
+        logger.logUserAction('дублирование реплик', { replicaCount: copies.length });
+    }
+
+    /**
+     * Копирование выбранных реплик в буфер обмена обычным текстом ("ИМЯ: реплика")
+     */
+    async handleBulkCopy() {
+        const replicas = this.dataManager.replicaManager.getAll()
+            .filter(replica => this.selectedReplicaIds.has(replica.id));
+        if (replicas.length === 0) {
+            return;
+        }
+
+        const scriptData = new ScriptData({
+            roles: this.dataManager.roleManager.toJSON(),
+            replicas: replicas.map(replica => replica.toJSON())
+        });
+        try {
+            await navigator.clipboard.writeText(ScriptExporter.toPlainText(scriptData));
+            ToastComponent.success(`Скопировано реплик: ${replicas.length}`);
+            logger.logUserAction('копирование реплик', { replicaCount: replicas.length });
+        } catch (error) {
+            logger.error('Ошибка при копировании реплик в буфер обмена:', error);
+            ToastComponent.error('Не удалось скопировать реплики в буфер обмена');
+        }
+    }
+
     /**
      * Настройка drag-and-drop для реплик
      */
@@ -1290,6 +4070,11 @@ class UIComponents extends BaseUIComponent {
             item.addEventListener('dragstart', (e) => {
                 this.draggedElement = item;
                 this.draggedReplicaId = item.dataset.replicaId;
+                // Выбранная реплика тянет за собой весь выбранный блок
+                if (this.selectedReplicaIds.size > 1 && this.selectedReplicaIds.has(this.draggedReplicaId)) {
+                    this.draggedReplicaIds = this.getSelectedReplicaIds();
+                    document.querySelectorAll('#replicasList .replica-selected').forEach(selected => selected.classList.add('dragging'));
+                }
                 item.classList.add('dragging');
                 e.dataTransfer.effectAllowed = 'move';
                 e.dataTransfer.setData('text/plain', this.draggedReplicaId);
@@ -1300,9 +4085,24 @@ class UIComponents extends BaseUIComponent {
             });
 
             item.addEventListener('dragend', () => {
-                item.classList.remove('dragging');
+                document.querySelectorAll('#replicasList .dragging').forEach(dragged => dragged.classList.remove('dragging'));
                 this.draggedElement = null;
                 this.draggedReplicaId = null;
+                this.draggedReplicaIds = null;
+            });
+        });
+
+        document.querySelectorAll('.segment-header[draggable="true"]').forEach(header => {
+            header.addEventListener('dragstart', (e) => {
+                this.draggedSegmentId = header.dataset.segmentId;
+                header.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', this.draggedSegmentId);
+            });
+
+            header.addEventListener('dragend', () => {
+                header.classList.remove('dragging');
+                this.draggedSegmentId = null;
             });
         });
 
@@ -1311,6 +4111,12 @@ class UIComponents extends BaseUIComponent {
             logger.error('Элемент replicasList не найден в DOM');
             return;
         }
+
+        // Обработчики списка переживают перерисовку, поэтому подключаются один раз
+        if (this.replicasListDropBound) {
+            return;
+        }
+        this.replicasListDropBound = true;
         
         replicasList.addEventListener('dragover', (e) => {
             e.preventDefault();
@@ -1323,8 +4129,24 @@ class UIComponents extends BaseUIComponent {
 
         replicasList.addEventListener('drop', (e) => {
             e.preventDefault();
+
+            if (this.draggedSegmentId) {
+                this.handleSegmentDrop(e);
+                return;
+            }
+            
+            if (this.draggedReplicaIds) {
+                this.handleBlockDrop(e);
+                return;
+            }
             
             if (this.draggedReplicaId) {
+                const segmentHeader = e.target.closest('.segment-header');
+                if (segmentHeader) {
+                    this.handleReplicaDropOnSegment(segmentHeader.dataset.segmentId || null);
+                    return;
+                }
+
                 const dropTarget = e.target.closest('.replica-item, .sound-effect-item');
                 if (dropTarget && dropTarget !== this.draggedElement) {
                     const targetReplicaId = dropTarget.dataset.replicaId;
@@ -1334,9 +4156,18 @@ class UIComponents extends BaseUIComponent {
                     const targetIndex = allReplicas.findIndex(r => r.id === targetReplicaId);
                     
                     if (draggedIndex !== -1 && targetIndex !== -1) {
-                        const newIndex = e.offsetY > dropTarget.offsetHeight / 2 ? targetIndex + 1 : targetIndex;
+                        const rect = dropTarget.getBoundingClientRect();
+                        let newIndex = e.clientY - rect.top > rect.height / 2 ? targetIndex + 1 : targetIndex;
+                        // Индекс считается в списке без перетаскиваемой реплики
+                        if (draggedIndex < newIndex) {
+                            newIndex--;
+                        }
                         
-                        const success = this.dataManager.replicaManager.move(this.draggedReplicaId, newIndex);
+                        const success = this.dataManager.moveReplica(
+                            this.draggedReplicaId,
+                            newIndex,
+                            allReplicas[targetIndex].segmentId
+                        );
                         if (success) {
                             this.updateReplicasList();
                             logger.logUserAction('перемещение реплики', {
@@ -1352,6 +4183,89 @@ class UIComponents extends BaseUIComponent {
         logger.debug('Drag-and-drop настроен для реплик');
     }
 
+    /**
+     * Перенос блока выбранных реплик на место, куда его бросили: рядом с репликой
+     * или в начало раздела
+     * @param {DragEvent} e - Событие drop
+     */
+    handleBlockDrop(e) {
+        const replicaIds = this.draggedReplicaIds;
+        const moving = new Set(replicaIds);
+        const all = this.dataManager.replicaManager.getAll();
+        const rest = all.filter(replica => !moving.has(replica.id));
+        let index;
+        let segmentId;
+
+        const segmentHeader = e.target.closest('.segment-header');
+        const dropTarget = e.target.closest('.replica-item, .sound-effect-item');
+        if (segmentHeader) {
+            segmentId = segmentHeader.dataset.segmentId || null;
+            const start = this.dataManager.getSegmentStartIndex(segmentId);
+            index = all.slice(0, start).filter(replica => !moving.has(replica.id)).length;
+        } else if (dropTarget && !moving.has(dropTarget.dataset.replicaId)) {
+            const target = this.dataManager.replicaManager.findById(dropTarget.dataset.replicaId);
+            const rect = dropTarget.getBoundingClientRect();
+            index = rest.indexOf(target) + (e.clientY - rect.top > rect.height / 2 ? 1 : 0);
+            segmentId = target.segmentId;
+        } else {
+            return;
+        }
+
+        if (this.dataManager.moveReplicas(replicaIds, index, segmentId)) {
+            this.updateReplicasList();
+            logger.logUserAction('перемещение блока реплик', { replicaCount: replicaIds.length, index, segmentId });
+        }
+    }
+
+    /**
+     * Перенос реплики в начало раздела (бросили на заголовок раздела)
+     * @param {string|null} segmentId - ID раздела (null - реплики вне разделов)
+     */
+    handleReplicaDropOnSegment(segmentId) {
+        const draggedIndex = this.dataManager.replicaManager.indexOf(this.draggedReplicaId);
+        let newIndex = this.dataManager.getSegmentStartIndex(segmentId);
+        if (draggedIndex === -1) {
+            return;
+        }
+        if (draggedIndex < newIndex) {
+            newIndex--;
+        }
+
+        if (this.dataManager.moveReplica(this.draggedReplicaId, newIndex, segmentId)) {
+            this.updateReplicasList();
+            logger.logUserAction('перемещение реплики в раздел', {
+                replicaId: this.draggedReplicaId,
+                segmentId
+            });
+        }
+    }
+
+    /**
+     * Перемещение раздела на место раздела, над которым его бросили
+     * @param {DragEvent} e - Событие drop
+     */
+    handleSegmentDrop(e) {
+        const header = e.target.closest('.segment-header');
+        const replicaItem = e.target.closest('.replica-item, .sound-effect-item');
+        let targetSegmentId = null;
+        if (header) {
+            targetSegmentId = header.dataset.segmentId || null;
+        } else if (replicaItem) {
+            const replica = this.dataManager.replicaManager.findById(replicaItem.dataset.replicaId);
+            targetSegmentId = replica ? replica.segmentId : null;
+        }
+        if (!targetSegmentId) {
+            return;
+        }
+
+        const segmentId = this.draggedSegmentId;
+        const newIndex = this.dataManager.segmentManager.indexOf(targetSegmentId);
+        if (this.dataManager.moveSegment(segmentId, newIndex)) {
+            this.updateReplicasList();
+            logger.logUserAction('перемещение раздела', { segmentId, newIndex });
+        }
+    }
+
     /**
      * Обновление всех списков (оптимизированный метод для загрузки данных)
      */
@@ -1362,6 +4276,7 @@ class UIComponents extends BaseUIComponent {
         this.updateRolesList();
         this.updateReplicasList();
         this.updateStatistics(stats); // Передаем статистику напрямую чтобы избежать повторного вычисления
+        this.updateEpisodeMetadataDisplay();
         
         logger.debug('Все списки обновлены', {
             roleCount: this.dataManager.roleManager.size(),
@@ -1388,13 +4303,50 @@ class UIComponents extends BaseUIComponent {
         
         if (totalDurationElement) {
             totalDurationElement.textContent = stats.totalDurationFormatted;
+            totalDurationElement.closest('.stat-item')?.classList.toggle('over-target', stats.target?.status === 'over');
         } else {
             logger.error('Элемент totalDuration не найден в DOM');
         }
+
+        this.updateDurationTarget(stats.target);
+
+        if (this.roleStatsPanel) {
+            this.roleStatsPanel.render(stats.roleBreakdown, stats.segments);
+        }
         
         logger.debug('Статистика обновлена', stats);
     }
 
+    /**
+     * Обновление индикатора целевой длительности в панели статистики
+     * @param {Object|null} target - Оценка DurationTarget или null, если цель не задана
+     */
+    updateDurationTarget(target) {
+        const item = document.getElementById('durationTargetItem');
+        if (!item) {
+            return;
+        }
+
+        item.hidden = !target;
+        if (!target) {
+            return;
+        }
+
+        const format = (minutes) => this.dataManager.formatDuration(minutes);
+        const tolerance = target.tolerance > 0 ? ` ± ${format(target.tolerance)}` : '';
+        document.getElementById('durationTargetLabel').textContent = `Цель ${format(target.target)}`;
+        document.getElementById('durationTargetValue').textContent = target.overrun > 0
+            ? `перебор ${format(target.overrun)}`
+            : `осталось ${format(target.remaining)}`;
+        document.getElementById('durationProgressBar').style.width = `${Math.min(target.progress, 1) * 100}%`;
+
+        item.classList.remove('status-under', 'status-on-target', 'status-over');
+        item.classList.add(`status-${target.status}`);
+        item.title = target.status === 'over'
+            ? `Расчетная длительность превышает цель ${format(target.target)}${tolerance}`
+            : `Цель ${format(target.target)}${tolerance}, выполнено ${Math.round(target.progress * 100)}%`;
+    }
+
     /**
      * Обновление контролов реплик
      */
@@ -606,6 +606,50 @@ class ModalComponent extends ComponentBase {
         });
     }
 
+    /**
+     * Показ модального окна со списком ошибок
+     * @param {string} title - заголовок
+     * @param {string} message - сообщение перед списком
+     * @param {Array<string>} items - строки ошибок
+     * @param {number} limit - сколько строк показывать
+     * @returns {Promise} Promise с результатом
+     */
+    static showErrorList(title, message, items, limit = 10) {
+        return ModalComponent.show({
+            title: title,
+            type: 'error',
+            content: (container) => {
+                const text = document.createElement('p');
+                text.textContent = message;
+                container.appendChild(text);
+
+                const list = document.createElement('ul');
+                list.className = 'modal-error-list';
+                items.slice(0, limit).forEach(item => {
+                    const listItem = document.createElement('li');
+                    listItem.textContent = item;
+                    list.appendChild(listItem);
+                });
+                if (items.length > limit) {
+                    const more = document.createElement('li');
+                    more.textContent = `… и еще ${items.length - limit}`;
+                    list.appendChild(more);
+                }
+                container.appendChild(list);
+                return null;
+            },
+            buttons: [
+                {
+                    text: 'OK',
+                    icon: 'check',
+                    type: 'primary',
+                    onClick: () => true,
+                    autoClose: true
+                }
+            ]
+        });
+    }
+
     /**
      * Показ модального окна с выбором
      * @param {string} title - заголовок
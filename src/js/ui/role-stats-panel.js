@@ -0,0 +1,205 @@
+import { ROLE_GROUPS } from '../models/role.js';
+
+/**
+ * Панель статистики по ролям: доля эфира и время каждого спикера, количество звуковых эффектов
+ * и промежуточные итоги по разделам скрипта.
+ * Используется в сайдбаре редактора и в панели статистики режима просмотра.
+ */
+class RoleStatsPanel {
+    constructor(container) {
+        this.container = container;
+    }
+
+    /**
+     * Отрисовка статистики
+     * @param {Object} breakdown - Результат ReplicaManager.getRoleBreakdown
+     * @param {Array<Object>} segments - Результат ReplicaManager.getSegmentBreakdown (необязательно)
+     */
+    render(breakdown, segments = []) {
+        if (!this.container) {
+            return;
+        }
+        this.container.innerHTML = '';
+
+        if (!breakdown || (breakdown.speakers.length === 0 && breakdown.soundEffects.length === 0)) {
+            const empty = document.createElement('div');
+            empty.className = 'role-stats-empty';
+            empty.textContent = 'Добавьте роли, чтобы увидеть статистику';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        // Роли выводятся в порядке из сайдбара, при наличии групп - по группам
+        if ([...breakdown.speakers, ...breakdown.soundEffects].some(role => role.group)) {
+            this.renderGroups(breakdown);
+        } else {
+            if (breakdown.speakers.length > 0) {
+                const section = this.createSection('Спикеры');
+                breakdown.speakers.forEach(speaker => section.appendChild(this.createSpeakerRow(speaker)));
+                this.container.appendChild(section);
+            }
+            if (breakdown.soundEffects.length > 0) {
+                const section = this.createSection(`Звуковые эффекты · ${RoleStatsPanel.formatSeconds(breakdown.soundDuration)}`);
+                breakdown.soundEffects.forEach(sound => section.appendChild(this.createSoundRow(sound)));
+                this.container.appendChild(section);
+            }
+        }
+
+        if (segments && segments.some(segment => segment.segmentId !== null)) {
+            const section = this.createSection('Разделы');
+            segments.forEach(segment => section.appendChild(this.createSegmentRow(segment)));
+            this.container.appendChild(section);
+        }
+    }
+
+    /**
+     * Отрисовка ролей по группам (см. ROLE_GROUPS)
+     * @param {Object} breakdown - Результат ReplicaManager.getRoleBreakdown
+     */
+    renderGroups(breakdown) {
+        [...Object.keys(ROLE_GROUPS), null].forEach(group => {
+            const speakers = breakdown.speakers.filter(speaker => speaker.group === group);
+            const soundEffects = breakdown.soundEffects.filter(sound => sound.group === group);
+            if (speakers.length === 0 && soundEffects.length === 0) {
+                return;
+            }
+            const section = this.createSection(group ? ROLE_GROUPS[group] : 'Без группы');
+            speakers.forEach(speaker => section.appendChild(this.createSpeakerRow(speaker)));
+            soundEffects.forEach(sound => section.appendChild(this.createSoundRow(sound)));
+            this.container.appendChild(section);
+        });
+    }
+
+    /**
+     * Создание раздела панели
+     * @param {string} title - Заголовок раздела
+     * @returns {HTMLElement} Раздел
+     */
+    createSection(title) {
+        const section = document.createElement('div');
+        section.className = 'role-stats-section';
+
+        const heading = document.createElement('div');
+        heading.className = 'role-stats-title';
+        heading.textContent = title;
+        section.appendChild(heading);
+
+        return section;
+    }
+
+    /**
+     * Создание строки спикера
+     * @param {Object} speaker - Статистика спикера
+     * @returns {HTMLElement} Строка спикера
+     */
+    createSpeakerRow(speaker) {
+        const row = document.createElement('div');
+        row.className = 'role-stats-row';
+        const color = speaker.color || 'var(--color-primary)';
+
+        const header = document.createElement('div');
+        header.className = 'role-stats-header';
+        const name = document.createElement('span');
+        name.className = 'role-stats-name';
+        name.textContent = speaker.name;
+        const share = document.createElement('span');
+        share.className = 'role-stats-share';
+        share.textContent = `${Math.round(speaker.share)}%`;
+        header.appendChild(name);
+        header.appendChild(share);
+
+        const bar = document.createElement('div');
+        bar.className = 'role-stats-bar';
+        const fill = document.createElement('div');
+        fill.className = 'role-stats-bar-fill';
+        fill.style.width = `${speaker.share}%`;
+        fill.style.background = color;
+        bar.appendChild(fill);
+
+        const details = document.createElement('div');
+        details.className = 'role-stats-details';
+        details.textContent = `${RoleStatsPanel.formatMinutes(speaker.duration)} · ${speaker.words} сл. · ${speaker.replicaCount} репл.`;
+
+        row.appendChild(header);
+        row.appendChild(bar);
+        row.appendChild(details);
+
+        if (speaker.longestMonologue.replicaCount > 0) {
+            const monologue = document.createElement('div');
+            monologue.className = 'role-stats-details';
+            monologue.textContent = `Самый длинный монолог: ${RoleStatsPanel.formatMinutes(speaker.longestMonologue.duration)} (${speaker.longestMonologue.words} сл.)`;
+            row.appendChild(monologue);
+        }
+
+        return row;
+    }
+
+    /**
+     * Создание строки звукового эффекта
+     * @param {Object} sound - Статистика звукового эффекта
+     * @returns {HTMLElement} Строка звукового эффекта
+     */
+    createSoundRow(sound) {
+        const row = document.createElement('div');
+        row.className = 'role-stats-header role-stats-sound';
+
+        const name = document.createElement('span');
+        name.className = 'role-stats-name';
+        name.textContent = sound.name;
+        const total = document.createElement('span');
+        total.className = 'role-stats-details';
+        total.textContent = `${sound.count} × · ${RoleStatsPanel.formatSeconds(sound.duration)}`;
+
+        row.appendChild(name);
+        row.appendChild(total);
+        return row;
+    }
+
+    /**
+     * Создание строки раздела
+     * @param {Object} segment - Промежуточный итог раздела
+     * @returns {HTMLElement} Строка раздела
+     */
+    createSegmentRow(segment) {
+        const row = document.createElement('div');
+        row.className = 'role-stats-header role-stats-segment';
+
+        const name = document.createElement('span');
+        name.className = 'role-stats-name';
+        name.textContent = segment.title || 'Без раздела';
+        const total = document.createElement('span');
+        total.className = 'role-stats-details';
+        total.textContent = segment.target
+            ? `${RoleStatsPanel.formatMinutes(segment.duration)} из ${RoleStatsPanel.formatMinutes(segment.target.target)}`
+            : RoleStatsPanel.formatMinutes(segment.duration);
+        if (segment.target) {
+            total.classList.add(`segment-target-${segment.target.status}`);
+        }
+
+        row.appendChild(name);
+        row.appendChild(total);
+        return row;
+    }
+
+    /**
+     * Форматирование длительности в минутах (M:SS)
+     * @param {number} minutes - Длительность в минутах
+     * @returns {string} Отформатированная строка
+     */
+    static formatMinutes(minutes) {
+        const totalSeconds = Math.round(minutes * 60);
+        return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Форматирование длительности в секундах
+     * @param {number} seconds - Длительность в секундах
+     * @returns {string} "45 сек" или "1:05"
+     */
+    static formatSeconds(seconds) {
+        return seconds < 60 ? `${Math.round(seconds)} сек` : RoleStatsPanel.formatMinutes(seconds / 60);
+    }
+}
+
+// Экспорт для использования в модулях
+export { RoleStatsPanel };
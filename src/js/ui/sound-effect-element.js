@@ -28,6 +28,11 @@ class SoundEffectElement extends BaseReplicaElement {
         soundContent.appendChild(soundIcon);
         soundContent.appendChild(soundDuration);
 
+        const timecode = this.createTimecodeElement();
+        if (timecode) {
+            soundContent.appendChild(timecode);
+        }
+
         return soundContent;
     }
 
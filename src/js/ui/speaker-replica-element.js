@@ -1,9 +1,28 @@
 import { BaseReplicaElement } from './base-element.js';
 
+// Задержка сохранения текста после последнего нажатия клавиши (мс)
+const INLINE_SAVE_DELAY = 500;
+
 /**
  * Класс для элемента реплики спикера, наследующийся от BaseReplicaElement
  */
 class SpeakerReplicaElement extends BaseReplicaElement {
+    /**
+     * Включение редактирования прямо в списке (вызывается до build)
+     * @param {Object} options - Настройки редактирования
+     * @param {Array<Object>} options.roleGroups - Роли для выбора в выпадающем списке по группам { label, roles }
+     * @param {Function} options.onTextChange - Сохранение текста: (text, sessionKey) => void
+     * @param {Function} options.onRoleChange - Смена роли: (roleId) => void
+     * @param {Function} options.onSplit - Разделение в позиции курсора: (position) => void
+     * @param {Function} options.onMerge - Объединение со следующей репликой: () => void
+     * @param {Function} options.onEditEnd - Завершение редактирования: (relatedTarget) => void
+     */
+    setInlineEditing(options) {
+        this.inlineEditing = options;
+        this.textInput = null;
+        this.saveTimeout = null;
+    }
+
     /**
      * Создание контента для реплики спикера
      * @returns {HTMLElement} контейнер контента
@@ -22,20 +41,48 @@ class SpeakerReplicaElement extends BaseReplicaElement {
                 replicaRole.style.setProperty('--speaker-text-color', this.getDarkerColor(color));
                 replicaRole.classList.add('speaker-colored');
                 replicaRole.innerHTML = '<i data-feather="user"></i> ' + this.role.name;
+                if (this.inlineEditing) {
+                    replicaRole.innerHTML = '<i data-feather="user"></i> ';
+                    replicaRole.appendChild(this.createRoleSelect());
+                }
             } else {
                 replicaRole.textContent = this.role.name;
             }
+        } else if (this.inlineEditing) {
+            replicaRole.appendChild(this.createRoleSelect());
         } else {
             replicaRole.textContent = 'Без роли';
         }
 
+        const timecode = this.createTimecodeElement();
+        if (timecode) {
+            replicaRole.appendChild(timecode);
+        }
+
         const replicaText = document.createElement('div');
         replicaText.className = 'replica-text';
         replicaText.textContent = this.replica.text;
+        if (this.inlineEditing) {
+            replicaText.classList.add('replica-text-editable');
+            replicaText.tabIndex = 0;
+            replicaText.title = 'Нажмите, чтобы редактировать. Ctrl+Enter - разделить, Ctrl+Delete в конце - объединить со следующей';
+            replicaText.addEventListener('click', (e) => {
+                // Щелчок с Ctrl/Shift выбирает реплику, а не начинает редактирование
+                if (!(e.ctrlKey || e.metaKey || e.shiftKey)) {
+                    this.startInlineEdit(this.getCaretOffset(replicaText));
+                }
+            });
+            replicaText.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.startInlineEdit();
+                }
+            });
+        }
 
         const replicaStats = document.createElement('div');
         replicaStats.className = 'replica-stats';
-        replicaStats.textContent = `${this.replica.wordCount} слов`;
+        replicaStats.textContent = this.getStatsText();
 
         replicaContent.appendChild(replicaRole);
         replicaContent.appendChild(replicaText);
@@ -44,6 +91,167 @@ class SpeakerReplicaElement extends BaseReplicaElement {
         return replicaContent;
     }
 
+    /**
+     * Текст строки статистики реплики
+     * @returns {string} "N слов · темп ×X · паузы Y сек"
+     */
+    getStatsText() {
+        const stats = [`${this.replica.wordCount} слов`];
+        if (this.replica.pace !== 1) {
+            stats.push(`темп ×${this.replica.pace}`);
+        }
+        if (this.replica.pauseDuration > 0) {
+            stats.push(`паузы ${Math.round(this.replica.pauseDuration * 10) / 10} сек`);
+        }
+        return stats.join(' · ');
+    }
+
+    /**
+     * Создание выпадающего списка роли
+     * @returns {HTMLSelectElement} Список ролей
+     */
+    createRoleSelect() {
+        const select = document.createElement('select');
+        select.className = 'replica-role-select';
+        select.title = 'Роль реплики';
+        if (!this.role) {
+            select.add(new Option('Без роли', '', true, true));
+        }
+
+        this.inlineEditing.roleGroups.forEach(({ label, roles }) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            roles.forEach(role => group.appendChild(new Option(role.name, role.id, false, role.id === this.replica.roleId)));
+            select.appendChild(group);
+        });
+
+        // Перетаскивание элемента не должно начинаться с выпадающего списка
+        select.addEventListener('mousedown', (e) => e.stopPropagation());
+        select.addEventListener('change', () => {
+            if (select.value) {
+                this.inlineEditing.onRoleChange(select.value);
+            }
+        });
+        return select;
+    }
+
+    /**
+     * Позиция курсора в тексте после щелчка (с учетом подсветки поиска внутри текста)
+     * @param {HTMLElement} textElement - Элемент текста реплики
+     * @returns {number|null} Позиция или null, если курсор вне текста
+     */
+    getCaretOffset(textElement) {
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0 || !textElement.contains(selection.anchorNode)) {
+            return null;
+        }
+        const range = document.createRange();
+        range.selectNodeContents(textElement);
+        range.setEnd(selection.anchorNode, selection.anchorOffset);
+        return range.toString().length;
+    }
+
+    /**
+     * Переход к редактированию текста на месте
+     * @param {number|null} caretPosition - Позиция курсора (по умолчанию - конец текста)
+     */
+    startInlineEdit(caretPosition = null) {
+        const textElement = this.element && this.element.querySelector('.replica-text');
+        if (!this.inlineEditing || !textElement || this.textInput) {
+            return;
+        }
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'replica-text-input';
+        textarea.value = this.replica.text;
+        textarea.rows = 1;
+        // Правки одного сеанса ввода отменяются одним шагом
+        const sessionKey = `inline-edit:${this.replica.id}:${Date.now()}`;
+
+        textarea.addEventListener('input', () => {
+            this.autosize(textarea);
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = setTimeout(() => this.saveInlineText(sessionKey), INLINE_SAVE_DELAY);
+        });
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.ctrlKey) {
+                e.preventDefault();
+                this.saveInlineText(sessionKey);
+                this.inlineEditing.onSplit(textarea.selectionStart);
+            } else if (e.key === 'Delete' && e.ctrlKey && textarea.selectionStart === textarea.value.length) {
+                e.preventDefault();
+                this.saveInlineText(sessionKey);
+                this.inlineEditing.onMerge();
+            } else if (e.key === 'Escape') {
+                textarea.blur();
+            }
+        });
+        textarea.addEventListener('blur', (e) => {
+            // Поле удалено вместе со списком при перерисовке - завершать нечего
+            if (!textarea.isConnected) {
+                return;
+            }
+            this.saveInlineText(sessionKey);
+            this.finishInlineEdit();
+            this.inlineEditing.onEditEnd(e.relatedTarget);
+        });
+
+        // Выделение текста мышью не должно перетаскивать реплику
+        this.element.draggable = false;
+        textElement.replaceWith(textarea);
+        this.textInput = textarea;
+        this.autosize(textarea);
+        textarea.focus();
+        const position = caretPosition === null ? textarea.value.length : caretPosition;
+        textarea.setSelectionRange(position, position);
+    }
+
+    /**
+     * Сохранение текста из поля редактирования
+     * @param {string} sessionKey - Ключ сеанса ввода для объединения шагов отмены
+     */
+    saveInlineText(sessionKey) {
+        clearTimeout(this.saveTimeout);
+        const textarea = this.textInput;
+        // Поле могло исчезнуть при перерисовке списка (например, после отмены)
+        if (!textarea || !textarea.isConnected) {
+            return;
+        }
+        const text = textarea.value.trim();
+        if (text && text !== this.replica.text) {
+            this.inlineEditing.onTextChange(text, sessionKey);
+            const stats = this.element.querySelector('.replica-stats');
+            if (stats) {
+                stats.textContent = this.getStatsText();
+            }
+        }
+    }
+
+    /**
+     * Возврат от поля редактирования к тексту
+     */
+    finishInlineEdit() {
+        const textarea = this.textInput;
+        this.textInput = null;
+        if (!textarea || !textarea.isConnected) {
+            return;
+        }
+        const textElement = document.createElement('div');
+        textElement.className = 'replica-text';
+        textElement.textContent = this.replica.text;
+        textarea.replaceWith(textElement);
+        this.element.draggable = true;
+    }
+
+    /**
+     * Подгонка высоты поля под текст
+     * @param {HTMLTextAreaElement} textarea - Поле ввода
+     */
+    autosize(textarea) {
+        textarea.style.height = 'auto';
+        textarea.style.height = `${textarea.scrollHeight}px`;
+    }
+
     getBaseClassName() {
         return 'replica-item';
     }
@@ -410,16 +410,38 @@ class EventService {
         });
     }
 
+    /**
+     * Проверка клавиши сочетания. Буквы и цифры сравниваются по физической клавише (e.code),
+     * чтобы Ctrl+Z и Ctrl+F работали и в русской раскладке, где e.key - 'я' и 'а'.
+     * @param {string} keyPart - Клавиша из сочетания в нижнем регистре ('z', '1', 'f3', 'delete')
+     * @param {KeyboardEvent} e - Событие клавиатуры
+     * @returns {boolean} Совпадает ли клавиша
+     */
+    matchesShortcutKey(keyPart, e) {
+        if (/^[a-z]$/.test(keyPart)) {
+            return e.code === `Key${keyPart.toUpperCase()}`;
+        }
+        if (/^[0-9]$/.test(keyPart)) {
+            return e.code === `Digit${keyPart}` || e.code === `Numpad${keyPart}`;
+        }
+        return e.key.toLowerCase() === keyPart;
+    }
+
     /**
      * Подписка на события клавиатуры
      * @param {Object} shortcuts - объект с комбинациями клавиш и обработчиками
+     * @param {Object} options - опции { ignoreEditable: не срабатывать в полях ввода }
      * @returns {Array} Массив функций отписки
      */
-    subscribeToKeyboardShortcuts(shortcuts) {
+    subscribeToKeyboardShortcuts(shortcuts, options = {}) {
         const unsubscribes = [];
 
         const handleKeydown = (e) => {
-            const key = e.key.toLowerCase();
+            // Не перехватываем нативные сочетания в полях ввода (например, Ctrl+Z в textarea)
+            if (options.ignoreEditable && this.isEditableTarget(e.target)) {
+                return;
+            }
+
             const ctrl = e.ctrlKey;
             const shift = e.shiftKey;
             const alt = e.altKey;
@@ -438,7 +460,7 @@ class EventService {
 
                 // Проверяем клавишу
                 const keyPart = parts.find(part => !['ctrl', 'shift', 'alt'].includes(part));
-                if (keyPart && keyPart !== key.toLowerCase()) matches = false;
+                if (keyPart && !this.matchesShortcutKey(keyPart, e)) matches = false;
 
                 if (matches) {
                     e.preventDefault();
@@ -460,6 +482,22 @@ class EventService {
         return unsubscribes;
     }
 
+    /**
+     * Проверка, является ли элемент полем ввода текста
+     * @param {EventTarget} target - цель события
+     * @returns {boolean} Является ли элемент редактируемым
+     */
+    isEditableTarget(target) {
+        if (!target || !target.tagName) {
+            return false;
+        }
+        const tagName = target.tagName.toLowerCase();
+        return tagName === 'textarea' ||
+            tagName === 'select' ||
+            (tagName === 'input' && !['checkbox', 'radio', 'button', 'color'].includes(target.type)) ||
+            target.isContentEditable === true;
+    }
+
     /**
      * Подписка на изменение размера окна с debounce
      * @param {Function} handler - обработчик события resize
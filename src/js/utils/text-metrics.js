@@ -0,0 +1,280 @@
+/**
+ * Метрики текста реплики: количество произносимых слов и паузы.
+ * Правила зависят от языка и подключаются через профили (registerLanguage).
+ */
+
+// Маркер паузы в тексте: [pause 2s], [pause 500ms], [пауза 1,5 сек]; без числа - одна секунда
+const PAUSE_MARKER_PATTERN = /\[\s*(?:pause|пауза)(?:\s+(\d+(?:[.,]\d+)?)\s*(ms|мс|s|с|sec|сек)?)?\s*\]/gi;
+const DEFAULT_PAUSE_SECONDS = 1;
+// Режиссерские пометки в квадратных и фигурных скобках не произносятся: [смеется], {музыка затихает}
+const DIRECTION_PATTERN = /\[[^\]]*\]|\{[^}]*\}/g;
+// Адреса сайтов и почты: https://example.com/page, podcast.fm, host@example.com
+const URL_PATTERN = /(?:https?:\/\/|www\.)\S+|[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+|(?<![\p{L}\p{N}.])[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.(?:com|org|net|io|ru|рф|fm|me|dev|app)(?![\p{L}\p{N}])(?:\/\S*)?/giu;
+// Числа: 42, 3,14, 1 000 000, 1,000,000, 1990-х
+const NUMBER_PATTERN = /(?:\d{1,3}(?:[ \u00a0\u202f]\d{3})+(?!\d)|\d+(?:[.,]\d+)*)(?:-\p{L}{1,3}(?!\p{L}))?/gu;
+// Символы, которые произносятся словом: "процентов", "и", "долларов"
+const SPOKEN_SYMBOL_PATTERN = /[%&$€£₽№]/g;
+// Дефис внутри слова не делит его на два: "кто-то", "well-known"
+const HYPHENATED_WORD_PATTERN = /(\p{L})[-\u2010\u2011](?=\p{L})/gu;
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+// Длиннее триллионов число читается по цифрам
+const MAX_SPOKEN_NUMBER_LENGTH = 15;
+
+/**
+ * Количество слов в произношении целого числа (группами по три цифры)
+ * @param {string} digits - Цифры числа
+ * @param {boolean} hundredAsWord - Произносится ли "сотня" отдельным словом ("two hundred")
+ * @returns {number} Количество слов
+ */
+function countIntegerWords(digits, hundredAsWord) {
+    const normalized = digits.replace(/^0+(?=\d)/, '');
+    if (normalized === '0') {
+        return 1;
+    }
+    if (normalized.length > MAX_SPOKEN_NUMBER_LENGTH) {
+        return normalized.length;
+    }
+
+    let words = 0;
+    for (let end = normalized.length, scale = 0; end > 0; end -= 3, scale++) {
+        const value = Number(normalized.slice(Math.max(0, end - 3), end));
+        if (value === 0) continue;
+        const hundreds = Math.floor(value / 100);
+        const rest = value % 100;
+        if (hundreds > 0) {
+            words += hundredAsWord ? 2 : 1;
+        }
+        if (rest > 0) {
+            words += rest < 20 || rest % 10 === 0 ? 1 : 2;
+        }
+        if (scale > 0) {
+            words += 1; // Тысяча, миллион...
+        }
+    }
+    return words;
+}
+
+/**
+ * Профили языков: сокращения (сокращение -> число произносимых слов) и чтение чисел
+ */
+const LANGUAGE_PROFILES = {
+    ru: {
+        abbreviations: {
+            'т.е.': 2, 'т.д.': 2, 'т.п.': 2, 'т.к.': 2, 'т.н.': 2, 'и.о.': 3,
+            'др.': 1, 'пр.': 1, 'см.': 1, 'г.': 1, 'гг.': 1,
+            'тыс.': 1, 'млн': 1, 'млрд': 1, 'руб.': 1, 'коп.': 1,
+            'мин.': 1, 'сек.': 1, 'стр.': 1, 'ул.': 1
+        },
+        countNumberWords: digits => countIntegerWords(digits, false)
+    },
+    en: {
+        abbreviations: {
+            'e.g.': 2, 'i.e.': 2, 'etc.': 2, 'vs.': 1, 'approx.': 1,
+            'mr.': 1, 'mrs.': 1, 'ms.': 1, 'dr.': 1, 'st.': 1, 'no.': 1,
+            'min.': 1, 'sec.': 1
+        },
+        countNumberWords: digits => countIntegerWords(digits, true)
+    }
+};
+
+const DEFAULT_PROFILE = {
+    abbreviations: {},
+    countNumberWords: digits => countIntegerWords(digits, false)
+};
+
+class TextMetrics {
+    constructor() {
+        this.profiles = new Map();
+        this.segmenters = new Map(); // Кэш Intl.Segmenter по языкам
+        this.defaultLanguage = 'ru';
+        Object.entries(LANGUAGE_PROFILES).forEach(([language, profile]) => this.registerLanguage(language, profile));
+    }
+
+    /**
+     * Регистрация профиля языка
+     * @param {string} language - Код языка ("ru", "en", ...)
+     * @param {Object} profile - { abbreviations, countNumberWords(digits) }; недостающее берется из профиля по умолчанию
+     */
+    registerLanguage(language, profile = {}) {
+        // Сокращения сравниваются без учета регистра: "Т.е." в начале предложения
+        const abbreviations = Object.fromEntries(Object.entries({ ...DEFAULT_PROFILE.abbreviations, ...profile.abbreviations })
+            .map(([abbreviation, words]) => [abbreviation.toLowerCase(), words]));
+        const keys = Object.keys(abbreviations).sort((first, second) => second.length - first.length);
+        this.profiles.set(language, {
+            ...DEFAULT_PROFILE,
+            ...profile,
+            abbreviations,
+            abbreviationPattern: keys.length > 0
+                ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${keys.map(TextMetrics.escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+                : null
+        });
+    }
+
+    /**
+     * Получение профиля языка
+     * @param {string} language - Код языка
+     * @returns {Object} Профиль языка или профиль по умолчанию
+     */
+    getProfile(language) {
+        return this.profiles.get(language) || this.profiles.get(language.split('-')[0]) || DEFAULT_PROFILE;
+    }
+
+    /**
+     * Определение языка текста по используемой письменности
+     * @param {string} text - Текст
+     * @returns {string} Код языка
+     */
+    detectLanguage(text) {
+        if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(text)) return 'ja';
+        if (/\p{Script=Hangul}/u.test(text)) return 'ko';
+        if (/\p{Script=Han}/u.test(text)) return 'zh';
+        if (/\p{Script=Cyrillic}/u.test(text)) return 'ru';
+        if (/\p{Script=Latin}/u.test(text)) return 'en';
+        return this.defaultLanguage;
+    }
+
+    /**
+     * Анализ текста реплики
+     * @param {string} text - Текст реплики
+     * @param {string} language - Код языка (по умолчанию определяется по тексту)
+     * @returns {Object} { wordCount, pauseDuration (сек), directionCount, language }
+     */
+    analyze(text, language = null) {
+        let source = String(text || '');
+
+        let pauseDuration = 0;
+        source = source.replace(PAUSE_MARKER_PATTERN, (marker, amount, unit) => {
+            const value = amount === undefined ? DEFAULT_PAUSE_SECONDS : parseFloat(amount.replace(',', '.'));
+            const isMilliseconds = unit && ['ms', 'мс'].includes(unit.toLowerCase());
+            pauseDuration += isMilliseconds ? value / 1000 : value;
+            return ' ';
+        });
+
+        let directionCount = 0;
+        source = source.replace(DIRECTION_PATTERN, () => {
+            directionCount++;
+            return ' ';
+        });
+
+        const resolvedLanguage = language || this.detectLanguage(source);
+        const profile = this.getProfile(resolvedLanguage);
+        let wordCount = 0;
+
+        source = source.replace(URL_PATTERN, url => {
+            wordCount += TextMetrics.countUrlWords(url);
+            return ' ';
+        });
+        if (profile.abbreviationPattern) {
+            source = source.replace(profile.abbreviationPattern, abbreviation => {
+                wordCount += profile.abbreviations[abbreviation.toLowerCase()];
+                return ' ';
+            });
+        }
+        source = source.replace(NUMBER_PATTERN, number => {
+            wordCount += TextMetrics.countNumberWords(number, resolvedLanguage, profile);
+            return ' ';
+        });
+        source = source.replace(SPOKEN_SYMBOL_PATTERN, () => {
+            wordCount++;
+            return ' ';
+        });
+
+        wordCount += this.countWords(source.replace(HYPHENATED_WORD_PATTERN, '$1'), resolvedLanguage);
+
+        return { wordCount, pauseDuration, directionCount, language: resolvedLanguage };
+    }
+
+    /**
+     * Подсчет слов в тексте без чисел и сокращений
+     * @param {string} text - Текст
+     * @param {string} language - Код языка
+     * @returns {number} Количество слов
+     */
+    countWords(text, language) {
+        const segmenter = this.getSegmenter(language);
+        if (segmenter) {
+            let count = 0;
+            for (const segment of segmenter.segment(text)) {
+                if (segment.isWordLike) count++;
+            }
+            return count;
+        }
+
+        // Без Intl.Segmenter: слова по пробелам, иероглифы и кана - по символам
+        return text.split(/\s+/).reduce((count, token) => {
+            if (CJK_PATTERN.test(token)) {
+                return count + [...token].filter(char => CJK_PATTERN.test(char)).length;
+            }
+            return /[\p{L}\p{N}]/u.test(token) ? count + 1 : count;
+        }, 0);
+    }
+
+    /**
+     * Получение Intl.Segmenter для языка
+     * @param {string} language - Код языка
+     * @returns {Intl.Segmenter|null} Сегментатор или null, если не поддерживается
+     */
+    getSegmenter(language) {
+        if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') {
+            return null;
+        }
+        if (!this.segmenters.has(language)) {
+            try {
+                this.segmenters.set(language, new Intl.Segmenter(language, { granularity: 'word' }));
+            } catch {
+                this.segmenters.set(language, new Intl.Segmenter(undefined, { granularity: 'word' }));
+            }
+        }
+        return this.segmenters.get(language);
+    }
+
+    /**
+     * Количество слов в произношении числа
+     * @param {string} number - Число как в тексте: "42", "3,14", "1 000"
+     * @param {string} language - Код языка
+     * @param {Object} profile - Профиль языка
+     * @returns {number} Количество слов
+     */
+    static countNumberWords(number, language, profile) {
+        // Окончание порядкового числительного ("1990-х") входит в само число
+        const compact = number.replace(/-\p{L}+$/u, '').replace(/[ \u00a0\u202f]/g, '');
+        const parts = compact.split(/[.,]/);
+        // Разделители групп разрядов: "1,000,000", а в английском и "2,500"
+        const isGrouped = parts.length > 1 && parts.slice(1).every(part => part.length === 3) &&
+            (parts.length > 2 || (language === 'en' && compact.includes(',')));
+        if (isGrouped || parts.length === 1) {
+            return profile.countNumberWords(parts.join(''));
+        }
+        if (parts.length === 2) {
+            // Целая часть, "целых"/"point" и дробная часть
+            return profile.countNumberWords(parts[0]) + 1 + profile.countNumberWords(parts[1]);
+        }
+        // Версии и даты (1.2.3, 01.02.2024) читаются по частям
+        return parts.reduce((sum, part) => sum + (part ? profile.countNumberWords(part) : 0), 0);
+    }
+
+    /**
+     * Количество слов в произношении адреса: "example.com" - "example точка com"
+     * @param {string} url - Адрес сайта или почты
+     * @returns {number} Количество слов
+     */
+    static countUrlWords(url) {
+        const address = url.replace(/^(?:https?:\/\/)?(?:www\.)?/i, '').split('/')[0];
+        const parts = address.split(/[.@]/).filter(Boolean);
+        return parts.length * 2 - 1;
+    }
+
+    /**
+     * Экранирование строки для использования в регулярном выражении
+     * @param {string} value - Строка
+     * @returns {string} Экранированная строка
+     */
+    static escapeRegExp(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Создаем глобальный экземпляр TextMetrics
+const textMetrics = new TextMetrics();
+
+export { TextMetrics, textMetrics };
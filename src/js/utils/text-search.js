@@ -0,0 +1,112 @@
+/**
+ * Поиск и замена текста в репликах: учет регистра, целые слова и регулярные выражения
+ */
+
+// Границы слова для любых алфавитов (\b работает только с латиницей)
+const WORD_START = '(?<![\\p{L}\\p{N}_])';
+const WORD_END = '(?![\\p{L}\\p{N}_])';
+
+class TextSearch {
+    /**
+     * @param {string} query - Искомая строка или регулярное выражение
+     * @param {Object} options - { caseSensitive, wholeWord, regex }
+     */
+    constructor(query = '', options = {}) {
+        this.query = String(query);
+        this.caseSensitive = !!options.caseSensitive;
+        this.wholeWord = !!options.wholeWord;
+        this.regex = !!options.regex;
+        this.error = null;
+        this.pattern = this.compile();
+    }
+
+    /**
+     * Сборка регулярного выражения по запросу и опциям
+     * @returns {RegExp|null} Выражение или null, если запрос пустой или содержит ошибку
+     */
+    compile() {
+        if (!this.query) {
+            return null;
+        }
+
+        let source = this.regex ? this.query : TextSearch.escapeRegExp(this.query);
+        if (this.wholeWord) {
+            source = `${WORD_START}(?:${source})${WORD_END}`;
+        }
+
+        try {
+            return new RegExp(source, this.caseSensitive ? 'gu' : 'giu');
+        } catch (error) {
+            this.error = error.message;
+            return null;
+        }
+    }
+
+    /**
+     * Задан ли запрос, по которому можно искать
+     * @returns {boolean} Готов ли поиск
+     */
+    isActive() {
+        return this.pattern !== null;
+    }
+
+    /**
+     * Поиск совпадений в тексте
+     * @param {string} text - Текст
+     * @returns {Array<Object>} Совпадения { start, end, text }; пустые совпадения пропускаются
+     */
+    findMatches(text) {
+        if (!this.pattern) {
+            return [];
+        }
+
+        const matches = [];
+        for (const match of String(text).matchAll(this.pattern)) {
+            if (match[0].length > 0) {
+                matches.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Замена одного совпадения. В режиме регулярных выражений в замене работают $1, $& и т.п.
+     * @param {string} text - Исходный текст
+     * @param {Object} match - Совпадение из findMatches
+     * @param {string} replacement - Строка замены
+     * @returns {string} Новый текст
+     */
+    replaceMatch(text, match, replacement) {
+        if (!this.regex) {
+            return text.slice(0, match.start) + replacement + text.slice(match.end);
+        }
+        // Sticky-выражение срабатывает ровно с позиции совпадения и видит контекст для (?<=...) и (?=...)
+        const sticky = new RegExp(this.pattern.source, this.pattern.flags.replace('g', '') + 'y');
+        sticky.lastIndex = match.start;
+        return text.replace(sticky, replacement);
+    }
+
+    /**
+     * Замена всех совпадений
+     * @param {string} text - Исходный текст
+     * @param {string} replacement - Строка замены
+     * @returns {string} Новый текст
+     */
+    replaceAll(text, replacement) {
+        // С конца, чтобы позиции еще не замененных совпадений не сдвигались
+        return this.findMatches(text).reverse()
+            .reduce((result, match) => this.replaceMatch(result, match, replacement), String(text));
+    }
+
+    /**
+     * Экранирование строки для использования в регулярном выражении
+     * @param {string} value - Строка
+     * @returns {string} Экранированная строка
+     */
+    static escapeRegExp(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Экспорт для использования в модулях
+export { TextSearch };
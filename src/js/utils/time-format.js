@@ -0,0 +1,28 @@
+/**
+ * Форматирование времени для таймкодов реплик
+ */
+
+/**
+ * Таймкод позиции в записи: "12:34" или "1:02:03" для записей длиннее часа
+ * @param {number} minutes - Позиция в минутах от начала
+ * @returns {string} Таймкод
+ */
+function formatTimecode(minutes) {
+    const totalSeconds = Math.max(0, Math.round(minutes * 60));
+    const hours = Math.floor(totalSeconds / 3600);
+    const mins = Math.floor((totalSeconds % 3600) / 60);
+    const secs = (totalSeconds % 60).toString().padStart(2, '0');
+    return hours > 0 ? `${hours}:${mins.toString().padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
+}
+
+/**
+ * Интервал реплики: "12:34–12:50"
+ * @param {Object} timecode - Начало и конец реплики в минутах { start, end }
+ * @returns {string} Интервал
+ */
+function formatTimecodeRange(timecode) {
+    return `${formatTimecode(timecode.start)}–${formatTimecode(timecode.end)}`;
+}
+
+// Экспорт для использования в модулях
+export { formatTimecode, formatTimecodeRange };
@@ -1,3 +1,4 @@
+import { ScriptSchema } from '../core/script-schema.js';
 import { logger } from '../logger.js';
 import { ScriptData } from '../models/script-data.js';
 
@@ -18,8 +19,9 @@ class DataLoader {
         try {
             const data = this.storageManager.load();
             if (data) {
-                const scriptData = new ScriptData(data);
-                if (scriptData.validate()) {
+                const prepared = ScriptSchema.prepare(data);
+                if (prepared.valid) {
+                    const scriptData = new ScriptData(prepared.data);
                     this.logger.info('Данные загружены из localStorage', {
                         roleCount: scriptData.roles.length,
                         replicaCount: scriptData.replicas.length
@@ -51,10 +53,10 @@ class DataLoader {
                 
                 reader.onload = (event) => {
                     try {
-                        const data = JSON.parse(event.target.result);
-                        const scriptData = new ScriptData(data);
+                        const prepared = ScriptSchema.prepare(JSON.parse(event.target.result));
                         
-                        if (scriptData.validate()) {
+                        if (prepared.valid) {
+                            const scriptData = new ScriptData(prepared.data);
                             this.logger.info('Данные загружены из JSON файла', {
                                 fileName: file.name,
                                 fileSize: file.size,
@@ -64,7 +66,8 @@ class DataLoader {
                             resolve(scriptData);
                         } else {
                             this.logger.error('Невалидные данные в JSON файле', {
-                                fileName: file.name
+                                fileName: file.name,
+                                errors: ScriptSchema.formatErrors(prepared.errors).slice(0, 5)
                             });
                             resolve(null);
                         }
@@ -95,47 +98,6 @@ class DataLoader {
         });
     }
 
-    /**
-     * Валидация данных
-     * @param {Object} data - Данные для валидации
-     * @returns {boolean} Валидны ли данные
-     */
-    validateData(data) {
-        if (!data || typeof data !== 'object') {
-            return false;
-        }
-
-        if (!data.roles || !Array.isArray(data.roles)) {
-            return false;
-        }
-
-        if (!data.replicas || !Array.isArray(data.replicas)) {
-            return false;
-        }
-
-        // Проверка структуры ролей
-        for (const role of data.roles) {
-            if (!role.id || !role.name || !role.type) {
-                return false;
-            }
-            if (!['speaker', 'sound'].includes(role.type)) {
-                return false;
-            }
-        }
-
-        // Проверка структуры реплик
-        for (const replica of data.replicas) {
-            if (!replica.id || typeof replica.text !== 'string') {
-                return false;
-            }
-            if (replica.roleId !== null && typeof replica.roleId !== 'string') {
-                return false;
-            }
-        }
-
-        return true;
-    }
-
     /**
      * Сохранение данных в localStorage через storageManager
      * @param {ScriptData} scriptData - Данные скрипта
@@ -0,0 +1,487 @@
+import { logger } from '../logger.js';
+import { ModalComponent } from '../ui/modal-component.js';
+import { featherIconsService } from '../utils/feather-icons.js';
+import { formatTimecode } from '../utils/time-format.js';
+
+// Интервал обновления секундомера (мс)
+const TICK_INTERVAL = 100;
+// Расхождение измеренной и заданной скорости, при котором предлагается обновить скорость
+const SPEED_SUGGESTION_THRESHOLD = 0.05;
+// Допустимый диапазон скорости речи (как в Speaker.setWordsPerMinute)
+const MIN_WORDS_PER_MINUTE = 50;
+const MAX_WORDS_PER_MINUTE = 500;
+
+/**
+ * Репетиция: ведущий проходит реплики по нажатию клавиши, секундомер записывает
+ * реальное время каждой реплики. По итогам показывается сравнение с расчетом
+ * и предлагается обновить скорость речи спикеров.
+ */
+class Rehearsal {
+    /**
+     * @param {Function} onUpdateSpeeds - Применение новых скоростей: (roleId -> wordsPerMinute) => void
+     */
+    constructor(onUpdateSpeeds) {
+        this.onUpdateSpeeds = onUpdateSpeeds;
+        this.overlay = null;
+        this.items = [];
+        this.currentIndex = -1;
+        this.lineStartedAt = null; // performance.now() начала текущей реплики
+        this.pausedAt = null;
+        this.timerId = null;
+        this.keydownHandler = (e) => this.handleKeydown(e);
+        this.logger = logger;
+    }
+
+    /**
+     * Проверка, идет ли репетиция
+     * @returns {boolean} Открыта ли репетиция
+     */
+    isOpen() {
+        return this.overlay !== null;
+    }
+
+    /**
+     * Начало репетиции
+     * @param {ScriptData} scriptData - Данные скрипта
+     */
+    open(scriptData) {
+        if (this.isOpen()) {
+            this.close();
+        }
+
+        const timeline = scriptData.getTimeline();
+        this.items = scriptData.getReplicasWithRoleInfo().map((replica, index) => {
+            const timecode = timeline.get(replica.id) || { start: 0, end: 0 };
+            return {
+                index,
+                replica,
+                role: replica.role,
+                estimated: timecode.end - timecode.start, // В минутах
+                actual: null // В минутах, заполняется при переходе к следующей реплике
+            };
+        });
+        this.currentIndex = -1;
+        this.lineStartedAt = null;
+        this.pausedAt = null;
+
+        this.overlay = this.createOverlay();
+        document.body.appendChild(this.overlay);
+        document.addEventListener('keydown', this.keydownHandler);
+        featherIconsService.update();
+        this.render();
+
+        this.logger.logUserAction('начало репетиции', { replicaCount: this.items.length });
+    }
+
+    /**
+     * Завершение репетиции без показа результатов
+     */
+    close() {
+        if (!this.isOpen()) {
+            return;
+        }
+        this.stopTimer();
+        document.removeEventListener('keydown', this.keydownHandler);
+        this.overlay.remove();
+        this.overlay = null;
+    }
+
+    /**
+     * Создание окна репетиции
+     * @returns {HTMLElement} Окно репетиции
+     */
+    createOverlay() {
+        const overlay = document.createElement('div');
+        overlay.className = 'rehearsal';
+        overlay.innerHTML = `
+            <div class="rehearsal-header">
+                <span class="rehearsal-progress"></span>
+                <span class="rehearsal-timer rehearsal-line-timer">0:00</span>
+                <span class="rehearsal-total"></span>
+            </div>
+            <div class="rehearsal-current">
+                <div class="rehearsal-role"></div>
+                <div class="rehearsal-text"></div>
+                <div class="rehearsal-estimate"></div>
+            </div>
+            <div class="rehearsal-next"></div>
+            <div class="rehearsal-hint">Пробел или → - следующая реплика, ← - повторить предыдущую, P - пауза, Esc - завершить</div>
+            <div class="rehearsal-actions">
+                <button class="btn btn-secondary" data-action="back"><i data-feather="skip-back"></i> Назад</button>
+                <button class="btn btn-secondary" data-action="pause"><i data-feather="pause"></i> Пауза</button>
+                <button class="btn btn-primary" data-action="next"><i data-feather="skip-forward"></i> Далее</button>
+                <button class="btn btn-outline-secondary" data-action="finish"><i data-feather="flag"></i> Завершить</button>
+            </div>
+        `;
+
+        const actions = {
+            back: () => this.back(),
+            pause: () => this.togglePause(),
+            next: () => this.next(),
+            finish: () => this.finish()
+        };
+        overlay.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => actions[button.dataset.action]());
+        });
+        return overlay;
+    }
+
+    /**
+     * Переход к следующей реплике с записью времени текущей
+     */
+    next() {
+        if (this.pausedAt !== null) {
+            this.togglePause();
+        }
+        const now = performance.now();
+        if (this.currentIndex >= 0) {
+            this.items[this.currentIndex].actual = (now - this.lineStartedAt) / 60000;
+        }
+        if (this.currentIndex >= this.items.length - 1) {
+            this.finish();
+            return;
+        }
+
+        this.currentIndex++;
+        this.lineStartedAt = now;
+        this.startTimer();
+        this.render();
+    }
+
+    /**
+     * Возврат к предыдущей реплике для повторной записи
+     */
+    back() {
+        if (this.currentIndex <= 0) {
+            return;
+        }
+        this.items[this.currentIndex].actual = null;
+        this.currentIndex--;
+        this.items[this.currentIndex].actual = null;
+        this.lineStartedAt = performance.now();
+        this.pausedAt = null;
+        this.startTimer();
+        this.render();
+    }
+
+    /**
+     * Пауза секундомера (время паузы не записывается в реплику)
+     */
+    togglePause() {
+        if (this.currentIndex < 0) {
+            return;
+        }
+        if (this.pausedAt === null) {
+            this.pausedAt = performance.now();
+            this.stopTimer();
+        } else {
+            this.lineStartedAt += performance.now() - this.pausedAt;
+            this.pausedAt = null;
+            this.startTimer();
+        }
+        this.render();
+    }
+
+    /**
+     * Завершение репетиции и показ результатов
+     */
+    async finish() {
+        if (!this.isOpen()) {
+            return;
+        }
+        // Незавершенная реплика записывается по текущему времени
+        const current = this.items[this.currentIndex];
+        if (current && current.actual === null) {
+            const now = this.pausedAt !== null ? this.pausedAt : performance.now();
+            current.actual = (now - this.lineStartedAt) / 60000;
+        }
+
+        this.close();
+
+        const results = Rehearsal.calculateResults(this.items);
+        this.logger.logUserAction('завершение репетиции', {
+            measuredReplicaCount: results.replicas.length,
+            speakerCount: results.speakers.length
+        });
+        if (results.replicas.length === 0) {
+            return;
+        }
+
+        const speeds = await this.showResults(results);
+        if (speeds && Object.keys(speeds).length > 0) {
+            this.onUpdateSpeeds(speeds);
+        }
+    }
+
+    /**
+     * Запуск обновления секундомера
+     */
+    startTimer() {
+        this.stopTimer();
+        this.timerId = setInterval(() => this.renderTimer(), TICK_INTERVAL);
+    }
+
+    /**
+     * Остановка обновления секундомера
+     */
+    stopTimer() {
+        if (this.timerId !== null) {
+            clearInterval(this.timerId);
+            this.timerId = null;
+        }
+    }
+
+    /**
+     * Отрисовка текущей реплики
+     */
+    render() {
+        if (!this.isOpen()) {
+            return;
+        }
+        const query = (selector) => this.overlay.querySelector(selector);
+        const current = this.items[this.currentIndex];
+        const next = this.items[this.currentIndex + 1];
+
+        query('.rehearsal-progress').textContent = current
+            ? `Реплика ${this.currentIndex + 1} из ${this.items.length}`
+            : `Реплик: ${this.items.length}`;
+        query('.rehearsal-role').textContent = current ? Rehearsal.getRoleLabel(current.role) : '';
+        query('.rehearsal-text').textContent = current
+            ? current.replica.text
+            : 'Нажмите Пробел, чтобы начать с первой реплики';
+        query('.rehearsal-estimate').textContent = current ? `Расчет: ${formatTimecode(current.estimated)}` : '';
+        query('.rehearsal-next').textContent = next
+            ? `Далее: ${Rehearsal.getRoleLabel(next.role)} - ${next.replica.text || '…'}`
+            : '';
+        query('[data-action="pause"]').innerHTML = this.pausedAt !== null
+            ? '<i data-feather="play"></i> Продолжить'
+            : '<i data-feather="pause"></i> Пауза';
+        this.overlay.classList.toggle('paused', this.pausedAt !== null);
+        featherIconsService.update();
+        this.renderTimer();
+    }
+
+    /**
+     * Отрисовка секундомера текущей реплики и общего времени
+     */
+    renderTimer() {
+        if (!this.isOpen()) {
+            return;
+        }
+        const now = this.pausedAt !== null ? this.pausedAt : performance.now();
+        const lineTime = this.lineStartedAt !== null ? (now - this.lineStartedAt) / 60000 : 0;
+        const recorded = this.items.reduce((sum, item) => sum + (item.actual || 0), 0);
+        this.overlay.querySelector('.rehearsal-line-timer').textContent = formatTimecode(lineTime);
+        this.overlay.querySelector('.rehearsal-total').textContent = `Всего: ${formatTimecode(recorded + lineTime)}`;
+    }
+
+    /**
+     * Горячие клавиши репетиции
+     * @param {KeyboardEvent} e - Событие клавиатуры
+     */
+    handleKeydown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) {
+            return;
+        }
+        const actions = {
+            ' ': () => this.next(),
+            Enter: () => this.next(),
+            ArrowRight: () => this.next(),
+            ArrowLeft: () => this.back(),
+            p: () => this.togglePause(),
+            'з': () => this.togglePause(), // P в русской раскладке
+            Escape: () => this.finish()
+        };
+        const action = actions[e.key] || actions[e.key.toLowerCase()];
+        if (action) {
+            e.preventDefault();
+            action();
+        }
+    }
+
+    /**
+     * Подпись роли реплики
+     * @param {Object|null} role - Роль
+     * @returns {string} Подпись
+     */
+    static getRoleLabel(role) {
+        if (!role) {
+            return 'Без роли';
+        }
+        return role.type === 'sound' ? `🔊 ${role.name}` : role.name;
+    }
+
+    /**
+     * Сравнение расчетного и реального времени
+     * @param {Array} items - Реплики репетиции
+     * @returns {Object} Результаты { replicas, speakers }
+     */
+    static calculateResults(items) {
+        const measured = items.filter(item => item.actual !== null);
+        const speakers = new Map();
+
+        measured.forEach(item => {
+            if (!item.role || item.role.type !== 'speaker') {
+                return;
+            }
+            if (!speakers.has(item.role.id)) {
+                speakers.set(item.role.id, {
+                    roleId: item.role.id,
+                    name: item.role.name,
+                    wordsPerMinute: item.role.wordsPerMinute,
+                    words: 0,
+                    estimated: 0,
+                    actual: 0,
+                    speechTime: 0 // Время без пауз, приведенное к обычному темпу
+                });
+            }
+            const speaker = speakers.get(item.role.id);
+            speaker.words += item.replica.wordCount || 0;
+            speaker.estimated += item.estimated;
+            speaker.actual += item.actual;
+            const pauseTime = (item.replica.pauseDuration || 0) / 60;
+            speaker.speechTime += Math.max(0, item.actual - pauseTime) * (item.replica.pace || 1);
+        });
+
+        speakers.forEach(speaker => {
+            const measuredSpeed = speaker.speechTime > 0 ? Math.round(speaker.words / speaker.speechTime) : null;
+            speaker.measuredWordsPerMinute = measuredSpeed === null
+                ? null
+                : Math.max(MIN_WORDS_PER_MINUTE, Math.min(MAX_WORDS_PER_MINUTE, measuredSpeed));
+            speaker.suggestUpdate = speaker.measuredWordsPerMinute !== null && speaker.words > 0 &&
+                Math.abs(speaker.measuredWordsPerMinute - speaker.wordsPerMinute) / speaker.wordsPerMinute > SPEED_SUGGESTION_THRESHOLD;
+        });
+
+        return { replicas: measured, speakers: [...speakers.values()] };
+    }
+
+    /**
+     * Показ результатов репетиции
+     * @param {Object} results - Результаты репетиции
+     * @returns {Promise<Object|null>} Новые скорости (roleId -> wordsPerMinute) или null
+     */
+    async showResults(results) {
+        const checkboxes = new Map();
+        const formatDifference = (estimated, actual) => {
+            const difference = actual - estimated;
+            return `${difference >= 0 ? '+' : '−'}${formatTimecode(Math.abs(difference))}`;
+        };
+        const createTable = (headers, rows) => {
+            const table = document.createElement('table');
+            table.className = 'rehearsal-results-table';
+            const headRow = table.createTHead().insertRow();
+            headers.forEach(header => {
+                const cell = document.createElement('th');
+                cell.textContent = header;
+                headRow.appendChild(cell);
+            });
+            const body = table.createTBody();
+            rows.forEach(values => {
+                const row = body.insertRow();
+                values.forEach(value => {
+                    const cell = row.insertCell();
+                    if (value instanceof HTMLElement) {
+                        cell.appendChild(value);
+                    } else {
+                        cell.textContent = value;
+                    }
+                });
+            });
+            return table;
+        };
+
+        try {
+            return await ModalComponent.show({
+                title: 'Результаты репетиции',
+                type: 'custom',
+                size: 'lg',
+                content: (container) => {
+                    const wrapper = document.createElement('div');
+                    wrapper.className = 'rehearsal-results';
+
+                    const estimatedTotal = results.replicas.reduce((sum, item) => sum + item.estimated, 0);
+                    const actualTotal = results.replicas.reduce((sum, item) => sum + item.actual, 0);
+                    const summary = document.createElement('p');
+                    summary.textContent = `Записано реплик: ${results.replicas.length}. Расчет: ${formatTimecode(estimatedTotal)}, факт: ${formatTimecode(actualTotal)} (${formatDifference(estimatedTotal, actualTotal)}).`;
+                    wrapper.appendChild(summary);
+
+                    if (results.speakers.length > 0) {
+                        const heading = document.createElement('h4');
+                        heading.textContent = 'По спикерам';
+                        wrapper.appendChild(heading);
+                        wrapper.appendChild(createTable(
+                            ['Спикер', 'Слов', 'Расчет', 'Факт', 'Разница', 'Скорость', 'Обновить'],
+                            results.speakers.map(speaker => {
+                                const checkbox = document.createElement('input');
+                                checkbox.type = 'checkbox';
+                                checkbox.checked = speaker.suggestUpdate;
+                                checkbox.disabled = speaker.measuredWordsPerMinute === null || speaker.words === 0;
+                                checkboxes.set(speaker.roleId, { checkbox, speaker });
+                                return [
+                                    speaker.name,
+                                    String(speaker.words),
+                                    formatTimecode(speaker.estimated),
+                                    formatTimecode(speaker.actual),
+                                    formatDifference(speaker.estimated, speaker.actual),
+                                    speaker.measuredWordsPerMinute !== null
+                                        ? `${speaker.wordsPerMinute} → ${speaker.measuredWordsPerMinute} сл/мин`
+                                        : `${speaker.wordsPerMinute} сл/мин`,
+                                    checkbox
+                                ];
+                            })
+                        ));
+                    }
+
+                    const heading = document.createElement('h4');
+                    heading.textContent = 'По репликам';
+                    wrapper.appendChild(heading);
+                    const replicaTable = createTable(
+                        ['#', 'Роль', 'Расчет', 'Факт', 'Разница'],
+                        results.replicas.map(item => [
+                            String(item.index + 1),
+                            Rehearsal.getRoleLabel(item.role),
+                            formatTimecode(item.estimated),
+                            formatTimecode(item.actual),
+                            formatDifference(item.estimated, item.actual)
+                        ])
+                    );
+                    replicaTable.classList.add('rehearsal-results-replicas');
+                    wrapper.appendChild(replicaTable);
+
+                    container.appendChild(wrapper);
+                    return wrapper;
+                },
+                buttons: [
+                    {
+                        text: 'Закрыть',
+                        icon: 'x-circle',
+                        type: 'secondary',
+                        onClick: () => null,
+                        autoClose: true
+                    },
+                    {
+                        text: 'Обновить скорость',
+                        icon: 'check',
+                        type: 'primary',
+                        onClick: () => {
+                            const speeds = {};
+                            checkboxes.forEach(({ checkbox, speaker }, roleId) => {
+                                if (checkbox.checked && !checkbox.disabled) {
+                                    speeds[roleId] = speaker.measuredWordsPerMinute;
+                                }
+                            });
+                            return speeds;
+                        },
+                        autoClose: true
+                    }
+                ]
+            }) || null;
+        } catch (error) {
+            this.logger.error('Ошибка при показе результатов репетиции:', error);
+            return null;
+        }
+    }
+}
+
+// Экспорт для использования в модулях
+export { Rehearsal };
@@ -1,4 +1,5 @@
 import { logger } from '../logger.js';
+import { formatTimecode, formatTimecodeRange } from '../utils/time-format.js';
 
 /**
  * Компонент для отображения скрипта в режиме просмотра
@@ -10,6 +11,9 @@ class ScriptViewer {
             showStats: true,
             showColors: true,
             showRoleInfo: true,
+            speakerIds: [], // Выбранные спикеры; пустой список - показываются все
+            focusMode: 'dim', // Реплики остальных: 'dim' - приглушаются, 'hide' - скрываются
+            hideSoundEffects: false,
             ...options
         };
         this.currentData = null;
@@ -34,6 +38,16 @@ class ScriptViewer {
             const contentContainer = document.createElement('div');
             contentContainer.className = 'viewer-content';
 
+            // Шапка выпуска внутри содержимого, чтобы она попадала на печать
+            if (!scriptData.metadata.isEmpty()) {
+                contentContainer.appendChild(this.renderEpisodeHeader(scriptData));
+            }
+
+            // Оглавление по разделам скрипта
+            if (scriptData.segments.length > 0) {
+                contentContainer.appendChild(this.renderTableOfContents(scriptData));
+            }
+
             // Отображение списка реплик (без статистики, так как она теперь в панели управления)
             const replicasContainer = this.renderReplicas(scriptData);
             contentContainer.appendChild(replicasContainer);
@@ -53,6 +67,55 @@ class ScriptViewer {
         }
     }
 
+    /**
+     * Отрисовка шапки выпуска (название, шоу, авторы, описание)
+     * @param {ScriptData} scriptData - Данные скрипта
+     * @returns {HTMLElement} Шапка выпуска
+     */
+    renderEpisodeHeader(scriptData) {
+        const metadata = scriptData.metadata;
+        const header = document.createElement('header');
+        header.className = 'viewer-episode-header';
+
+        if (metadata.title) {
+            const title = document.createElement('h2');
+            title.className = 'viewer-episode-title';
+            title.textContent = metadata.title;
+            header.appendChild(title);
+        }
+
+        const subtitle = metadata.getSubtitle();
+        if (subtitle) {
+            const subtitleElement = document.createElement('div');
+            subtitleElement.className = 'viewer-episode-subtitle';
+            subtitleElement.textContent = subtitle;
+            header.appendChild(subtitleElement);
+        }
+
+        const details = [];
+        if (metadata.authors.length > 0) {
+            details.push(`Авторы: ${metadata.authors.join(', ')}`);
+        }
+        if (metadata.targetDuration !== null) {
+            details.push(`Целевая длительность: ${scriptData.formatDuration(metadata.targetDuration)}`);
+        }
+        if (details.length > 0) {
+            const detailsElement = document.createElement('div');
+            detailsElement.className = 'viewer-episode-details';
+            detailsElement.textContent = details.join(' · ');
+            header.appendChild(detailsElement);
+        }
+
+        if (metadata.description.trim()) {
+            const description = document.createElement('p');
+            description.className = 'viewer-episode-description';
+            description.textContent = metadata.description.trim();
+            header.appendChild(description);
+        }
+
+        return header;
+    }
+
     /**
      * Отрисовка списка реплик
      * @param {ScriptData} scriptData - Данные скрипта
@@ -65,25 +128,160 @@ class ScriptViewer {
         const replicasList = document.createElement('div');
         replicasList.className = 'viewer-replicas-list';
 
-        const replicasWithRoleInfo = scriptData.getReplicasWithRoleInfo();
+        const timeline = scriptData.getTimeline();
         let replicaIndex = 1;
 
-        replicasWithRoleInfo.forEach(replica => {
-            const replicaElement = this.renderReplica(replica, replicaIndex++);
-            replicasList.appendChild(replicaElement);
-        });
+        // Номер реплики не зависит от фильтра, чтобы совпадать с полным скриптом
+        const appendReplica = (parent, replica) => {
+            const visibility = this.getReplicaVisibility(replica);
+            const index = replicaIndex++;
+            if (visibility === 'hidden') {
+                return;
+            }
+            const replicaElement = this.renderReplica(replica, index, timeline.get(replica.id));
+            if (visibility === 'dimmed') {
+                replicaElement.classList.add('viewer-replica-dimmed');
+            }
+            parent.appendChild(replicaElement);
+        };
+
+        if (scriptData.segments.length === 0) {
+            scriptData.getReplicasWithRoleInfo().forEach(replica => appendReplica(replicasList, replica));
+        } else {
+            // Каждый раздел - отдельная секция с заголовком, на которую ссылается оглавление
+            const totals = new Map(scriptData.statistics.segments.map(item => [item.segmentId, item]));
+            scriptData.getSegmentGroups().forEach(({ segment, replicas }) => {
+                const segmentId = segment ? segment.id : null;
+                const section = document.createElement('section');
+                section.className = 'viewer-segment';
+                section.id = ScriptViewer.getSegmentAnchor(segmentId);
+                section.appendChild(this.renderSegmentHeader(segment, totals.get(segmentId)));
+                replicas.forEach(replica => appendReplica(section, replica));
+                replicasList.appendChild(section);
+            });
+        }
 
         replicasContainer.appendChild(replicasList);
         return replicasContainer;
     }
 
+    /**
+     * Видимость реплики с учетом фильтра по спикерам
+     * @param {Object} replica - Реплика с информацией о роли
+     * @returns {string} 'visible', 'dimmed' или 'hidden'
+     */
+    getReplicaVisibility(replica) {
+        const isSound = !!replica.role && replica.role.type === 'sound';
+        if (isSound && this.options.hideSoundEffects) {
+            return 'hidden';
+        }
+        const speakerIds = this.options.speakerIds || [];
+        if (speakerIds.length === 0 || (!isSound && speakerIds.includes(replica.roleId))) {
+            return 'visible';
+        }
+        return this.options.focusMode === 'hide' ? 'hidden' : 'dimmed';
+    }
+
+    /**
+     * Отрисовка оглавления: разделы с таймкодом начала и длительностью
+     * @param {ScriptData} scriptData - Данные скрипта
+     * @returns {HTMLElement} Оглавление
+     */
+    renderTableOfContents(scriptData) {
+        const toc = document.createElement('nav');
+        toc.className = 'viewer-toc';
+
+        const title = document.createElement('h3');
+        title.className = 'viewer-toc-title';
+        title.textContent = 'Содержание';
+        toc.appendChild(title);
+
+        const list = document.createElement('ol');
+        list.className = 'viewer-toc-list';
+        scriptData.statistics.segments.forEach(item => {
+            const entry = document.createElement('li');
+            entry.className = 'viewer-toc-item';
+
+            const link = document.createElement('a');
+            link.href = `#${ScriptViewer.getSegmentAnchor(item.segmentId)}`;
+            link.textContent = item.title || 'Без раздела';
+
+            const timecode = document.createElement('span');
+            timecode.className = 'replica-timecode';
+            timecode.textContent = formatTimecode(item.start);
+
+            const totals = document.createElement('span');
+            totals.className = 'viewer-toc-totals';
+            totals.textContent = ScriptViewer.formatSegmentTotals(item);
+            if (item.target) {
+                totals.classList.add(`segment-target-${item.target.status}`);
+            }
+
+            entry.appendChild(timecode);
+            entry.appendChild(link);
+            entry.appendChild(totals);
+            list.appendChild(entry);
+        });
+        toc.appendChild(list);
+
+        return toc;
+    }
+
+    /**
+     * Отрисовка заголовка раздела
+     * @param {Object|null} segment - Раздел (null - реплики вне разделов)
+     * @param {Object} totals - Итоги раздела из статистики скрипта
+     * @returns {HTMLElement} Заголовок раздела
+     */
+    renderSegmentHeader(segment, totals) {
+        const header = document.createElement('header');
+        header.className = 'viewer-segment-header';
+
+        const title = document.createElement('h3');
+        title.className = 'viewer-segment-title';
+        title.textContent = segment ? segment.title : 'Без раздела';
+        header.appendChild(title);
+
+        if (totals) {
+            const info = document.createElement('span');
+            info.className = 'viewer-segment-totals';
+            info.textContent = `${formatTimecodeRange({ start: totals.start, end: totals.start + totals.duration })} · ${ScriptViewer.formatSegmentTotals(totals)}`;
+            if (totals.target) {
+                info.classList.add(`segment-target-${totals.target.status}`);
+            }
+            header.appendChild(info);
+        }
+
+        return header;
+    }
+
+    /**
+     * Длительность раздела и его цель: "4:30 из 5:00"
+     * @param {Object} totals - Итоги раздела из статистики скрипта
+     * @returns {string} Строка итогов
+     */
+    static formatSegmentTotals(totals) {
+        const duration = formatTimecode(totals.duration);
+        return totals.target ? `${duration} из ${formatTimecode(totals.target.target)}` : duration;
+    }
+
+    /**
+     * ID якоря раздела для ссылок из оглавления
+     * @param {string|null} segmentId - ID раздела
+     * @returns {string} ID элемента
+     */
+    static getSegmentAnchor(segmentId) {
+        return segmentId ? `segment-${segmentId}` : 'segment-unsorted';
+    }
+
     /**
      * Отрисовка отдельной реплики
      * @param {Object} replica - Данные реплики
      * @param {number} index - Индекс реплики
+     * @param {Object} timecode - Начало и конец реплики в минутах
      * @returns {HTMLElement} Элемент реплики
      */
-    renderReplica(replica, index) {
+    renderReplica(replica, index, timecode = null) {
         const replicaElement = document.createElement('div');
         replicaElement.className = 'viewer-replica-item';
 
@@ -116,7 +314,10 @@ class ScriptViewer {
         infoElement.className = 'viewer-replica-info';
         infoElement.innerHTML = `
             <span class="replica-index">#${index}</span>
+            ${timecode ? `<span class="replica-timecode" title="${formatTimecodeRange(timecode)}">${formatTimecode(timecode.start)}</span>` : ''}
             ${replica.wordCount ? `<span class="replica-words">${replica.wordCount} слов</span>` : ''}
+            ${replica.pace && replica.pace !== 1 ? `<span class="replica-pace">темп ×${replica.pace}</span>` : ''}
+            ${replica.pauseDuration ? `<span class="replica-pauses">паузы ${Math.round(replica.pauseDuration * 10) / 10} сек</span>` : ''}
             ${role && role.type === 'sound' && role.duration ? `<span class="replica-duration">${role.duration} сек</span>` : ''}
         `;
         replicaElement.appendChild(infoElement);
@@ -229,10 +430,11 @@ class ScriptViewer {
     /**
      * Установка опций
      * @param {Object} options - Новые опции
+     * @param {boolean} rerender - Перерисовать ли текущий скрипт сразу
      */
-    setOptions(options) {
+    setOptions(options, rerender = true) {
         this.options = { ...this.options, ...options };
-        if (this.currentData) {
+        if (rerender && this.currentData) {
             this.render(this.currentData);
         }
     }
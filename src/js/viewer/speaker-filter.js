@@ -0,0 +1,210 @@
+import { logger } from '../logger.js';
+
+// Параметры адреса: ?speaker=<id>&speaker=<id>&others=hide&sfx=hide
+const SPEAKER_PARAM = 'speaker';
+const OTHERS_PARAM = 'others';
+const SOUND_EFFECTS_PARAM = 'sfx';
+const HIDE_VALUE = 'hide';
+
+/**
+ * Фильтр режима просмотра: реплики выбранных спикеров, остальные приглушаются или скрываются,
+ * звуковые эффекты можно скрыть. Выбор хранится в адресе страницы, чтобы ссылкой можно было поделиться.
+ */
+class SpeakerFilter {
+    /**
+     * @param {Function} onChange - Вызывается после изменения фильтра пользователем
+     */
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.speakerIds = [];
+        this.focusMode = 'dim'; // 'dim' - приглушать остальных, 'hide' - скрывать
+        this.hideSoundEffects = false;
+        this.speakers = []; // Спикеры текущего скрипта { id, name, color, replicaCount }
+        this.logger = logger;
+        this.readFromUrl();
+    }
+
+    /**
+     * Чтение фильтра из адреса страницы. Спикеры можно перечислить повтором параметра или через запятую.
+     * @param {string} search - Строка запроса (по умолчанию текущий адрес)
+     */
+    readFromUrl(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        this.speakerIds = [...new Set(params.getAll(SPEAKER_PARAM)
+            .flatMap(value => value.split(','))
+            .map(value => value.trim())
+            .filter(Boolean))];
+        this.focusMode = params.get(OTHERS_PARAM) === HIDE_VALUE ? 'hide' : 'dim';
+        this.hideSoundEffects = params.get(SOUND_EFFECTS_PARAM) === HIDE_VALUE;
+    }
+
+    /**
+     * Запись фильтра в адрес страницы без перезагрузки и новой записи в истории
+     */
+    writeToUrl() {
+        const url = new URL(window.location.href);
+        url.searchParams.delete(SPEAKER_PARAM);
+        url.searchParams.delete(OTHERS_PARAM);
+        url.searchParams.delete(SOUND_EFFECTS_PARAM);
+        this.speakerIds.forEach(id => url.searchParams.append(SPEAKER_PARAM, id));
+        if (this.speakerIds.length > 0 && this.focusMode === 'hide') {
+            url.searchParams.set(OTHERS_PARAM, HIDE_VALUE);
+        }
+        if (this.hideSoundEffects) {
+            url.searchParams.set(SOUND_EFFECTS_PARAM, HIDE_VALUE);
+        }
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    /**
+     * Привязка к загруженному скрипту: список спикеров для панели и отбрасывание
+     * спикеров из ссылки, которых нет в скрипте
+     * @param {ScriptData} scriptData - Данные скрипта
+     */
+    setScript(scriptData) {
+        const { roleManager, replicaManager } = scriptData.createManagers();
+        // Спикеры в порядке из сайдбара редактора (по группам)
+        this.speakers = roleManager.getOrdered().filter(role => role.type === 'speaker').map(speaker => ({
+            id: speaker.id,
+            name: speaker.name,
+            color: speaker.color,
+            replicaCount: replicaManager.getByRole(speaker.id).length
+        }));
+
+        const knownIds = this.speakerIds.filter(id => this.speakers.some(speaker => speaker.id === id));
+        if (knownIds.length !== this.speakerIds.length) {
+            this.logger.warn('Спикеры из ссылки не найдены в скрипте', {
+                unknown: this.speakerIds.filter(id => !knownIds.includes(id))
+            });
+            this.speakerIds = knownIds;
+            this.writeToUrl();
+        }
+        this.render();
+    }
+
+    /**
+     * Опции отображения для ScriptViewer.setOptions
+     * @returns {Object} { speakerIds, focusMode, hideSoundEffects }
+     */
+    getViewerOptions() {
+        return {
+            speakerIds: [...this.speakerIds],
+            focusMode: this.focusMode,
+            hideSoundEffects: this.hideSoundEffects
+        };
+    }
+
+    /**
+     * Включен ли какой-либо фильтр
+     * @returns {boolean} Активен ли фильтр
+     */
+    isActive() {
+        return this.speakerIds.length > 0 || this.hideSoundEffects;
+    }
+
+    /**
+     * Изменение фильтра
+     * @param {Object} changes - { speakerIds, focusMode, hideSoundEffects }
+     */
+    update(changes) {
+        Object.assign(this, changes);
+        this.writeToUrl();
+        this.render();
+        this.logger.logUserAction('изменение фильтра просмотра', this.getViewerOptions());
+        this.onChange(this.getViewerOptions());
+    }
+
+    /**
+     * Отрисовка панели фильтра
+     */
+    render() {
+        const container = document.getElementById('viewerSpeakerFilter');
+        const summary = document.getElementById('viewerSpeakerFilterSummary');
+        if (!container) {
+            return;
+        }
+        container.innerHTML = '';
+
+        if (summary) {
+            summary.textContent = this.speakerIds.length > 0 ? `Спикеры: ${this.speakerIds.length}` : 'Все спикеры';
+            summary.classList.toggle('active', this.isActive());
+        }
+
+        if (this.speakers.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'role-stats-empty';
+            empty.textContent = 'В скрипте нет спикеров';
+            container.appendChild(empty);
+        }
+
+        this.speakers.forEach(speaker => {
+            const label = document.createElement('label');
+            label.className = 'speaker-filter-option';
+            if (speaker.color) {
+                label.style.setProperty('--speaker-filter-color', speaker.color);
+            }
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.speakerIds.includes(speaker.id);
+            checkbox.addEventListener('change', () => {
+                const speakerIds = checkbox.checked
+                    ? [...this.speakerIds, speaker.id]
+                    : this.speakerIds.filter(id => id !== speaker.id);
+                this.update({ speakerIds });
+            });
+
+            const name = document.createElement('span');
+            name.className = 'speaker-filter-name';
+            name.textContent = speaker.name;
+            const count = document.createElement('span');
+            count.className = 'role-stats-details';
+            count.textContent = `${speaker.replicaCount} репл.`;
+
+            label.appendChild(checkbox);
+            label.appendChild(name);
+            label.appendChild(count);
+            container.appendChild(label);
+        });
+
+        const options = document.createElement('div');
+        options.className = 'speaker-filter-settings';
+        options.appendChild(this.createCheckbox('Скрывать остальных, а не приглушать', this.focusMode === 'hide',
+            checked => this.update({ focusMode: checked ? 'hide' : 'dim' }), this.speakerIds.length === 0));
+        options.appendChild(this.createCheckbox('Скрыть звуковые эффекты', this.hideSoundEffects,
+            checked => this.update({ hideSoundEffects: checked })));
+        container.appendChild(options);
+
+        if (this.isActive()) {
+            const resetBtn = document.createElement('button');
+            resetBtn.className = 'btn btn-secondary btn-sm';
+            resetBtn.textContent = 'Показать все';
+            resetBtn.addEventListener('click', () => this.update({ speakerIds: [], hideSoundEffects: false }));
+            container.appendChild(resetBtn);
+        }
+    }
+
+    /**
+     * Создание флажка настройки
+     * @param {string} text - Подпись
+     * @param {boolean} checked - Состояние
+     * @param {Function} onChange - Обработчик (checked) => void
+     * @param {boolean} disabled - Недоступен ли флажок
+     * @returns {HTMLElement} Подпись с флажком
+     */
+    createCheckbox(text, checked, onChange, disabled = false) {
+        const label = document.createElement('label');
+        label.className = 'speaker-filter-option';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checked;
+        checkbox.disabled = disabled;
+        checkbox.addEventListener('change', () => onChange(checkbox.checked));
+        label.appendChild(checkbox);
+        label.append(` ${text}`);
+        return label;
+    }
+}
+
+// Экспорт для использования в модулях
+export { SpeakerFilter };
@@ -0,0 +1,479 @@
+import { logger } from '../logger.js';
+import { featherIconsService } from '../utils/feather-icons.js';
+import { formatTimecode } from '../utils/time-format.js';
+
+// Настройки по умолчанию и их границы
+const DEFAULT_SETTINGS = { speed: 1, fontSize: 48, mirrored: false };
+const SPEED_RANGE = { min: 0.5, max: 2.5, step: 0.1 };
+const FONT_SIZE_RANGE = { min: 24, max: 120, step: 4 };
+const SETTINGS_STORAGE_KEY = 'teleprompterSettings';
+
+// Линия чтения - доля высоты экрана, на которой держится текущая строка
+const READING_LINE = 0.35;
+
+/**
+ * Телесуфлер режима просмотра.
+ * Прокрутка идет по таймкодам реплик: скорость каждой реплики определяется
+ * скоростью речи ее спикера, а на звуковых эффектах прокрутка стоит их длительность.
+ */
+class Teleprompter {
+    constructor() {
+        this.settings = this.loadSettings();
+        this.overlay = null;
+        this.scroller = null;
+        this.content = null;
+        this.items = [];
+        this.totalDuration = 0;
+        this.position = 0; // Текущая позиция в минутах от начала записи
+        this.currentIndex = -1;
+        this.playing = false;
+        this.frameId = null;
+        this.lastFrameTime = null;
+        this.keydownHandler = (e) => this.handleKeydown(e);
+        this.logger = logger;
+    }
+
+    /**
+     * Загрузка сохраненных настроек
+     * @returns {Object} Настройки
+     */
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+            return { ...DEFAULT_SETTINGS, ...saved };
+        } catch {
+            return { ...DEFAULT_SETTINGS };
+        }
+    }
+
+    /**
+     * Сохранение настроек
+     */
+    saveSettings() {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+    }
+
+    /**
+     * Проверка, открыт ли телесуфлер
+     * @returns {boolean} Открыт ли телесуфлер
+     */
+    isOpen() {
+        return this.overlay !== null;
+    }
+
+    /**
+     * Открытие телесуфлера
+     * @param {ScriptData} scriptData - Данные скрипта
+     */
+    open(scriptData) {
+        if (this.isOpen()) {
+            this.close();
+        }
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'teleprompter';
+        this.overlay.appendChild(this.createToolbar());
+
+        this.scroller = document.createElement('div');
+        this.scroller.className = 'teleprompter-scroll';
+        this.content = document.createElement('div');
+        this.content.className = 'teleprompter-content';
+        this.scroller.appendChild(this.content);
+        this.overlay.appendChild(this.scroller);
+
+        this.renderReplicas(scriptData);
+        this.applySettings();
+
+        document.body.appendChild(this.overlay);
+        document.body.classList.add('teleprompter-open');
+        document.addEventListener('keydown', this.keydownHandler);
+        if (this.overlay.requestFullscreen) {
+            this.overlay.requestFullscreen().catch(() => {
+                // Без полноэкранного режима телесуфлер все равно занимает все окно
+            });
+        }
+        featherIconsService.update();
+
+        this.seek(0);
+        this.logger.logUserAction('открытие телесуфлера', {
+            replicaCount: this.items.length,
+            totalDuration: this.totalDuration
+        });
+    }
+
+    /**
+     * Закрытие телесуфлера
+     */
+    close() {
+        if (!this.isOpen()) {
+            return;
+        }
+
+        this.pause();
+        document.removeEventListener('keydown', this.keydownHandler);
+        if (document.fullscreenElement && document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+        this.overlay.remove();
+        document.body.classList.remove('teleprompter-open');
+
+        this.overlay = null;
+        this.scroller = null;
+        this.content = null;
+        this.items = [];
+        this.currentIndex = -1;
+        this.logger.logUserAction('закрытие телесуфлера');
+    }
+
+    /**
+     * Создание панели управления
+     * @returns {HTMLElement} Панель управления
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'teleprompter-toolbar';
+
+        const createButton = (icon, title, onClick) => {
+            const button = document.createElement('button');
+            button.className = 'teleprompter-btn';
+            button.title = title;
+            button.setAttribute('aria-label', title);
+            button.innerHTML = `<i data-feather="${icon}"></i>`;
+            button.addEventListener('click', onClick);
+            return button;
+        };
+        const createValue = () => {
+            const value = document.createElement('span');
+            value.className = 'teleprompter-value';
+            return value;
+        };
+
+        this.playButton = createButton('play', 'Старт / пауза (Пробел)', () => this.toggle());
+        this.speedValue = createValue();
+        this.fontSizeValue = createValue();
+        this.timeValue = createValue();
+        this.mirrorButton = createButton('columns', 'Зеркальное отображение (M)', () => this.toggleMirror());
+
+        toolbar.append(
+            this.playButton,
+            createButton('skip-back', 'Предыдущая реплика (←)', () => this.step(-1)),
+            createButton('skip-forward', 'Следующая реплика (→)', () => this.step(1)),
+            createButton('minus', 'Медленнее (↓)', () => this.changeSpeed(-SPEED_RANGE.step)),
+            this.speedValue,
+            createButton('plus', 'Быстрее (↑)', () => this.changeSpeed(SPEED_RANGE.step)),
+            createButton('zoom-out', 'Мельче ([)', () => this.changeFontSize(-FONT_SIZE_RANGE.step)),
+            this.fontSizeValue,
+            createButton('zoom-in', 'Крупнее (])', () => this.changeFontSize(FONT_SIZE_RANGE.step)),
+            this.mirrorButton,
+            this.timeValue,
+            createButton('x', 'Закрыть (Esc)', () => this.close())
+        );
+
+        return toolbar;
+    }
+
+    /**
+     * Отрисовка реплик и расчет их таймкодов
+     * @param {ScriptData} scriptData - Данные скрипта
+     */
+    renderReplicas(scriptData) {
+        const timeline = scriptData.getTimeline();
+        this.items = scriptData.getReplicasWithRoleInfo().map(replica => {
+            const timecode = timeline.get(replica.id) || { start: 0, end: 0 };
+            const isSound = !!replica.role && replica.role.type === 'sound';
+            const element = document.createElement('div');
+            element.className = isSound ? 'teleprompter-replica teleprompter-cue' : 'teleprompter-replica';
+
+            const roleElement = document.createElement('div');
+            roleElement.className = 'teleprompter-role';
+            if (replica.role && replica.role.type === 'speaker' && replica.role.color) {
+                roleElement.style.color = replica.role.color;
+            }
+            roleElement.textContent = isSound
+                ? `🔊 ${replica.role.name} (${replica.role.duration} сек)`
+                : (replica.role ? replica.role.name : 'Без роли');
+            element.appendChild(roleElement);
+
+            if (replica.text && replica.text.trim()) {
+                const textElement = document.createElement('div');
+                textElement.className = 'teleprompter-text';
+                textElement.textContent = replica.text;
+                element.appendChild(textElement);
+            }
+
+            let countdown = null;
+            if (isSound) {
+                countdown = document.createElement('div');
+                countdown.className = 'teleprompter-countdown';
+                element.appendChild(countdown);
+            }
+
+            this.content.appendChild(element);
+            return { element, countdown, isSound, start: timecode.start, end: timecode.end };
+        });
+        this.totalDuration = this.items.length > 0 ? this.items[this.items.length - 1].end : 0;
+    }
+
+    /**
+     * Применение настроек к отображению
+     */
+    applySettings() {
+        if (!this.isOpen()) {
+            return;
+        }
+        this.content.style.fontSize = `${this.settings.fontSize}px`;
+        this.content.classList.toggle('mirrored', this.settings.mirrored);
+        this.mirrorButton.classList.toggle('active', this.settings.mirrored);
+        this.speedValue.textContent = `×${this.settings.speed.toFixed(1)}`;
+        this.fontSizeValue.textContent = `${this.settings.fontSize}px`;
+    }
+
+    /**
+     * Запуск прокрутки
+     */
+    play() {
+        if (this.playing || this.items.length === 0) {
+            return;
+        }
+        // Если текст прокрутили вручную, продолжаем с той реплики, что на линии чтения
+        this.position = this.getPositionFromScroll();
+        if (this.position >= this.totalDuration) {
+            this.position = 0;
+        }
+        this.playing = true;
+        this.lastFrameTime = null;
+        this.updatePlayButton();
+        this.frameId = requestAnimationFrame(time => this.tick(time));
+    }
+
+    /**
+     * Остановка прокрутки
+     */
+    pause() {
+        this.playing = false;
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.updatePlayButton();
+    }
+
+    /**
+     * Переключение старт/пауза
+     */
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Кадр анимации прокрутки
+     * @param {number} time - Время кадра (мс)
+     */
+    tick(time) {
+        if (!this.playing) {
+            return;
+        }
+        if (this.lastFrameTime !== null) {
+            const elapsedMinutes = (time - this.lastFrameTime) / 60000;
+            this.position = Math.min(this.totalDuration, this.position + elapsedMinutes * this.settings.speed);
+        }
+        this.lastFrameTime = time;
+        this.scrollToPosition(this.position);
+
+        if (this.position >= this.totalDuration) {
+            this.pause();
+            return;
+        }
+        this.frameId = requestAnimationFrame(nextTime => this.tick(nextTime));
+    }
+
+    /**
+     * Переход к позиции записи
+     * @param {number} position - Позиция в минутах
+     */
+    seek(position) {
+        this.position = Math.max(0, Math.min(this.totalDuration, position));
+        this.scrollToPosition(this.position);
+    }
+
+    /**
+     * Переход к соседней реплике
+     * @param {number} direction - -1 назад, 1 вперед
+     */
+    step(direction) {
+        if (this.items.length === 0) {
+            return;
+        }
+        const index = Math.max(0, Math.min(this.items.length - 1, this.findIndex(this.position) + direction));
+        this.seek(this.items[index].start);
+    }
+
+    /**
+     * Поиск реплики, которая звучит в заданной позиции
+     * @param {number} position - Позиция в минутах
+     * @returns {number} Индекс реплики
+     */
+    findIndex(position) {
+        let index = 0;
+        // Реплики нулевой длительности (без роли, пустые) проходятся сразу
+        while (index < this.items.length - 1 && this.items[index].end <= position) {
+            index++;
+        }
+        return index;
+    }
+
+    /**
+     * Прокрутка к позиции записи: текущая строка держится на линии чтения
+     * @param {number} position - Позиция в минутах
+     */
+    scrollToPosition(position) {
+        if (!this.isOpen() || this.items.length === 0) {
+            return;
+        }
+
+        const index = this.findIndex(position);
+        const item = this.items[index];
+        this.scroller.scrollTop = this.getScrollTopFor(position);
+        this.setCurrent(index);
+
+        if (item.countdown) {
+            const secondsLeft = Math.max(0, Math.ceil((item.end - position) * 60));
+            item.countdown.textContent = this.playing && position >= item.start ? `пауза ${secondsLeft} сек` : '';
+        }
+        this.timeValue.textContent = `${formatTimecode(position)} / ${formatTimecode(this.totalDuration)}`;
+    }
+
+    /**
+     * Позиция записи по текущей прокрутке (для продолжения после ручной прокрутки)
+     * @returns {number} Позиция в минутах
+     */
+    getPositionFromScroll() {
+        const readingLine = this.scroller.scrollTop + this.scroller.clientHeight * READING_LINE;
+        for (let index = 0; index < this.items.length; index++) {
+            const item = this.items[index];
+            const next = this.items[index + 1];
+            const top = item.element.offsetTop;
+            const nextTop = next ? next.element.offsetTop : top + item.element.offsetHeight;
+            if (readingLine < nextTop || !next) {
+                // Позиция внутри текущей реплики сохраняется, если прокрутка не менялась
+                if (index === this.currentIndex && Math.abs(this.getScrollTopFor(this.position) - this.scroller.scrollTop) < 2) {
+                    return this.position;
+                }
+                const fraction = item.isSound || nextTop <= top ? 0 : Math.max(0, Math.min(1, (readingLine - top) / (nextTop - top)));
+                return item.start + fraction * (item.end - item.start);
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Расчет прокрутки для позиции записи без изменения отображения
+     * @param {number} position - Позиция в минутах
+     * @returns {number} Значение scrollTop
+     */
+    getScrollTopFor(position) {
+        const index = this.findIndex(position);
+        const item = this.items[index];
+        const next = this.items[index + 1];
+        const top = item.element.offsetTop;
+        const nextTop = next ? next.element.offsetTop : top + item.element.offsetHeight;
+        const duration = item.end - item.start;
+        // На звуковом эффекте текст стоит на месте, пока звучит эффект
+        const fraction = item.isSound || duration <= 0 ? 0 : Math.min(1, (position - item.start) / duration);
+        const maxScrollTop = this.scroller.scrollHeight - this.scroller.clientHeight;
+        return Math.max(0, Math.min(maxScrollTop, top + fraction * (nextTop - top) - this.scroller.clientHeight * READING_LINE));
+    }
+
+    /**
+     * Подсветка текущей реплики
+     * @param {number} index - Индекс реплики
+     */
+    setCurrent(index) {
+        if (index === this.currentIndex) {
+            return;
+        }
+        if (this.items[this.currentIndex]) {
+            this.items[this.currentIndex].element.classList.remove('is-current');
+            if (this.items[this.currentIndex].countdown) {
+                this.items[this.currentIndex].countdown.textContent = '';
+            }
+        }
+        this.items[index].element.classList.add('is-current');
+        this.currentIndex = index;
+    }
+
+    /**
+     * Изменение скорости прокрутки
+     * @param {number} delta - Изменение множителя скорости
+     */
+    changeSpeed(delta) {
+        const speed = Math.round((this.settings.speed + delta) * 10) / 10;
+        this.settings.speed = Math.max(SPEED_RANGE.min, Math.min(SPEED_RANGE.max, speed));
+        this.saveSettings();
+        this.applySettings();
+    }
+
+    /**
+     * Изменение размера шрифта
+     * @param {number} delta - Изменение размера в пикселях
+     */
+    changeFontSize(delta) {
+        const fontSize = this.settings.fontSize + delta;
+        this.settings.fontSize = Math.max(FONT_SIZE_RANGE.min, Math.min(FONT_SIZE_RANGE.max, fontSize));
+        this.saveSettings();
+        this.applySettings();
+        // Высота реплик изменилась - возвращаем текущую строку на линию чтения
+        this.scrollToPosition(this.position);
+    }
+
+    /**
+     * Переключение зеркального отображения (для стеклянных суфлеров)
+     */
+    toggleMirror() {
+        this.settings.mirrored = !this.settings.mirrored;
+        this.saveSettings();
+        this.applySettings();
+    }
+
+    /**
+     * Обновление иконки кнопки старт/пауза
+     */
+    updatePlayButton() {
+        if (!this.playButton) {
+            return;
+        }
+        this.playButton.innerHTML = `<i data-feather="${this.playing ? 'pause' : 'play'}"></i>`;
+        featherIconsService.update();
+    }
+
+    /**
+     * Горячие клавиши телесуфлера
+     * @param {KeyboardEvent} e - Событие клавиатуры
+     */
+    handleKeydown(e) {
+        const actions = {
+            ' ': () => this.toggle(),
+            ArrowUp: () => this.changeSpeed(SPEED_RANGE.step),
+            ArrowDown: () => this.changeSpeed(-SPEED_RANGE.step),
+            ArrowLeft: () => this.step(-1),
+            ArrowRight: () => this.step(1),
+            '[': () => this.changeFontSize(-FONT_SIZE_RANGE.step),
+            ']': () => this.changeFontSize(FONT_SIZE_RANGE.step),
+            m: () => this.toggleMirror(),
+            'ь': () => this.toggleMirror(), // M в русской раскладке
+            Escape: () => this.close()
+        };
+        const action = actions[e.key] || actions[e.key.toLowerCase()];
+        if (action && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            action();
+        }
+    }
+}
+
+// Экспорт для использования в модулях
+export { Teleprompter };
@@ -2,6 +2,7 @@ import { BaseUIComponent } from '../common/base-ui-component.js';
 import { themeManager } from '../common/theme-manager.js';
 import { logger } from '../logger.js';
 import { ModalComponent } from '../ui/modal-component.js';
+import { RoleStatsPanel } from '../ui/role-stats-panel.js';
 import { ToastComponent } from '../ui/toast-component.js';
 import { domService } from '../utils/dom-utils.js';
 import { eventService } from '../utils/event-service.js';
@@ -15,6 +16,7 @@ class ViewerUIComponents extends BaseUIComponent {
         super();
         this.viewerApp = viewerApp;
         this.logger = logger;
+        this.roleStatsPanel = null;
     }
 
     /**
@@ -57,6 +59,8 @@ class ViewerUIComponents extends BaseUIComponent {
         this.elements.set('loadJsonBtn', domService.getElement('viewerLoadJsonBtn'));
         this.elements.set('jsonFileInput', domService.getElement('viewerJsonFileInput'));
         this.elements.set('printBtn', domService.getElement('viewerPrintBtn'));
+        this.elements.set('teleprompterBtn', domService.getElement('viewerTeleprompterBtn'));
+        this.elements.set('rehearsalBtn', domService.getElement('viewerRehearsalBtn'));
         this.elements.set('themeToggleBtn', domService.getElement('viewerThemeToggleBtn'));
         this.elements.set('statsContainer', domService.getElement('viewerStatsContainer'));
     }
@@ -92,6 +96,15 @@ class ViewerUIComponents extends BaseUIComponent {
             });
         }
 
+        ['teleprompterBtn', 'rehearsalBtn'].forEach(key => {
+            const button = this.getElement(key);
+            if (button) {
+                button.safeExecute(element => {
+                    element.disabled = !hasData;
+                });
+            }
+        });
+
         // Обновляем статистику если есть данные
         if (hasData && this.viewerApp.currentData) {
             this.updateStatistics(this.viewerApp.currentData.statistics);
@@ -117,6 +130,11 @@ class ViewerUIComponents extends BaseUIComponent {
         totalDurationElement.setText(statistics.totalDurationFormatted);
         roleCountElement.setText(statistics.roleCount);
         replicaCountElement.setText(statistics.replicaCount);
+
+        if (!this.roleStatsPanel) {
+            this.roleStatsPanel = new RoleStatsPanel(document.getElementById('viewerRoleStats'));
+        }
+        this.roleStatsPanel.render(statistics.roleBreakdown, statistics.segments);
     }
 
     /**
@@ -125,7 +143,9 @@ class ViewerUIComponents extends BaseUIComponent {
      */
     updatePageTitle(scriptData) {
         if (scriptData && scriptData.roles && scriptData.replicas) {
-            const title = `Просмотр скрипта подкаста - ${scriptData.roles.length} ролей, ${scriptData.replicas.length} реплик`;
+            const title = scriptData.metadata && scriptData.metadata.title
+                ? `${scriptData.metadata.title} - Просмотр скрипта подкаста`
+                : `Просмотр скрипта подкаста - ${scriptData.roles.length} ролей, ${scriptData.replicas.length} реплик`;
             document.title = title;
         } else {
             document.title = 'Просмотр скрипта подкаста';
@@ -249,6 +269,28 @@ class ViewerUIComponents extends BaseUIComponent {
             this.eventListeners.add(unsubscribe);
         }
 
+        // Кнопка телесуфлера
+        const teleprompterBtn = this.getElement('teleprompterBtn');
+        if (teleprompterBtn && teleprompterBtn.exists()) {
+            const unsubscribe = eventService.subscribeToDOMEvent(
+                teleprompterBtn.getElement(),
+                'click',
+                () => this.viewerApp.openTeleprompter()
+            );
+            this.eventListeners.add(unsubscribe);
+        }
+
+        // Кнопка репетиции
+        const rehearsalBtn = this.getElement('rehearsalBtn');
+        if (rehearsalBtn && rehearsalBtn.exists()) {
+            const unsubscribe = eventService.subscribeToDOMEvent(
+                rehearsalBtn.getElement(),
+                'click',
+                () => this.viewerApp.openRehearsal()
+            );
+            this.eventListeners.add(unsubscribe);
+        }
+
         // Обработчик для основного файла JSON
         const jsonFileInput = this.getElement('jsonFileInput');
         if (jsonFileInput && jsonFileInput.exists()) {
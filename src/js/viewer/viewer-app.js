@@ -1,12 +1,16 @@
 
 import { themeManager } from '../common/theme-manager.js';
 import { DataService } from '../core/data-service.js';
+import { ScriptSchema } from '../core/script-schema.js';
 import { logger } from '../logger.js';
-import { ScriptData } from '../models/script-data.js';
+import { ModalComponent } from '../ui/modal-component.js';
 import { ToastComponent } from '../ui/toast-component.js';
 import { featherIconsService } from '../utils/feather-icons.js';
 
+import { Rehearsal } from './rehearsal.js';
 import { ScriptViewer } from './script-viewer.js';
+import { SpeakerFilter } from './speaker-filter.js';
+import { Teleprompter } from './teleprompter.js';
 import { ViewerUIComponents } from './ui-components.js';
 
 /**
@@ -17,6 +21,9 @@ class ViewerApp {
         this.dataService = new DataService();
         this.scriptViewer = null;
         this.uiComponents = null;
+        this.teleprompter = new Teleprompter();
+        this.rehearsal = new Rehearsal(speeds => this.updateSpeakerSpeeds(speeds));
+        this.speakerFilter = new SpeakerFilter(options => this.scriptViewer.setOptions(options));
         this.currentData = null;
         this.isInitialized = false;
         this.logger = logger;
@@ -36,6 +43,7 @@ class ViewerApp {
                 document.getElementById('viewerScriptContainer'),
                 { showStats: true, showColors: true, showRoleInfo: true }
             );
+            this.speakerFilter.render();
 
             this.uiComponents = new ViewerUIComponents(this);
             this.uiComponents.initialize();
@@ -120,8 +128,8 @@ class ViewerApp {
      */
     async handleStorageChange(data) {
         try {
-            const scriptData = new ScriptData(data);
-            if (scriptData.validate()) {
+            const scriptData = this.dataService.createScriptData(data);
+            if (scriptData) {
                 await this.loadScript(scriptData);
                 this.logger.info('Данные обновлены из localStorage', {
                     roleCount: scriptData.roles.length,
@@ -150,6 +158,9 @@ class ViewerApp {
             }
 
             this.currentData = scriptData;
+            // Фильтр из ссылки применяется до отрисовки, чтобы не показывать весь скрипт на мгновение
+            this.speakerFilter.setScript(scriptData);
+            this.scriptViewer.setOptions(this.speakerFilter.getViewerOptions(), false);
             this.scriptViewer.render(scriptData);
             this.uiComponents.updateControls({ hasData: true });
             this.uiComponents.updatePageTitle(scriptData);
@@ -224,6 +235,9 @@ class ViewerApp {
             this.storageUnsubscribe();
         }
 
+        this.teleprompter.close();
+        this.rehearsal.close();
+
         // Очищаем UI компоненты
         if (this.uiComponents) {
             this.uiComponents.cleanup();
@@ -248,7 +262,7 @@ class ViewerApp {
 
     /**
      * Сохранение текущих данных в localStorage
-     * @returns {boolean} Успешно ли сохранено
+     * @returns {Promise<boolean>} Успешно ли сохранено
      */
     saveCurrentData() {
         if (this.currentData) {
@@ -380,9 +394,14 @@ class ViewerApp {
                     fileName: file.name,
                     success: false
                 });
-                
-                // Показываем toast уведомление об ошибке
-                ToastComponent.error('Не удалось загрузить скрипт из файла.', { duration: 7000 });
+
+                // Ошибки схемы показываем списком с путями к проблемным полям
+                const errors = ScriptSchema.formatErrors(this.dataService.lastValidationErrors);
+                if (errors.length > 0) {
+                    ModalComponent.showErrorList('Файл не загружен', `Файл "${file.name}" не соответствует формату скрипта:`, errors);
+                } else {
+                    ToastComponent.error('Не удалось загрузить скрипт из файла.', { duration: 7000 });
+                }
                 return false;
             }
         } catch (error) {
@@ -414,6 +433,60 @@ class ViewerApp {
         }
     }
 
+    /**
+     * Открытие телесуфлера для текущего скрипта
+     */
+    openTeleprompter() {
+        if (!this.currentData) {
+            ToastComponent.warning('Сначала загрузите скрипт');
+            return;
+        }
+        this.teleprompter.open(this.currentData);
+    }
+
+    /**
+     * Начало репетиции текущего скрипта
+     */
+    openRehearsal() {
+        if (!this.currentData) {
+            ToastComponent.warning('Сначала загрузите скрипт');
+            return;
+        }
+        this.rehearsal.open(this.currentData);
+    }
+
+    /**
+     * Обновление скорости речи спикеров (по результатам репетиции)
+     * @param {Object} speeds - ID спикера -> слов в минуту
+     * @returns {Promise<boolean>} Успешно ли обновлено
+     */
+    async updateSpeakerSpeeds(speeds) {
+        if (!this.currentData) {
+            return false;
+        }
+
+        const data = this.currentData.toJSON();
+        const updatedNames = [];
+        // Роли копируются, чтобы не изменить текущие данные при ошибке загрузки
+        data.roles = data.roles.map(role => {
+            if (role.type !== 'speaker' || speeds[role.id] === undefined) {
+                return role;
+            }
+            updatedNames.push(role.name);
+            return { ...role, wordsPerMinute: speeds[role.id] };
+        });
+
+        const scriptData = this.dataService.createScriptData(data);
+        const success = !!scriptData && await this.loadScript(scriptData);
+        if (success) {
+            this.logger.logUserAction('обновление скорости спикеров по репетиции', { speeds });
+            ToastComponent.success(`Скорость обновлена: ${updatedNames.join(', ')}`);
+        } else {
+            ToastComponent.error('Не удалось обновить скорость спикеров');
+        }
+        return success;
+    }
+
     /**
      * Печать скрипта
      */
@@ -0,0 +1,205 @@
+import { describe, it, expect } from 'vitest';
+
+import { ScriptExporter } from '../../src/js/core/script-exporters.js';
+import { ScriptData } from '../../src/js/models/script-data.js';
+
+const HOST = { id: 'host', name: 'Анна', type: 'speaker', wordsPerMinute: 60, group: null };
+const GUEST = { id: 'guest', name: 'Борис', type: 'speaker', wordsPerMinute: 60, group: null };
+const JINGLE = { id: 'jingle', name: 'Джингл', type: 'sound', duration: 5, group: null };
+
+/**
+ * Данные скрипта для экспорта (скорость 60 слов в минуту - одно слово в секунду)
+ * @param {Array} replicas - Реплики [roleId, text, segmentId]
+ * @param {Object} extra - Метаданные и разделы
+ * @returns {ScriptData} Данные скрипта
+ */
+function createScript(replicas, extra = {}) {
+    return new ScriptData({
+        roles: [HOST, GUEST, JINGLE],
+        replicas: replicas.map(([roleId, text, segmentId = null], index) => ({ id: `p${index + 1}`, roleId, text, segmentId })),
+        version: '1.4',
+        ...extra
+    });
+}
+
+const DIALOG = [
+    ['host', 'Привет всем'],
+    ['host', 'Это второй абзац'],
+    ['jingle', 'Перебивка'],
+    ['guest', 'Здравствуйте\nРад быть здесь'],
+    [null, 'Текст без роли']
+];
+
+describe('ScriptExporter.toMarkdown', () => {
+    it('объединяет реплики одного спикера под одним заголовком', () => {
+        const markdown = ScriptExporter.toMarkdown(createScript(DIALOG), { title: 'Черновик' });
+
+        expect(markdown).toBe([
+            '# Черновик',
+            '',
+            '- Длительность: 0:14',
+            '- Слов: 9',
+            '- Реплик: 5',
+            '',
+            '## Анна',
+            '',
+            'Привет всем',
+            '',
+            'Это второй абзац',
+            '',
+            '> 🔊 *Звук: Джингл (5 сек)* — Перебивка',
+            '',
+            '## Борис',
+            '',
+            'Здравствуйте\nРад быть здесь',
+            '',
+            '## Без роли',
+            '',
+            'Текст без роли',
+            ''
+        ].join('\n'));
+    });
+
+    it('выводит метаданные выпуска', () => {
+        const script = createScript([['host', 'Привет']], {
+            metadata: { title: 'Выпуск о звуке', showName: 'Подкаст', authors: ['Анна', 'Борис'], description: 'Описание' }
+        });
+        const markdown = ScriptExporter.toMarkdown(script, { title: 'Черновик' });
+
+        expect(markdown.split('\n').slice(0, 9)).toEqual([
+            '# Выпуск о звуке',
+            '',
+            '*Подкаст*',
+            '',
+            '- Авторы: Анна, Борис',
+            '- Длительность: 0:01',
+            '- Слов: 1',
+            '- Реплик: 1',
+            ''
+        ]);
+        expect(markdown).toContain('\nОписание\n');
+    });
+
+    it('оставляет все строки многострочного описания звука внутри цитаты', () => {
+        const markdown = ScriptExporter.toMarkdown(createScript([['jingle', 'Первая строка\n\nТретья строка']]));
+
+        expect(markdown).toContain([
+            '> 🔊 *Звук: Джингл (5 сек)* — Первая строка',
+            '>',
+            '> Третья строка'
+        ].join('\n'));
+    });
+});
+
+describe('ScriptExporter.toPlainText', () => {
+    it('пишет реплики в виде "ИМЯ: текст" и выравнивает продолжение строк', () => {
+        const text = ScriptExporter.toPlainText(createScript(DIALOG));
+
+        expect(text).toBe([
+            'Анна: Привет всем',
+            'Анна: Это второй абзац',
+            '[Звук: Джингл (5 сек)] Перебивка',
+            'Борис: Здравствуйте\n       Рад быть здесь',
+            'Без роли: Текст без роли'
+        ].join('\n\n') + '\n');
+    });
+});
+
+describe('ScriptExporter.toFountain', () => {
+    it('пишет спикеров персонажами, а звуки переходами', () => {
+        const fountain = ScriptExporter.toFountain(createScript(DIALOG, { metadata: { description: 'Строка 1\nСтрока 2' } }), {
+            title: 'Черновик'
+        });
+        const [titlePage, ...body] = fountain.split('\n\n');
+
+        expect(titlePage).toMatch(/^Title: Черновик\nDraft date: .+\nNotes:\n {4}Строка 1\n {4}Строка 2$/);
+        expect(body).toEqual([
+            '@АННА\nПривет всем',
+            '@АННА\nЭто второй абзац',
+            '> ЗВУК: ДЖИНГЛ (5 СЕК)',
+            '!Перебивка',
+            '@БОРИС\nЗдравствуйте\nРад быть здесь',
+            '@БЕЗ РОЛИ\nТекст без роли\n'
+        ]);
+    });
+
+    it('заменяет пустые строки внутри реплики, чтобы не завершать диалог', () => {
+        const fountain = ScriptExporter.toFountain(createScript([['host', 'Первый\n\nВторой']]));
+        expect(fountain).toContain('@АННА\nПервый\n  \nВторой\n');
+    });
+});
+
+describe('ScriptExporter.export', () => {
+    it('отклоняет неизвестный формат', () => {
+        expect(() => ScriptExporter.export(createScript(DIALOG), 'docx')).toThrow('docx');
+    });
+
+    it('форматирует звуковой эффект без длительности', () => {
+        expect(ScriptExporter.formatSoundEffect({ name: 'Шум', duration: 0 })).toBe('Звук: Шум');
+    });
+});
+
+describe('ScriptExporter.getChapters', () => {
+    const CUES = [
+        ['host', 'Привет [pause 11s]'],
+        ['jingle', 'Новости & события\nподробности'],
+        ['jingle', ''],
+        ['guest', 'Текст [pause 14s]'],
+        ['jingle', '']
+    ];
+
+    it('без разделов начинает главу с каждой серии звуковых эффектов', () => {
+        expect(ScriptExporter.getChapters(createScript(CUES))).toEqual([
+            { start: 0, end: 12, title: 'Вступление', toc: true },
+            { start: 12, end: 37, title: 'Новости & события', toc: true },
+            { start: 37, end: 42, title: 'Джингл', toc: true }
+        ]);
+    });
+
+    it('использует разделы скрипта и скрывает рекламу из оглавления', () => {
+        const script = createScript([
+            ['host', 'Привет [pause 9s]', 's1'],
+            ['jingle', 'Реклама', 's2'],
+            ['guest', 'Основная часть [pause 18s]', 's3']
+        ], {
+            segments: [
+                { id: 's1', title: 'Интро', kind: 'intro' },
+                { id: 's2', title: 'Спонсор', kind: 'ad' },
+                { id: 's3', title: 'Интервью', kind: 'interview' },
+                { id: 's4', title: 'Пустой раздел', kind: 'outro' }
+            ]
+        });
+
+        expect(ScriptExporter.getChapters(script)).toEqual([
+            { start: 0, end: 10, title: 'Интро', toc: true },
+            { start: 10, end: 15, title: 'Спонсор', toc: false },
+            { start: 15, end: 35, title: 'Интервью', toc: true }
+        ]);
+    });
+
+    it('выводит главы в форматах Podcasting 2.0, Podlove и YouTube', () => {
+        const script = createScript(CUES, { metadata: { title: 'Выпуск', showName: 'Подкаст', authors: ['Анна'] } });
+
+        expect(JSON.parse(ScriptExporter.toChaptersJSON(script))).toEqual({
+            version: '1.2.0',
+            title: 'Выпуск',
+            podcastName: 'Подкаст',
+            author: 'Анна',
+            chapters: [
+                { startTime: 0, endTime: 12, title: 'Вступление' },
+                { startTime: 12, endTime: 37, title: 'Новости & события' },
+                { startTime: 37, endTime: 42, title: 'Джингл' }
+            ]
+        });
+        expect(ScriptExporter.toPodloveChapters(script)).toContain(
+            '    <psc:chapter start="00:00:12.000" title="Новости &amp; события"/>'
+        );
+        expect(ScriptExporter.toYouTubeChapters(script)).toBe('00:00 Вступление\n00:12 Новости & события\n00:37 Джингл\n');
+    });
+
+    it('добавляет часы в таймкоды YouTube для длинных выпусков', () => {
+        expect(ScriptExporter.formatYouTubeTimestamp(3725, true)).toBe('1:02:05');
+        expect(ScriptExporter.formatYouTubeTimestamp(65, false)).toBe('01:05');
+        expect(ScriptExporter.formatNormalPlayTime(3725)).toBe('01:02:05.000');
+    });
+});
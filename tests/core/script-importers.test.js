@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+
+import { ScriptImporter, MAPPING_NEW_ROLE, MAPPING_SKIP } from '../../src/js/core/script-importers.js';
+import { ScriptSchema } from '../../src/js/core/script-schema.js';
+
+const TRANSCRIPT = [
+    '# Выпуск 12',
+    '',
+    '[00:00:05] Анна: Привет всем!',
+    'Сегодня говорим о подкастах.',
+    '',
+    'Второй абзац Анны.',
+    '[SFX: Джингл (5 сек)] перебивка',
+    '**Борис:** Здравствуйте.',
+    '> 🔊 *Звук: Аплодисменты (2,5 сек)* — в студии',
+    'Борис:'
+].join('\n');
+
+describe('ScriptImporter.parse', () => {
+    it('находит заголовок, реплики спикеров и звуковые эффекты', () => {
+        const parsed = ScriptImporter.parse(TRANSCRIPT);
+
+        expect(parsed.title).toBe('Выпуск 12');
+        expect(parsed.entries).toEqual([
+            { type: 'speaker', name: 'Анна', text: 'Привет всем!\nСегодня говорим о подкастах.' },
+            { type: 'speaker', name: 'Анна', text: 'Второй абзац Анны.' },
+            { type: 'sound', name: 'Джингл', duration: 5, text: 'перебивка' },
+            { type: 'speaker', name: 'Борис', text: 'Здравствуйте.' },
+            { type: 'sound', name: 'Аплодисменты', duration: 2.5, text: 'в студии' }
+        ]);
+    });
+
+    it('собирает найденные имена с количеством реплик', () => {
+        const { names } = ScriptImporter.parse(TRANSCRIPT);
+
+        expect(names.map(({ key, count }) => ({ key, count }))).toEqual([
+            { key: 'speaker:анна', count: 2 },
+            { key: 'sound:джингл', count: 1 },
+            { key: 'speaker:борис', count: 1 },
+            { key: 'sound:аплодисменты', count: 1 }
+        ]);
+    });
+
+    it('использует заголовки второго уровня как имя спикера', () => {
+        const parsed = ScriptImporter.parse('## Анна\n\nПервый абзац.\n\nВторой абзац.');
+
+        expect(parsed.title).toBeNull();
+        expect(parsed.entries.map(entry => entry.name)).toEqual(['Анна', 'Анна']);
+    });
+
+    it('оставляет текст без спикера без имени', () => {
+        const parsed = ScriptImporter.parse('Просто текст без спикера.');
+
+        expect(parsed.entries).toEqual([{ type: 'speaker', name: null, text: 'Просто текст без спикера.' }]);
+        expect(parsed.names[0].key).toBe('speaker:');
+    });
+});
+
+describe('ScriptImporter.isSpeakerName', () => {
+    it('отличает имя от обычного текста с двоеточием', () => {
+        expect(ScriptImporter.isSpeakerName('Анна Петровна')).toBe(true);
+        expect(ScriptImporter.isSpeakerName('Вот что я скажу вам всем')).toBe(false);
+        expect(ScriptImporter.isSpeakerName('https')).toBe(false);
+        expect(ScriptImporter.isSpeakerName('  ')).toBe(false);
+    });
+});
+
+describe('ScriptImporter.isTranscriptFile', () => {
+    it('проверяет расширение файла', () => {
+        expect(ScriptImporter.isTranscriptFile('episode.TXT')).toBe(true);
+        expect(ScriptImporter.isTranscriptFile({ name: 'notes.md' })).toBe(true);
+        expect(ScriptImporter.isTranscriptFile('script.json')).toBe(false);
+        expect(ScriptImporter.isTranscriptFile('md')).toBe(false);
+    });
+});
+
+describe('ScriptImporter.suggestMapping', () => {
+    it('сопоставляет имена с ролями того же типа без учета регистра', () => {
+        const parsed = ScriptImporter.parse('Без спикера\n\nАННА: Привет\n[SFX: Анна]\nБорис: Пока');
+        const roles = [{ id: 'r1', name: 'анна', type: 'speaker' }];
+
+        expect(ScriptImporter.suggestMapping(parsed, roles)).toEqual({
+            'speaker:анна': 'r1',
+            'sound:анна': MAPPING_NEW_ROLE,
+            'speaker:': MAPPING_SKIP,
+            'speaker:борис': MAPPING_NEW_ROLE
+        });
+    });
+});
+
+describe('ScriptImporter.buildImportData', () => {
+    it('создает новые роли и добавляет реплики к существующим данным', () => {
+        const parsed = ScriptImporter.parse(TRANSCRIPT);
+        const base = {
+            roles: [{ id: 'r1', name: 'Анна', type: 'speaker', wordsPerMinute: 120, group: null }],
+            replicas: [],
+            segments: [{ id: 's1', title: 'Вступление' }, { id: 's2', title: 'Основная часть' }],
+            metadata: { title: 'Текущий выпуск' }
+        };
+        const mapping = {
+            ...ScriptImporter.suggestMapping(parsed, base.roles),
+            'sound:аплодисменты': MAPPING_SKIP
+        };
+        const data = ScriptImporter.buildImportData(parsed, mapping, base);
+
+        expect(data.importedReplicaCount).toBe(4);
+        expect(data.createdRoleCount).toBe(2);
+        expect(data.metadata).toEqual({ title: 'Текущий выпуск' });
+
+        const jingle = data.roles.find(role => role.name === 'Джингл');
+        expect(jingle).toMatchObject({ type: 'sound', duration: 5 });
+        expect(data.roles.map(role => role.name)).toEqual(['Анна', 'Джингл', 'Борис']);
+        expect(data.replicas.map(replica => replica.roleId)).toEqual(['r1', 'r1', jingle.id, data.roles[2].id]);
+        expect(data.replicas.every(replica => replica.segmentId === 's2')).toBe(true);
+        expect(ScriptSchema.validate(data).valid).toBe(true);
+    });
+
+    it('берет название выпуска из заголовка транскрипта', () => {
+        const parsed = ScriptImporter.parse(TRANSCRIPT);
+        const data = ScriptImporter.buildImportData(parsed, ScriptImporter.suggestMapping(parsed, []));
+
+        expect(data.metadata).toEqual({ title: 'Выпуск 12' });
+        expect(data.createdRoleCount).toBe(4);
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+
+import { ScriptSchema, SCRIPT_FORMAT_VERSION } from '../../src/js/core/script-schema.js';
+
+/**
+ * Скрипт версии 1.0 - без версии, метаданных, разделов и групп ролей
+ */
+function legacyScript() {
+    return {
+        roles: [
+            { id: 'r1', name: 'Ведущий', type: 'speaker', wordsPerMinute: '150' },
+            { id: 'r2', name: 'Джингл', type: 'sound', duration: -5 }
+        ],
+        replicas: [
+            { id: 'p1', roleId: 'r1', text: 'Привет' },
+            { id: 'p2', roleId: '', text: 'Без роли' },
+            { id: 'p3', text: 'Тоже без роли' }
+        ]
+    };
+}
+
+describe('ScriptSchema.compareVersions', () => {
+    it('сравнивает версии по числовым частям', () => {
+        expect(ScriptSchema.compareVersions('1.0', '1.1')).toBeLessThan(0);
+        expect(ScriptSchema.compareVersions('1.10', '1.2')).toBeGreaterThan(0);
+        expect(ScriptSchema.compareVersions('1.0', '1')).toBe(0);
+    });
+});
+
+describe('ScriptSchema.migrate', () => {
+    it('применяет все миграции к файлу без версии', () => {
+        const source = legacyScript();
+        const result = ScriptSchema.migrate(source);
+
+        expect(result.fromVersion).toBe('1.0');
+        expect(result.errors).toEqual([]);
+        expect(result.applied).toEqual(['1.0 → 1.1', '1.1 → 1.2', '1.2 → 1.3', '1.3 → 1.4']);
+        expect(result.data.version).toBe(SCRIPT_FORMAT_VERSION);
+        expect(result.data.roles[0]).toMatchObject({ wordsPerMinute: 150, group: null });
+        expect(result.data.roles[1]).toMatchObject({ duration: 0, group: null });
+        expect(result.data.replicas.map(replica => replica.roleId)).toEqual(['r1', null, null]);
+        expect(result.data.metadata).toEqual({});
+        expect(result.data.segments).toEqual([]);
+    });
+
+    it('не изменяет исходные данные', () => {
+        const source = legacyScript();
+        ScriptSchema.migrate(source);
+        expect(source).toEqual(legacyScript());
+    });
+
+    it('применяет только недостающие миграции', () => {
+        const source = { ...legacyScript(), version: '1.2', metadata: { title: 'Выпуск' } };
+        const result = ScriptSchema.migrate(source);
+
+        expect(result.applied).toEqual(['1.2 → 1.3', '1.3 → 1.4']);
+        expect(result.data.metadata).toEqual({ title: 'Выпуск' });
+        // Миграция 1.0 → 1.1 не применялась
+        expect(result.data.roles[0].wordsPerMinute).toBe('150');
+    });
+
+    it('возвращает данные текущей версии без изменений', () => {
+        const source = { ...legacyScript(), version: SCRIPT_FORMAT_VERSION };
+        const result = ScriptSchema.migrate(source);
+
+        expect(result.applied).toEqual([]);
+        expect(result.data).toBe(source);
+    });
+
+    it('отклоняет файлы более новой версии и некорректные версии', () => {
+        expect(ScriptSchema.migrate({ ...legacyScript(), version: '2.0' }).errors[0].path).toBe('version');
+        expect(ScriptSchema.migrate({ ...legacyScript(), version: 'beta' }).errors[0].path).toBe('version');
+    });
+});
+
+describe('ScriptSchema.validate', () => {
+    it('принимает корректные данные', () => {
+        const { data } = ScriptSchema.migrate(legacyScript());
+        expect(ScriptSchema.validate(data)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('указывает путь к ошибке', () => {
+        const data = {
+            roles: [
+                { id: 'r1', name: 'Ведущий', type: 'speaker', group: 'band' },
+                { id: 'r1', name: '', type: 'voice' }
+            ],
+            replicas: [
+                { id: 'p1', roleId: 'missing', text: 'Текст' },
+                { id: 'p2', roleId: 'r1', text: 42, pace: 0 }
+            ]
+        };
+        const paths = ScriptSchema.validate(data).errors.map(error => error.path);
+
+        expect(paths).toEqual([
+            'roles[0].group',
+            'roles[1].id',
+            'roles[1].name',
+            'roles[1].type',
+            'replicas[0].roleId',
+            'replicas[1].text',
+            'replicas[1].pace'
+        ]);
+    });
+
+    it('проверяет метаданные и разделы', () => {
+        const data = {
+            roles: [],
+            replicas: [{ id: 'p1', roleId: null, text: '', segmentId: 's2' }],
+            metadata: { season: 0, airDate: '01.02.2024', authors: ['Анна', 7] },
+            segments: [{ id: 's1', kind: 'talk', targetDuration: -1 }]
+        };
+        const paths = ScriptSchema.validate(data).errors.map(error => error.path);
+
+        expect(paths).toEqual([
+            'metadata.season',
+            'metadata.airDate',
+            'metadata.authors[1]',
+            'segments[0].kind',
+            'segments[0].targetDuration',
+            'replicas[0].segmentId'
+        ]);
+    });
+
+    it('отклоняет данные без массивов ролей и реплик', () => {
+        expect(ScriptSchema.validate(null).valid).toBe(false);
+        expect(ScriptSchema.validate({ roles: {} }).errors.map(error => error.path)).toEqual(['roles', 'replicas']);
+    });
+});
+
+describe('ScriptSchema.prepare', () => {
+    it('мигрирует и проверяет данные за один шаг', () => {
+        const result = ScriptSchema.prepare(legacyScript());
+        expect(result.valid).toBe(true);
+        expect(result.fromVersion).toBe('1.0');
+        expect(result.data.version).toBe(SCRIPT_FORMAT_VERSION);
+    });
+
+    it('возвращает ошибку миграции вместо проверки', () => {
+        const result = ScriptSchema.prepare({ ...legacyScript(), version: '9.9' });
+        expect(result.valid).toBe(false);
+        expect(ScriptSchema.formatErrors(result.errors)[0]).toMatch(/^version: /);
+    });
+});
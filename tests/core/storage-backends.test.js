@@ -0,0 +1,104 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+import { IndexedDBBackend, LocalStorageBackend, createStorageBackend } from '../../src/js/core/storage-backends.js';
+
+const openedBackends = [];
+
+/**
+ * Открытие хранилища IndexedDB (каждый вызов - отдельная вкладка)
+ * @returns {Promise<IndexedDBBackend>} Хранилище
+ */
+async function openTab() {
+    const backend = new IndexedDBBackend();
+    await backend.init();
+    openedBackends.push(backend);
+    return backend;
+}
+
+beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+    localStorage.clear();
+});
+
+afterEach(() => {
+    openedBackends.splice(0).forEach(backend => {
+        backend.channel?.close();
+        backend.db.close();
+    });
+});
+
+describe('LocalStorageBackend', () => {
+    it('хранит значения в localStorage', async () => {
+        const backend = new LocalStorageBackend();
+        await backend.init();
+
+        expect(await backend.setItem('script', 42)).toBe(true);
+        expect(localStorage.getItem('script')).toBe('42');
+        expect(backend.keys()).toEqual(['script']);
+
+        await backend.removeItem('script');
+        expect(backend.getItem('script')).toBeNull();
+    });
+});
+
+describe('IndexedDBBackend', () => {
+    it('сохраняет значения в базу и читает их после повторного открытия', async () => {
+        const first = await openTab();
+        expect(await first.setItem('script', '{"roles":[]}')).toBe(true);
+
+        const second = await openTab();
+        expect(second.getItem('script')).toBe('{"roles":[]}');
+    });
+
+    it('читает оставшиеся в localStorage значения и переносит их в базу при записи', async () => {
+        localStorage.setItem('legacy', 'old');
+        const backend = await openTab();
+
+        expect(backend.getItem('legacy')).toBe('old');
+        expect(backend.keys()).toContain('legacy');
+
+        await backend.setItem('legacy', 'new');
+        expect(localStorage.getItem('legacy')).toBeNull();
+        expect(backend.getItem('legacy')).toBe('new');
+    });
+
+    it('перечитывает значение, измененное другой вкладкой', async () => {
+        const first = await openTab();
+        const second = await openTab();
+
+        await second.setItem('index', 'from second tab');
+        expect(await first.reload('index')).toBe('from second tab');
+
+        await second.removeItem('index');
+        expect(await first.reload('index')).toBeNull();
+    });
+
+    it('сообщает другим вкладкам об изменениях', async () => {
+        const first = await openTab();
+        const second = await openTab();
+        const changed = new Promise(resolve => first.onExternalChange(resolve));
+
+        await second.setItem('index', 'updated');
+
+        expect(await changed).toBe('index');
+        expect(first.getItem('index')).toBe('updated');
+    });
+
+    it('дожидается незавершенных записей', async () => {
+        const backend = await openTab();
+        backend.setItem('first', '1');
+        backend.setItem('second', '2');
+
+        expect(await backend.flush()).toBe(true);
+        expect(backend.pendingWrites.size).toBe(0);
+    });
+});
+
+describe('createStorageBackend', () => {
+    it('использует localStorage, если IndexedDB не выбран', async () => {
+        const backend = await createStorageBackend({ preferIndexedDB: false });
+        expect(backend).toBeInstanceOf(LocalStorageBackend);
+    });
+});
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+
+import { SoundEffect, Speaker } from '../../src/js/models/role.js';
+
+describe('Role.convert', () => {
+    it('сохраняет ID, имя, группу и цвет при смене типа', () => {
+        const speaker = new Speaker('Анна', 150);
+        speaker.group = 'hosts';
+        speaker.color = '#ff0000';
+
+        const sound = speaker.convert({ duration: 5 });
+        expect(sound).toBeInstanceOf(SoundEffect);
+        expect(sound).toMatchObject({ id: speaker.id, name: 'Анна', group: 'hosts', color: '#ff0000', duration: 5 });
+        expect(sound.createdAt).toBe(speaker.createdAt);
+
+        const back = sound.convert({ wordsPerMinute: 140 });
+        expect(back).toBeInstanceOf(Speaker);
+        expect(back).toMatchObject({ id: speaker.id, color: '#ff0000', wordsPerMinute: 140 });
+    });
+});
+
+describe('Role.normalizeGroup', () => {
+    it('оставляет только известные группы', () => {
+        expect(Speaker.normalizeGroup('guests')).toBe('guests');
+        expect(Speaker.normalizeGroup('band')).toBeNull();
+        expect(Speaker.normalizeGroup('toString')).toBeNull();
+    });
+});
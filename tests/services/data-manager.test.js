@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+
+import { Replica } from '../../src/js/models/replica.js';
+import { Speaker } from '../../src/js/models/role.js';
+import { DataManager } from '../../src/js/services/data-manager.js';
+
+/**
+ * Менеджер данных с одним спикером и одной репликой
+ */
+function createDataManager() {
+    const dataManager = new DataManager();
+    const host = new Speaker('Анна', 120);
+    host.id = 'host';
+    dataManager.addRole(host);
+    dataManager.addReplica(new Replica('Привет', 'host'));
+    dataManager.history.clear();
+    return dataManager;
+}
+
+/**
+ * Импортируемая копия спикера "Анна" с другим ID (совпадает по имени)
+ */
+function importedHost(dataManager, changes = {}) {
+    return { ...dataManager.roleManager.findById('host').toJSON(), id: 'imported-host', ...changes };
+}
+
+describe('DataManager.mergeData', () => {
+    it('сопоставляет совпадающую роль без конфликта со своей', () => {
+        const dataManager = createDataManager();
+        const result = dataManager.mergeData({
+            roles: [importedHost(dataManager)],
+            replicas: [{ id: 'p2', roleId: 'imported-host', text: 'Пока' }]
+        }, { resolutions: { 'imported-host': 'both' } });
+
+        expect(result).toEqual({ addedRoleCount: 0, updatedRoleCount: 0, addedReplicaCount: 1 });
+        expect(dataManager.replicaManager.getAll().map(replica => replica.roleId)).toEqual(['host', 'host']);
+    });
+
+    it('применяет выбранное разрешение только к конфликтующим ролям', () => {
+        const dataManager = createDataManager();
+        const result = dataManager.mergeData({
+            roles: [importedHost(dataManager, { wordsPerMinute: 150 })],
+            replicas: []
+        }, { resolutions: { 'imported-host': 'theirs' } });
+
+        expect(result.updatedRoleCount).toBe(1);
+        expect(dataManager.roleManager.findById('host')).toMatchObject({ name: 'Анна', wordsPerMinute: 150 });
+    });
+
+    it('добавляет обе роли по принудительному разрешению даже без конфликта', () => {
+        const dataManager = createDataManager();
+        const result = dataManager.mergeData({
+            roles: [importedHost(dataManager)],
+            replicas: [{ id: 'p2', roleId: 'imported-host', text: 'Пока' }]
+        }, { forcedResolutions: { 'imported-host': 'both' } });
+
+        const added = dataManager.roleManager.getAll().find(role => role.id !== 'host');
+        expect(result.addedRoleCount).toBe(1);
+        expect(added.name).toBe('Анна (2)');
+        expect(dataManager.replicaManager.getAll()[1].roleId).toBe(added.id);
+    });
+
+    it('отменяет слияние одним шагом', () => {
+        const dataManager = createDataManager();
+        dataManager.mergeData({
+            roles: [{ id: 'guest', name: 'Борис', type: 'speaker', wordsPerMinute: 150 }],
+            replicas: [
+                { id: 'p2', roleId: 'guest', text: 'Здравствуйте' },
+                { id: 'p3', roleId: 'missing', text: 'Без роли' }
+            ]
+        }, { position: 0 });
+
+        expect(dataManager.replicaManager.getAll().map(replica => replica.roleId)).toEqual(['guest', null, 'host']);
+
+        dataManager.history.undo();
+        expect(dataManager.roleManager.getAll().map(role => role.id)).toEqual(['host']);
+        expect(dataManager.replicaManager.size()).toBe(1);
+    });
+
+    it('отклоняет данные без ролей и реплик', () => {
+        expect(createDataManager().mergeData({ roles: [] })).toBeNull();
+    });
+});
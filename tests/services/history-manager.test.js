@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+
+import { HistoryManager } from '../../src/js/services/history-manager.js';
+
+/**
+ * Команда, изменяющая значение в объекте состояния
+ */
+function setValue(state, value, mergeKey) {
+    const previous = state.value;
+    return {
+        label: `значение ${value}`,
+        mergeKey,
+        execute: () => { state.value = value; },
+        undo: () => { state.value = previous; }
+    };
+}
+
+describe('HistoryManager', () => {
+    it('выполняет команду, отменяет и повторяет ее', () => {
+        const state = { value: 0 };
+        const history = new HistoryManager();
+
+        history.execute(setValue(state, 1));
+        expect(state.value).toBe(1);
+        expect(history.canUndo()).toBe(true);
+
+        history.undo();
+        expect(state.value).toBe(0);
+        expect(history.canRedo()).toBe(true);
+
+        history.redo();
+        expect(state.value).toBe(1);
+        expect(history.getState()).toEqual({
+            undoSize: 1,
+            redoSize: 0,
+            nextUndo: 'значение 1',
+            nextRedo: null
+        });
+    });
+
+    it('возвращает null, если отменять или повторять нечего', () => {
+        const history = new HistoryManager();
+        expect(history.undo()).toBeNull();
+        expect(history.redo()).toBeNull();
+    });
+
+    it('объединяет команды с одинаковым mergeKey в один шаг отмены', () => {
+        const state = { value: '' };
+        const history = new HistoryManager();
+
+        history.execute(setValue(state, 'П', 'replica-1'));
+        history.execute(setValue(state, 'Пр', 'replica-1'));
+        history.execute(setValue(state, 'При', 'replica-1'));
+        expect(history.getState().undoSize).toBe(1);
+
+        history.undo();
+        expect(state.value).toBe('');
+
+        history.redo();
+        expect(state.value).toBe('При');
+    });
+
+    it('не объединяет команды с разными mergeKey или без ключа', () => {
+        const state = { value: '' };
+        const history = new HistoryManager();
+
+        history.execute(setValue(state, 'а', 'replica-1'));
+        history.execute(setValue(state, 'б', 'replica-2'));
+        history.execute(setValue(state, 'в'));
+        history.execute(setValue(state, 'г'));
+        expect(history.getState().undoSize).toBe(4);
+    });
+
+    it('не объединяет команду с шагом, восстановленным после отмены', () => {
+        const state = { value: '' };
+        const history = new HistoryManager();
+
+        history.execute(setValue(state, 'а', 'replica-1'));
+        history.execute(setValue(state, 'б', 'other'));
+        history.undo();
+        history.execute(setValue(state, 'в', 'replica-1'));
+
+        expect(history.getState().undoSize).toBe(2);
+        history.undo();
+        expect(state.value).toBe('а');
+    });
+
+    it('очищает стек повтора при новой команде', () => {
+        const state = { value: 0 };
+        const history = new HistoryManager();
+
+        history.execute(setValue(state, 1));
+        history.undo();
+        history.execute(setValue(state, 2));
+
+        expect(history.canRedo()).toBe(false);
+        expect(history.redo()).toBeNull();
+        expect(state.value).toBe(2);
+    });
+
+    it('не записывает команды во время отмены и повтора', () => {
+        const state = { value: 0 };
+        const history = new HistoryManager();
+        const nested = setValue(state, 5);
+
+        history.execute({
+            label: 'вложенная запись',
+            execute: () => { state.value = 1; },
+            undo: () => {
+                state.value = 0;
+                history.push(nested);
+            }
+        });
+        history.undo();
+
+        expect(history.getState()).toMatchObject({ undoSize: 0, redoSize: 1 });
+    });
+
+    it('ограничивает размер истории', () => {
+        const state = { value: 0 };
+        const history = new HistoryManager(3);
+
+        for (let i = 1; i <= 5; i++) {
+            history.execute(setValue(state, i));
+        }
+        expect(history.getState().undoSize).toBe(3);
+
+        while (history.undo()) {
+            // Отменяем все доступные шаги
+        }
+        expect(state.value).toBe(2);
+    });
+
+    it('очищает историю', () => {
+        const state = { value: 0 };
+        const history = new HistoryManager();
+
+        history.execute(setValue(state, 1));
+        history.undo();
+        history.clear();
+
+        expect(history.canUndo()).toBe(false);
+        expect(history.canRedo()).toBe(false);
+    });
+});
@@ -0,0 +1,5 @@
+import { logger } from '../src/js/logger.js';
+
+// Логгер регистрирует себя в window - модели используют его как глобальную переменную.
+// В тестах вывод в консоль не нужен.
+logger.setEnabled(false);
@@ -0,0 +1,66 @@
+import { describe, it, expect, afterEach } from 'vitest';
+
+import { EventService } from '../../src/js/utils/event-service.js';
+
+const unsubscribes = [];
+
+/**
+ * Нажатие клавиши на элементе
+ */
+function press(target, init) {
+    target.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init }));
+}
+
+afterEach(() => {
+    unsubscribes.splice(0).forEach(unsubscribe => unsubscribe());
+    document.body.innerHTML = '';
+});
+
+describe('EventService.subscribeToKeyboardShortcuts', () => {
+    it('срабатывает по физической клавише в русской раскладке', () => {
+        const calls = [];
+        const service = new EventService();
+        unsubscribes.push(...service.subscribeToKeyboardShortcuts({
+            'Ctrl+Z': () => calls.push('undo'),
+            'Ctrl+Shift+Z': () => calls.push('redo'),
+            'Ctrl+F': () => calls.push('search')
+        }));
+
+        press(document.body, { key: 'я', code: 'KeyZ', ctrlKey: true });
+        press(document.body, { key: 'Я', code: 'KeyZ', ctrlKey: true, shiftKey: true });
+        press(document.body, { key: 'а', code: 'KeyF', ctrlKey: true });
+        press(document.body, { key: 'z', code: 'KeyY', ctrlKey: true });
+
+        expect(calls).toEqual(['undo', 'redo', 'search']);
+    });
+
+    it('сравнивает цифры по основному и цифровому блоку, остальные клавиши - по значению', () => {
+        const calls = [];
+        const service = new EventService();
+        unsubscribes.push(...service.subscribeToKeyboardShortcuts({
+            'Alt+1': () => calls.push('digit'),
+            'Delete': () => calls.push('delete')
+        }));
+
+        press(document.body, { key: '!', code: 'Digit1', altKey: true });
+        press(document.body, { key: '1', code: 'Numpad1', altKey: true });
+        press(document.body, { key: 'Delete', code: 'Delete' });
+
+        expect(calls).toEqual(['digit', 'digit', 'delete']);
+    });
+
+    it('не перехватывает сочетания в полях ввода, если это запрошено', () => {
+        const calls = [];
+        const service = new EventService();
+        const textarea = document.createElement('textarea');
+        document.body.appendChild(textarea);
+        unsubscribes.push(...service.subscribeToKeyboardShortcuts({
+            'Ctrl+Z': () => calls.push('undo')
+        }, { ignoreEditable: true }));
+
+        press(textarea, { key: 'z', code: 'KeyZ', ctrlKey: true });
+        press(document.body, { key: 'z', code: 'KeyZ', ctrlKey: true });
+
+        expect(calls).toEqual(['undo']);
+    });
+});
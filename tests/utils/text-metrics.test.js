@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+
+import { TextMetrics, textMetrics } from '../../src/js/utils/text-metrics.js';
+
+const wordCount = (text, language) => textMetrics.analyze(text, language).wordCount;
+
+describe('TextMetrics.analyze', () => {
+    it('считает обычные слова и слова через дефис', () => {
+        expect(wordCount('Привет, как дела?')).toBe(3);
+        expect(wordCount('Кто-то сказал что-нибудь')).toBe(3);
+        expect(wordCount('')).toBe(0);
+    });
+
+    it('считает паузы и не произносит маркеры', () => {
+        const result = textMetrics.analyze('Раз [pause 2s] два [пауза 1,5 сек] три [pause 500ms] [pause]');
+
+        expect(result.wordCount).toBe(3);
+        expect(result.pauseDuration).toBeCloseTo(5);
+    });
+
+    it('пропускает режиссерские пометки', () => {
+        const result = textMetrics.analyze('Да [смеется] конечно {музыка затихает}');
+
+        expect(result.wordCount).toBe(2);
+        expect(result.directionCount).toBe(2);
+    });
+
+    it('считает числа словами произношения', () => {
+        expect(wordCount('42', 'ru')).toBe(2);
+        expect(wordCount('100', 'ru')).toBe(1);
+        expect(wordCount('1 000 000', 'ru')).toBe(2);
+        expect(wordCount('3,14', 'ru')).toBe(3);
+        expect(wordCount('1990-х', 'ru')).toBe(wordCount('1990', 'ru'));
+    });
+
+    it('читает числа по правилам языка', () => {
+        expect(wordCount('250', 'ru')).toBe(2);
+        // two hundred fifty
+        expect(wordCount('250', 'en')).toBe(3);
+        // "2,500" в английском - группы разрядов, в русском - дробь
+        expect(wordCount('2,500', 'en')).toBe(4);
+        expect(wordCount('2,500', 'ru')).toBe(3);
+        expect(wordCount('2,5', 'ru')).toBe(3);
+    });
+
+    it('раскрывает сокращения без учета регистра', () => {
+        expect(wordCount('Т.е. всё', 'ru')).toBe(3);
+        expect(wordCount('apples, oranges etc.', 'en')).toBe(4);
+    });
+
+    it('читает адреса сайтов и почты по частям', () => {
+        expect(wordCount('Заходите на podcast.fm')).toBe(5);
+        expect(wordCount('Пишите host@example.com')).toBe(6);
+    });
+
+    it('произносит символы словами', () => {
+        expect(wordCount('50% & $')).toBe(4);
+    });
+});
+
+describe('TextMetrics.detectLanguage', () => {
+    it('определяет язык по письменности', () => {
+        expect(textMetrics.detectLanguage('Привет')).toBe('ru');
+        expect(textMetrics.detectLanguage('Hello')).toBe('en');
+        expect(textMetrics.detectLanguage('こんにちは')).toBe('ja');
+        expect(textMetrics.detectLanguage('你好')).toBe('zh');
+        expect(textMetrics.detectLanguage('123')).toBe('ru');
+    });
+});
+
+describe('TextMetrics.registerLanguage', () => {
+    it('подключает профиль нового языка', () => {
+        const metrics = new TextMetrics();
+        metrics.registerLanguage('de', { abbreviations: { 'z.B.': 3 } });
+
+        expect(metrics.analyze('z.B. Musik', 'de').wordCount).toBe(4);
+        expect(metrics.getProfile('de-AT').abbreviations['z.b.']).toBe(3);
+    });
+
+    it('возвращает профиль по умолчанию для неизвестного языка', () => {
+        expect(textMetrics.analyze('12 abc', 'xx').wordCount).toBe(2);
+    });
+});
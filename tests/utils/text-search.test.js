@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+
+import { TextSearch } from '../../src/js/utils/text-search.js';
+
+describe('TextSearch.findMatches', () => {
+    it('ищет без учета регистра по умолчанию', () => {
+        const search = new TextSearch('кот');
+
+        expect(search.findMatches('Кот и котенок')).toEqual([
+            { start: 0, end: 3, text: 'Кот' },
+            { start: 6, end: 9, text: 'кот' }
+        ]);
+    });
+
+    it('учитывает регистр по опции', () => {
+        const search = new TextSearch('кот', { caseSensitive: true });
+        expect(search.findMatches('Кот и котенок').map(match => match.start)).toEqual([6]);
+    });
+
+    it('ищет целые слова в кириллице', () => {
+        const search = new TextSearch('кот', { wholeWord: true });
+        expect(search.findMatches('Кот, котенок и кот_1, кот.').map(match => match.start)).toEqual([0, 22]);
+    });
+
+    it('экранирует спецсимволы обычного запроса', () => {
+        const search = new TextSearch('(5 сек)');
+        expect(search.findMatches('Джингл (5 сек) и 5 сек')).toEqual([{ start: 7, end: 14, text: '(5 сек)' }]);
+    });
+
+    it('ищет по регулярному выражению и пропускает пустые совпадения', () => {
+        expect(new TextSearch('\\d+', { regex: true }).findMatches('1 и 22').map(match => match.text)).toEqual(['1', '22']);
+        expect(new TextSearch('x*', { regex: true }).findMatches('abc')).toEqual([]);
+    });
+
+    it('сообщает об ошибке в регулярном выражении', () => {
+        const search = new TextSearch('(', { regex: true });
+
+        expect(search.isActive()).toBe(false);
+        expect(search.error).toBeTruthy();
+        expect(search.findMatches('(')).toEqual([]);
+    });
+
+    it('не активен без запроса', () => {
+        const search = new TextSearch('');
+
+        expect(search.isActive()).toBe(false);
+        expect(search.error).toBeNull();
+    });
+});
+
+describe('TextSearch.replaceMatch', () => {
+    it('заменяет одно совпадение буквально', () => {
+        const search = new TextSearch('кот');
+        const text = 'кот и кот';
+        const [, second] = search.findMatches(text);
+
+        expect(search.replaceMatch(text, second, '$&пес')).toBe('кот и $&пес');
+    });
+
+    it('подставляет группы в режиме регулярных выражений с учетом контекста', () => {
+        const search = new TextSearch('(?<=Глава )(\\d+)', { regex: true });
+        const text = 'Глава 1, Глава 2';
+        const [, second] = search.findMatches(text);
+
+        expect(search.replaceMatch(text, second, '[$1]')).toBe('Глава 1, Глава [2]');
+    });
+});
+
+describe('TextSearch.replaceAll', () => {
+    it('заменяет все совпадения', () => {
+        expect(new TextSearch('а').replaceAll('Аа-а', 'бб')).toBe('бббб-бб');
+    });
+
+    it('заменяет все совпадения регулярного выражения с группами', () => {
+        const search = new TextSearch('(\\p{L}+)-(\\p{L}+)', { regex: true });
+        expect(search.replaceAll('кто-то где-то', '$2-$1')).toBe('то-кто то-где');
+    });
+
+    it('возвращает текст без изменений, если совпадений нет', () => {
+        expect(new TextSearch('пес').replaceAll('кот', 'x')).toBe('кот');
+    });
+});
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+
+import { formatTimecode, formatTimecodeRange } from '../../src/js/utils/time-format.js';
+
+describe('formatTimecode', () => {
+    it('форматирует позицию в минутах и секундах', () => {
+        expect(formatTimecode(0)).toBe('0:00');
+        expect(formatTimecode(12.5)).toBe('12:30');
+        expect(formatTimecode(1 / 120)).toBe('0:01');
+    });
+
+    it('добавляет часы для записей длиннее часа', () => {
+        expect(formatTimecode(62 + 3 / 60)).toBe('1:02:03');
+    });
+
+    it('не выводит отрицательное время', () => {
+        expect(formatTimecode(-1)).toBe('0:00');
+    });
+});
+
+describe('formatTimecodeRange', () => {
+    it('форматирует интервал реплики', () => {
+        expect(formatTimecodeRange({ start: 12.5, end: 13 })).toBe('12:30–13:00');
+    });
+});
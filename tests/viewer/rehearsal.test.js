@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+
+import { Rehearsal } from '../../src/js/viewer/rehearsal.js';
+
+const HOST = { id: 'host', name: 'Анна', type: 'speaker', wordsPerMinute: 120 };
+const GUEST = { id: 'guest', name: 'Борис', type: 'speaker', wordsPerMinute: 150 };
+const JINGLE = { id: 'jingle', name: 'Джингл', type: 'sound', duration: 5 };
+
+/**
+ * Реплика репетиции (время в минутах)
+ */
+function item(role, wordCount, estimated, actual, replica = {}) {
+    return { role, replica: { text: '', wordCount, ...replica }, estimated, actual };
+}
+
+describe('Rehearsal.calculateResults', () => {
+    it('пропускает реплики, которые не были измерены', () => {
+        const results = Rehearsal.calculateResults([
+            item(HOST, 60, 0.5, 0.5),
+            item(HOST, 60, 0.5, null)
+        ]);
+
+        expect(results.replicas).toHaveLength(1);
+        expect(results.speakers[0]).toMatchObject({ words: 60, estimated: 0.5, actual: 0.5 });
+    });
+
+    it('считает скорость спикеров и предлагает обновить заметно отличающуюся', () => {
+        const results = Rehearsal.calculateResults([
+            item(HOST, 60, 0.5, 0.6),
+            item(JINGLE, 0, 5 / 60, 6 / 60),
+            item(GUEST, 150, 1, 1.01),
+            item(HOST, 40, 1 / 3, 0.4)
+        ]);
+
+        expect(results.replicas).toHaveLength(4);
+        expect(results.speakers.map(({ roleId, words, measuredWordsPerMinute, suggestUpdate }) =>
+            ({ roleId, words, measuredWordsPerMinute, suggestUpdate }))).toEqual([
+            { roleId: 'host', words: 100, measuredWordsPerMinute: 100, suggestUpdate: true },
+            { roleId: 'guest', words: 150, measuredWordsPerMinute: 149, suggestUpdate: false }
+        ]);
+    });
+
+    it('не учитывает паузы и приводит время к обычному темпу', () => {
+        // 60 слов за 45 секунд речи в замедленном темпе (2/3) - это 120 слов в минуту в обычном темпе
+        const results = Rehearsal.calculateResults([
+            item(HOST, 60, 0.5, 1, { pauseDuration: 15, pace: 2 / 3 })
+        ]);
+        expect(results.speakers[0].measuredWordsPerMinute).toBe(120);
+        expect(results.speakers[0].suggestUpdate).toBe(false);
+    });
+
+    it('ограничивает измеренную скорость допустимым диапазоном', () => {
+        const results = Rehearsal.calculateResults([
+            item(HOST, 5, 0.04, 1),
+            item(GUEST, 100, 0.7, 0.1)
+        ]);
+        expect(results.speakers.map(speaker => speaker.measuredWordsPerMinute)).toEqual([50, 500]);
+    });
+
+    it('не предлагает скорость, если спикер молчал', () => {
+        const [speaker] = Rehearsal.calculateResults([item(HOST, 0, 0, 0, { pauseDuration: 10 })]).speakers;
+
+        expect(speaker.measuredWordsPerMinute).toBeNull();
+        expect(speaker.suggestUpdate).toBe(false);
+    });
+});
@@ -28,5 +28,10 @@ export default defineConfig({
   assetsInclude: ['**/*.md'],
   optimizeDeps: {
     include: ['feather-icons']
+  },
+  test: {
+    environment: 'jsdom',
+    include: ['tests/**/*.test.js'],
+    setupFiles: ['tests/setup.js']
   }
 });